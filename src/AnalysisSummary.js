@@ -0,0 +1,65 @@
+import React from 'react';
+
+/* -------------------------
+  Analysis Summary panel: computed findings, coloured pass/fail against
+  the Class 1 target, each with a link that filters to its data
+--------------------------*/
+const TONES = {
+  good: { backgroundColor: '#d1fae5', color: '#166534' },
+  bad: { backgroundColor: '#fee2e2', color: '#991b1b' }
+};
+
+const cardStyle = { padding: '16px', backgroundColor: '#f9fafb', borderRadius: '8px' };
+const linkStyle = { border: 'none', background: 'none', padding: 0, cursor: 'pointer', fontSize: '12px', color: '#2563eb', textDecoration: 'underline' };
+
+const FindingList = ({ findings, empty, onApplyFilter }) => (
+  findings.length ? (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      {findings.map(f => (
+        <div key={f.key} style={{ ...TONES[f.tone], padding: '8px 10px', borderRadius: '6px', fontSize: '14px' }}>
+          <div>{f.text}</div>
+          <button onClick={() => onApplyFilter(f.chips)} style={linkStyle}>{f.linkLabel} →</button>
+        </div>
+      ))}
+    </div>
+  ) : (
+    <p style={{ fontSize: '14px', color: '#6b7280', margin: 0 }}>{empty}</p>
+  )
+);
+
+const AnalysisSummary = ({ findings, target, onTargetChange, onApplyFilter }) => (
+  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '24px' }}>
+    <div style={cardStyle}>
+      <h4 style={{ fontWeight: '600', color: '#1e40af', margin: '0 0 8px 0' }}>Best &amp; Worst Hours</h4>
+      <FindingList findings={findings.hours} empty="Not enough samples per hour yet." onApplyFilter={onApplyFilter} />
+    </div>
+    <div style={cardStyle}>
+      <h4 style={{ fontWeight: '600', color: '#92400e', margin: '0 0 8px 0' }}>Worst Sectors by Class 1</h4>
+      <FindingList findings={findings.sectors} empty="Not enough samples per sector yet." onApplyFilter={onApplyFilter} />
+    </div>
+    <div style={cardStyle}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', margin: '0 0 8px 0' }}>
+        <h4 style={{ fontWeight: '600', color: '#166534', margin: 0 }}>Target &amp; Trends</h4>
+        <label style={{ fontSize: '12px', color: '#6b7280', display: 'flex', alignItems: 'center', gap: '4px' }}>
+          Target
+          <input
+            type="number"
+            min="1"
+            max="100"
+            step="0.5"
+            value={target}
+            onChange={(e) => {
+              const value = Number(e.target.value);
+              if (value > 0 && value <= 100) onTargetChange(value);
+            }}
+            style={{ width: '56px', padding: '2px 4px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+          />
+          %
+        </label>
+      </div>
+      <FindingList findings={findings.trends} empty="" onApplyFilter={onApplyFilter} />
+    </div>
+  </div>
+);
+
+export default AnalysisSummary;
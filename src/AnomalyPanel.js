@@ -0,0 +1,218 @@
+import React, { useMemo, useState } from 'react';
+import {
+  ComposedChart,
+  BarChart,
+  Bar,
+  Area,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { ALL_SECTORS, ANOMALY_METRICS, BUCKETS, DEFAULT_ANOMALY_SETTINGS, anomalyMetric, detectAnomalies } from './anomalies';
+
+/* -------------------------
+  Anomalies: sudden drops per sector and metric against a rolling or
+  seasonal baseline. The timeline shows one series with its expected
+  band and the flagged points; the list ranks every anomaly and can
+  filter the dashboard to it.
+--------------------------*/
+const METRIC_COLORS = { rsrp: '#EF4444', sinr: '#F97316', throughput: '#8B5CF6', class1: '#10B981' };
+const LIST_LIMIT = 20;
+
+const SORTS = [
+  { key: 'severity', label: 'Severity' },
+  { key: 'time', label: 'Most recent' },
+  { key: 'sector', label: 'Sector' }
+];
+const sorters = {
+  severity: (a, b) => b.severity - a.severity,
+  time: (a, b) => (a.bucket < b.bucket ? 1 : a.bucket > b.bucket ? -1 : b.severity - a.severity),
+  sector: (a, b) => a.entity.localeCompare(b.entity) || b.severity - a.severity
+};
+
+const selectStyle = { padding: '4px 8px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' };
+const buttonStyle = { padding: '4px 10px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', backgroundColor: '#e5e7eb', color: '#374151' };
+const linkStyle = { border: 'none', background: 'none', padding: 0, color: '#2563eb', cursor: 'pointer', fontSize: '12px' };
+const cellStyle = { padding: '6px', verticalAlign: 'middle' };
+
+const fmtValue = (metric, value) => (value === null || value === undefined ? '—' : `${value.toFixed(metric.digits)} ${metric.unit}`);
+const fmtDelta = (metric, value) => `${value >= 0 ? '+' : ''}${value.toFixed(metric.digits)} ${metric.unit}`;
+
+// flagged points get a red marker; the others stay plain so long series read as a line
+const anomalyDot = ({ cx, cy, payload }) => (
+  <circle key={`dot-${payload.key}`} cx={cx} cy={cy} r={payload.anomaly ? 5 : 0} fill="#EF4444" stroke="white" strokeWidth={1.5} />
+);
+
+const AnomalyPanel = ({ rows, onApplyFilter }) => {
+  const [settings, setSettings] = useState(DEFAULT_ANOMALY_SETTINGS);
+  const [entity, setEntity] = useState(ALL_SECTORS);
+  const [metricKey, setMetricKey] = useState('rsrp');
+  const [sortKey, setSortKey] = useState('severity');
+  const [selectedId, setSelectedId] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+  const bucketDef = BUCKETS.find(b => b.key === settings.bucket);
+  const metric = anomalyMetric(metricKey);
+  const change = (patch) => setSettings(current => ({ ...current, ...patch }));
+
+  const analysis = useMemo(() => detectAnomalies(rows, settings), [rows, settings]);
+  const shownEntity = analysis.series[entity] ? entity : ALL_SECTORS;
+
+  const timeline = useMemo(() => (analysis.series[shownEntity]?.[metricKey] || []).map(p => ({
+    ...p,
+    band: p.baseline === null ? null : [p.baseline - settings.threshold * p.spread, p.baseline + settings.threshold * p.spread]
+  })), [analysis, shownEntity, metricKey, settings.threshold]);
+
+  // anomalies per time bucket across every sector, one stack per metric
+  const overview = useMemo(() => {
+    const byBucket = new Map((analysis.series[ALL_SECTORS]?.rsrp || []).map(p => [p.key, { key: p.key, label: p.label }]));
+    analysis.anomalies.forEach(a => {
+      const entry = byBucket.get(a.bucket);
+      if (entry) entry[a.metric] = (entry[a.metric] || 0) + 1;
+    });
+    return [...byBucket.values()];
+  }, [analysis]);
+
+  const ranked = useMemo(() => [...analysis.anomalies].sort(sorters[sortKey]), [analysis, sortKey]);
+  const shown = showAll ? ranked : ranked.slice(0, LIST_LIMIT);
+
+  const select = (anomaly) => {
+    setSelectedId(anomaly.id);
+    setEntity(anomaly.entity);
+    setMetricKey(anomaly.metric);
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', fontSize: '12px', color: '#6b7280', marginBottom: '12px' }}>
+        <span>Series:</span>
+        <select value={settings.bucket} onChange={(e) => change({ bucket: e.target.value })} style={selectStyle}>
+          {BUCKETS.map(b => <option key={b.key} value={b.key}>{b.label}</option>)}
+        </select>
+        <span>Baseline:</span>
+        <select value={settings.baseline} onChange={(e) => change({ baseline: e.target.value })} style={selectStyle}>
+          <option value="rolling">Previous {bucketDef.window} {bucketDef.key === 'day' ? 'days' : 'hours'}</option>
+          <option value="seasonal">Same {bucketDef.key === 'day' ? 'weekday' : 'hour'}, last {bucketDef.seasonalWindow} {bucketDef.key === 'day' ? 'weeks' : 'days'}</option>
+        </select>
+        <span>Flag at z ≤ −</span>
+        <input
+          type="number"
+          min="1"
+          step="0.5"
+          value={settings.threshold}
+          onChange={(e) => change({ threshold: Math.max(0.5, Number(e.target.value) || DEFAULT_ANOMALY_SETTINGS.threshold) })}
+          style={{ ...selectStyle, width: '56px' }}
+        />
+      </div>
+
+      {!overview.length ? (
+        <p style={{ fontSize: '14px', color: '#6b7280' }}>Anomaly detection needs timestamped samples.</p>
+      ) : (
+        <>
+          <h4 style={{ margin: '0 0 8px 0', fontSize: '14px', color: '#374151' }}>Anomalies over time (all sectors)</h4>
+          <ResponsiveContainer width="100%" height={120}>
+            <BarChart data={overview} barCategoryGap={1}>
+              <XAxis dataKey="label" tick={{ fontSize: 10 }} minTickGap={24} />
+              <YAxis allowDecimals={false} tick={{ fontSize: 10 }} width={28} />
+              <Tooltip />
+              {ANOMALY_METRICS.map(m => <Bar key={m.key} dataKey={m.key} name={m.label} stackId="anomalies" fill={METRIC_COLORS[m.key]} isAnimationActive={false} />)}
+            </BarChart>
+          </ResponsiveContainer>
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', fontSize: '12px', color: '#6b7280', margin: '16px 0 8px 0' }}>
+            <h4 style={{ margin: 0, fontSize: '14px', color: '#374151' }}>Timeline</h4>
+            <select value={shownEntity} onChange={(e) => setEntity(e.target.value)} style={selectStyle}>
+              {analysis.entities.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+            <select value={metricKey} onChange={(e) => setMetricKey(e.target.value)} style={selectStyle}>
+              {ANOMALY_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+            </select>
+          </div>
+          <ResponsiveContainer width="100%" height={240}>
+            <ComposedChart data={timeline}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="label" tick={{ fontSize: 10 }} minTickGap={24} />
+              <YAxis domain={['auto', 'auto']} tick={{ fontSize: 11 }} />
+              <Tooltip formatter={(value, name) => [Array.isArray(value) ? `${value[0].toFixed(1)} … ${value[1].toFixed(1)}` : Number(value).toFixed(metric.digits), name]} />
+              <Legend />
+              <Area dataKey="band" name="Expected range" stroke="none" fill="#93c5fd" fillOpacity={0.35} isAnimationActive={false} />
+              <Line dataKey="baseline" name="Baseline" stroke="#6b7280" strokeDasharray="4 4" dot={false} isAnimationActive={false} />
+              <Line dataKey="value" name={`${metric.label} (${metric.unit})`} stroke={METRIC_COLORS[metricKey]} strokeWidth={2} dot={anomalyDot} isAnimationActive={false} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </>
+      )}
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', margin: '16px 0 8px 0' }}>
+        <h4 style={{ margin: 0, fontSize: '14px', color: '#374151' }}>{analysis.anomalies.length.toLocaleString()} anomalies</h4>
+        <span style={{ fontSize: '12px', color: '#6b7280', marginLeft: 'auto' }}>Sort by:</span>
+        <select value={sortKey} onChange={(e) => setSortKey(e.target.value)} style={selectStyle}>
+          {SORTS.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+        </select>
+      </div>
+      {!ranked.length ? (
+        <p style={{ fontSize: '13px', color: '#6b7280', margin: 0 }}>No sudden drops against the baseline in the current selection.</p>
+      ) : (
+        <>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+            <thead>
+              <tr style={{ color: '#6b7280', textAlign: 'left', fontSize: '12px' }}>
+                <th style={cellStyle}>Sector</th>
+                <th style={cellStyle}>Metric</th>
+                <th style={cellStyle}>When</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>Value</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>Baseline</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>Change</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>z</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>Samples</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map(a => {
+                const m = anomalyMetric(a.metric);
+                return (
+                  <tr
+                    key={a.id}
+                    onClick={() => select(a)}
+                    style={{ borderTop: '1px solid #f3f4f6', cursor: 'pointer', backgroundColor: a.id === selectedId ? '#eff6ff' : 'transparent' }}
+                  >
+                    <td style={cellStyle}>{a.entity}</td>
+                    <td style={{ ...cellStyle, color: METRIC_COLORS[a.metric], fontWeight: 500 }}>{m.label}</td>
+                    <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>{a.label}</td>
+                    <td style={{ ...cellStyle, textAlign: 'right' }}>{fmtValue(m, a.value)}</td>
+                    <td style={{ ...cellStyle, textAlign: 'right', color: '#6b7280' }}>{fmtValue(m, a.baseline)}</td>
+                    <td style={{ ...cellStyle, textAlign: 'right', color: '#b91c1c' }}>{fmtDelta(m, a.delta)}</td>
+                    <td style={{ ...cellStyle, textAlign: 'right', fontWeight: 600 }}>{a.z.toFixed(1)}</td>
+                    <td style={{ ...cellStyle, textAlign: 'right' }}>{a.count.toLocaleString()}</td>
+                    <td style={{ ...cellStyle, textAlign: 'right' }}>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onApplyFilter(a.chips);
+                        }}
+                        style={linkStyle}
+                      >
+                        Filter →
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {ranked.length > LIST_LIMIT && (
+            <button onClick={() => setShowAll(!showAll)} style={{ ...buttonStyle, marginTop: '8px' }}>
+              {showAll ? `Show top ${LIST_LIMIT}` : `Show all ${ranked.length.toLocaleString()}`}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnomalyPanel;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { formatQueryValue } from './queryEngine';
+
+/* -------------------------
+  An assistant answer drawn from its payload (see answerPayload): bars,
+  a line or a table. Compact in the chat bubble, full size when pinned;
+  clicking a bar, point or row hands its group key back for the map.
+--------------------------*/
+const COMPACT_ROWS = 8;
+const cellStyle = { padding: '3px 6px', verticalAlign: 'middle' };
+
+const AssistantResult = ({ payload, compact = false, onSelectRow }) => {
+  if (!payload || payload.type === 'map') return null;
+  const height = compact ? 150 : 260;
+  const fontSize = compact ? 10 : 12;
+  const metric = payload.rows.length ? payload.rows[0].metric : null;
+  const tooltip = <Tooltip formatter={(value) => [formatQueryValue(metric, value), payload.title]} />;
+  const select = (row) => { if (onSelectRow && row) onSelectRow(row.key); };
+  // chart clicks report the hovered index, as in useChartBrush
+  const selectIndex = (state) => select(state ? payload.rows[Number(state.activeTooltipIndex)] : null);
+  const clickable = onSelectRow ? { onClick: selectIndex, style: { cursor: 'pointer' } } : {};
+
+  if (payload.type === 'bar') {
+    return (
+      <ResponsiveContainer width="100%" height={height}>
+        <BarChart data={payload.rows} margin={{ top: 8, right: 8, left: 0, bottom: 0 }} {...clickable}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" tick={{ fontSize }} interval={compact ? 'preserveStartEnd' : 0} />
+          <YAxis tick={{ fontSize }} width={compact ? 36 : 48} />
+          {tooltip}
+          <Bar dataKey="value" fill="#3B82F6" isAnimationActive={false} />
+        </BarChart>
+      </ResponsiveContainer>
+    );
+  }
+
+  if (payload.type === 'line') {
+    return (
+      <ResponsiveContainer width="100%" height={height}>
+        <LineChart data={payload.rows} margin={{ top: 8, right: 8, left: 0, bottom: 0 }} {...clickable}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="label" tick={{ fontSize }} minTickGap={16} />
+          <YAxis domain={['auto', 'auto']} tick={{ fontSize }} width={compact ? 36 : 48} />
+          {tooltip}
+          <Line dataKey="value" stroke="#3B82F6" strokeWidth={2} dot={{ r: compact ? 2 : 3 }} isAnimationActive={false} />
+        </LineChart>
+      </ResponsiveContainer>
+    );
+  }
+
+  const shown = compact ? payload.rows.slice(0, COMPACT_ROWS) : payload.rows;
+  const grouped = payload.rows.some(r => r.n !== undefined);
+  return (
+    <div style={{ whiteSpace: 'normal' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: compact ? 11 : 13 }}>
+        <tbody>
+          {shown.map(r => (
+            <tr
+              key={r.key}
+              onClick={grouped ? () => select(r) : undefined}
+              style={{ borderTop: '1px solid #f3f4f6', cursor: grouped && onSelectRow ? 'pointer' : 'default' }}
+            >
+              <td style={cellStyle}>{r.label}</td>
+              <td style={{ ...cellStyle, textAlign: 'right', fontWeight: 500 }}>{formatQueryValue(r.metric, r.value)}</td>
+              {grouped && <td style={{ ...cellStyle, textAlign: 'right', color: '#6b7280' }}>{r.n.toLocaleString()}</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {shown.length < payload.rows.length && (
+        <div style={{ fontSize: 11, color: '#6b7280', marginTop: 4 }}>+{(payload.rows.length - shown.length).toLocaleString()} more — pin it to see all</div>
+      )}
+    </div>
+  );
+};
+
+export default AssistantResult;
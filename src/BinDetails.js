@@ -0,0 +1,45 @@
+import React from 'react';
+
+/* -------------------------
+  Statistics of the coverage bin clicked on the map
+--------------------------*/
+const CLASS_LABELS = ['Unclassified', 'Class 1', 'Class 2', 'Class 3', 'Class 4'];
+
+const fmt = (value, digits, unit) => (value === null || value === undefined ? '—' : `${value.toFixed(digits)}${unit}`);
+
+const BinDetails = ({ bin, sizeMeters, shape, onClose }) => {
+  const s = bin.stats;
+  const rows = [
+    ['Samples', s.count.toLocaleString()],
+    ['Median RSRP', fmt(s.medianRsrp, 1, ' dBm')],
+    ['Avg RSRP', fmt(s.avgRsrp, 1, ' dBm')],
+    ['Avg SINR', fmt(s.avgSinr, 1, ' dB')],
+    ['Class 1 share', fmt(s.class1Pct, 1, '%')],
+    ['Avg DL throughput', fmt(s.avgThroughputMbps, 1, ' Mbps')],
+    ['Avg UL throughput', fmt(s.avgUlThroughputMbps, 1, ' Mbps')],
+    ['Classes', s.classCounts.map((n, c) => (n ? `${CLASS_LABELS[c]}: ${n}` : null)).filter(Boolean).join(' · ')],
+    ['Technology', Object.entries(s.technologies).map(([t, n]) => `${t}: ${n}`).join(' · ')],
+    ['First / last sample', s.firstTimestamp ? `${new Date(s.firstTimestamp).toLocaleString()} → ${new Date(s.lastTimestamp).toLocaleString()}` : '—']
+  ];
+
+  return (
+    <div style={{ marginTop: '12px', padding: '12px', backgroundColor: '#f9fafb', borderRadius: '8px', fontSize: '13px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <strong>{sizeMeters} m {shape === 'square' ? 'square' : 'hexagon'} bin</strong>
+        <button onClick={onClose} style={{ border: 'none', background: 'none', cursor: 'pointer', color: '#6b7280' }}>✕</button>
+      </div>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label} style={{ borderTop: '1px solid #f3f4f6' }}>
+              <td style={{ padding: '4px 6px', color: '#6b7280', width: '40%' }}>{label}</td>
+              <td style={{ padding: '4px 6px' }}>{value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default BinDetails;
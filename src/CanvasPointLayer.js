@@ -0,0 +1,290 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { buildPointLayer, drawHighlights, drawPointLayer, hitTestPointLayer } from './pointLayer';
+import { drawRoute, drawRouteCursor } from './route';
+import { drawBins, hitTestBins } from './binning';
+import { circleFrom, drawAreas, polygonFrom, rectangleFrom, screenToLatLng } from './spatialAreas';
+
+/* -------------------------
+  Canvas point layer over a map
+   Wraps the map element and draws every row on one canvas above it,
+   redrawn imperatively (once per animation frame) from the map adapter's
+   view, so panning never re-renders the dashboard. The canvas ignores
+   pointer events; hover is hit-tested against the last drawn grid.
+   Optional extras, bottom to top: coverage bins, the route, the points,
+   highlighted rows, the named areas and the playback cursor; changing an
+   extra only schedules a redraw. A click that is not the end of a drag
+   selects the bin under it.
+   While `drawMode` is set a transparent sheet over the map takes the
+   pointer, so dragging draws the shape instead of panning; the finished
+   geometry (or null when Esc cancels) goes to `onAreaDrawn`.
+--------------------------*/
+const CLICK_SLOP_PX = 4;
+const CLOSE_POLYGON_PX = 8;
+
+const CanvasPointLayer = ({
+  adapter,
+  rows,
+  colors,
+  tooltipFor,
+  route = null,
+  routeColors = null,
+  cursor = null,
+  bins = null,
+  binColorBy = null,
+  selectedBinKey = null,
+  binTooltipFor = null,
+  onBinClick = null,
+  areas = null,
+  activeAreaIds = [],
+  pendingArea = null,
+  highlight = null,
+  drawMode = null,
+  onAreaDrawn = null,
+  children
+}) => {
+  const wrapperRef = useRef(null);
+  const canvasRef = useRef(null);
+  const gridRef = useRef(null);
+  const scheduleRef = useRef(null);
+  const pressRef = useRef(null);
+  const extrasRef = useRef({ route, routeColors, cursor, bins, binColorBy, selectedBinKey, areas, activeAreaIds, pendingArea, highlight });
+  const draftRef = useRef(null);
+  const dragStartRef = useRef(null);
+  const verticesRef = useRef([]);
+  const [hover, setHover] = useState(null);
+
+  const layer = useMemo(() => buildPointLayer(rows), [rows]);
+
+  useEffect(() => {
+    extrasRef.current = { route, routeColors, cursor, bins, binColorBy, selectedBinKey, areas, activeAreaIds, pendingArea, highlight };
+    if (scheduleRef.current) scheduleRef.current();
+  }, [route, routeColors, cursor, bins, binColorBy, selectedBinKey, areas, activeAreaIds, pendingArea, highlight]);
+
+  const setDraft = (draft) => {
+    draftRef.current = draft;
+    if (scheduleRef.current) scheduleRef.current();
+  };
+
+  // a new draw mode starts from scratch
+  useEffect(() => {
+    draftRef.current = null;
+    dragStartRef.current = null;
+    verticesRef.current = [];
+    if (scheduleRef.current) scheduleRef.current();
+  }, [drawMode]);
+
+  useEffect(() => {
+    if (!drawMode || !onAreaDrawn) return undefined;
+    const onKey = (e) => {
+      if (e.key === 'Escape') onAreaDrawn(null);
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [drawMode, onAreaDrawn]);
+
+  useEffect(() => {
+    if (!adapter) return undefined;
+    let frame = null;
+
+    const draw = () => {
+      frame = null;
+      const canvas = canvasRef.current;
+      const wrapper = wrapperRef.current;
+      const view = adapter.getView();
+      if (!canvas || !wrapper || !view) return;
+      const width = wrapper.clientWidth;
+      const height = wrapper.clientHeight;
+      const dpr = window.devicePixelRatio || 1;
+      if (canvas.width !== Math.round(width * dpr) || canvas.height !== Math.round(height * dpr)) {
+        canvas.width = Math.round(width * dpr);
+        canvas.height = Math.round(height * dpr);
+      }
+      const ctx = canvas.getContext('2d');
+      if (!ctx) return;
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      const extras = extrasRef.current;
+      ctx.clearRect(0, 0, width, height);
+      if (extras.bins) drawBins(ctx, extras.bins, extras.binColorBy, extras.selectedBinKey, view, width, height);
+      if (extras.route && extras.routeColors) drawRoute(ctx, extras.route, extras.routeColors, view, width, height);
+      gridRef.current = drawPointLayer(ctx, layer, view, width, height, colors);
+      if (extras.highlight && extras.highlight.length) drawHighlights(ctx, extras.highlight, view, width, height);
+      const draft = draftRef.current || extras.pendingArea;
+      if ((extras.areas && extras.areas.length) || draft) drawAreas(ctx, extras.areas || [], extras.activeAreaIds, draft, view, width, height);
+      if (extras.cursor) drawRouteCursor(ctx, extras.cursor, view, width, height);
+    };
+    const schedule = () => {
+      if (frame === null) frame = window.requestAnimationFrame(draw);
+    };
+
+    schedule();
+    scheduleRef.current = schedule;
+    setHover(null);
+    const unsubscribe = adapter.subscribe(schedule);
+    window.addEventListener('resize', schedule);
+    return () => {
+      scheduleRef.current = null;
+      unsubscribe();
+      window.removeEventListener('resize', schedule);
+      if (frame !== null) window.cancelAnimationFrame(frame);
+    };
+  }, [adapter, layer, colors]);
+
+  const binAt = (px, py) => {
+    const view = adapter && adapter.getView();
+    if (!bins || !view) return null;
+    const wrapper = wrapperRef.current;
+    return hitTestBins(bins, view, wrapper.clientWidth, wrapper.clientHeight, px, py);
+  };
+
+  const localPoint = (e) => {
+    const rect = wrapperRef.current.getBoundingClientRect();
+    return { px: e.clientX - rect.left, py: e.clientY - rect.top };
+  };
+
+  const handleMouseMove = (e) => {
+    const { px, py } = localPoint(e);
+    const row = hitTestPointLayer(gridRef.current, layer, px, py);
+    if (row) {
+      setHover({ text: tooltipFor(row), px, py });
+      return;
+    }
+    const bin = binTooltipFor ? binAt(px, py) : null;
+    setHover(bin ? { text: binTooltipFor(bin), px, py } : null);
+  };
+
+  const handleMouseDown = (e) => {
+    pressRef.current = localPoint(e);
+  };
+
+  const handleClick = (e) => {
+    if (!onBinClick || !pressRef.current) return;
+    const { px, py } = localPoint(e);
+    if (Math.abs(px - pressRef.current.px) > CLICK_SLOP_PX || Math.abs(py - pressRef.current.py) > CLICK_SLOP_PX) return;
+    onBinClick(binAt(px, py));
+  };
+
+  /* -------------------------
+     Drawing an area
+  --------------------------*/
+  const latLngAt = (e) => {
+    const view = adapter && adapter.getView();
+    if (!view) return null;
+    const { px, py } = localPoint(e);
+    const wrapper = wrapperRef.current;
+    return screenToLatLng(view, wrapper.clientWidth, wrapper.clientHeight, px, py);
+  };
+
+  const dragShape = (start, at) => (drawMode === 'circle' ? circleFrom(start, at) : rectangleFrom(start, at));
+
+  const finishPolygon = () => {
+    const points = verticesRef.current.map(v => v.at);
+    verticesRef.current = [];
+    onAreaDrawn(polygonFrom(points));
+  };
+
+  const handleDrawDown = (e) => {
+    e.stopPropagation();
+    const at = latLngAt(e);
+    if (drawMode !== 'polygon' && at) dragStartRef.current = { ...localPoint(e), at };
+  };
+
+  const handleDrawMove = (e) => {
+    e.stopPropagation();
+    const at = latLngAt(e);
+    if (!at) return;
+    if (drawMode === 'polygon') {
+      // rubber band from the last corner to the pointer
+      if (verticesRef.current.length) setDraft(polygonFrom([...verticesRef.current.map(v => v.at), at]));
+      return;
+    }
+    if (dragStartRef.current) setDraft(dragShape(dragStartRef.current.at, at));
+  };
+
+  const handleDrawUp = (e) => {
+    e.stopPropagation();
+    const start = dragStartRef.current;
+    dragStartRef.current = null;
+    if (!start) return;
+    const { px, py } = localPoint(e);
+    const at = latLngAt(e);
+    if (!at || (Math.abs(px - start.px) <= CLICK_SLOP_PX && Math.abs(py - start.py) <= CLICK_SLOP_PX)) {
+      setDraft(null);
+      return;
+    }
+    onAreaDrawn(dragShape(start.at, at));
+  };
+
+  const handleDrawClick = (e) => {
+    e.stopPropagation();
+    if (drawMode !== 'polygon') return;
+    const at = latLngAt(e);
+    if (!at) return;
+    const { px, py } = localPoint(e);
+    const vertices = verticesRef.current;
+    const near = (v, slop) => v && Math.abs(v.px - px) <= slop && Math.abs(v.py - py) <= slop;
+    if (vertices.length >= 3 && near(vertices[0], CLOSE_POLYGON_PX)) {
+      finishPolygon();
+      return;
+    }
+    // the second click of a double-click
+    if (near(vertices[vertices.length - 1], CLICK_SLOP_PX)) return;
+    vertices.push({ px, py, at });
+    setDraft(polygonFrom(vertices.map(v => v.at)));
+  };
+
+  const handleDrawDoubleClick = (e) => {
+    e.stopPropagation();
+    if (drawMode === 'polygon' && verticesRef.current.length >= 3) finishPolygon();
+  };
+
+  return (
+    <div
+      ref={wrapperRef}
+      style={{ position: 'relative' }}
+      onMouseMove={handleMouseMove}
+      onMouseDown={handleMouseDown}
+      onClick={handleClick}
+      onMouseLeave={() => setHover(null)}
+    >
+      {children}
+      {/* above Leaflet's panes (z-index 400), below its controls */}
+      <canvas
+        ref={canvasRef}
+        style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', pointerEvents: 'none', zIndex: 500 }}
+      />
+      {drawMode && onAreaDrawn && (
+        <div
+          onMouseDown={handleDrawDown}
+          onMouseMove={handleDrawMove}
+          onMouseUp={handleDrawUp}
+          onClick={handleDrawClick}
+          onDoubleClick={handleDrawDoubleClick}
+          style={{ position: 'absolute', inset: 0, cursor: 'crosshair', zIndex: 1000 }}
+        />
+      )}
+      {hover && (
+        <div
+          style={{
+            position: 'absolute',
+            left: hover.px + 12,
+            top: hover.py + 12,
+            maxWidth: '280px',
+            padding: '4px 8px',
+            fontSize: '12px',
+            color: '#111827',
+            backgroundColor: 'white',
+            border: '1px solid #d1d5db',
+            borderRadius: '4px',
+            boxShadow: '0 1px 3px rgba(0,0,0,0.15)',
+            pointerEvents: 'none',
+            zIndex: 1001
+          }}
+        >
+          {hover.text}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CanvasPointLayer;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { threadToJson, threadToMarkdown } from './chatHistory';
+import { downloadText } from './download';
+
+/* -------------------------
+  Export or clear the assistant thread on screen, or open another saved
+  thread (an earlier upload of a log, or data no longer loaded)
+--------------------------*/
+const linkStyle = { border: 'none', background: 'none', padding: 0, color: '#2563eb', cursor: 'pointer', fontSize: '11px' };
+
+const fileStem = (label) => `chat-${(label || 'thread').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}-${new Date().toISOString().slice(0, 10)}`;
+const questionCount = (messages) => messages.filter(m => m.role === 'user').length;
+
+const ChatThreadBar = ({ thread, savedThreads, currentKey, onOpen, onClear }) => {
+  const questions = questionCount(thread.messages);
+  const others = savedThreads
+    .filter(t => t.key !== thread.key && t.key !== currentKey)
+    .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+  if (!questions && !others.length && thread.key === currentKey) return null;
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: 10, alignItems: 'center', fontSize: 11, color: '#6b7280', marginTop: 4 }}>
+      {thread.key !== currentKey && (
+        <button onClick={() => onOpen(currentKey)} style={linkStyle}>← Current data</button>
+      )}
+      {questions > 0 && (
+        <>
+          <span>{questions} question{questions === 1 ? '' : 's'} saved</span>
+          <button onClick={() => downloadText(`${fileStem(thread.label)}.md`, threadToMarkdown(thread), 'text/markdown')} style={linkStyle}>⬇ Markdown</button>
+          <button onClick={() => downloadText(`${fileStem(thread.label)}.json`, threadToJson(thread), 'application/json')} style={linkStyle}>⬇ JSON</button>
+          <button onClick={onClear} style={{ ...linkStyle, color: '#b91c1c' }}>Clear</button>
+        </>
+      )}
+      {others.length > 0 && (
+        <select value="" onChange={(e) => onOpen(e.target.value)} style={{ fontSize: 11, maxWidth: 160 }}>
+          <option value="">Saved threads…</option>
+          {others.map(t => (
+            <option key={t.key} value={t.key}>
+              {t.label || 'Untitled'} · {questionCount(t.messages)} Q · {new Date(t.updatedAt).toLocaleDateString()}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+};
+
+export default ChatThreadBar;
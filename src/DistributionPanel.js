@@ -0,0 +1,151 @@
+import React, { useMemo, useState } from 'react';
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { DIST_METRICS, PERCENTILES, cdfSeries, distributionCsv, distributionStats, histogramSeries, sortedValues } from './distributions';
+import { inAnyArea } from './spatialAreas';
+import { downloadText } from './download';
+
+/* -------------------------
+  Distribution panel: histogram, CDF and percentile table for one
+  metric over the current selection, optionally as two overlaid sets
+  (4G vs 5G, or any two of technology, session and saved area)
+--------------------------*/
+const SET_COLORS = { a: '#2563eb', b: '#F97316' };
+
+const selectStyle = { padding: '4px 8px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' };
+const buttonStyle = { padding: '4px 10px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', backgroundColor: '#e5e7eb', color: '#374151' };
+const cellStyle = { padding: '4px 6px', textAlign: 'right' };
+
+// the subsets a set can be; each narrows the current selection
+const setOptions = (sessions, areas) => [
+  { id: 'all', label: 'Current selection', test: null },
+  { id: 'tech:4G', label: '4G', test: r => r.technology === '4G' },
+  { id: 'tech:5G', label: '5G', test: r => r.technology === '5G' },
+  ...sessions.map(s => ({ id: `session:${s.id}`, label: s.name, test: r => r.sessionId === s.id })),
+  ...areas.map(a => ({ id: `area:${a.id}`, label: a.name, test: inAnyArea([a]) }))
+];
+
+const fmt = (value, digits = 1) => (value === null || value === undefined ? '—' : value.toFixed(digits));
+
+const DistributionPanel = ({ rows, sessions, areas }) => {
+  const [metricKey, setMetricKey] = useState('rsrp');
+  const [compare, setCompare] = useState('none');
+  const [customA, setCustomA] = useState('all');
+  const [customB, setCustomB] = useState('tech:5G');
+  const metric = DIST_METRICS.find(m => m.key === metricKey);
+
+  const options = useMemo(() => setOptions(sessions, areas), [sessions, areas]);
+  const sets = useMemo(() => {
+    const ids = compare === 'tech' ? ['tech:4G', 'tech:5G'] : compare === 'custom' ? [customA, customB] : ['all'];
+    return ids.map((id, i) => {
+      const option = options.find(o => o.id === id) || options[0];
+      const subset = option.test ? rows.filter(option.test) : rows;
+      return { key: i === 0 ? 'a' : 'b', label: option.label, values: sortedValues(subset, metricKey) };
+    });
+  }, [rows, options, compare, customA, customB, metricKey]);
+
+  const histogram = useMemo(() => histogramSeries(sets, metric), [sets, metric]);
+  const cdf = useMemo(() => cdfSeries(sets), [sets]);
+  const stats = useMemo(() => sets.map(s => ({ set: s, ...distributionStats(s.values) })), [sets]);
+
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', fontSize: '12px', color: '#6b7280', marginBottom: '12px' }}>
+        <span>Metric:</span>
+        <select value={metricKey} onChange={(e) => setMetricKey(e.target.value)} style={selectStyle}>
+          {DIST_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+        </select>
+        <span>Compare:</span>
+        <select value={compare} onChange={(e) => setCompare(e.target.value)} style={selectStyle}>
+          <option value="none">None</option>
+          <option value="tech">4G vs 5G</option>
+          <option value="custom">Two sets…</option>
+        </select>
+        {compare === 'custom' && (
+          <>
+            <select value={customA} onChange={(e) => setCustomA(e.target.value)} style={{ ...selectStyle, borderColor: SET_COLORS.a }}>
+              {options.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+            </select>
+            <span>vs</span>
+            <select value={customB} onChange={(e) => setCustomB(e.target.value)} style={{ ...selectStyle, borderColor: SET_COLORS.b }}>
+              {options.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+            </select>
+          </>
+        )}
+        <button
+          onClick={() => downloadText(`${metric.key}-distribution.csv`, distributionCsv(metric, sets), 'text/csv')}
+          disabled={!histogram.length}
+          style={{ ...buttonStyle, marginLeft: 'auto' }}
+        >
+          Export CSV
+        </button>
+      </div>
+
+      {!histogram.length ? (
+        <p style={{ fontSize: '14px', color: '#6b7280' }}>No {metric.label} values in the current selection.</p>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px' }}>
+          <div>
+            <h4 style={{ margin: '0 0 8px 0', fontSize: '14px', color: '#374151' }}>Histogram (% of samples)</h4>
+            <ResponsiveContainer width="100%" height={260}>
+              <BarChart data={histogram} barGap={0} barCategoryGap={1}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="x" tick={{ fontSize: 11 }} />
+                <YAxis tick={{ fontSize: 11 }} />
+                <Tooltip labelFormatter={(label, payload) => `${payload?.[0]?.payload?.label || label} ${metric.unit}`} formatter={(value, name) => [`${value.toFixed(1)}%`, name]} />
+                {sets.length > 1 && <Legend />}
+                {sets.map(s => <Bar key={s.key} dataKey={s.key} name={s.label} fill={SET_COLORS[s.key]} fillOpacity={0.75} isAnimationActive={false} />)}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <div>
+            <h4 style={{ margin: '0 0 8px 0', fontSize: '14px', color: '#374151' }}>CDF (% of samples at or below)</h4>
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={cdf}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="x" type="number" domain={['dataMin', 'dataMax']} tick={{ fontSize: 11 }} />
+                <YAxis domain={[0, 100]} tick={{ fontSize: 11 }} />
+                <Tooltip labelFormatter={(label) => `${label} ${metric.unit}`} formatter={(value, name) => [`${value.toFixed(1)}%`, name]} />
+                {sets.length > 1 && <Legend />}
+                {sets.map(s => <Line key={s.key} type="stepAfter" dataKey={s.key} name={s.label} stroke={SET_COLORS[s.key]} strokeWidth={2} dot={false} isAnimationActive={false} />)}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '12px', fontSize: '13px' }}>
+        <thead>
+          <tr style={{ color: '#6b7280', fontSize: '12px' }}>
+            <th style={{ padding: '4px 6px', textAlign: 'left' }}>{metric.label} ({metric.unit})</th>
+            <th style={cellStyle}>Samples</th>
+            <th style={cellStyle}>Mean</th>
+            {PERCENTILES.map(p => <th key={p} style={cellStyle}>P{p}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {stats.map(s => (
+            <tr key={s.set.key} style={{ borderTop: '1px solid #f3f4f6' }}>
+              <td style={{ padding: '4px 6px', color: sets.length > 1 ? SET_COLORS[s.set.key] : '#111827', fontWeight: 500 }}>{s.set.label}</td>
+              <td style={cellStyle}>{s.count.toLocaleString()}</td>
+              <td style={cellStyle}>{fmt(s.mean)}</td>
+              {s.percentiles.map(q => <td key={q.p} style={cellStyle}>{fmt(q.value)}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default DistributionPanel;
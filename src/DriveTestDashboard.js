@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import {
   LineChart,
   Line,
@@ -14,10 +14,69 @@ import {
   Pie,
   Cell,
   AreaChart,
-  Area
+  Area,
+  ReferenceLine,
+  ReferenceArea
 } from 'recharts';
 import Papa from 'papaparse';
-import { GoogleMap, LoadScript, Marker } from '@react-google-maps/api'; // install @react-google-maps/api
+import { GoogleMap, LoadScript } from '@react-google-maps/api'; // install @react-google-maps/api
+import { DEFAULT_PROFILE, classifySample } from './signalProfiles';
+import ThresholdProfileEditor from './ThresholdProfileEditor';
+import SessionComparison from './SessionComparison';
+import RadioBreakdown from './RadioBreakdown';
+import DistributionPanel from './DistributionPanel';
+import ScatterPanel from './ScatterPanel';
+import ProblemAreasPanel from './ProblemAreasPanel';
+import AnomalyPanel from './AnomalyPanel';
+import QueryEditor from './QueryEditor';
+import AssistantResult from './AssistantResult';
+import LlmSettingsPanel from './LlmSettingsPanel';
+import ChatThreadBar from './ChatThreadBar';
+import { loadJson, storeJson } from './storage';
+import { datasetKey, describeSnapshot, loadThreads, removeThread, saveThread, selectionSnapshot, storeThreads } from './chatHistory';
+import { completeChat, completeWithTools, loadLlmSettings, storeLlmSettings } from './llmProviders';
+import { runTool, toolDefinitions, ungroundedNumbers } from './copilotTools';
+import { answerQuery, describeQuery, loadPinnedAnswers, parseQuestion, queryRows, runQuery, storePinnedAnswers } from './queryEngine';
+import CanvasPointLayer from './CanvasPointLayer';
+import { googleMapAdapter, leafletMapAdapter } from './mapAdapters';
+import LeafletMap from './LeafletMap';
+import RoutePlaybackBar from './RoutePlaybackBar';
+import BinDetails from './BinDetails';
+import { BIN_COLOR_BY, BIN_SHAPES, BIN_SIZES, binLegend, binWeight, buildBins } from './binning';
+import { DEFAULT_ROUTE_GAPS, ROUTE_METRICS, buildRoute, routeColors, routeCursor } from './route';
+import { avg, groupBy, class1Share, summarizeKpis } from './analytics';
+import SpatialAreasPanel from './SpatialAreasPanel';
+import { compareAreas, inAnyArea, loadSavedAreas, storeSavedAreas } from './spatialAreas';
+import FilterChipBar from './FilterChipBar';
+import useChartBrush from './useChartBrush';
+import { applyCrossFilters, chipKey, chipsOfKind, replaceKind, replaceKinds, toggleChip } from './crossFilters';
+import AnalysisSummary from './AnalysisSummary';
+import { DEFAULT_CLASS1_TARGET, summarizeFindings } from './summaryFindings';
+import KpiTargetsPanel from './KpiTargetsPanel';
+import { detectProblems, loadProblemRules, storeProblemRules } from './problemAreas';
+import { describeTarget, evaluateTarget, formatMetric, headlineClass1Target, loadTargets, newTarget, storeTargets, targetMetric } from './kpiTargets';
+import { CSV_PARSE_OPTIONS, DEFAULT_QUALITY_POLICIES, isValidCoordinate } from './csvNormaliser';
+import ImportQualityReport from './ImportQualityReport';
+import MappingPresetBar from './MappingPresetBar';
+import {
+  BUILTIN_PRESETS,
+  FIELD_LABELS,
+  applyPreset,
+  autoDetectMapping,
+  detectPreset,
+  emptyFieldMapping,
+  loadSavedPresets,
+  presetUnits
+} from './mappingPresets';
+import { DEFAULT_UNITS, UNIT_OPTIONS, usesInterval } from './units';
+import {
+  toDateKey,
+  getDateExtent,
+  isInDateRange,
+  eachDayKey,
+  formatDayLabel,
+  rowDateKey
+} from './dateRange';
 
 /* -------------------------
   Helper: generate demo data
@@ -41,11 +100,12 @@ const generateDriveTestData = () => {
       const rsrp = Math.max(-120, Math.min(-50, baseSignal + (Math.random() - 0.5) * 20));
       const rsrq = Math.max(-20, Math.min(-3, -10 + (Math.random() - 0.5) * 10));
       const sinr = Math.max(-10, Math.min(30, 15 + (Math.random() - 0.5) * 20));
+      const technology = Math.random() > 0.3 ? '5G' : '4G';
 
-      let signalClass = 4;
-      if (rsrp >= -70) signalClass = 1;
-      else if (rsrp >= -85) signalClass = 2;
-      else if (rsrp >= -100) signalClass = 3;
+      // serving cell follows the sector; sites carry three sectors
+      const sector = Math.floor(Math.random() * 50) + 1;
+      const site = Math.ceil(sector / 3);
+      const lteBand = site % 2 ? 'B3' : 'B1';
 
       // place points around center with a small jitter
       const lat = centerLat + (Math.random() - 0.5) * 0.05;
@@ -54,15 +114,24 @@ const generateDriveTestData = () => {
       data.push({
         timestamp: currentDate.toISOString(),
         date: currentDate.toDateString(),
+        dateKey: toDateKey(currentDate),
         hour: hour,
         day: day + 1,
         rsrp: parseFloat(rsrp.toFixed(1)),
         rsrq: parseFloat(rsrq.toFixed(1)),
         sinr: parseFloat(sinr.toFixed(1)),
-        signalClass: signalClass,
-        technology: Math.random() > 0.3 ? '5G' : '4G',
-        location: `Sector_${Math.floor(Math.random() * 50) + 1}`,
+        signalClass: classifySample({ rsrp, rsrq, sinr, technology }, DEFAULT_PROFILE),
+        technology,
+        location: `Sector_${sector}`,
         throughput: parseFloat((Math.random() * 100 + 50).toFixed(1)), // Mbps
+        ulThroughput: parseFloat((Math.random() * 30 + 10).toFixed(1)), // Mbps
+        pci: (sector * 7) % 504,
+        arfcn: technology === '5G' ? 632628 : lteBand === 'B3' ? 1300 : 100,
+        band: technology === '5G' ? 'n78' : lteBand,
+        cellId: `${technology === '5G' ? 'gNB' : 'eNB'} ${1000 + site}-${((sector - 1) % 3) + 1}`,
+        cqi: Math.max(0, Math.min(15, Math.round((sinr + 6) / 2.3))),
+        rssi: parseFloat(Math.min(-20, rsrp + 29 + Math.random() * 4).toFixed(1)),
+        ta: Math.floor(Math.random() * 60),
         lat,
         lon
       });
@@ -73,143 +142,194 @@ const generateDriveTestData = () => {
 };
 
 /* -------------------------
-  Utility: create small SVG marker icon as data URL
+  Map backends: Google needs an API key and a connection, Leaflet runs on
+  locally served tiles or a vector basemap
 --------------------------*/
-const createMarkerSvgDataUrl = (color = '#10B981', size = 16) => {
-  const svg = `
-    <svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24">
-      <circle cx="12" cy="10" r="6" fill="${color}" stroke="#ffffff" stroke-width="1.5"/>
-      <path d="M12 22s7-5.686 7-11a7 7 0 1 0-14 0c0 5.314 7 11 7 11z" fill="${color}" opacity="0.9"/>
-    </svg>
-  `;
-  return `data:image/svg+xml;charset=UTF-8,${encodeURIComponent(svg)}`;
+const GOOGLE_API_KEY = process.env.REACT_APP_GOOGLE_MAPS_API_KEY || process.env.NEXT_PUBLIC_GOOGLE_MAPS_API_KEY || '';
+const MAP_PROVIDERS = [
+  { id: 'google', label: 'Google Maps' },
+  { id: 'leaflet', label: 'Offline (Leaflet)' }
+];
+const MAP_PROVIDER_KEY = 'driveTest.mapProvider';
+const PLAYBACK_TICK_MS = 100;
+
+const initialMapProvider = () => {
+  const preferred = loadJson(MAP_PROVIDER_KEY, null) || process.env.REACT_APP_MAP_PROVIDER;
+  if (MAP_PROVIDERS.some(p => p.id === preferred)) return preferred;
+  return GOOGLE_API_KEY ? 'google' : 'leaflet';
+};
+
+const CHAT_GREETING = { role: 'assistant', text: 'Hi! Ask me anything about the dataset. For example: "What’s the average throughput on 5G?" or "median SINR on 5G between 8 and 12 by sector". Each answer shows the query it ran, which you can edit.' };
+const chatLinkStyle = { border: 'none', background: 'none', padding: 0, color: '#2563eb', cursor: 'pointer', fontSize: '11px' };
+const cursorNoteStyle = { fontSize: '12px', color: '#111827', fontWeight: 500, margin: '4px 0 0 0' };
+
+// averages are null where no row carries the metric (e.g. a log without UL)
+const toKbps = (mbps) => (mbps === null ? null : mbps * 1000);
+const fmtKbps = (kbps) => (kbps === null ? '—' : `${Math.round(kbps).toLocaleString()} kbps`);
+const fixed2 = (value) => (value === null ? null : value.toFixed(2));
+
+/* small class color map used in legend and map points */
+const classColors = {
+  1: '#10B981', // green
+  2: '#3B82F6', // blue
+  3: '#F59E0B', // orange
+  4: '#EF4444'  // red
 };
 
 /* -------------------------
   Small helpers for “AI” analytics
 --------------------------*/
-const fmtPct = (n) => `${(Number(n) || 0).toFixed(1)}%`;
-const fmtKbps = (n) => `${Math.round(Number(n) || 0).toLocaleString()} kbps`;
-const clampInt = (n, lo, hi) => Math.max(lo, Math.min(hi, n | 0));
-
 function summarizeColumns(sampleRow) {
   if (!sampleRow) return 'No columns detected.';
   return Object.keys(sampleRow).join(', ');
 }
-function avg(arr, key) {
-  const vals = arr.map(x => Number(x[key])).filter(v => Number.isFinite(v));
-  if (!vals.length) return 0;
-  return vals.reduce((a, b) => a + b, 0) / vals.length;
-}
-function groupBy(arr, key) {
-  return arr.reduce((m, r) => {
-    const k = r[key] ?? 'Unknown';
-    (m[k] = m[k] || []).push(r);
-    return m;
-  }, {});
-}
-function percentile(arr, key, p) {
-  const vals = arr.map(x => Number(x[key])).filter(Number.isFinite).sort((a, b) => a - b);
-  if (!vals.length) return 0;
-  const idx = Math.min(vals.length - 1, Math.max(0, Math.round((p / 100) * (vals.length - 1))));
-  return vals[idx];
-}
+
+// rows read by the header sniff when a file is picked
+const HEADER_SNIFF_ROWS = 200;
+
+/* -------------------------
+  Drive sessions: each loaded drive keeps its own name, colour and mapping
+--------------------------*/
+const SESSION_COLORS = ['#2563eb', '#db2777', '#16a34a', '#ea580c', '#7c3aed', '#0891b2', '#ca8a04'];
+const DEMO_SESSION_ID = 'demo';
+const demoSession = () => ({ id: DEMO_SESSION_ID, name: 'Demo drive', source: 'synthetic', rows: generateDriveTestData() });
+
+// the first palette colour no loaded session shows; the palette cycles only once all are taken
+const nextSessionColor = (sessions) => {
+  const used = new Set(sessions.map(s => s.color));
+  return SESSION_COLORS.find(c => !used.has(c)) || SESSION_COLORS[sessions.length % SESSION_COLORS.length];
+};
+
+const makeSession = ({ id, name, source, rows, fieldMapping = null, fieldUnits = null, file = null, headers = [], qualityReport = null, qualityPolicies = null }, color) => {
+  const sessionId = id || `session-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  // rows are freshly built by the generator/normaliser, so tagging in place is safe
+  rows.forEach(r => { r.sessionId = sessionId; });
+  // what the saved chat threads are keyed on, so it must survive a reload:
+  // a CSV is known by file name, size and raw row count, the demo by its id
+  const datasetId = file ? `${file.name}|${file.size}|${qualityReport ? qualityReport.totalRows : rows.length}` : sessionId;
+  return {
+    id: sessionId,
+    datasetId,
+    name,
+    source,
+    color,
+    rows,
+    fieldMapping,
+    fieldUnits,
+    file,
+    headers,
+    qualityReport,
+    qualityPolicies
+  };
+};
 
 /* -------------------------
    Main component
 --------------------------*/
 const DriveTestDashboard = () => {
-  const [data, setData] = useState([]);
+  // the dashboard opens on the demo drive
+  const [sessions, setSessions] = useState(() => [makeSession(demoSession(), SESSION_COLORS[0])]);
+  const [visibleSessionIds, setVisibleSessionIds] = useState([DEMO_SESSION_ID]);
   const [selectedTech, setSelectedTech] = useState('All');
   const [csvFile, setCsvFile] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
-  const [dataSource, setDataSource] = useState('synthetic');
   const [csvHeaders, setCsvHeaders] = useState([]);
+  const [sessionName, setSessionName] = useState('');
+  const [editingSessionId, setEditingSessionId] = useState(null);
+  const [ingestProgress, setIngestProgress] = useState(null);
+  const [qualityPolicies, setQualityPolicies] = useState(DEFAULT_QUALITY_POLICIES);
+  const [reportSessionId, setReportSessionId] = useState(null);
+  const [excludeFlagged, setExcludeFlagged] = useState(false);
+  const ingestJobRef = useRef(null);
   const [error, setError] = useState(null);
-  const [fieldMapping, setFieldMapping] = useState({
-    timestamp: '',
-    rsrp: '',
-    rsrq: '',
-    sinr: '',
-    technology: '',
-    location: '',
-    throughput: '',
-    latitude: '',
-    longitude: ''
-  });
-  // Enhanced coordinate column detection function
-const detectCoordinateColumns = (headers) => {
-  const latPatterns = [
-    'lat', 'latitude', 'Lat', 'Latitude', 'LAT', 'LATITUDE',
-    'lat_deg', 'latitude_deg', 'lat_decimal', 'latitude_decimal'
-  ];
-  const lngPatterns = [
-    'lng', 'lon', 'long', 'longitude', 'Lng', 'Lon', 'Long', 
-    'Longitude', 'LNG', 'LON', 'LONG', 'LONGITUDE',
-    'lng_deg', 'lon_deg', 'longitude_deg', 'long_decimal'
-  ];
-  
-  let latCol = null;
-  let lngCol = null;
-  
-  // Find latitude column
-  for (let pattern of latPatterns) {
-    if (headers.includes(pattern)) {
-      latCol = pattern;
-      break;
-    }
-  }
-  
-  // Find longitude column  
-  for (let pattern of lngPatterns) {
-    if (headers.includes(pattern)) {
-      lngCol = pattern;
-      break;
-    }
-  }
-  
-  return { latCol, lngCol };
-};
-// Enhanced coordinate validation function
-const isValidCoordinate = (lat, lng) => {
-  const latitude = parseFloat(lat);
-  const longitude = parseFloat(lng);
-  
-  return (
-    !isNaN(latitude) && 
-    !isNaN(longitude) && 
-    latitude >= -90 && 
-    latitude <= 90 && 
-    longitude >= -180 && 
-    longitude <= 180 &&
-    latitude !== 0 && 
-    longitude !== 0
-  );
-};
+  const [signalProfile, setSignalProfile] = useState(DEFAULT_PROFILE);
+  const [dateRange, setDateRange] = useState({ from: '', to: '' });
+  const [fieldMapping, setFieldMapping] = useState(emptyFieldMapping);
+  const [fieldUnits, setFieldUnits] = useState(DEFAULT_UNITS);
+  const [selectedPresetId, setSelectedPresetId] = useState(null);
+  const [detectedPresetId, setDetectedPresetId] = useState(null);
 
 
   // AI Chat state
   const [aiOpen, setAiOpen] = useState(false);
-  const [aiMessages, setAiMessages] = useState([
-    { role: 'assistant', text: 'Hi! Ask me anything about the dataset. For example: "What’s the average throughput on 5G?" or "Top 5 sectors by Class 1 coverage".' }
-  ]);
+  const [aiMessages, setAiMessages] = useState([CHAT_GREETING]);
   const [aiInput, setAiInput] = useState('');
   const [useLLM, setUseLLM] = useState(false);
-  const [openaiKey, setOpenaiKey] = useState('');
+  const [llmSettings, setLlmSettings] = useState(loadLlmSettings);
+  const [llmKey, setLlmKey] = useState('');
   const aiPanelRef = useRef(null);
 
-  useEffect(() => {
-  try {
-    if (dataSource === 'synthetic') {
-      setData(generateDriveTestData());
+  /* -------------------------
+     Sessions
+  --------------------------*/
+  const addSession = (session) => {
+    const created = makeSession(session, nextSessionColor(sessions));
+    setSessions(prev => prev.some(s => s.id === created.id) ? prev : [...prev, created]);
+    setVisibleSessionIds([created.id]);
+    return created.id;
+  };
+
+  const replaceSessionRows = (id, rows, fieldMapping, fieldUnits, qualityReport, qualityPolicies) => {
+    rows.forEach(r => { r.sessionId = id; });
+    setSessions(prev => prev.map(s => s.id === id ? { ...s, rows, fieldMapping, fieldUnits, qualityReport, qualityPolicies } : s));
+  };
+
+  const showDemoSession = () => {
+    if (sessions.some(s => s.id === DEMO_SESSION_ID)) {
+      setVisibleSessionIds([DEMO_SESSION_ID]);
+      return;
+    }
+    try {
+      addSession(demoSession());
       setError(null);
+    } catch (err) {
+      console.error('Error generating demo data:', err);
+      setError('Failed to generate demo data');
     }
-  } catch (err) {
-    console.error('Error generating demo data:', err);
-    setError('Failed to generate demo data');
-    setData([]);
-  }
-}, [dataSource]);
+  };
+
+  const toggleSessionVisible = (id) => {
+    setVisibleSessionIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
+  const removeSession = (id) => {
+    setSessions(prev => prev.filter(s => s.id !== id));
+    setVisibleSessionIds(prev => prev.filter(x => x !== id));
+    if (editingSessionId === id) setEditingSessionId(null);
+    if (reportSessionId === id) setReportSessionId(null);
+  };
+
+  const renameSession = (id, name) => {
+    setSessions(prev => prev.map(s => s.id === id ? { ...s, name } : s));
+  };
+
+  // load a session's file and mapping back into the mapping editor
+  const editSessionMapping = (session) => {
+    setCsvFile(session.file);
+    setCsvHeaders(session.headers);
+    setFieldMapping(session.fieldMapping);
+    setFieldUnits(session.fieldUnits || DEFAULT_UNITS);
+    setSelectedPresetId(null);
+    setDetectedPresetId(null);
+    setQualityPolicies(session.qualityPolicies || DEFAULT_QUALITY_POLICIES);
+    setSessionName(session.name);
+    setEditingSessionId(session.id);
+    setReportSessionId(session.id);
+  };
+
+  const visibleSessions = useMemo(
+    () => sessions.filter(s => visibleSessionIds.includes(s.id)),
+    [sessions, visibleSessionIds]
+  );
+
+  // visible sessions are overlaid into one dataset for every view
+  const data = useMemo(() => {
+    if (visibleSessions.length === 1) return visibleSessions[0].rows;
+    return visibleSessions.flatMap(s => s.rows);
+  }, [visibleSessions]);
+
+  const dataSource = visibleSessions.length && visibleSessions.every(s => s.source === 'synthetic') ? 'synthetic' : 'csv';
+  const sessionById = useMemo(() => Object.fromEntries(sessions.map(s => [s.id, s])), [sessions]);
 
   // keep chat scrolled
   useEffect(() => {
@@ -218,114 +338,69 @@ const isValidCoordinate = (lat, lng) => {
     }
   }, [aiMessages, aiOpen]);
 
-  /* -------------------------
-     Process CSV rows using mapping.
-  --------------------------*/
-  const processCsvData = (csvData, mapping) => {
-  const centerLat = -26.2041; // Johannesburg default
-  const centerLon = 28.0473;
-  
-  console.log('Processing CSV data with mapping:', mapping);
-  console.log('Sample CSV row:', csvData[0]);
-
-  return csvData.map((row, index) => {
-    // Process timestamp
-    let timestamp;
-    if (mapping.timestamp && row[mapping.timestamp]) {
-      timestamp = new Date(row[mapping.timestamp]);
-      if (isNaN(timestamp.getTime())) {
-        timestamp = new Date('2025-08-01');
-        timestamp.setHours(index % 24, 0, 0, 0);
-        timestamp.setDate(timestamp.getDate() + Math.floor(index / 24));
-      }
-    } else {
-      timestamp = new Date('2025-08-01');
-      timestamp.setHours(index % 24, 0, 0, 0);
-      timestamp.setDate(timestamp.getDate() + Math.floor(index / 24));
-    }
+  // one saved thread per set of visible datasets, unless an older thread
+  // was opened from the list; the ref records which thread the messages on
+  // screen belong to while the selection changes
+  const [chatThreads, setChatThreads] = useState(loadThreads);
+  const [openedThreadKey, setOpenedThreadKey] = useState(null);
+  const selectionThreadKey = datasetKey(visibleSessions.map(s => s.datasetId));
+  const chatThreadKey = openedThreadKey || selectionThreadKey;
+  const chatThreadLabel = openedThreadKey && chatThreads[openedThreadKey]
+    ? chatThreads[openedThreadKey].label
+    : visibleSessions.map(s => s.name).join(' + ');
+  const chatThreadRef = useRef({ key: null, label: '' });
+  if (chatThreadRef.current.key === chatThreadKey) chatThreadRef.current.label = chatThreadLabel;
+  const chatLabelRef = useRef(chatThreadLabel);
+  chatLabelRef.current = chatThreadLabel;
+  const aiMessagesRef = useRef(aiMessages);
+  aiMessagesRef.current = aiMessages;
 
-    const hour = timestamp.getHours();
-    const day = timestamp.getDate();
-    const date = timestamp.toDateString();
-
-    // Process signal measurements
-    const rsrp = mapping.rsrp && row[mapping.rsrp] !== undefined ? 
-      parseFloat(row[mapping.rsrp]) || -80 : -80;
-    const rsrq = mapping.rsrq && row[mapping.rsrq] !== undefined ? 
-      parseFloat(row[mapping.rsrq]) || -10 : -10;
-    const sinr = mapping.sinr && row[mapping.sinr] !== undefined ? 
-      parseFloat(row[mapping.sinr]) || 15 : 15;
-    const throughput = mapping.throughput && row[mapping.throughput] !== undefined ? 
-      parseFloat(row[mapping.throughput]) || (Math.random() * 100 + 50) : 
-      (Math.random() * 100 + 50);
-
-    // Process technology
-    let technology = '4G';
-    if (mapping.technology && row[mapping.technology]) {
-      const techValue = row[mapping.technology].toString().toLowerCase();
-      technology = techValue.includes('5g') || techValue.includes('nr') || 
-        techValue.includes('new') ? '5G' : '4G';
-    }
+  useEffect(() => {
+    setOpenedThreadKey(null);
+  }, [selectionThreadKey]);
 
-    // Process coordinates - THIS IS THE KEY FIX
-    let lat = null;
-    let lon = null;
-    
-    // Try to get coordinates from mapped columns
-    if (mapping.latitude && mapping.longitude && 
-        row[mapping.latitude] !== undefined && 
-        row[mapping.longitude] !== undefined) {
-      
-      const rawLat = row[mapping.latitude];
-      const rawLon = row[mapping.longitude];
-      
-      // Convert to numbers and validate
-      const parsedLat = parseFloat(rawLat);
-      const parsedLon = parseFloat(rawLon);
-      
-      if (isValidCoordinate(parsedLat, parsedLon)) {
-        lat = parsedLat;
-        lon = parsedLon;
-        console.log(`Row ${index}: Valid coordinates found - Lat: ${lat}, Lon: ${lon}`);
-      } else {
-        console.warn(`Row ${index}: Invalid coordinates - Lat: ${rawLat}, Lon: ${rawLon}`);
-      }
-    }
-    
-    // Fallback to default coordinates if no valid coordinates found
-    if (lat === null || lon === null) {
-      console.log(`Row ${index}: Using default coordinates`);
-      const jitterA = (index % 100) / 1000;
-      const jitterB = ((index * 7) % 100) / 1000;
-      lat = centerLat + (Math.random() - 0.5) * 0.05 + jitterA;
-      lon = centerLon + (Math.random() - 0.5) * 0.07 + jitterB;
+  // leaving a thread saves what it has so far: a reply still streaming is
+  // finished into the saved copy (see editThreadMessages)
+  useEffect(() => {
+    if (!chatThreadKey) return;
+    const leaving = chatThreadRef.current;
+    if (leaving.key && aiMessagesRef.current.some(m => m.role === 'user')) {
+      storeThreads(saveThread(loadThreads(), leaving.key, leaving.label, aiMessagesRef.current));
+      setChatThreads(loadThreads());
     }
+    chatThreadRef.current = { key: chatThreadKey, label: chatLabelRef.current };
+    const saved = loadThreads()[chatThreadKey];
+    setAiMessages(saved ? saved.messages : [CHAT_GREETING]);
+  }, [chatThreadKey]);
 
-    // Calculate signal class
-    let signalClass = 4;
-    if (rsrp >= -70) signalClass = 1;
-    else if (rsrp >= -85) signalClass = 2;
-    else if (rsrp >= -100) signalClass = 3;
-
-    return {
-      timestamp: timestamp.toISOString(),
-      date,
-      hour,
-      day,
-      rsrp: parseFloat(rsrp.toFixed(1)),
-      rsrq: parseFloat(rsrq.toFixed(1)),
-      sinr: parseFloat(sinr.toFixed(1)),
-      signalClass,
-      technology,
-      location: mapping.location && row[mapping.location] ? 
-        row[mapping.location] : `Sector_${Math.floor(index / 24) + 1}`,
-      throughput: parseFloat(throughput.toFixed(1)),
-      lat,
-      lon,
-      originalRow: index
-    };
-  });
-};
+  useEffect(() => {
+    const { key, label } = chatThreadRef.current;
+    if (!key || aiMessages.some(m => m.pending) || !aiMessages.some(m => m.role === 'user')) return;
+    storeThreads(saveThread(loadThreads(), key, label, aiMessages));
+    setChatThreads(loadThreads());
+  }, [aiMessages]);
+
+  const clearChatThread = () => {
+    storeThreads(removeThread(loadThreads(), chatThreadKey));
+    setChatThreads(loadThreads());
+    setOpenedThreadKey(null);
+    setAiMessages([CHAT_GREETING]);
+  };
+
+  const openChatThread = (key) => setOpenedThreadKey(key === selectionThreadKey ? null : key);
+
+  // a change to the thread a question was asked in: on screen if it still
+  // is, otherwise in its saved copy (a thread that was cleared is left alone)
+  const editThreadMessages = (threadKey, change) => {
+    if (chatThreadRef.current.key === threadKey) {
+      setAiMessages(change);
+      return;
+    }
+    const threads = loadThreads();
+    if (!threads[threadKey]) return;
+    storeThreads(saveThread(threads, threadKey, threads[threadKey].label, change(threads[threadKey].messages)));
+    setChatThreads(loadThreads());
+  };
 
   /* -------------------------
      CSV upload handling
@@ -335,9 +410,14 @@ const isValidCoordinate = (lat, lng) => {
   if (!file) return;
   
   setCsvFile(file);
+  setSessionName(file.name.replace(/\.csv$/i, ''));
+  setEditingSessionId(null);
   setIsLoading(true);
 
+  // only a small preview is read here; the full file is streamed by the ingest worker
   Papa.parse(file, {
+    ...CSV_PARSE_OPTIONS,
+    preview: HEADER_SNIFF_ROWS,
     complete: (results) => {
       setIsLoading(false);
       
@@ -348,81 +428,20 @@ const isValidCoordinate = (lat, lng) => {
       const headers = results.meta.fields || 
         (results.data && results.data.length > 0 ? Object.keys(results.data[0]) : []);
       
-      console.log('Detected CSV headers:', headers);
       setCsvHeaders(headers);
 
-      // Enhanced auto mapping with coordinate detection
-      const autoMapping = {
-        timestamp: '',
-        rsrp: '',
-        rsrq: '',
-        sinr: '',
-        technology: '',
-        location: '',
-        throughput: '',
-        latitude: '',
-        longitude: ''
-      };
+      // a known tool export gets its preset, anything else the generic detection
+      const preset = detectPreset([...BUILTIN_PRESETS, ...loadSavedPresets()], headers);
+      const autoMapping = preset ? applyPreset(preset, headers) : autoDetectMapping(headers);
+      setSelectedPresetId(preset ? preset.id : null);
+      setDetectedPresetId(preset ? preset.id : null);
+      setFieldMapping(autoMapping);
+      setFieldUnits(presetUnits(preset));
 
-      // Auto-detect coordinate columns
-      const { latCol, lngCol } = detectCoordinateColumns(headers);
-      if (latCol) autoMapping.latitude = latCol;
-      if (lngCol) autoMapping.longitude = lngCol;
-      
-      console.log('Auto-detected coordinates:', { lat: latCol, lng: lngCol });
-
-      // Auto-detect other fields
-      headers.forEach(h => {
-        const lower = h.toLowerCase();
-        if (!autoMapping.timestamp && 
-            (lower.includes('time') || lower.includes('date') || lower.includes('timestamp'))) {
-          autoMapping.timestamp = h;
-        }
-        if (!autoMapping.rsrp && 
-            (lower.includes('rsrp') || (lower.includes('signal') && lower.includes('strength')))) {
-          autoMapping.rsrp = h;
-        }
-        if (!autoMapping.rsrq && 
-            (lower.includes('rsrq') || lower.includes('quality'))) {
-          autoMapping.rsrq = h;
-        }
-        if (!autoMapping.sinr && 
-            (lower.includes('sinr') || lower.includes('snr'))) {
-          autoMapping.sinr = h;
-        }
-        if (!autoMapping.technology && 
-            (lower.includes('tech') || lower.includes('rat') || 
-             lower.includes('generation') || lower.includes('technology'))) {
-          autoMapping.technology = h;
-        }
-        if (!autoMapping.location && 
-            (lower.includes('location') || lower.includes('sector') || 
-             lower.includes('cell') || lower.includes('site'))) {
-          autoMapping.location = h;
-        }
-        if (!autoMapping.throughput && 
-            (lower.includes('throughput') || lower.includes('speed') || 
-             lower.includes('rate') || lower.includes('kbps') || lower.includes('mbps'))) {
-          autoMapping.throughput = h;
-        }
-      });
-
-      setFieldMapping(prev => ({ ...prev, ...autoMapping }));
-      
-      // Show detected coordinate status
-      if (latCol && lngCol) {
-        console.log(`✓ Coordinates detected: ${latCol} & ${lngCol}`);
-      } else {
+      if (!autoMapping.latitude || !autoMapping.longitude) {
         console.warn('⚠ No coordinate columns detected - will use default locations');
       }
     },
-    header: true,
-    skipEmptyLines: true,
-    dynamicTyping: true,
-    transformHeader: (header) => {
-      // Clean up headers by removing extra spaces
-      return header.trim();
-    },
     error: (err) => {
       console.error('CSV parse error:', err);
       setIsLoading(false);
@@ -430,117 +449,289 @@ const isValidCoordinate = (lat, lng) => {
   });
 };
 
- const applyCsvData = () => {
+ const applyCsvData = async () => {
   if (!csvFile) return;
   setIsLoading(true);
   setError(null);
-  
-  Papa.parse(csvFile, {
-    complete: (results) => {
-      try {
-        if (results.errors && results.errors.length > 0) {
-          console.warn('CSV parsing warnings:', results.errors);
-        }
-        
-        if (!results.data || results.data.length === 0) {
-          throw new Error('No data found in CSV file');
-        }
-        
-        console.log('CSV parsed successfully:', results.data.length, 'rows');
-        const processed = processCsvData(results.data, fieldMapping);
-        
-        if (processed.length === 0) {
-          throw new Error('No valid data could be processed from CSV');
-        }
-        
-        setData(processed);
-        setDataSource('csv');
-        setError(null);
-      } catch (err) {
-        console.error('Error processing CSV data:', err);
-        setError(`Failed to process CSV: ${err.message}`);
-        setData([]);
-      } finally {
-        setIsLoading(false);
-      }
-    },
-    header: true,
-    skipEmptyLines: true,
-    dynamicTyping: true,
-    error: (err) => {
-      console.error('CSV parse error:', err);
-      setError(`Failed to parse CSV file: ${err.message}`);
-      setIsLoading(false);
+  setIngestProgress({ rowCount: 0, fraction: 0 });
+
+  try {
+    const { startCsvIngest } = await import('./csvWorkerClient');
+    const job = startCsvIngest(csvFile, fieldMapping, { policies: qualityPolicies, units: fieldUnits, onProgress: setIngestProgress });
+    ingestJobRef.current = job;
+    const { rows: processed, parseErrors, report } = await job.promise;
+
+    if (parseErrors > 0) {
+      console.warn(`CSV parsing warnings: ${parseErrors} rows`);
     }
-  });
+    if (processed.length === 0) {
+      throw new Error(report && report.droppedRows
+        ? `all ${report.droppedRows.toLocaleString()} rows were dropped by the import-quality rules`
+        : 'No valid data could be processed from CSV');
+    }
+
+    if (editingSessionId) {
+      replaceSessionRows(editingSessionId, processed, fieldMapping, fieldUnits, report, qualityPolicies);
+      renameSession(editingSessionId, sessionName.trim() || csvFile.name);
+    } else {
+      const sessionId = addSession({
+        name: sessionName.trim() || csvFile.name,
+        source: 'csv',
+        rows: processed,
+        fieldMapping,
+        fieldUnits,
+        file: csvFile,
+        headers: csvHeaders,
+        qualityReport: report,
+        qualityPolicies
+      });
+      setReportSessionId(sessionId);
+    }
+    setEditingSessionId(null);
+  } catch (err) {
+    if (err.cancelled) {
+      setError('CSV import cancelled.');
+    } else {
+      console.error('Error processing CSV data:', err);
+      setError(`Failed to process CSV: ${err.message}`);
+    }
+  } finally {
+    ingestJobRef.current = null;
+    setIngestProgress(null);
+    setIsLoading(false);
+  }
 };
 
+  const cancelCsvIngest = () => {
+    if (ingestJobRef.current) ingestJobRef.current.cancel();
+  };
+
   /* -------------------------
      Filtering + aggregations
      (throughput stored as Mbps internally; convert to kbps for display)
   --------------------------*/
-  const filteredData = useMemo(() => {
-  if (!data || !Array.isArray(data)) return [];
-  return data.filter(item => selectedTech === 'All' || item.technology === selectedTech);
-}, [data, selectedTech]);
+  // signalClass is recomputed from the active threshold profile so every view updates live
+  const classifiedData = useMemo(() => {
+    if (!data || !Array.isArray(data)) return [];
+    return data.map(item => ({ ...item, signalClass: classifySample(item, signalProfile) }));
+  }, [data, signalProfile]);
+
+  const dateExtent = useMemo(() => getDateExtent(classifiedData), [classifiedData]);
+
+  // a new dataset may not cover the previously picked range
+  useEffect(() => {
+    setDateRange({ from: '', to: '' });
+  }, [data]);
+
+  // date and flag filters; the assistant starts here when a question names its own technology
+  const datedData = useMemo(() => {
+  return classifiedData.filter(item =>
+    isInDateRange(item, dateRange) &&
+    !(excludeFlagged && (item.imputed || item.jittered))
+  );
+}, [classifiedData, dateRange, excludeFlagged]);
+
+  // plus the technology filter; the ticked map areas narrow this to filteredData
+  const scopedData = useMemo(
+    () => (selectedTech === 'All' ? datedData : datedData.filter(item => item.technology === selectedTech)),
+    [datedData, selectedTech]
+  );
+
+  /* -------------------------
+     Named map areas: drawn on the map, saved, and ticked to restrict
+     every view (and the assistant) to the samples inside them
+  --------------------------*/
+  const [savedAreas, setSavedAreas] = useState(loadSavedAreas);
+  const [activeAreaIds, setActiveAreaIds] = useState([]);
+  const [drawMode, setDrawMode] = useState(null);
+  const [pendingArea, setPendingArea] = useState(null);
+  const activeAreas = useMemo(() => savedAreas.filter(a => activeAreaIds.includes(a.id)), [savedAreas, activeAreaIds]);
+
+  const areaData = useMemo(
+    () => (activeAreas.length ? scopedData.filter(inAnyArea(activeAreas)) : scopedData),
+    [scopedData, activeAreas]
+  );
+  const areaComparison = useMemo(() => compareAreas(scopedData, savedAreas), [scopedData, savedAreas]);
+  const areaBaseline = useMemo(() => (savedAreas.length ? summarizeKpis(scopedData) : null), [scopedData, savedAreas]);
+
+  const updateSavedAreas = (next) => {
+    setSavedAreas(next);
+    storeSavedAreas(next);
+  };
+
+  const handleAreaDrawn = (geometry) => {
+    setDrawMode(null);
+    if (geometry) setPendingArea(geometry);
+  };
+
+  const savePendingArea = (name) => {
+    const area = { id: `area-${Date.now()}`, name, ...pendingArea };
+    updateSavedAreas([...savedAreas, area]);
+    setActiveAreaIds(ids => [...ids, area.id]);
+    setPendingArea(null);
+  };
+
+  const deleteArea = (id) => {
+    updateSavedAreas(savedAreas.filter(a => a.id !== id));
+    setActiveAreaIds(ids => ids.filter(x => x !== id));
+  };
+
+  const toggleArea = (id) => setActiveAreaIds(ids => (ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]));
+
+  /* -------------------------
+     Cross-filters: chips from clicking or brushing the charts narrow
+     every view, the map included. Each chart draws the data without its
+     own chips so the rest of it stays clickable.
+  --------------------------*/
+  const [crossFilters, setCrossFilters] = useState([]);
+
+  useEffect(() => {
+    setCrossFilters([]);
+  }, [data]);
+
+  const filteredData = useMemo(() => applyCrossFilters(areaData, crossFilters), [areaData, crossFilters]);
+  const hourChartData = useMemo(() => applyCrossFilters(areaData, crossFilters, 'hour'), [areaData, crossFilters]);
+  const dayChartData = useMemo(() => applyCrossFilters(areaData, crossFilters, 'day'), [areaData, crossFilters]);
+  const classChartData = useMemo(() => applyCrossFilters(areaData, crossFilters, 'signalClass'), [areaData, crossFilters]);
+  const techChartData = useMemo(() => applyCrossFilters(areaData, crossFilters, 'technology'), [areaData, crossFilters]);
+  const sectorChartData = useMemo(() => applyCrossFilters(areaData, crossFilters, 'location'), [areaData, crossFilters]);
+
+  const selectChip = (chip, brushed) => setCrossFilters(chips => (brushed ? replaceKind(chips, chip) : toggleChip(chips, chip)));
+
+  const filterChips = [
+    ...activeAreas.map(a => ({ key: `area:${a.id}`, label: `Area: ${a.name}`, areaId: a.id })),
+    ...crossFilters.map(c => ({ key: chipKey(c), label: c.label }))
+  ];
+  const removeFilterChip = (chip) => {
+    if (chip.areaId) toggleArea(chip.areaId);
+    else setCrossFilters(chips => chips.filter(c => chipKey(c) !== chip.key));
+  };
+  const clearFilterChips = () => {
+    setCrossFilters([]);
+    setActiveAreaIds([]);
+  };
+
+  const flaggedCount = useMemo(() => data.filter(item => item.imputed || item.jittered).length, [data]);
+  const reportSession = sessions.find(s => s.id === reportSessionId);
+
+  /* -------------------------
+     Spatial bins: a map layer, and optionally the weighting for every KPI
+     so each bin counts once however many samples it holds
+  --------------------------*/
+  const [mapLayer, setMapLayer] = useState('points');
+  const [binShape, setBinShape] = useState('hex');
+  const [binSize, setBinSize] = useState(50);
+  const [binColorBy, setBinColorBy] = useState('medianRsrp');
+  const [binWeighted, setBinWeighted] = useState(false);
+  const [selectedBinKey, setSelectedBinKey] = useState(null);
+
+  const binning = useMemo(
+    () => (mapLayer === 'bins' || binWeighted ? buildBins(filteredData, binShape, binSize) : null),
+    [mapLayer, binWeighted, filteredData, binShape, binSize]
+  );
+  const selectedBin = binning && selectedBinKey ? binning.byKey.get(selectedBinKey) : null;
+  // unbinned rows (no position fix) drop out of bin-weighted KPIs
+  const kpiWeight = useMemo(() => (binWeighted && binning ? binWeight(binning) : undefined), [binWeighted, binning]);
+  // a chart drawn without its own chips is binned separately
+  const weightFor = useCallback(
+    (rows) => (!binWeighted || rows === filteredData ? kpiWeight : binWeight(buildBins(rows, binShape, binSize))),
+    [binWeighted, filteredData, kpiWeight, binShape, binSize]
+  );
 
   // hourly aggregates
   const hourlyData = useMemo(() => {
+    const weight = weightFor(hourChartData);
     return Array.from({ length: 24 }, (_, hour) => {
-      const hourData = filteredData.filter(item => item.hour === hour);
-      const class1Count = hourData.filter(item => item.signalClass === 1).length;
+      const hourData = hourChartData.filter(item => item.hour === hour);
       const totalCount = hourData.length;
-      const avgThroughputMbps = totalCount > 0 ? (hourData.reduce((s, it) => s + it.throughput, 0) / totalCount) : 0;
+      const avgThroughputMbps = avg(hourData, 'throughput', weight);
+      const avgUlThroughputMbps = avg(hourData, 'ulThroughput', weight);
       return {
         hour: `${hour}:00`,
-        class1Percentage: totalCount > 0 ? ((class1Count / totalCount) * 100) : 0,
-        avgRSRP: totalCount > 0 ? (hourData.reduce((sum, item) => sum + item.rsrp, 0) / totalCount) : 0,
-        avgThroughputKbps: avgThroughputMbps * 1000,
+        class1Percentage: class1Share(hourData, weight),
+        avgRSRP: avg(hourData, 'rsrp', weight),
+        avgThroughputKbps: toKbps(avgThroughputMbps),
         rawAvgThroughputMbps: avgThroughputMbps,
+        avgUlThroughputKbps: toKbps(avgUlThroughputMbps),
+        rawAvgUlThroughputMbps: avgUlThroughputMbps,
         count: totalCount
       };
     });
-  }, [filteredData]);
+  }, [hourChartData, weightFor]);
 
-  // daily aggregates for Aug 1..31
+  // daily aggregates across the actual date span of the selection
   const dailyData = useMemo(() => {
-    return Array.from({ length: 31 }, (_, dayIdx) => {
-      const dayNumber = dayIdx + 1;
-      const dayData = filteredData.filter(item => item.day === dayNumber);
+    const extent = getDateExtent(dayChartData);
+    if (!extent) return [];
+    const weight = weightFor(dayChartData);
+    const byDay = groupBy(dayChartData.map(item => ({ item, key: rowDateKey(item) })), 'key');
+    const spansYears = extent.min.slice(0, 4) !== extent.max.slice(0, 4);
+    return eachDayKey(extent.min, extent.max).map(key => {
+      const dayData = (byDay[key] || []).map(x => x.item);
       const class1Count = dayData.filter(item => item.signalClass === 1).length;
       const totalCount = dayData.length;
       return {
-        day: dayNumber,
-        date: `Aug ${dayNumber}`,
-        class1Percentage: totalCount > 0 ? ((class1Count / totalCount) * 100) : 0,
-        avgRSRP: totalCount > 0 ? (dayData.reduce((sum, item) => sum + item.rsrp, 0) / totalCount) : 0,
-        avgThroughputKbps: totalCount > 0 ? (dayData.reduce((sum, item) => sum + item.throughput, 0) / totalCount) * 1000 : 0,
+        day: key,
+        date: formatDayLabel(key, spansYears),
+        fullDate: formatDayLabel(key, true),
+        class1Percentage: class1Share(dayData, weight),
+        avgRSRP: avg(dayData, 'rsrp', weight),
+        avgThroughputKbps: toKbps(avg(dayData, 'throughput', weight)),
+        avgUlThroughputKbps: toKbps(avg(dayData, 'ulThroughput', weight)),
         class1Count,
         totalMeasurements: totalCount
       };
     });
-  }, [filteredData]);
+  }, [dayChartData, weightFor]);
 
   // signal class distribution
-  const signalClassData = useMemo(() => ([
-    { name: 'Class 1 (Excellent)', value: filteredData.filter(item => item.signalClass === 1).length, color: '#10B981' },
-    { name: 'Class 2 (Good)', value: filteredData.filter(item => item.signalClass === 2).length, color: '#3B82F6' },
-    { name: 'Class 3 (Fair)', value: filteredData.filter(item => item.signalClass === 3).length, color: '#F59E0B' },
-    { name: 'Class 4 (Poor)', value: filteredData.filter(item => item.signalClass === 4).length, color: '#EF4444' }
-  ]), [filteredData]);
+  const signalClassData = useMemo(() => {
+    const slices = [
+      { cls: 1, name: 'Class 1 (Excellent)', value: classChartData.filter(item => item.signalClass === 1).length, color: '#10B981' },
+      { cls: 2, name: 'Class 2 (Good)', value: classChartData.filter(item => item.signalClass === 2).length, color: '#3B82F6' },
+      { cls: 3, name: 'Class 3 (Fair)', value: classChartData.filter(item => item.signalClass === 3).length, color: '#F59E0B' },
+      { cls: 4, name: 'Class 4 (Poor)', value: classChartData.filter(item => item.signalClass === 4).length, color: '#EF4444' }
+    ];
+    // rows missing the metrics the profile needs
+    const unclassified = classChartData.filter(item => item.signalClass === null).length;
+    if (unclassified > 0) slices.push({ cls: null, name: 'Unclassified (missing data)', value: unclassified, color: '#9CA3AF' });
+    return slices;
+  }, [classChartData]);
 
   // technology distribution
   const techData = useMemo(() => ([
-    { name: '5G', value: filteredData.filter(item => item.technology === '5G').length, color: '#8B5CF6' },
-    { name: '4G', value: filteredData.filter(item => item.technology === '4G').length, color: '#06B6D4' }
-  ]), [filteredData]);
+    { name: '5G', value: techChartData.filter(item => item.technology === '5G').length, color: '#8B5CF6' },
+    { name: '4G', value: techChartData.filter(item => item.technology === '4G').length, color: '#06B6D4' }
+  ]), [techChartData]);
+
+  // chart clicks and brushes
+  const hourBrush = useChartBrush((lo, hi) => selectChip({ kind: 'hour', from: lo, to: hi, label: lo === hi ? `Hour ${lo}:00` : `Hours ${lo}:00–${hi}:59` }, lo !== hi));
+  const dayBrush = useChartBrush((lo, hi) => {
+    if (!dailyData[lo] || !dailyData[hi]) return;
+    const label = lo === hi ? dailyData[lo].fullDate : `${dailyData[lo].fullDate} – ${dailyData[hi].fullDate}`;
+    selectChip({ kind: 'day', from: dailyData[lo].day, to: dailyData[hi].day, label }, lo !== hi);
+  });
+  const selectedClasses = chipsOfKind(crossFilters, 'signalClass').map(c => c.value);
+  const selectedTechs = chipsOfKind(crossFilters, 'technology').map(c => c.value);
+  const dayIndex = (key) => dailyData.findIndex(d => d.day === key);
+  // shaded hours/days: the chips of that kind plus the range being dragged
+  const hourSelections = [...chipsOfKind(crossFilters, 'hour'), ...(hourBrush.drag ? [{ from: Math.min(hourBrush.drag.start, hourBrush.drag.end), to: Math.max(hourBrush.drag.start, hourBrush.drag.end) }] : [])];
+  const daySelections = [
+    ...chipsOfKind(crossFilters, 'day').map(c => ({ from: dayIndex(c.from), to: dayIndex(c.to) })).filter(r => r.from !== -1 && r.to !== -1),
+    ...(dayBrush.drag ? [{ from: Math.min(dayBrush.drag.start, dayBrush.drag.end), to: Math.max(dayBrush.drag.start, dayBrush.drag.end) }] : [])
+  ];
+  const selectionMarks = (ranges, labelOf) => ranges.map(({ from, to }) => (from === to
+    ? <ReferenceLine key={`sel-${from}`} x={labelOf(from)} stroke="#2563eb" strokeOpacity={0.25} strokeWidth={10} />
+    : <ReferenceArea key={`sel-${from}-${to}`} x1={labelOf(from)} x2={labelOf(to)} fill="#2563eb" fillOpacity={0.12} />));
 
   // KPIs
   const totalMeasurements = filteredData.length;
   const class1Count = filteredData.filter(item => item.signalClass === 1).length;
-  const class1Percentage = totalMeasurements > 0 ? ((class1Count / totalMeasurements) * 100).toFixed(1) : 0;
-  const avgRSRP = totalMeasurements > 0 ? (filteredData.reduce((sum, item) => sum + item.rsrp, 0) / totalMeasurements).toFixed(1) : 0;
-  const avgThroughputKbps = totalMeasurements > 0 ? (filteredData.reduce((sum, item) => sum + item.throughput, 0) / totalMeasurements) * 1000 : 0;
+  const classifiedCount = filteredData.filter(item => item.signalClass !== null).length;
+  const class1Percentage = class1Share(filteredData, kpiWeight).toFixed(1);
+  const avgRSRP = avg(filteredData, 'rsrp', kpiWeight);
+  const avgThroughputKbps = toKbps(avg(filteredData, 'throughput', kpiWeight));
+  const avgUlThroughputKbps = toKbps(avg(filteredData, 'ulThroughput', kpiWeight));
 
   /* -------------------------
      Per-class averages (for the "Avg per class" cards)
@@ -550,27 +741,29 @@ const isValidCoordinate = (lat, lng) => {
     return classes.map(cls => {
       const items = filteredData.filter(i => i.signalClass === cls);
       const count = items.length;
-      const avgRsrp = count > 0 ? (items.reduce((s, it) => s + it.rsrp, 0) / count).toFixed(1) : '—';
-      const avgThroughputKbpsClass = count > 0 ? ((items.reduce((s, it) => s + it.throughput, 0) / count) * 1000).toFixed(0) : '—';
+      const avgRsrp = avg(items, 'rsrp', kpiWeight);
       return {
         class: cls,
         count,
-        avgRsrp,
-        avgThroughputKbps: avgThroughputKbpsClass
+        avgRsrp: avgRsrp === null ? '—' : avgRsrp.toFixed(1),
+        avgThroughputKbps: toKbps(avg(items, 'throughput', kpiWeight)),
+        avgUlThroughputKbps: toKbps(avg(items, 'ulThroughput', kpiWeight))
       };
     });
-  }, [filteredData]);
+  }, [filteredData, kpiWeight]);
 
   /* -------------------------
      Map config
   --------------------------*/
   const mapContainerStyle = { width: '100%', height: '420px' };
+  // centred on the selection before the area filter, so ticking an area does not move the map
   const mapCenter = useMemo(() => {
-    if (!filteredData || filteredData.length === 0) {
+    if (!scopedData || scopedData.length === 0) {
       return { lat: -26.2041, lng: 28.0473 }; // Default to Johannesburg
     }
     
-    const validPoints = filteredData.filter(point => 
+    const validPoints = scopedData.filter(point => 
+      !point.jittered &&
       isValidCoordinate(point.lat, point.lon) && 
       point.lat !== -26.2041 && // Not default coordinates
       point.lon !== 28.0473
@@ -584,199 +777,341 @@ const isValidCoordinate = (lat, lng) => {
     const avgLng = validPoints.reduce((sum, point) => sum + point.lon, 0) / validPoints.length;
     
     return { lat: avgLat, lng: avgLng };
-  }, [filteredData]);
-  const googleApiKey = process.env.REACT_APP_GOOGLE_MAPS_API_KEY || process.env.NEXT_PUBLIC_GOOGLE_MAPS_API_KEY || 'SET THIS';  // ensure you set this
-
-  /* small class color map used in legend and markers */
-  const classColors = {
-    1: '#10B981', // green
-    2: '#3B82F6', // blue
-    3: '#F59E0B', // orange
-    4: '#EF4444'  // red
+  }, [scopedData]);
+
+  // the point layer redraws from the map's own events once it has the map instance
+  const [mapProvider, setMapProvider] = useState(initialMapProvider);
+  const [mapInstance, setMapInstance] = useState(null);
+  const mapAdapter = useMemo(() => {
+    if (!mapInstance) return null;
+    return mapProvider === 'google' ? googleMapAdapter(mapInstance) : leafletMapAdapter(mapInstance);
+  }, [mapInstance, mapProvider]);
+
+  const changeMapProvider = (provider) => {
+    setMapInstance(null);
+    setMapProvider(provider);
+    storeJson(MAP_PROVIDER_KEY, provider);
+  };
+
+  const binTooltip = (bin) => {
+    const { count, medianRsrp, class1Pct } = bin.stats;
+    return `${count.toLocaleString()} samples · median RSRP ${medianRsrp === null ? '—' : `${medianRsrp} dBm`} · Class 1 ${class1Pct === null ? '—' : `${class1Pct.toFixed(0)}%`}`;
   };
 
   /* -------------------------
-     Helper: compute simple day-over-day change for Class 1 coverage
+     Drive route and playback
   --------------------------*/
-  const dayChangePercent = (() => {
-    const d = dailyData;
-    const todayIdx = d.length - 1;
-    if (d.length < 2) return 0;
-    const last = parseFloat(d[todayIdx].class1Percentage) || 0;
-    const prev = parseFloat(d[todayIdx - 1].class1Percentage) || 0;
-    if (prev === 0) return last === 0 ? 0 : 100;
-    return (((last - prev) / Math.abs(prev)) * 100).toFixed(1);
-  })();
+  const [routeMetric, setRouteMetric] = useState('');
+  const [routeGaps, setRouteGaps] = useState(DEFAULT_ROUTE_GAPS);
+  const [playbackTime, setPlaybackTime] = useState(null);
+  const [playing, setPlaying] = useState(false);
+  const [playbackSpeed, setPlaybackSpeed] = useState(60);
+
+  const route = useMemo(() => (routeMetric ? buildRoute(filteredData, routeGaps) : null), [routeMetric, filteredData, routeGaps]);
+  const routeColorSet = useMemo(() => (route ? routeColors(route, routeMetric, classColors) : null), [route, routeMetric]);
+  const cursor = useMemo(() => (route && playbackTime !== null ? routeCursor(route, playbackTime) : null), [route, playbackTime]);
+  const cursorRow = cursor ? cursor.row : null;
+  const cursorTimeLabel = cursorRow ? new Date(cursorRow.timestamp).toLocaleTimeString() : '';
+  const fmtCursorKbps = (mbps) => (mbps === null || mbps === undefined ? '—' : `${Math.round(mbps * 1000).toLocaleString()} kbps`);
+  const binLayerProps = mapLayer === 'bins' && binning ? {
+    bins: binning,
+    binColorBy,
+    selectedBinKey,
+    binTooltipFor: binTooltip,
+    onBinClick: (bin) => setSelectedBinKey(bin ? bin.key : null)
+  } : {};
+  const areaLayerProps = {
+    areas: savedAreas,
+    activeAreaIds,
+    pendingArea,
+    drawMode,
+    onAreaDrawn: handleAreaDrawn
+  };
+
+  // samples picked in the scatter plot, ringed on the map; the map pans to their centre
+  const [highlightedRows, setHighlightedRows] = useState([]);
+
+  useEffect(() => {
+    setHighlightedRows([]);
+  }, [data]);
+
+  const highlightRows = (rows) => {
+    setHighlightedRows(rows);
+    setSelectedProblemId(null);
+    const located = rows.filter(r => isValidCoordinate(r.lat, r.lon));
+    if (!mapAdapter || !located.length) return;
+    const lat = located.reduce((sum, r) => sum + Number(r.lat), 0) / located.length;
+    const lng = located.reduce((sum, r) => sum + Number(r.lon), 0) / located.length;
+    mapAdapter.panTo(lat, lng);
+  };
 
   /* -------------------------
-     AI: lightweight intent parser + executor
-     (works entirely client-side, no external APIs needed)
+     Problem areas: rule-based events over the current selection;
+     picking one rings its samples and zooms the map to them
   --------------------------*/
-  const askLocalAI = (question) => {
-    const q = (question || '').toLowerCase();
-
-    // tech filter in the question overrides dropdown if explicitly mentioned
-    let subset = data;
-    if (q.includes(' 5g') || q.startsWith('5g') || q.includes(' nr')) subset = data.filter(r => r.technology === '5G');
-    else if (q.includes(' 4g') || q.startsWith('4g') || q.includes(' lte')) subset = data.filter(r => r.technology === '4G');
-    else if (selectedTech !== 'All') subset = filteredData;
-
-    // hour filter e.g., "between 8 and 12", "at 15:00", "hour 9"
-    const hourRange = q.match(/between\s+(\d{1,2})\s*(?:and|-|to)\s*(\d{1,2})/);
-    if (hourRange) {
-      const h1 = clampInt(hourRange[1], 0, 23);
-      const h2 = clampInt(hourRange[2], 0, 23);
-      const [lo, hi] = h1 <= h2 ? [h1, h2] : [h2, h1];
-      subset = subset.filter(r => r.hour >= lo && r.hour <= hi);
-    } else {
-      const atHour = q.match(/\b(?:hour|at)\s*(\d{1,2})\b/);
-      if (atHour) {
-        const h = clampInt(atHour[1], 0, 23);
-        subset = subset.filter(r => r.hour === h);
-      }
-    }
+  const [problemRules, setProblemRules] = useState(loadProblemRules);
+  const [selectedProblemId, setSelectedProblemId] = useState(null);
+  const mapCardRef = useRef(null);
 
-    // simple “on Aug X” day filter
-    const dayMatch = q.match(/\baug(?:ust)?\s*(\d{1,2})\b/);
-    if (dayMatch) {
-      const d = clampInt(dayMatch[1], 1, 31);
-      subset = subset.filter(r => r.day === d);
-    }
+  const updateProblemRules = (next) => {
+    setProblemRules(next);
+    storeProblemRules(next);
+  };
+  const problemEvents = useMemo(() => detectProblems(filteredData, problemRules), [filteredData, problemRules]);
 
-    if (!subset.length) return 'No matching rows for those filters. Try a broader question.';
+  useEffect(() => {
+    setSelectedProblemId(null);
+  }, [problemEvents]);
+
+  const focusProblem = (event) => {
+    setSelectedProblemId(event ? event.id : null);
+    setHighlightedRows(event ? event.rows : []);
+    if (!event) return;
+    if (mapAdapter) mapAdapter.fitBounds(event.bounds);
+    if (mapCardRef.current && mapCardRef.current.scrollIntoView) mapCardRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+  const mapPoints = useMemo(() => (mapLayer === 'points' ? filteredData : []), [mapLayer, filteredData]);
 
-    // intents
-    if (q.includes('columns') || q.includes('schema') || q.includes('headers')) {
-      return `Detected columns: ${summarizeColumns(data[0])}`;
-    }
+  // a new route starts over from the beginning
+  useEffect(() => {
+    setPlaying(false);
+    setPlaybackTime(null);
+  }, [route]);
 
-    if (q.includes('count') || q.includes('how many') || q.includes('rows') || q.includes('measurements')) {
-      return `There are ${subset.length.toLocaleString()} measurements in this selection.`;
-    }
+  useEffect(() => {
+    if (!playing || !route) return undefined;
+    const tick = setInterval(() => {
+      setPlaybackTime(t => {
+        const next = (t === null ? route.minT : t) + playbackSpeed * PLAYBACK_TICK_MS;
+        if (next >= route.maxT) {
+          setPlaying(false);
+          return route.maxT;
+        }
+        return next;
+      });
+    }, PLAYBACK_TICK_MS);
+    return () => clearInterval(tick);
+  }, [playing, route, playbackSpeed]);
 
-    if (q.includes('average throughput') || q.includes('avg throughput') || q.includes('throughput mean')) {
-      const mbps = avg(subset, 'throughput');
-      return `Average throughput: ${fmtKbps(mbps * 1000)} (≈ ${(mbps).toFixed(1)} Mbps) based on ${subset.length.toLocaleString()} measurements.`;
-    }
+  const togglePlayback = () => {
+    if (!playing && (playbackTime === null || playbackTime >= route.maxT)) setPlaybackTime(route.minT);
+    setPlaying(p => !p);
+  };
 
-    if (q.includes('average rsrp') || q.includes('avg rsrp')) {
-      return `Average RSRP: ${avg(subset, 'rsrp').toFixed(1)} dBm.`;
-    }
-    if (q.includes('average rsrq') || q.includes('avg rsrq')) {
-      return `Average RSRQ: ${avg(subset, 'rsrq').toFixed(1)} dB.`;
-    }
-    if (q.includes('average sinr') || q.includes('avg sinr')) {
-      return `Average SINR: ${avg(subset, 'sinr').toFixed(1)} dB.`;
-    }
+  // hover text for a map point (was the marker title)
+  const pointTooltip = (pt) => `${visibleSessions.length > 1 ? `${sessionById[pt.sessionId]?.name} · ` : ''}${pt.location}${pt.pci !== null && pt.pci !== undefined ? ` (PCI ${pt.pci})` : ''} - Class ${pt.signalClass ?? '?'} - ${pt.rsrp ?? '—'}dBm${pt.jittered ? ' (approx. position)' : ''}${pt.imputed ? ` (imputed: ${pt.imputed.join(', ')})` : ''}`;
 
-    if (q.includes('class 1') && (q.includes('percent') || q.includes('coverage') || q.includes('share'))) {
-      const c1 = subset.filter(r => r.signalClass === 1).length;
-      return `Class 1 coverage: ${fmtPct((c1 / subset.length) * 100)} (${c1.toLocaleString()} of ${subset.length.toLocaleString()}).`;
-    }
+  /* -------------------------
+     KPI targets: evaluated over the technology/date selection (each
+     target carries its own technology and area/sector scope), with
+     breaches flagged on the KPI cards and the daily chart
+  --------------------------*/
+  const [kpiTargets, setKpiTargets] = useState(loadTargets);
+  const updateKpiTargets = (next) => {
+    setKpiTargets(next);
+    storeTargets(next);
+  };
+  const targetResults = useMemo(() => {
+    const results = {};
+    kpiTargets.forEach(t => {
+      results[t.id] = evaluateTarget(t, scopedData, savedAreas);
+    });
+    return results;
+  }, [kpiTargets, scopedData, savedAreas]);
+  const sectorNames = useMemo(
+    () => [...new Set(scopedData.map(r => r.location).filter(Boolean))].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+    [scopedData]
+  );
+  const breachedTargets = kpiTargets.filter(t => targetResults[t.id].status === 'fail');
+  const cardBreaches = (card) => breachedTargets.filter(t => targetMetric(t).card === card);
+  const kpiCardStyle = (card) => ({
+    backgroundColor: 'white',
+    borderRadius: '8px',
+    boxShadow: cardBreaches(card).length ? '0 0 0 2px #EF4444' : '0 1px 3px rgba(0,0,0,0.1)',
+    padding: '24px'
+  });
+  const breachNotes = (card) => cardBreaches(card).map(t => (
+    <p key={t.id} style={{ fontSize: '12px', color: '#b91c1c', fontWeight: 500, margin: '4px 0 0 0' }}>
+      ⚠ {describeTarget(t, savedAreas)}: {formatMetric(t, targetResults[t.id].value)}
+    </p>
+  ));
+  // unscoped Class 1 targets share the daily chart's axis
+  const dailyBreachLines = breachedTargets.filter(t => t.metric === 'class1' && !t.scope);
 
-    if (q.match(/top\s*\d+\s*sectors?.*throughput/)) {
-      const k = clampInt((q.match(/top\s*(\d+)/) || ['5'])[1], 1, 50);
-      const byLoc = groupBy(subset, 'location');
-      const rows = Object.entries(byLoc).map(([loc, rows]) => ({ loc, mbps: avg(rows, 'throughput') }))
-        .sort((a, b) => b.mbps - a.mbps).slice(0, k);
-      return `Top ${rows.length} sectors by avg throughput:\n` +
-        rows.map((r, i) => `${i + 1}. ${r.loc}: ${(r.mbps).toFixed(1)} Mbps`).join('\n');
-    }
+  /* -------------------------
+     Analysis Summary: findings from the aggregates above, judged against
+     the headline Class 1 target
+  --------------------------*/
+  const headlineTarget = headlineClass1Target(kpiTargets);
+  const class1Target = headlineTarget ? headlineTarget.threshold : DEFAULT_CLASS1_TARGET;
+  const changeClass1Target = (threshold) => {
+    if (headlineTarget) updateKpiTargets(kpiTargets.map(t => (t.id === headlineTarget.id ? { ...t, threshold } : t)));
+    else updateKpiTargets([...kpiTargets, { ...newTarget('class1'), threshold }]);
+  };
+  const findings = useMemo(
+    () => summarizeFindings({ hourlyData, dailyData, sectorRows: sectorChartData, class1Pct: Number(class1Percentage), target: class1Target }),
+    [hourlyData, dailyData, sectorChartData, class1Percentage, class1Target]
+  );
 
-    if (q.match(/bottom\s*\d+\s*sectors?.*throughput/)) {
-      const k = clampInt((q.match(/bottom\s*(\d+)/) || ['5'])[1], 1, 50);
-      const byLoc = groupBy(subset, 'location');
-      const rows = Object.entries(byLoc).map(([loc, rows]) => ({ loc, mbps: avg(rows, 'throughput') }))
-        .sort((a, b) => a.mbps - b.mbps).slice(0, k);
-      return `Bottom ${rows.length} sectors by avg throughput:\n` +
-        rows.map((r, i) => `${i + 1}. ${r.loc}: ${(r.mbps).toFixed(1)} Mbps`).join('\n');
-    }
+  /* -------------------------
+     AI: questions are parsed into a structured query (see queryEngine)
+     and run client-side; the query is shown under the answer to edit
+  --------------------------*/
+  // answers see what the charts see; a technology the question names wins
+  // over the dropdown and any tech chip
+  const assistantRows = useCallback((query) => {
+    if (query.intent === 'columns') return data;
+    if (!query.filters.technology) return filteredData;
+    const rows = activeAreas.length ? datedData.filter(inAnyArea(activeAreas)) : datedData;
+    return applyCrossFilters(rows, crossFilters, 'technology');
+  }, [data, filteredData, datedData, activeAreas, crossFilters]);
+
+  // what the assistant was looking at, saved with each question and answer
+  const selectionNow = () => selectionSnapshot({
+    sessions: visibleSessions,
+    selectedTech,
+    dateRange,
+    areas: activeAreas,
+    chips: crossFilters,
+    excludeFlagged,
+    profileName: signalProfile.name,
+    rowCount: filteredData.length
+  });
 
-    if (q.includes('percentile') && q.includes('throughput')) {
-      const p = clampInt((q.match(/(\d{1,2})\s*th\s*percentile/) || ['95'])[1], 1, 99);
-      const val = percentile(subset, 'throughput', p);
-      return `${p}th percentile throughput ≈ ${(val).toFixed(1)} Mbps (${fmtKbps(val * 1000)}).`;
-    }
+  // assistant messages carry the query and a payload to draw next to the text
+  const assistantMessage = (query, snapshot = selectionNow()) => {
+    const { answer, payload } = answerQuery(assistantRows(query), query);
+    return { role: 'assistant', text: answer, query, payload, snapshot };
+  };
 
-    if (q.includes('worst rsrp') || q.includes('lowest rsrp')) {
-      const worst = [...subset].sort((a, b) => a.rsrp - b.rsrp)[0];
-      return `Worst RSRP: ${worst.rsrp} dBm at ${worst.location} around ${new Date(worst.timestamp).toLocaleString()}.`;
-    }
+  const rerunAssistantQuery = (query) => {
+    setAiMessages(m => [...m, assistantMessage(query)]);
+  };
 
-    // fallback summary
-    const mbps = avg(subset, 'throughput');
-    const c1 = subset.filter(r => r.signalClass === 1).length;
-    return [
-      'Here’s a quick summary:',
-      `• Rows: ${subset.length.toLocaleString()}`,
-      `• Avg Throughput: ${(mbps).toFixed(1)} Mbps (${fmtKbps(mbps * 1000)})`,
-      `• Avg RSRP: ${avg(subset, 'rsrp').toFixed(1)} dBm`,
-      `• Avg RSRQ: ${avg(subset, 'rsrq').toFixed(1)} dB`,
-      `• Avg SINR: ${avg(subset, 'sinr').toFixed(1)} dB`,
-      `• Class 1: ${fmtPct((c1 / subset.length) * 100)}`
-    ].join('\n');
+  // ring the samples behind an answer (or one of its groups); a lowest/highest answer rings its sample
+  const showAnswerOnMap = (query, groupKey = null) => {
+    const rows = assistantRows(query);
+    const result = groupKey === null ? runQuery(rows, query) : null;
+    highlightRows(result && result.kind === 'value' && result.row ? [result.row] : queryRows(rows, query, groupKey));
+    if (mapCardRef.current && mapCardRef.current.scrollIntoView) mapCardRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
   };
 
-  const callOpenAI = async (question, localAnswer) => {
-    // Safe guard: only call if user enabled and provided key
-    if (!useLLM || !openaiKey) return null;
-
-    const context = {
-      kpis: {
-        rows: filteredData.length,
-        avgThroughputMbps: avg(filteredData, 'throughput').toFixed(2),
-        avgRSRPdBm: avg(filteredData, 'rsrp').toFixed(2),
-        avgRSRQdB: avg(filteredData, 'rsrq').toFixed(2),
-        avgSINRdB: avg(filteredData, 'sinr').toFixed(2),
-        class1Pct: ((filteredData.filter(r => r.signalClass === 1).length / Math.max(1, filteredData.length)) * 100).toFixed(2)
-      },
-      note: 'Throughput stored as Mbps in data model; UI often shows kbps.',
-      columns: summarizeColumns(data[0] || {})
+  const [pinnedAnswers, setPinnedAnswers] = useState(loadPinnedAnswers);
+  const updatePinnedAnswers = (next) => {
+    setPinnedAnswers(next);
+    storePinnedAnswers(next);
+  };
+  const pinAnswer = (query) => updatePinnedAnswers([...pinnedAnswers, { id: `pin-${Date.now()}`, query }]);
+  const pinnedResults = useMemo(
+    () => pinnedAnswers.map(pin => ({ id: pin.id, ...answerQuery(assistantRows(pin.query), pin.query) })),
+    [pinnedAnswers, assistantRows]
+  );
+
+  const updateLlmSettings = (next) => {
+    setLlmSettings(next);
+    storeLlmSettings(next);
+  };
+
+  // the model's reply streams into its own message, after a card for each tool it ran;
+  // figures it quotes that no tool, nor the local answer, produced are flagged.
+  // It belongs to the thread it was asked in: if another thread is opened
+  // meanwhile, the finished reply and its tool cards are saved to that one
+  const refineWithLlm = async (question, localAnswer, snapshot) => {
+    const id = `llm-${Date.now()}`;
+    const threadKey = chatThreadRef.current.key;
+    const source = `${llmSettings.label} · ${llmSettings.model}`;
+    const toolCards = [];
+    const onScreen = () => chatThreadRef.current.key === threadKey;
+    const update = (patch) => {
+      if (onScreen()) setAiMessages(m => m.map(msg => (msg.id === id ? { ...msg, ...patch } : msg)));
+    };
+    const insertBeforeAnswer = (msg) => {
+      if (onScreen()) setAiMessages(m => {
+        const at = m.findIndex(x => x.id === id);
+        return at < 0 ? m : [...m.slice(0, at), msg, ...m.slice(at)];
+      });
     };
+    const finish = (patch) => editThreadMessages(threadKey, m => {
+      if (m.some(msg => msg.id === id)) return m.map(msg => (msg.id === id ? { ...msg, ...patch, pending: false } : msg));
+      const missingCards = toolCards.filter(card => !m.some(msg => msg.id === card.id));
+      return [...m, ...missingCards, { id, role: 'assistant', source, snapshot, ...patch, pending: false }];
+    });
+    setAiMessages(m => [...m, { id, role: 'assistant', text: '', source, pending: true, snapshot }]);
 
+    const toolResults = [];
+    let context = null;
+    let text;
     try {
-      const res = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${openaiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: 'gpt-4o-mini',
-          messages: [
-            { role: 'system', content: 'You are a telecom analytics copilot. Be concise, numeric, and accurate. Always ground answers in the provided context. Throughput is in Mbps unless stated.' },
-            { role: 'user', content: `User question: ${question}\n\nContext:\n${JSON.stringify(context, null, 2)}\n\nA quick local computation says:\n${localAnswer}` }
-          ],
-          temperature: 0.2
-        })
-      });
-      if (!res.ok) throw new Error('OpenAI request failed');
-      const json = await res.json();
-      const text = json?.choices?.[0]?.message?.content?.trim();
-      return text || null;
-    } catch (e) {
-      console.warn('LLM error', e);
-      return null;
+      if (llmSettings.tools) {
+        const scope = `${filteredData.length.toLocaleString()} samples shown${selectedTech !== 'All' ? `, technology ${selectedTech}` : ''}${activeAreas.length ? `, inside ${activeAreas.map(a => a.name).join(', ')}` : ''}${crossFilters.length ? `, chart filters ${crossFilters.map(c => c.label).join(', ')}` : ''}`;
+        const messages = [
+          { role: 'system', content: 'You are a telecom drive-test analytics copilot. Get every figure you state from the tools, which compute it from the loaded data; never estimate, recall or invent a number. If the tools cannot answer, say so. Be concise. Throughput is in Mbps.' },
+          { role: 'user', content: `User question: ${question}\n\nDashboard selection: ${scope}.\n\nA quick local computation says:\n${localAnswer}` }
+        ];
+        const toolContext = { rowsFor: assistantRows, areas: savedAreas, problemRules };
+        text = await completeWithTools(llmSettings, llmKey, messages, toolDefinitions(savedAreas), (name, args) => runTool(name, args, toolContext), {
+          onDelta: (soFar) => update({ text: soFar }),
+          onToolCall: (call) => {
+            toolResults.push(call.result);
+            const card = { id: `${id}-${call.id}`, role: 'tool', name: call.name, args: call.args, result: call.result };
+            toolCards.push(card);
+            update({ text: '' });
+            insertBeforeAnswer(card);
+          }
+        });
+      } else {
+        context = {
+          kpis: {
+            rows: filteredData.length,
+            avgThroughputMbps: fixed2(avg(filteredData, 'throughput')),
+            avgUlThroughputMbps: fixed2(avg(filteredData, 'ulThroughput')),
+            avgRSRPdBm: fixed2(avg(filteredData, 'rsrp')),
+            avgRSRQdB: fixed2(avg(filteredData, 'rsrq')),
+            avgSINRdB: fixed2(avg(filteredData, 'sinr')),
+            class1Pct: class1Share(filteredData).toFixed(2)
+          },
+          note: 'Throughput (DL) and ulThroughput (UL) stored as Mbps in data model; UI often shows kbps. A null KPI means no row has that value.',
+          columns: summarizeColumns(data[0] || {})
+        };
+        const messages = [
+          { role: 'system', content: 'You are a telecom analytics copilot. Be concise, numeric, and accurate. Always ground answers in the provided context. Throughput is in Mbps unless stated.' },
+          { role: 'user', content: `User question: ${question}\n\nContext:\n${JSON.stringify(context, null, 2)}\n\nA quick local computation says:\n${localAnswer}` }
+        ];
+        text = await completeChat(llmSettings, llmKey, messages, { onDelta: (soFar) => update({ text: soFar }) });
+      }
+    } catch (err) {
+      console.warn('LLM error', err);
+      finish({ text: `Could not refine this answer: ${err.message}`, error: true });
+      return;
+    }
+    if (text === localAnswer && !toolResults.length) {
+      editThreadMessages(threadKey, m => m.filter(msg => msg.id !== id));
+      return;
     }
+    finish({ text, unverified: ungroundedNumbers(text, [...toolResults, context || '', localAnswer, question]) });
   };
 
-  const onAskAssistant = async () => {
-    const question = aiInput.trim();
-    if (!question) return;
-    setAiMessages(m => [...m, { role: 'user', text: question }]);
-    setAiInput('');
+  // also reruns a saved question against whatever is selected now
+  const askAssistant = async (question) => {
+    const snapshot = selectionNow();
+    setAiMessages(m => [...m, { role: 'user', text: question, snapshot }]);
 
     // local instant answer
-    const localAnswer = askLocalAI(question);
+    const local = assistantMessage(parseQuestion(question, { sectors: sectorNames }), snapshot);
+    const localAnswer = local.text;
 
     // optimistic update
-    setAiMessages(m => [...m, { role: 'assistant', text: localAnswer }]);
+    setAiMessages(m => [...m, local]);
 
-    // optionally enhance with LLM
-    const llm = await callOpenAI(question, localAnswer);
-    if (llm && llm !== localAnswer) {
-      setAiMessages(m => [...m, { role: 'assistant', text: llm }]);
-    }
+    // optionally refine with a language model
+    if (useLLM) await refineWithLlm(question, localAnswer, snapshot);
+  };
+
+  const onAskAssistant = () => {
+    const question = aiInput.trim();
+    if (!question) return;
+    setAiInput('');
+    askAssistant(question);
   };
 
   /* -------------------------
@@ -804,10 +1139,39 @@ const isValidCoordinate = (lat, lng) => {
                 <option value="5G">5G Only</option>
                 <option value="4G">4G Only</option>
               </select>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '8px', fontSize: '12px', color: '#6b7280' }}>
+                <input
+                  type="date"
+                  value={dateRange.from}
+                  min={dateExtent?.min}
+                  max={dateRange.to || dateExtent?.max}
+                  onChange={(e) => setDateRange(r => ({ ...r, from: e.target.value }))}
+                  style={{ padding: '4px 6px', border: '1px solid #d1d5db', borderRadius: '6px', fontSize: '12px' }}
+                />
+                <span>to</span>
+                <input
+                  type="date"
+                  value={dateRange.to}
+                  min={dateRange.from || dateExtent?.min}
+                  max={dateExtent?.max}
+                  onChange={(e) => setDateRange(r => ({ ...r, to: e.target.value }))}
+                  style={{ padding: '4px 6px', border: '1px solid #d1d5db', borderRadius: '6px', fontSize: '12px' }}
+                />
+                {(dateRange.from || dateRange.to) && (
+                  <button
+                    onClick={() => setDateRange({ from: '', to: '' })}
+                    style={{ padding: '4px 8px', border: 'none', borderRadius: '6px', backgroundColor: '#e5e7eb', cursor: 'pointer', fontSize: '12px' }}
+                  >
+                    Clear
+                  </button>
+                )}
+              </div>
             </div>
           </div>
         </div>
 
+        <FilterChipBar chips={filterChips} onRemove={removeFilterChip} onClear={clearFilterChips} />
+
         {/* CSV Upload Section */}
         <div style={{ backgroundColor: 'white', borderRadius: '8px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', padding: '24px', marginBottom: '24px' }}>
           <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#111827', margin: '0 0 16px 0' }}>
@@ -831,7 +1195,7 @@ const isValidCoordinate = (lat, lng) => {
 
               <div style={{ display: 'flex', gap: '8px', marginBottom: '16px' }}>
                 <button
-                  onClick={() => setDataSource('synthetic')}
+                  onClick={showDemoSession}
                   style={{
                     padding: '8px 16px',
                     borderRadius: '8px',
@@ -859,30 +1223,45 @@ const isValidCoordinate = (lat, lng) => {
                     color: csvFile && !isLoading ? 'white' : '#6b7280'
                   }}
                 >
-                  {isLoading ? 'Processing...' : 'Apply CSV Data'}
+                  {isLoading ? 'Processing...' : editingSessionId ? 'Re-apply Mapping' : 'Add CSV Session'}
                 </button>
               </div>
 
+              {ingestProgress && (
+                <div style={{ marginBottom: '16px' }}>
+                  <div style={{ height: '8px', backgroundColor: '#e5e7eb', borderRadius: '4px', overflow: 'hidden' }}>
+                    <div style={{ width: `${Math.round(ingestProgress.fraction * 100)}%`, height: '100%', backgroundColor: '#16a34a', transition: 'width 0.2s' }} />
+                  </div>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '6px', fontSize: '12px', color: '#6b7280' }}>
+                    <span>{ingestProgress.rowCount.toLocaleString()} rows · {Math.round(ingestProgress.fraction * 100)}%</span>
+                    <button onClick={cancelCsvIngest} style={{ padding: '2px 8px', fontSize: '12px', border: 'none', borderRadius: '4px', backgroundColor: '#fee2e2', color: '#b91c1c', cursor: 'pointer' }}>Cancel</button>
+                  </div>
+                </div>
+              )}
+
+              {error && (
+                <p style={{ fontSize: '12px', color: '#b91c1c', margin: '0 0 16px 0' }}>{error}</p>
+              )}
+
+              {csvFile && (
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '16px' }}>
+                  <label style={{ fontSize: '12px', color: '#6b7280' }}>Session name:</label>
+                  <input
+                    value={sessionName}
+                    onChange={(e) => setSessionName(e.target.value)}
+                    placeholder="e.g. Before optimisation"
+                    style={{ flex: 1, padding: '4px 8px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+                  />
+                </div>
+              )}
+
               {/* Optional: LLM toggle */}
               <div style={{ marginTop: 12, padding: 12, background: '#f9fafb', borderRadius: 8 }}>
                 <label style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
                   <input type="checkbox" checked={useLLM} onChange={(e) => setUseLLM(e.target.checked)} />
-                  <span style={{ fontSize: 14, color: '#374151' }}>Use AskDataSet powered by Watsonx to refine answers (optional)</span>
+                  <span style={{ fontSize: 14, color: '#374151' }}>Refine assistant answers with a language model (optional)</span>
                 </label>
-                {useLLM && (
-                  <input
-                    type="password"
-                    placeholder="WatsonX API Key (starts with wx-...)"
-                    value={openaiKey}
-                    onChange={(e) => setOpenaiKey(e.target.value)}
-                    style={{ marginTop: 8, width: '100%', padding: 8, border: '1px solid #d1d5db', borderRadius: 6, fontSize: 13 }}
-                  />
-                )}
-                {useLLM && (
-                  <p style={{ fontSize: 12, color: '#6b7280', marginTop: 6 }}>
-                    Your key is used client-side to call WatxonxAI directly. Leave blank to use the built-in local analytics instead.
-                  </p>
-                )}
+                {useLLM && <LlmSettingsPanel settings={llmSettings} apiKey={llmKey} onChange={updateLlmSettings} onApiKeyChange={setLlmKey} />}
               </div>
             </div>
 
@@ -890,10 +1269,21 @@ const isValidCoordinate = (lat, lng) => {
             {csvHeaders.length > 0 && (
               <div>
                 <h4 style={{ fontSize: '14px', fontWeight: '500', color: '#374151', marginBottom: '12px' }}>Map CSV Columns to Data Fields</h4>
+                <MappingPresetBar
+                  mapping={fieldMapping}
+                  units={fieldUnits}
+                  selectedPresetId={selectedPresetId}
+                  detectedPresetId={detectedPresetId}
+                  onSelectPreset={(preset) => {
+                    setSelectedPresetId(preset ? preset.id : null);
+                    setFieldMapping(preset ? applyPreset(preset, csvHeaders) : autoDetectMapping(csvHeaders));
+                    setFieldUnits(presetUnits(preset));
+                  }}
+                />
                 <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
                   {Object.entries(fieldMapping).map(([field, value]) => (
                     <div key={field} style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                      <label style={{ fontSize: '12px', color: '#6b7280', width: '90px', textTransform: 'capitalize' }}>{field}:</label>
+                      <label style={{ fontSize: '12px', color: '#6b7280', width: '90px' }}>{FIELD_LABELS[field] || field}:</label>
                       <select
                         value={value}
                         onChange={(e) => setFieldMapping(prev => ({ ...prev, [field]: e.target.value }))}
@@ -904,8 +1294,34 @@ const isValidCoordinate = (lat, lng) => {
                           <option key={header} value={header}>{header}</option>
                         ))}
                       </select>
+                      {UNIT_OPTIONS[field] && (
+                        <select
+                          value={fieldUnits[field]}
+                          onChange={(e) => setFieldUnits(prev => ({ ...prev, [field]: e.target.value }))}
+                          title="Unit the file reports this field in"
+                          style={{ width: '130px', padding: '4px 8px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+                        >
+                          {Object.keys(UNIT_OPTIONS[field]).map(unit => (
+                            <option key={unit} value={unit}>{unit}</option>
+                          ))}
+                        </select>
+                      )}
                     </div>
                   ))}
+                  {usesInterval(fieldUnits) && (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                      <label style={{ fontSize: '12px', color: '#6b7280', width: '90px' }}>Interval:</label>
+                      <input
+                        type="number"
+                        min="0.001"
+                        step="any"
+                        value={fieldUnits.intervalSec}
+                        onChange={(e) => setFieldUnits(prev => ({ ...prev, intervalSec: e.target.value }))}
+                        style={{ width: '80px', padding: '4px 8px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+                      />
+                      <span style={{ fontSize: '12px', color: '#6b7280' }}>seconds per logged sample</span>
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -915,18 +1331,75 @@ const isValidCoordinate = (lat, lng) => {
           <div style={{ marginTop: '16px', padding: '12px', backgroundColor: '#f9fafb', borderRadius: '8px' }}>
             <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
               <span style={{ fontSize: '14px', color: '#374151' }}>
-                Current Data Source: <strong>{dataSource === 'csv' ? 'Your CSV File' : 'Demo Data'}</strong>
+                Current Data Source: <strong>{visibleSessions.length ? visibleSessions.map(s => s.name).join(' + ') : 'No session selected'}</strong>
               </span>
               <span style={{ fontSize: '12px', color: '#6b7280', marginLeft: '8px' }}>
                 ({data.length.toLocaleString()} records)
               </span>
+              {flaggedCount > 0 && (
+                <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', color: '#92400e', marginLeft: 'auto' }}>
+                  <input type="checkbox" checked={excludeFlagged} onChange={(e) => setExcludeFlagged(e.target.checked)} />
+                  Exclude {flaggedCount.toLocaleString()} imputed/jittered rows
+                </label>
+              )}
+            </div>
+
+            {/* Session list: click a name to switch, tick several to overlay */}
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginTop: '12px' }}>
+              {sessions.map(s => (
+                <div key={s.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px' }}>
+                  <input type="checkbox" checked={visibleSessionIds.includes(s.id)} onChange={() => toggleSessionVisible(s.id)} title="Overlay this session" />
+                  <span style={{ width: 12, height: 12, borderRadius: 6, backgroundColor: s.color }} />
+                  <input
+                    value={s.name}
+                    onChange={(e) => renameSession(s.id, e.target.value)}
+                    style={{ padding: '2px 6px', fontSize: '13px', border: '1px solid transparent', borderRadius: '4px', background: 'transparent', width: '180px' }}
+                  />
+                  <span style={{ fontSize: '12px', color: '#6b7280' }}>{s.rows.length.toLocaleString()} rows · {s.source === 'csv' ? 'CSV' : 'Demo'}</span>
+                  <button onClick={() => setVisibleSessionIds([s.id])} style={{ padding: '2px 8px', fontSize: '12px', border: 'none', borderRadius: '4px', backgroundColor: '#e5e7eb', cursor: 'pointer' }}>Show only</button>
+                  {s.qualityReport && (
+                    <button onClick={() => setReportSessionId(s.id)} style={{ padding: '2px 8px', fontSize: '12px', border: 'none', borderRadius: '4px', backgroundColor: '#e5e7eb', cursor: 'pointer' }}>Quality</button>
+                  )}
+                  {s.file && (
+                    <button onClick={() => editSessionMapping(s)} style={{ padding: '2px 8px', fontSize: '12px', border: 'none', borderRadius: '4px', backgroundColor: '#e5e7eb', cursor: 'pointer' }}>Edit mapping</button>
+                  )}
+                  <button onClick={() => removeSession(s.id)} style={{ padding: '2px 8px', fontSize: '12px', border: 'none', borderRadius: '4px', backgroundColor: '#fee2e2', color: '#b91c1c', cursor: 'pointer' }}>Remove</button>
+                </div>
+              ))}
             </div>
           </div>
+
+          {/* Import quality: policies for the next import, report of the last one */}
+          {(csvHeaders.length > 0 || reportSession) && (
+            <div style={{ marginTop: '16px' }}>
+              <h4 style={{ fontSize: '14px', fontWeight: '500', color: '#374151', margin: '0 0 8px 0' }}>
+                Import Quality{reportSession ? `: ${reportSession.name}` : ''}
+              </h4>
+              <ImportQualityReport
+                report={reportSession ? reportSession.qualityReport : null}
+                policies={qualityPolicies}
+                onPolicyChange={(field, policy) => setQualityPolicies(prev => ({ ...prev, [field]: policy }))}
+              />
+              {reportSession && (
+                <p style={{ fontSize: '12px', color: '#6b7280', margin: '8px 0 0 0' }}>
+                  Changed choices apply on the next import; use "Edit mapping" on the session and re-apply to rebuild it.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Signal Class Thresholds */}
+        <div style={{ backgroundColor: 'white', borderRadius: '8px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', padding: '24px', marginBottom: '24px' }}>
+          <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#111827', margin: '0 0 16px 0' }}>
+            🎚️ Signal Class Thresholds
+          </h3>
+          <ThresholdProfileEditor profile={signalProfile} onChange={setSignalProfile} />
         </div>
 
         {/* KPI Cards */}
-        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '24px', marginBottom: '24px' }}>
-          <div style={{ backgroundColor: 'white', borderRadius: '8px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', padding: '24px' }}>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '24px', marginBottom: '24px' }}>
+          <div style={kpiCardStyle('class1')}>
             <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
               <div>
                 <p style={{ fontSize: '14px', fontWeight: '500', color: '#6b7280', margin: 0 }}>Class 1 Coverage</p>
@@ -934,29 +1407,50 @@ const isValidCoordinate = (lat, lng) => {
               </div>
               <div style={{ fontSize: '32px' }}>📈</div>
             </div>
-            <p style={{ fontSize: '12px', color: '#6b7280', margin: '8px 0 0 0' }}>{class1Count} of {totalMeasurements} measurements</p>
+            <p style={{ fontSize: '12px', color: '#6b7280', margin: '8px 0 0 0' }}>
+              {kpiWeight ? `Bin-weighted over ${binning.bins.length.toLocaleString()} bins of ${binSize} m` : `${class1Count} of ${classifiedCount} classified measurements`}
+            </p>
+            {cursorRow && <p style={cursorNoteStyle}>▶ {`Class ${cursorRow.signalClass ?? '—'} at ${cursorTimeLabel}`}</p>}
+            {breachNotes('class1')}
           </div>
 
-          <div style={{ backgroundColor: 'white', borderRadius: '8px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', padding: '24px' }}>
+          <div style={kpiCardStyle('rsrp')}>
             <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
               <div>
                 <p style={{ fontSize: '14px', fontWeight: '500', color: '#6b7280', margin: 0 }}>Avg RSRP</p>
-                <p style={{ fontSize: '32px', fontWeight: 'bold', color: '#2563eb', margin: '4px 0 0 0' }}>{avgRSRP} dBm</p>
+                <p style={{ fontSize: '32px', fontWeight: 'bold', color: '#2563eb', margin: '4px 0 0 0' }}>{avgRSRP === null ? '—' : `${avgRSRP.toFixed(1)} dBm`}</p>
               </div>
               <div style={{ fontSize: '32px' }}>📶</div>
             </div>
             <p style={{ fontSize: '12px', color: '#6b7280', margin: '8px 0 0 0' }}>Signal strength indicator</p>
+            {cursorRow && <p style={cursorNoteStyle}>▶ {`${cursorRow.rsrp ?? '—'} dBm at ${cursorTimeLabel}`}</p>}
+            {breachNotes('rsrp')}
           </div>
 
-          <div style={{ backgroundColor: 'white', borderRadius: '8px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', padding: '24px' }}>
+          <div style={kpiCardStyle('dl')}>
             <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
               <div>
-                <p style={{ fontSize: '14px', fontWeight: '500', color: '#6b7280', margin: 0 }}>Avg Throughput</p>
-                <p style={{ fontSize: '22px', fontWeight: '700', color: '#7c3aed', margin: '4px 0 0 0' }}>{Math.round(avgThroughputKbps).toLocaleString()} kbps</p>
+                <p style={{ fontSize: '14px', fontWeight: '500', color: '#6b7280', margin: 0 }}>Avg DL Throughput</p>
+                <p style={{ fontSize: '22px', fontWeight: '700', color: '#7c3aed', margin: '4px 0 0 0' }}>{fmtKbps(avgThroughputKbps)}</p>
                 <p style={{ fontSize: '12px', color: '#6b7280', margin: '6px 0 0 0' }}>Converted from Mbps → kbps</p>
               </div>
               <div style={{ fontSize: '32px' }}>⚡</div>
             </div>
+            {cursorRow && <p style={cursorNoteStyle}>▶ {`${fmtCursorKbps(cursorRow.throughput)} at ${cursorTimeLabel}`}</p>}
+            {breachNotes('dl')}
+          </div>
+
+          <div style={kpiCardStyle('ul')}>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+              <div>
+                <p style={{ fontSize: '14px', fontWeight: '500', color: '#6b7280', margin: 0 }}>Avg UL Throughput</p>
+                <p style={{ fontSize: '22px', fontWeight: '700', color: '#ea580c', margin: '4px 0 0 0' }}>{fmtKbps(avgUlThroughputKbps)}</p>
+                <p style={{ fontSize: '12px', color: '#6b7280', margin: '6px 0 0 0' }}>Converted from Mbps → kbps</p>
+              </div>
+              <div style={{ fontSize: '32px' }}>⬆️</div>
+            </div>
+            {cursorRow && <p style={cursorNoteStyle}>▶ {`${fmtCursorKbps(cursorRow.ulThroughput)} at ${cursorTimeLabel}`}</p>}
+            {breachNotes('ul')}
           </div>
 
           <div style={{ backgroundColor: 'white', borderRadius: '8px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', padding: '24px' }}>
@@ -967,40 +1461,165 @@ const isValidCoordinate = (lat, lng) => {
               </div>
               <div style={{ fontSize: '32px' }}>📍</div>
             </div>
-            <p style={{ fontSize: '12px', color: '#6b7280', margin: '8px 0 0 0' }}>Drive test measurements</p>
+            <p style={{ fontSize: '12px', color: '#6b7280', margin: '8px 0 0 0' }}>
+              {activeAreas.length ? `Inside ${activeAreas.map(a => a.name).join(', ')}` : 'Drive test measurements'}
+            </p>
+            {cursorRow && <p style={cursorNoteStyle}>▶ {`${cursorRow.location} at ${cursorTimeLabel}`}</p>}
           </div>
         </div>
 
+        {/* KPI Targets */}
+        <div style={{ backgroundColor: 'white', borderRadius: '8px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+          <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#111827', margin: '0 0 16px 0' }}>
+            🎯 KPI Targets &amp; SLA Compliance
+            {breachedTargets.length > 0 && <span style={{ marginLeft: '8px', fontSize: '13px', color: '#b91c1c' }}>{breachedTargets.length} breached</span>}
+          </h3>
+          <KpiTargetsPanel targets={kpiTargets} evaluations={targetResults} areas={savedAreas} sectors={sectorNames} onChange={updateKpiTargets} />
+        </div>
+
+        {/* Answers pinned from the assistant, re-run on the current selection */}
+        {pinnedResults.map(pin => (
+          <div key={pin.id} style={{ backgroundColor: 'white', borderRadius: '8px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '12px', margin: '0 0 4px 0' }}>
+              <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#111827', margin: 0 }}>📌 {pin.payload ? pin.payload.title : 'Pinned answer'}</h3>
+              <button onClick={() => showAnswerOnMap(pin.query)} style={{ ...chatLinkStyle, fontSize: '13px', marginLeft: 'auto' }}>📍 Show on map</button>
+              <button onClick={() => updatePinnedAnswers(pinnedAnswers.filter(p => p.id !== pin.id))} style={{ ...chatLinkStyle, fontSize: '13px', color: '#6b7280' }}>Unpin</button>
+            </div>
+            <p style={{ fontSize: '12px', color: '#6b7280', margin: '0 0 12px 0' }}>🔎 {describeQuery(pin.query)}</p>
+            {pin.payload && pin.payload.type !== 'map'
+              ? <AssistantResult payload={pin.payload} onSelectRow={(key) => showAnswerOnMap(pin.query, key)} />
+              : <p style={{ fontSize: '14px', color: '#374151', margin: 0, whiteSpace: 'pre-wrap' }}>{pin.answer}</p>}
+          </div>
+        ))}
+
         {/* Map + Per-class averages + Legend */}
-        <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '24px', marginBottom: '24px' }}>
+        <div ref={mapCardRef} style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '24px', marginBottom: '24px' }}>
           <div style={{ backgroundColor: 'white', borderRadius: '8px', padding: '16px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
-            <h3 style={{ margin: '8px 0 12px 0', fontSize: '18px', fontWeight: 600 }}>🗺️ Test Area Map</h3>
-            {googleApiKey ? (
-              <LoadScript googleMapsApiKey={googleApiKey}>
-                <GoogleMap 
-  mapContainerStyle={mapContainerStyle} 
-  center={mapCenter} 
-  zoom={filteredData.length > 0 ? 12 : 2}
->
-  {filteredData.filter(pt => isValidCoordinate(pt.lat, pt.lon)).map((pt, idx) => (
-    <Marker
-      key={`m-${idx}`}
-      position={{ lat: Number(pt.lat), lng: Number(pt.lon) }}
-      icon={{
-        url: createMarkerSvgDataUrl(classColors[pt.signalClass] || '#10B981', 22),
-        scaledSize: { width: 22, height: 22 }
-      }}
-      title={`${pt.location} - Class ${pt.signalClass} - ${pt.rsrp}dBm`}
-    />
-  ))}
-</GoogleMap>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', margin: '8px 0 12px 0' }}>
+              <h3 style={{ margin: 0, fontSize: '18px', fontWeight: 600 }}>🗺️ Test Area Map</h3>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', color: '#6b7280' }}>
+                <span>Layer:</span>
+                <select
+                  value={mapLayer}
+                  onChange={(e) => setMapLayer(e.target.value)}
+                  style={{ padding: '4px 8px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+                >
+                  <option value="points">Points</option>
+                  <option value="bins">Coverage bins</option>
+                  <option value="none">None</option>
+                </select>
+                <span>Route:</span>
+                <select
+                  value={routeMetric}
+                  onChange={(e) => setRouteMetric(e.target.value)}
+                  style={{ padding: '4px 8px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+                >
+                  <option value="">Off</option>
+                  {ROUTE_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                </select>
+                <select
+                  value={mapProvider}
+                  onChange={(e) => changeMapProvider(e.target.value)}
+                  style={{ padding: '4px 8px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+                >
+                  {MAP_PROVIDERS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                </select>
+              </div>
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', fontSize: '12px', color: '#6b7280', marginBottom: '8px' }}>
+              <span>Bins:</span>
+              <select value={binShape} onChange={(e) => setBinShape(e.target.value)} style={{ padding: '2px 6px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' }}>
+                {BIN_SHAPES.map(b => <option key={b.key} value={b.key}>{b.label}</option>)}
+              </select>
+              <select value={binSize} onChange={(e) => setBinSize(Number(e.target.value))} style={{ padding: '2px 6px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' }}>
+                {BIN_SIZES.map(size => <option key={size} value={size}>{size} m</option>)}
+              </select>
+              <span>coloured by</span>
+              <select value={binColorBy} onChange={(e) => setBinColorBy(e.target.value)} style={{ padding: '2px 6px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' }}>
+                {BIN_COLOR_BY.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+              </select>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '4px', marginLeft: '12px' }} title="Every bin counts once in the KPI cards, charts and per-class averages, however many samples it holds">
+                <input type="checkbox" checked={binWeighted} onChange={(e) => setBinWeighted(e.target.checked)} />
+                Bin-weighted KPIs
+              </label>
+            </div>
+            {mapProvider === 'leaflet' ? (
+              <CanvasPointLayer adapter={mapAdapter} rows={mapPoints} colors={classColors} tooltipFor={pointTooltip} route={route} routeColors={routeColorSet} cursor={cursor} {...binLayerProps} {...areaLayerProps} highlight={highlightedRows}>
+                <LeafletMap
+                  style={mapContainerStyle}
+                  center={mapCenter}
+                  zoom={scopedData.length > 0 ? 12 : 2}
+                  onLoad={setMapInstance}
+                  onUnmount={() => setMapInstance(null)}
+                />
+              </CanvasPointLayer>
+            ) : GOOGLE_API_KEY ? (
+              <LoadScript googleMapsApiKey={GOOGLE_API_KEY}>
+                <CanvasPointLayer adapter={mapAdapter} rows={mapPoints} colors={classColors} tooltipFor={pointTooltip} route={route} routeColors={routeColorSet} cursor={cursor} {...binLayerProps} {...areaLayerProps} highlight={highlightedRows}>
+                  <GoogleMap
+                    mapContainerStyle={mapContainerStyle}
+                    center={mapCenter}
+                    zoom={scopedData.length > 0 ? 12 : 2}
+                    onLoad={setMapInstance}
+                    onUnmount={() => setMapInstance(null)}
+                  />
+                </CanvasPointLayer>
               </LoadScript>
             ) : (
               <div style={{ padding: 24, borderRadius: 8, backgroundColor: '#f3f4f6', textAlign: 'center' }}>
                 <p style={{ margin: 0 }}>Google Maps API key not configured.</p>
                 <p style={{ margin: 0, fontSize: 12, color: '#6b7280' }}>Set REACT_APP_GOOGLE_MAPS_API_KEY or NEXT_PUBLIC_GOOGLE_MAPS_API_KEY to enable map.</p>
+                <button
+                  onClick={() => changeMapProvider('leaflet')}
+                  style={{ marginTop: 8, padding: '4px 10px', borderRadius: 6, fontSize: 12, border: 'none', cursor: 'pointer', backgroundColor: '#e5e7eb', color: '#374151' }}
+                >
+                  Use the offline map
+                </button>
+              </div>
+            )}
+            {mapLayer === 'bins' && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: '4px', marginTop: '8px', fontSize: '11px', color: '#6b7280' }}>
+                <span>{binLegend(binColorBy).label}: {binLegend(binColorBy).min}{binLegend(binColorBy).unit}</span>
+                {binLegend(binColorBy).colors.map(color => (
+                  <span key={color} style={{ width: 18, height: 10, backgroundColor: color, opacity: 0.65 }} />
+                ))}
+                <span>{binLegend(binColorBy).max}{binLegend(binColorBy).unit}</span>
+                <span style={{ marginLeft: '8px' }}>{binning ? `${binning.bins.length.toLocaleString()} bins · click one for its statistics` : ''}</span>
               </div>
             )}
+            {mapLayer === 'bins' && selectedBin && (
+              <BinDetails bin={selectedBin} sizeMeters={binning.sizeMeters} shape={binning.shape} onClose={() => setSelectedBinKey(null)} />
+            )}
+            {route && (
+              <RoutePlaybackBar
+                route={route}
+                time={playbackTime}
+                playing={playing}
+                speed={playbackSpeed}
+                gaps={routeGaps}
+                onTime={(t) => {
+                  setPlaying(false);
+                  setPlaybackTime(t);
+                }}
+                onPlayToggle={togglePlayback}
+                onSpeed={setPlaybackSpeed}
+                onGaps={setRouteGaps}
+              />
+            )}
+            <SpatialAreasPanel
+              areas={savedAreas}
+              activeIds={activeAreaIds}
+              comparison={areaComparison}
+              baseline={areaBaseline}
+              drawMode={drawMode}
+              pendingArea={pendingArea}
+              onDrawMode={setDrawMode}
+              onSavePending={savePendingArea}
+              onDiscardPending={() => setPendingArea(null)}
+              onToggle={toggleArea}
+              onDelete={deleteArea}
+              onClearFilter={() => setActiveAreaIds([])}
+            />
           </div>
 
           <div style={{ backgroundColor: 'white', borderRadius: '8px', padding: '16px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
@@ -1026,7 +1645,8 @@ const isValidCoordinate = (lat, lng) => {
                   </div>
                   <div style={{ textAlign: 'right' }}>
                     <div style={{ fontWeight: 700 }}>{pc.avgRsrp !== '—' ? `${pc.avgRsrp} dBm` : '—'}</div>
-                    <div style={{ fontSize: 12, color: '#6b7280' }}>{pc.avgThroughputKbps !== '—' ? `${Number(pc.avgThroughputKbps).toLocaleString()} kbps` : '—'}</div>
+                    <div style={{ fontSize: 12, color: '#6b7280' }}>DL {fmtKbps(pc.avgThroughputKbps)}</div>
+                    <div style={{ fontSize: 12, color: '#6b7280' }}>UL {fmtKbps(pc.avgUlThroughputKbps)}</div>
                   </div>
                 </div>
               ))}
@@ -1034,11 +1654,17 @@ const isValidCoordinate = (lat, lng) => {
 
             <hr style={{ margin: '12px 0' }} />
             <div>
-              <div style={{ fontSize: 12, color: '#6b7280' }}>Map markers colored by classification. Hover the pie or line charts to see more details.</div>
+              <div style={{ fontSize: 12, color: '#6b7280' }}>Map points colored by classification; hollow points have imputed values. Hover a point, the pie or line charts to see more details.</div>
             </div>
           </div>
         </div>
 
+        {/* Problem Areas */}
+        <div style={{ backgroundColor: 'white', borderRadius: '8px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+          <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#111827', margin: '0 0 16px 0' }}>🚩 Problem Areas</h3>
+          <ProblemAreasPanel events={problemEvents} rules={problemRules} selectedId={selectedProblemId} onRulesChange={updateProblemRules} onSelect={focusProblem} />
+        </div>
+
         {/* Charts Row 1 */}
         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px', marginBottom: '24px' }}>
           {/* Hourly Class 1 Performance */}
@@ -1046,23 +1672,28 @@ const isValidCoordinate = (lat, lng) => {
             <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#111827', margin: '0 0 16px 0' }}>
               ⏰ Hourly Class 1 Coverage Analysis
             </h3>
+            <p style={{ fontSize: '12px', color: '#6b7280', margin: '-8px 0 12px 0' }}>Click an hour or drag across hours to filter</p>
             <ResponsiveContainer width="100%" height={300}>
-              <LineChart data={hourlyData}>
+              <LineChart data={hourlyData} {...hourBrush.handlers} style={{ cursor: 'pointer', userSelect: 'none' }}>
                 <CartesianGrid strokeDasharray="3 3" />
                 <XAxis dataKey="hour" />
                 <YAxis />
                 <Tooltip
                   formatter={(value, name) => {
                     if (name === 'class1Percentage') return [`${value.toFixed ? value.toFixed(1) : value}%`, 'Class 1 %'];
-                    if (name === 'avgRSRP') return [`${value.toFixed ? value.toFixed(1) : value} dBm`, 'Avg RSRP'];
-                    if (name === 'avgThroughputKbps') return [`${Math.round(value).toLocaleString()} kbps`, 'Avg Throughput'];
+                    if (name === 'avgRSRP') return [value === null ? '—' : `${value.toFixed ? value.toFixed(1) : value} dBm`, 'Avg RSRP'];
+                    if (name === 'avgThroughputKbps') return [fmtKbps(value), 'Avg DL Throughput'];
+                    if (name === 'avgUlThroughputKbps') return [fmtKbps(value), 'Avg UL Throughput'];
                     return [value, name];
                   }}
                 />
                 <Legend />
+                {selectionMarks(hourSelections, (h) => `${h}:00`)}
+                {cursorRow && <ReferenceLine x={`${cursorRow.hour}:00`} stroke="#111827" strokeDasharray="4 2" label={{ value: '▶', position: 'top', fontSize: 12 }} />}
                 <Line type="monotone" dataKey="class1Percentage" stroke="#10B981" strokeWidth={3} name="Class 1 %" dot={false} />
                 <Line type="monotone" dataKey="avgRSRP" stroke="#2563eb" strokeWidth={2} name="Avg RSRP (dBm)" yAxisId={1} dot={false} />
-                <Line type="monotone" dataKey="avgThroughputKbps" stroke="#8B5CF6" strokeWidth={2} name="Throughput (kbps)" dot={false} />
+                <Line type="monotone" dataKey="avgThroughputKbps" stroke="#8B5CF6" strokeWidth={2} name="DL Throughput (kbps)" dot={false} />
+                <Line type="monotone" dataKey="avgUlThroughputKbps" stroke="#F97316" strokeWidth={2} name="UL Throughput (kbps)" dot={false} />
               </LineChart>
             </ResponsiveContainer>
           </div>
@@ -1081,9 +1712,11 @@ const isValidCoordinate = (lat, lng) => {
                   outerRadius={100}
                   fill="#8884d8"
                   dataKey="value"
+                  onClick={(_, index) => selectChip({ kind: 'signalClass', value: signalClassData[index].cls, label: signalClassData[index].name })}
+                  style={{ cursor: 'pointer' }}
                 >
                   {signalClassData.map((entry, index) => (
-                    <Cell key={`cell-${index}`} fill={entry.color} />
+                    <Cell key={`cell-${index}`} fill={entry.color} fillOpacity={selectedClasses.length && !selectedClasses.includes(entry.cls) ? 0.3 : 1} />
                   ))}
                 </Pie>
                 <Tooltip formatter={(value, name) => [`${value}`, 'Measurements']} />
@@ -1099,12 +1732,31 @@ const isValidCoordinate = (lat, lng) => {
             <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#111827', margin: '0 0 16px 0' }}>
               📅 Daily Class 1 Performance Trend
             </h3>
+            {dailyData.length > 0 && (
+              <p style={{ fontSize: '12px', color: '#6b7280', margin: '-8px 0 12px 0' }}>
+                {dailyData[0].fullDate} – {dailyData[dailyData.length - 1].fullDate} · click a day or drag across days to filter
+              </p>
+            )}
             <ResponsiveContainer width="100%" height={300}>
-              <AreaChart data={dailyData}>
+              <AreaChart data={dailyData} {...dayBrush.handlers} style={{ cursor: 'pointer', userSelect: 'none' }}>
                 <CartesianGrid strokeDasharray="3 3" />
                 <XAxis dataKey="date" />
                 <YAxis />
-                <Tooltip formatter={(value) => [`${value.toFixed ? value.toFixed(1) : value}%`, 'Class 1 Coverage']} />
+                <Tooltip
+                  labelFormatter={(label, payload) => payload?.[0]?.payload?.fullDate || label}
+                  formatter={(value) => [`${value.toFixed ? value.toFixed(1) : value}%`, 'Class 1 Coverage']}
+                />
+                {selectionMarks(daySelections, (i) => dailyData[i].date)}
+                {dailyBreachLines.map(t => (
+                  <ReferenceLine
+                    key={t.id}
+                    y={t.threshold}
+                    ifOverflow="extendDomain"
+                    stroke="#EF4444"
+                    strokeDasharray="6 3"
+                    label={{ value: `Target ${t.threshold}%${t.technology && t.technology !== 'All' ? ` (${t.technology})` : ''} breached`, position: 'insideTopRight', fontSize: 11, fill: '#b91c1c' }}
+                  />
+                ))}
                 <Area type="monotone" dataKey="class1Percentage" stroke="#3B82F6" fill="#3B82F6" fillOpacity={0.18} />
               </AreaChart>
             </ResponsiveContainer>
@@ -1119,9 +1771,9 @@ const isValidCoordinate = (lat, lng) => {
                 <XAxis type="number" />
                 <YAxis dataKey="name" type="category" />
                 <Tooltip formatter={(value) => [value, 'Measurements']} />
-                <Bar dataKey="value">
+                <Bar dataKey="value" onClick={(_, index) => selectChip({ kind: 'technology', value: techData[index].name, label: techData[index].name })} style={{ cursor: 'pointer' }}>
                   {techData.map((entry, index) => (
-                    <Cell key={`tech-${index}`} fill={entry.color} />
+                    <Cell key={`tech-${index}`} fill={entry.color} fillOpacity={selectedTechs.length && !selectedTechs.includes(entry.name) ? 0.3 : 1} />
                   ))}
                 </Bar>
               </BarChart>
@@ -1129,32 +1781,45 @@ const isValidCoordinate = (lat, lng) => {
           </div>
         </div>
 
+        {/* Anomalies: fed before the chart chips, which would cut the series the baselines need */}
+        <div style={{ backgroundColor: 'white', borderRadius: '8px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+          <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#111827', margin: '0 0 16px 0' }}>📈 Anomalies</h3>
+          <AnomalyPanel rows={areaData} onApplyFilter={(chips) => setCrossFilters(current => replaceKinds(current, chips))} />
+        </div>
+
+        {/* Distributions */}
+        <div style={{ backgroundColor: 'white', borderRadius: '8px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+          <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#111827', margin: '0 0 16px 0' }}>📊 Distributions</h3>
+          <DistributionPanel rows={filteredData} sessions={visibleSessions} areas={savedAreas} />
+        </div>
+
+        {/* Metric Correlation */}
+        <div style={{ backgroundColor: 'white', borderRadius: '8px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+          <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#111827', margin: '0 0 16px 0' }}>🔗 Metric Correlation</h3>
+          <ScatterPanel rows={filteredData} classColors={classColors} highlightCount={highlightedRows.length} onHighlight={highlightRows} />
+        </div>
+
+        {/* Radio Breakdown */}
+        <div style={{ backgroundColor: 'white', borderRadius: '8px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+          <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#111827', margin: '0 0 16px 0' }}>📡 Band, PCI &amp; Serving Cells</h3>
+          <RadioBreakdown rows={filteredData} />
+        </div>
+
+        {/* Session Comparison */}
+        <div style={{ backgroundColor: 'white', borderRadius: '8px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', marginBottom: '24px' }}>
+          <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#111827', margin: '0 0 16px 0' }}>🔀 Session Comparison</h3>
+          <SessionComparison sessions={sessions} signalProfile={signalProfile} selectedTech={selectedTech} />
+        </div>
+
         {/* Analysis Summary */}
         <div style={{ backgroundColor: 'white', borderRadius: '8px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' }}>
           <h3 style={{ fontSize: '18px', fontWeight: '600', color: '#111827', margin: '0 0 16px 0' }}>Analysis Summary</h3>
-          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '24px' }}>
-            <div style={{ padding: '16px', backgroundColor: '#dbeafe', borderRadius: '8px' }}>
-              <h4 style={{ fontWeight: '600', color: '#1e40af', margin: '0 0 8px 0' }}>Peak Performance Hours</h4>
-              <p style={{ fontSize: '14px', color: '#1e3a8a', margin: 0 }}>
-                Best Class 1 coverage typically occurs during early morning hours (2:00-6:00) with coverage above 80%.
-              </p>
-            </div>
-            <div style={{ padding: '16px', backgroundColor: '#fef3c7', borderRadius: '8px' }}>
-              <h4 style={{ fontWeight: '600', color: '#92400e', margin: '0 0 8px 0' }}>Optimization Opportunities</h4>
-              <p style={{ fontSize: '14px', color: '#92400e', margin: 0 }}>
-                Peak hours (8:00-18:00) show increased signal degradation, suggesting need for capacity optimization.
-              </p>
-            </div>
-            <div style={{ padding: '16px', backgroundColor: '#d1fae5', borderRadius: '8px' }}>
-              <h4 style={{ fontWeight: '600', color: '#166534', margin: '0 0 8px 0' }}>Monthly Target</h4>
-              <p style={{ fontSize: '14px', color: '#166534', margin: 0 }}>
-                Current Class 1 coverage of {class1Percentage}% meets the target threshold for excellent network performance.
-              </p>
-              <p style={{ fontSize: 12, color: '#065f46', marginTop: 8 }}>
-                Change vs previous day: <strong style={{ color: Number(dayChangePercent) >= 0 ? '#065f46' : '#b91c1c' }}>{dayChangePercent}%</strong>
-              </p>
-            </div>
-          </div>
+          <AnalysisSummary
+            findings={findings}
+            target={class1Target}
+            onTargetChange={changeClass1Target}
+            onApplyFilter={(chips) => setCrossFilters(current => replaceKinds(current, chips))}
+          />
         </div>
 
         {/* -------- Floating AI Button + Chat Panel -------- */}
@@ -1205,6 +1870,13 @@ const isValidCoordinate = (lat, lng) => {
               <div>
                 <strong>AI Assistant</strong>
                 <div style={{ fontSize: 12, color: '#6b7280' }}>{dataSource === 'csv' ? 'Using your CSV' : 'Using demo data'}</div>
+                <ChatThreadBar
+                  thread={{ key: chatThreadKey, label: chatThreadLabel, messages: aiMessages }}
+                  savedThreads={Object.values(chatThreads)}
+                  currentKey={selectionThreadKey}
+                  onOpen={openChatThread}
+                  onClear={clearChatThread}
+                />
               </div>
               <div style={{ fontSize: 12, color: '#6b7280' }}>
                 {filteredData.length.toLocaleString()} rows
@@ -1212,21 +1884,57 @@ const isValidCoordinate = (lat, lng) => {
             </div>
 
             <div ref={aiPanelRef} style={{ padding: 12, flex: 1, overflowY: 'auto', background: '#fafafa' }}>
-              {aiMessages.map((m, i) => (
+              {aiMessages.map((m, i) => (m.role === 'tool' ? (
+                <div key={i} style={{ marginBottom: 6, maxWidth: '80%', fontSize: 11, background: '#f3f4f6', border: '1px solid #e5e7eb', borderRadius: 8, padding: '6px 8px' }}>
+                  <div style={{ fontFamily: 'monospace', color: '#374151', wordBreak: 'break-word' }}>
+                    🛠 {m.name}({Object.entries(m.args).map(([k, v]) => `${k}: ${JSON.stringify(v)}`).join(', ')})
+                  </div>
+                  <details style={{ marginTop: 2 }}>
+                    <summary style={{ cursor: 'pointer', color: m.result.error ? '#b91c1c' : '#6b7280' }}>
+                      {m.result.error ? `Error: ${m.result.error}` : 'Result'}
+                    </summary>
+                    <pre style={{ margin: '4px 0 0 0', maxHeight: 160, overflow: 'auto', fontSize: 10 }}>{JSON.stringify(m.result, null, 2)}</pre>
+                  </details>
+                </div>
+              ) : (
                 <div key={i} style={{ marginBottom: 10, display: 'flex', justifyContent: m.role === 'user' ? 'flex-end' : 'flex-start' }}>
                   <div style={{
                     maxWidth: '80%',
+                    width: m.payload && m.payload.type !== 'map' ? '80%' : undefined,
                     padding: '8px 10px',
                     borderRadius: 10,
-                    background: m.role === 'user' ? '#111827' : 'white',
-                    color: m.role === 'user' ? 'white' : '#111827',
+                    background: m.role === 'user' ? '#111827' : m.error ? '#fef2f2' : 'white',
+                    color: m.role === 'user' ? 'white' : m.error ? '#b91c1c' : '#111827',
                     whiteSpace: 'pre-wrap',
-                    border: m.role === 'user' ? 'none' : '1px solid #e5e7eb'
+                    border: m.role === 'user' ? 'none' : m.error ? '1px solid #fecaca' : '1px solid #e5e7eb'
                   }}>
+                    {m.source && <div style={{ fontSize: 11, color: '#6b7280', marginBottom: 4 }}>{m.source}{m.pending ? ' · thinking…' : ''}</div>}
                     {m.text}
+                    {m.unverified && m.unverified.length > 0 && (
+                      <div style={{ marginTop: 6, fontSize: 11, color: '#b45309' }}>⚠ Not found in the data or tool results: {m.unverified.join(', ')}</div>
+                    )}
+                    {m.payload && (
+                      <div style={{ marginTop: 8 }}>
+                        <AssistantResult payload={m.payload} compact onSelectRow={(key) => showAnswerOnMap(m.query, key)} />
+                      </div>
+                    )}
+                    {m.query && m.query.intent !== 'columns' && (
+                      <div style={{ display: 'flex', gap: 10, marginTop: 6 }}>
+                        <button onClick={() => showAnswerOnMap(m.query)} style={chatLinkStyle}>📍 Show on map</button>
+                        <button onClick={() => pinAnswer(m.query)} style={chatLinkStyle}>📌 Pin to dashboard</button>
+                      </div>
+                    )}
+                    {m.query && <QueryEditor query={m.query} sectors={sectorNames} onRun={rerunAssistantQuery} />}
+                    {m.role === 'user' && m.snapshot && (
+                      <div style={{ marginTop: 4, fontSize: 10, color: '#d1d5db', whiteSpace: 'normal' }}>
+                        🕒 {new Date(m.snapshot.takenAt).toLocaleString()} · {describeSnapshot(m.snapshot)}
+                        {' '}
+                        <button onClick={() => askAssistant(m.text)} style={{ ...chatLinkStyle, color: '#93c5fd', fontSize: '10px' }}>↻ Rerun on current data</button>
+                      </div>
+                    )}
                   </div>
                 </div>
-              ))}
+              )))}
             </div>
 
             <div style={{ padding: 10, borderTop: '1px solid #f3f4f6', display: 'flex', gap: 8 }}>
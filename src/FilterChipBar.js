@@ -0,0 +1,46 @@
+import React from 'react';
+
+/* -------------------------
+  Active filter chips (chart selections and ticked map areas), each with
+  a remove button, plus clear-all. Sticks to the top of the page so it
+  stays in view while clicking the charts further down.
+--------------------------*/
+const chipStyle = {
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '6px',
+  padding: '4px 6px 4px 10px',
+  borderRadius: '9999px',
+  fontSize: '12px',
+  backgroundColor: '#dbeafe',
+  color: '#1e40af'
+};
+
+const FilterChipBar = ({ chips, onRemove, onClear }) => {
+  if (!chips.length) return null;
+  return (
+    <div style={{ position: 'sticky', top: 0, zIndex: 1100, display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', backgroundColor: 'white', borderRadius: '8px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', padding: '12px 16px', marginBottom: '24px' }}>
+      <span style={{ fontSize: '12px', fontWeight: 500, color: '#6b7280' }}>Filters:</span>
+      {chips.map(chip => (
+        <span key={chip.key} style={chipStyle}>
+          {chip.label}
+          <button
+            onClick={() => onRemove(chip)}
+            title="Remove filter"
+            style={{ border: 'none', background: 'none', cursor: 'pointer', color: '#1e40af', padding: 0, fontSize: '12px' }}
+          >
+            ✕
+          </button>
+        </span>
+      ))}
+      <button
+        onClick={onClear}
+        style={{ marginLeft: 'auto', padding: '4px 8px', border: 'none', borderRadius: '6px', backgroundColor: '#e5e7eb', cursor: 'pointer', fontSize: '12px' }}
+      >
+        Clear all
+      </button>
+    </div>
+  );
+};
+
+export default FilterChipBar;
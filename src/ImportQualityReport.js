@@ -0,0 +1,75 @@
+import React from 'react';
+import { QUALITY_FIELDS, QUALITY_POLICIES, fieldIssueCount } from './csvNormaliser';
+
+/* -------------------------
+  Import-quality report
+   Per-field counts of missing / unparseable / out-of-range values with
+   example row numbers, plus the drop / null / impute choice per field.
+   Without a report it only shows the policy choices for the next import.
+--------------------------*/
+const POLICY_LABELS = { drop: 'Drop row', null: 'Leave empty', impute: 'Impute' };
+
+const cellStyle = { padding: '6px', fontSize: '12px', verticalAlign: 'top' };
+
+const examplesText = (f) => {
+  const parts = [];
+  if (f.examples.missing.length) parts.push(`missing: ${f.examples.missing.join(', ')}`);
+  if (f.examples.unparseable.length) parts.push(`unparseable: ${f.examples.unparseable.join(', ')}`);
+  if (f.examples.outOfRange.length) parts.push(`out of range: ${f.examples.outOfRange.join(', ')}`);
+  return parts.join(' · ') || '—';
+};
+
+const ImportQualityReport = ({ report, policies, onPolicyChange }) => (
+  <div>
+    {report && (
+      <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', fontSize: '13px', color: '#374151', marginBottom: '12px' }}>
+        <span><strong>{report.totalRows.toLocaleString()}</strong> rows read</span>
+        <span><strong>{report.keptRows.toLocaleString()}</strong> kept</span>
+        <span style={{ color: report.droppedRows ? '#b91c1c' : undefined }}><strong>{report.droppedRows.toLocaleString()}</strong> dropped</span>
+        <span style={{ color: report.imputedRows ? '#92400e' : undefined }}><strong>{report.imputedRows.toLocaleString()}</strong> with imputed values</span>
+        <span style={{ color: report.jitteredRows ? '#92400e' : undefined }}><strong>{report.jitteredRows.toLocaleString()}</strong> with jittered positions</span>
+      </div>
+    )}
+    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+      <thead>
+        <tr style={{ textAlign: 'left', color: '#6b7280' }}>
+          <th style={cellStyle}>Field</th>
+          {report && <th style={cellStyle}>Missing</th>}
+          {report && <th style={cellStyle}>Unparseable</th>}
+          {report && <th style={cellStyle}>Out of range</th>}
+          {report && <th style={cellStyle}>Example rows</th>}
+          <th style={cellStyle}>When unusable</th>
+        </tr>
+      </thead>
+      <tbody>
+        {QUALITY_FIELDS.map(field => {
+          const f = report && report.fields[field.key];
+          return (
+            <tr key={field.key} style={{ borderTop: '1px solid #f3f4f6', backgroundColor: f && fieldIssueCount(f) ? '#fffbeb' : undefined }}>
+              <td style={cellStyle}>
+                {field.label}
+                {f && !f.mapped && <div style={{ fontSize: '11px', color: '#b91c1c' }}>not mapped</div>}
+              </td>
+              {f && <td style={cellStyle}>{f.missing.toLocaleString()}</td>}
+              {f && <td style={cellStyle}>{f.unparseable.toLocaleString()}</td>}
+              {f && <td style={cellStyle}>{f.outOfRange.toLocaleString()}</td>}
+              {f && <td style={{ ...cellStyle, color: '#6b7280' }}>{examplesText(f)}</td>}
+              <td style={cellStyle}>
+                <select
+                  value={policies[field.key]}
+                  onChange={(e) => onPolicyChange(field.key, e.target.value)}
+                  title={`Impute uses the ${field.impute}`}
+                  style={{ padding: '2px 6px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+                >
+                  {QUALITY_POLICIES.map(p => <option key={p} value={p}>{POLICY_LABELS[p]}</option>)}
+                </select>
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  </div>
+);
+
+export default ImportQualityReport;
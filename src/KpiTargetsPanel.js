@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { TARGET_METRICS, formatMetric, newTarget, targetMetric } from './kpiTargets';
+
+/* -------------------------
+  SLA compliance: every KPI target with its current value, margin,
+  status and a pass/fail strip over the last days, editable in place
+--------------------------*/
+const STATUS = {
+  pass: { label: 'Met', backgroundColor: '#d1fae5', color: '#166534' },
+  fail: { label: 'Breached', backgroundColor: '#fee2e2', color: '#991b1b' },
+  nodata: { label: 'No data', backgroundColor: '#f3f4f6', color: '#6b7280' }
+};
+const TREND_COLORS = { true: '#10B981', false: '#EF4444', null: '#D1D5DB' };
+
+const inputStyle = { padding: '2px 4px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' };
+const cellStyle = { padding: '6px', verticalAlign: 'middle' };
+
+const scopeValue = (scope) => (!scope ? '' : scope.kind === 'area' ? `area:${scope.id}` : `sector:${scope.value}`);
+const parseScope = (value) => {
+  if (!value) return null;
+  const [kind, ...rest] = value.split(':');
+  return kind === 'area' ? { kind, id: rest.join(':') } : { kind, value: rest.join(':') };
+};
+
+// what is typed stays on screen (blank, a lone "-"), but only a finite
+// number is passed on; leaving the field shows the target's value again
+const NumberField = ({ value, onCommit, style }) => {
+  const [draft, setDraft] = useState(null);
+  const onChange = (e) => {
+    setDraft(e.target.value);
+    const n = e.target.value === '' ? NaN : Number(e.target.value);
+    if (Number.isFinite(n)) onCommit(n);
+  };
+  return <input type="number" value={draft === null ? value : draft} onChange={onChange} onBlur={() => setDraft(null)} style={style} />;
+};
+
+const KpiTargetsPanel = ({ targets, evaluations, areas, sectors, onChange }) => {
+  const [newMetric, setNewMetric] = useState(TARGET_METRICS[0].key);
+  const update = (id, patch) => onChange(targets.map(t => (t.id === id ? { ...t, ...patch } : t)));
+
+  return (
+    <div style={{ fontSize: '13px' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ color: '#6b7280', textAlign: 'left', fontSize: '12px' }}>
+            <th style={cellStyle}>Target</th>
+            <th style={cellStyle}>Technology</th>
+            <th style={cellStyle}>Scope</th>
+            <th style={{ ...cellStyle, textAlign: 'right' }}>Value</th>
+            <th style={{ ...cellStyle, textAlign: 'right' }}>Margin</th>
+            <th style={cellStyle}>Status</th>
+            <th style={cellStyle}>By day</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {targets.map(target => {
+            const metric = targetMetric(target);
+            const result = evaluations[target.id];
+            const status = STATUS[result.status];
+            return (
+              <tr key={target.id} style={{ borderTop: '1px solid #f3f4f6' }}>
+                <td style={cellStyle}>
+                  {metric.label}{' '}
+                  {metric.kind === 'share' && (
+                    <>
+                      <NumberField value={target.level} onCommit={(level) => update(target.id, { level })} style={{ ...inputStyle, width: '56px' }} />
+                      {metric.levelUnit}{' in '}
+                    </>
+                  )}
+                  ≥{' '}
+                  <NumberField value={target.threshold} onCommit={(threshold) => update(target.id, { threshold })} style={{ ...inputStyle, width: '64px' }} />
+                  {metric.kind === 'share' ? '% of samples' : metric.unit}
+                </td>
+                <td style={cellStyle}>
+                  <select value={target.technology || 'All'} onChange={(e) => update(target.id, { technology: e.target.value })} style={inputStyle}>
+                    <option value="All">All</option>
+                    <option value="5G">5G</option>
+                    <option value="4G">4G</option>
+                  </select>
+                </td>
+                <td style={cellStyle}>
+                  <select value={scopeValue(target.scope)} onChange={(e) => update(target.id, { scope: parseScope(e.target.value) })} style={{ ...inputStyle, maxWidth: '160px' }}>
+                    <option value="">Everywhere</option>
+                    {areas.length > 0 && (
+                      <optgroup label="Areas">
+                        {areas.map(a => <option key={a.id} value={`area:${a.id}`}>{a.name}</option>)}
+                      </optgroup>
+                    )}
+                    {sectors.length > 0 && (
+                      <optgroup label="Sectors">
+                        {sectors.map(s => <option key={s} value={`sector:${s}`}>{s}</option>)}
+                      </optgroup>
+                    )}
+                    {target.scope && target.scope.kind === 'area' && !areas.some(a => a.id === target.scope.id) && (
+                      <option value={scopeValue(target.scope)}>Deleted area</option>
+                    )}
+                  </select>
+                </td>
+                <td style={{ ...cellStyle, textAlign: 'right' }}>{formatMetric(target, result.value)}</td>
+                <td style={{ ...cellStyle, textAlign: 'right', color: result.margin === null ? '#6b7280' : result.margin >= 0 ? '#166534' : '#991b1b' }}>
+                  {result.margin === null ? '—' : `${result.margin >= 0 ? '+' : ''}${result.margin.toFixed(metric.digits)}${metric.kind === 'share' || metric.key === 'class1' ? ' pp' : metric.unit}`}
+                </td>
+                <td style={cellStyle}>
+                  <span style={{ padding: '2px 8px', borderRadius: '9999px', fontSize: '12px', fontWeight: 500, backgroundColor: status.backgroundColor, color: status.color }}>{status.label}</span>
+                </td>
+                <td style={cellStyle}>
+                  <div style={{ display: 'flex', gap: '2px' }}>
+                    {result.trend.map(d => (
+                      <span
+                        key={d.day}
+                        title={`${d.day}: ${formatMetric(target, d.value)}`}
+                        style={{ width: '8px', height: '16px', borderRadius: '2px', backgroundColor: TREND_COLORS[d.pass] }}
+                      />
+                    ))}
+                  </div>
+                </td>
+                <td style={{ ...cellStyle, textAlign: 'right' }}>
+                  <button onClick={() => onChange(targets.filter(t => t.id !== target.id))} title="Delete target" style={{ border: 'none', background: 'none', cursor: 'pointer', color: '#6b7280' }}>✕</button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '12px', fontSize: '12px' }}>
+        <select value={newMetric} onChange={(e) => setNewMetric(e.target.value)} style={{ ...inputStyle, padding: '4px 6px' }}>
+          {TARGET_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}{m.kind === 'share' ? ' …' : ''}</option>)}
+        </select>
+        <button
+          onClick={() => onChange([...targets, newTarget(newMetric)])}
+          style={{ padding: '4px 10px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', backgroundColor: '#2563eb', color: 'white' }}
+        >
+          Add target
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default KpiTargetsPanel;
@@ -0,0 +1,82 @@
+import React, { useEffect, useRef, useState } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+
+/* -------------------------
+  Offline map backend (Leaflet)
+   Needs no API key and no internet when the basemap is served locally:
+   - REACT_APP_OFFLINE_TILE_URL: XYZ template such as /tiles/{z}/{x}/{y}.png
+     (an exported tile directory under public/, or an MBTiles file behind a
+     local tile server)
+   - REACT_APP_OFFLINE_BASEMAP_URL: GeoJSON of the drive area (roads, suburbs)
+     drawn as a plain vector basemap
+   With neither set, the points are drawn on a blank background.
+--------------------------*/
+export const OFFLINE_TILE_URL = process.env.REACT_APP_OFFLINE_TILE_URL || '';
+export const OFFLINE_BASEMAP_URL = process.env.REACT_APP_OFFLINE_BASEMAP_URL || '';
+const OFFLINE_MAX_ZOOM = Number(process.env.REACT_APP_OFFLINE_MAX_ZOOM) || 18;
+
+const BASEMAP_STYLE = { color: '#9ca3af', weight: 1, fillColor: '#e5e7eb', fillOpacity: 0.4 };
+
+const LeafletMap = ({ style, center, zoom, onLoad, onUnmount }) => {
+  const containerRef = useRef(null);
+  const mapRef = useRef(null);
+  const [basemapError, setBasemapError] = useState(null);
+  // the map is created once: later views reach it through the setView effect
+  // below, and the callbacks are read when the map loads and unloads
+  const initialViewRef = useRef({ center: [center.lat, center.lng], zoom });
+  const callbacksRef = useRef({ onLoad, onUnmount });
+  callbacksRef.current = { onLoad, onUnmount };
+
+  useEffect(() => {
+    const map = L.map(containerRef.current, { ...initialViewRef.current, maxZoom: OFFLINE_MAX_ZOOM });
+    mapRef.current = map;
+    if (OFFLINE_TILE_URL) {
+      L.tileLayer(OFFLINE_TILE_URL, { maxZoom: OFFLINE_MAX_ZOOM, attribution: 'Local tiles' }).addTo(map);
+    }
+
+    let cancelled = false;
+    if (OFFLINE_BASEMAP_URL) {
+      fetch(OFFLINE_BASEMAP_URL)
+        .then(res => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.json();
+        })
+        .then(geojson => {
+          if (!cancelled) L.geoJSON(geojson, { style: BASEMAP_STYLE, interactive: false }).addTo(map);
+        })
+        .catch(err => {
+          console.warn('Could not load offline basemap:', err);
+          if (!cancelled) setBasemapError(err.message);
+        });
+    }
+
+    if (callbacksRef.current.onLoad) callbacksRef.current.onLoad(map);
+    return () => {
+      cancelled = true;
+      if (callbacksRef.current.onUnmount) callbacksRef.current.onUnmount(map);
+      map.remove();
+      mapRef.current = null;
+    };
+  }, []);
+
+  // follow the center/zoom props like GoogleMap does
+  useEffect(() => {
+    if (mapRef.current) mapRef.current.setView([center.lat, center.lng], zoom);
+  }, [center.lat, center.lng, zoom]);
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <div ref={containerRef} style={{ ...style, backgroundColor: '#f8fafc' }} />
+      {(!OFFLINE_TILE_URL && !OFFLINE_BASEMAP_URL) || basemapError ? (
+        <div style={{ position: 'absolute', left: 8, bottom: 8, zIndex: 1000, fontSize: 11, color: '#6b7280', backgroundColor: 'rgba(255,255,255,0.85)', padding: '2px 6px', borderRadius: 4 }}>
+          {basemapError
+            ? `Offline basemap failed to load (${basemapError}).`
+            : 'No offline basemap configured (REACT_APP_OFFLINE_TILE_URL / REACT_APP_OFFLINE_BASEMAP_URL).'}
+        </div>
+      ) : null}
+    </div>
+  );
+};
+
+export default LeafletMap;
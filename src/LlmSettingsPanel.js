@@ -0,0 +1,89 @@
+import React from 'react';
+import { AUTH_STYLES, LLM_PRESETS, applyLlmPreset, llmSettingsProblem } from './llmProviders';
+
+/* -------------------------
+  Which language model refines the assistant's answers: a preset, then
+  the URL, model, auth style and key it needs. The key stays in memory
+  for this visit only.
+--------------------------*/
+const inputStyle = { width: '100%', padding: 6, border: '1px solid #d1d5db', borderRadius: 6, fontSize: 13, boxSizing: 'border-box' };
+const labelStyle = { display: 'flex', flexDirection: 'column', gap: 4, fontSize: 12, color: '#6b7280' };
+
+const LlmSettingsPanel = ({ settings, apiKey, onChange, onApiKeyChange }) => {
+  const change = (patch) => onChange({ ...settings, ...patch });
+  const problem = llmSettingsProblem(settings, apiKey);
+  const isMock = settings.adapter === 'mock';
+
+  return (
+    <div style={{ marginTop: 8, display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 8 }}>
+      <label style={labelStyle}>
+        Provider
+        <select value={settings.preset} onChange={(e) => onChange(applyLlmPreset(settings, e.target.value))} style={inputStyle}>
+          {LLM_PRESETS.map(p => <option key={p.preset} value={p.preset}>{p.label}</option>)}
+        </select>
+      </label>
+      <label style={labelStyle}>
+        Model
+        <input value={settings.model} onChange={(e) => change({ model: e.target.value.trim() })} style={inputStyle} />
+      </label>
+      {!isMock && (
+        <>
+          <label style={{ ...labelStyle, gridColumn: 'span 2' }}>
+            Base URL
+            <input value={settings.baseUrl} onChange={(e) => change({ baseUrl: e.target.value.trim() })} placeholder="https://host/v1" style={inputStyle} />
+          </label>
+          <label style={labelStyle}>
+            Auth
+            <select value={settings.auth} onChange={(e) => change({ auth: e.target.value })} style={inputStyle}>
+              {AUTH_STYLES.map(a => <option key={a.key} value={a.key}>{a.label}</option>)}
+            </select>
+          </label>
+          {settings.auth === 'header' ? (
+            <label style={labelStyle}>
+              Header name
+              <input value={settings.authHeader} onChange={(e) => change({ authHeader: e.target.value.trim() })} placeholder="api-key" style={inputStyle} />
+            </label>
+          ) : <span />}
+          {settings.auth !== 'none' && (
+            <label style={{ ...labelStyle, gridColumn: 'span 2' }}>
+              {settings.adapter === 'watsonx' ? 'IAM access token' : 'API key'}
+              <input type="password" value={apiKey} onChange={(e) => onApiKeyChange(e.target.value)} style={inputStyle} />
+            </label>
+          )}
+          {settings.adapter === 'watsonx' && (
+            <label style={{ ...labelStyle, gridColumn: 'span 2' }}>
+              Project ID
+              <input value={settings.projectId} onChange={(e) => change({ projectId: e.target.value.trim() })} style={inputStyle} />
+            </label>
+          )}
+        </>
+      )}
+      <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: '#374151' }}>
+        <input type="checkbox" checked={settings.stream} onChange={(e) => change({ stream: e.target.checked })} />
+        Stream replies
+      </label>
+      <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: '#374151' }}>
+        Timeout
+        <input
+          type="number"
+          min="1"
+          value={settings.timeoutSeconds}
+          onChange={(e) => change({ timeoutSeconds: Math.max(1, Number(e.target.value) || 1) })}
+          style={{ ...inputStyle, width: 64 }}
+        />
+        s
+      </label>
+      <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: '#374151', gridColumn: 'span 2' }}>
+        <input type="checkbox" checked={settings.tools} onChange={(e) => change({ tools: e.target.checked })} />
+        Let the model run analytics on the data (needs a model with tool calling)
+      </label>
+      <p style={{ gridColumn: 'span 2', fontSize: 12, color: problem ? '#b45309' : '#6b7280', margin: 0 }}>
+        {problem || (isMock
+          ? 'The mock echoes your question back without any network call.'
+          : `Requests go straight from this browser to ${settings.baseUrl}; a local server must allow this page’s origin (CORS).`)}
+      </p>
+    </div>
+  );
+};
+
+export default LlmSettingsPanel;
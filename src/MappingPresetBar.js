@@ -0,0 +1,111 @@
+import React, { useRef, useState } from 'react';
+import {
+  BUILTIN_PRESETS,
+  exportPresetsJson,
+  loadSavedPresets,
+  parsePresetsJson,
+  presetFromMapping,
+  storeSavedPresets
+} from './mappingPresets';
+import { downloadText } from './download';
+
+/* -------------------------
+  Mapping preset picker
+   Applies a vendor preset to the current headers, saves the current
+   mapping (with its source units) as a preset and shares presets as JSON files.
+--------------------------*/
+const inputStyle = { padding: '4px 6px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' };
+const buttonStyle = { padding: '4px 10px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', backgroundColor: '#e5e7eb', color: '#374151' };
+
+const MappingPresetBar = ({ mapping, units, selectedPresetId, detectedPresetId, onSelectPreset }) => {
+  const [savedPresets, setSavedPresets] = useState(() => loadSavedPresets());
+  const [newName, setNewName] = useState('');
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const allPresets = [...BUILTIN_PRESETS, ...savedPresets];
+  const selected = allPresets.find(p => p.id === selectedPresetId);
+  const detected = allPresets.find(p => p.id === detectedPresetId);
+
+  const persist = (next) => {
+    setSavedPresets(next);
+    storeSavedPresets(next);
+  };
+
+  const saveCurrent = () => {
+    const name = newName.trim();
+    if (!name) return;
+    const preset = presetFromMapping(name, mapping, units);
+    persist([...savedPresets, preset]);
+    onSelectPreset(preset);
+    setNewName('');
+    setMessage(`Saved preset "${name}".`);
+  };
+
+  const deleteSelected = () => {
+    if (!selected || selected.builtin) return;
+    persist(savedPresets.filter(p => p.id !== selected.id));
+    onSelectPreset(null);
+  };
+
+  const exportPresets = () => {
+    // the selected user preset on its own, otherwise every saved one
+    const list = selected && !selected.builtin ? [selected] : savedPresets;
+    if (!list.length) {
+      setMessage('No saved presets to export.');
+      return;
+    }
+    downloadText(list.length === 1 ? `${list[0].name}.mapping.json` : 'mapping-presets.json', exportPresetsJson(list), 'application/json');
+  };
+
+  const importPresets = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const imported = parsePresetsJson(await file.text());
+      const ids = new Set(imported.map(p => p.id));
+      persist([...savedPresets.filter(p => !ids.has(p.id)), ...imported]);
+      setMessage(`Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}.`);
+    } catch (err) {
+      setMessage(`Could not import presets: ${err.message}`);
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: '12px', padding: '8px', backgroundColor: '#f9fafb', borderRadius: '6px' }}>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap' }}>
+        <label style={{ fontSize: '12px', color: '#6b7280' }}>Preset:</label>
+        <select
+          value={selectedPresetId || ''}
+          onChange={(e) => onSelectPreset(allPresets.find(p => p.id === e.target.value) || null)}
+          style={{ ...inputStyle, flex: 1 }}
+        >
+          <option value="">Auto-detect (generic)</option>
+          {allPresets.map(p => (
+            <option key={p.id} value={p.id}>{p.name}{p.builtin ? ' (built-in)' : ''}</option>
+          ))}
+        </select>
+        {selected && !selected.builtin && <button onClick={deleteSelected} style={{ ...buttonStyle, color: '#b91c1c' }}>Delete</button>}
+      </div>
+      {detected && (
+        <div style={{ fontSize: '11px', color: '#16a34a', marginTop: '4px' }}>Headers match the "{detected.name}" preset.</div>
+      )}
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap', marginTop: '6px' }}>
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="Save current mapping as…"
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <button onClick={saveCurrent} disabled={!newName.trim()} style={buttonStyle}>Save preset</button>
+        <button onClick={exportPresets} style={buttonStyle}>Export</button>
+        <button onClick={() => fileInputRef.current && fileInputRef.current.click()} style={buttonStyle}>Import</button>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={importPresets} style={{ display: 'none' }} />
+      </div>
+      {message && <div style={{ fontSize: '11px', color: '#6b7280', marginTop: '4px' }}>{message}</div>}
+    </div>
+  );
+};
+
+export default MappingPresetBar;
@@ -0,0 +1,169 @@
+import React, { useMemo, useState } from 'react';
+import { PROBLEM_TYPES, newProblemRule, problemType } from './problemAreas';
+
+/* -------------------------
+  Problem areas: the detection rules, editable in place, and the events
+  they found, ranked; clicking an event zooms the map to it
+--------------------------*/
+const LIST_LIMIT = 25;
+
+const SORTS = [
+  { key: 'severity', label: 'Severity' },
+  { key: 'seconds', label: 'Duration' },
+  { key: 'meters', label: 'Distance' },
+  { key: 'count', label: 'Samples' }
+];
+
+const inputStyle = { padding: '2px 4px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px', width: '56px' };
+const selectStyle = { padding: '4px 8px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' };
+const buttonStyle = { padding: '4px 10px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', backgroundColor: '#e5e7eb', color: '#374151' };
+const cellStyle = { padding: '6px', verticalAlign: 'middle' };
+
+const fmtDuration = (seconds) => {
+  const s = Math.round(seconds);
+  return s < 60 ? `${s} s` : `${Math.floor(s / 60)} min ${s % 60} s`;
+};
+const fmtDistance = (meters) => (meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(2)} km`);
+const fmtPlace = (event) => event.location || `${event.center.lat.toFixed(5)}, ${event.center.lng.toFixed(5)}`;
+
+const TypeBadge = ({ type }) => (
+  <span style={{ padding: '2px 8px', borderRadius: '9999px', fontSize: '11px', fontWeight: 600, whiteSpace: 'nowrap', color: 'white', backgroundColor: type.color }}>
+    {type.label}
+  </span>
+);
+
+const ProblemAreasPanel = ({ events, rules, selectedId, onRulesChange, onSelect }) => {
+  const [newType, setNewType] = useState(PROBLEM_TYPES[0].key);
+  const [sortKey, setSortKey] = useState('severity');
+  const [showAll, setShowAll] = useState(false);
+  const update = (id, patch) => onRulesChange(rules.map(r => (r.id === id ? { ...r, ...patch } : r)));
+  const numberInput = (rule, key) => (
+    <input type="number" value={rule[key]} onChange={(e) => update(rule.id, { [key]: Number(e.target.value) })} style={inputStyle} />
+  );
+
+  const countsByRule = useMemo(() => {
+    const counts = {};
+    events.forEach(e => {
+      counts[e.ruleId] = (counts[e.ruleId] || 0) + 1;
+    });
+    return counts;
+  }, [events]);
+
+  const ranked = useMemo(() => [...events].sort((a, b) => b[sortKey] - a[sortKey]), [events, sortKey]);
+  const shown = showAll ? ranked : ranked.slice(0, LIST_LIMIT);
+
+  return (
+    <div style={{ fontSize: '13px' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+        <thead>
+          <tr style={{ color: '#6b7280', textAlign: 'left', fontSize: '12px' }}>
+            <th style={cellStyle}>On</th>
+            <th style={cellStyle}>Rule</th>
+            <th style={cellStyle}>Sample is bad when</th>
+            <th style={cellStyle}>Lasting at least</th>
+            <th style={{ ...cellStyle, textAlign: 'right' }}>Events</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {rules.map(rule => {
+            const type = problemType(rule.type);
+            return (
+              <tr key={rule.id} style={{ borderTop: '1px solid #f3f4f6', opacity: rule.enabled ? 1 : 0.5 }}>
+                <td style={cellStyle}>
+                  <input type="checkbox" checked={rule.enabled} onChange={(e) => update(rule.id, { enabled: e.target.checked })} />
+                </td>
+                <td style={cellStyle}><TypeBadge type={type} /></td>
+                <td style={cellStyle}>
+                  {type.params.map((p, i) => (
+                    <span key={p.key} style={{ whiteSpace: 'nowrap', marginRight: '8px' }}>
+                      {i > 0 && 'and '}{p.label} {numberInput(rule, p.key)} {p.unit}
+                    </span>
+                  ))}
+                </td>
+                <td style={cellStyle}>
+                  <span style={{ whiteSpace: 'nowrap' }}>
+                    {numberInput(rule, 'minSeconds')} s or {numberInput(rule, 'minMeters')} m, {numberInput(rule, 'minSamples')} samples
+                  </span>
+                </td>
+                <td style={{ ...cellStyle, textAlign: 'right', fontWeight: 600 }}>{rule.enabled ? countsByRule[rule.id] || 0 : '—'}</td>
+                <td style={{ ...cellStyle, textAlign: 'right' }}>
+                  <button
+                    onClick={() => onRulesChange(rules.filter(r => r.id !== rule.id))}
+                    title="Delete rule"
+                    style={{ border: 'none', background: 'none', cursor: 'pointer', color: '#9ca3af', fontSize: '14px' }}
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px' }}>
+        <select value={newType} onChange={(e) => setNewType(e.target.value)} style={selectStyle}>
+          {PROBLEM_TYPES.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+        </select>
+        <button onClick={() => onRulesChange([...rules, newProblemRule(newType)])} style={buttonStyle}>+ Add rule</button>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', margin: '20px 0 8px 0' }}>
+        <h4 style={{ margin: 0, fontSize: '14px', color: '#374151' }}>{events.length.toLocaleString()} problem events</h4>
+        <span style={{ fontSize: '12px', color: '#6b7280', marginLeft: 'auto' }}>Rank by:</span>
+        <select value={sortKey} onChange={(e) => setSortKey(e.target.value)} style={selectStyle}>
+          {SORTS.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+        </select>
+      </div>
+
+      {!events.length ? (
+        <p style={{ fontSize: '13px', color: '#6b7280', margin: 0 }}>
+          No problem events in the current selection. Events need positioned samples; timestamps let consecutive samples join up.
+        </p>
+      ) : (
+        <>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ color: '#6b7280', textAlign: 'left', fontSize: '12px' }}>
+                <th style={cellStyle}>#</th>
+                <th style={cellStyle}>Type</th>
+                <th style={cellStyle}>Location</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>Duration</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>Distance</th>
+                <th style={{ ...cellStyle, textAlign: 'right' }}>Samples</th>
+                <th style={cellStyle}>Started</th>
+                <th style={cellStyle}>Likely cause</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shown.map((event, i) => (
+                <tr
+                  key={event.id}
+                  onClick={() => onSelect(event.id === selectedId ? null : event)}
+                  title="Zoom the map to this event"
+                  style={{ borderTop: '1px solid #f3f4f6', cursor: 'pointer', backgroundColor: event.id === selectedId ? '#eff6ff' : 'transparent' }}
+                >
+                  <td style={cellStyle}>{i + 1}</td>
+                  <td style={cellStyle}><TypeBadge type={problemType(event.type)} /></td>
+                  <td style={cellStyle}>{fmtPlace(event)}</td>
+                  <td style={{ ...cellStyle, textAlign: 'right', whiteSpace: 'nowrap' }}>{event.start === null ? '—' : fmtDuration(event.seconds)}</td>
+                  <td style={{ ...cellStyle, textAlign: 'right', whiteSpace: 'nowrap' }}>{fmtDistance(event.meters)}</td>
+                  <td style={{ ...cellStyle, textAlign: 'right' }}>{event.count.toLocaleString()}</td>
+                  <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>{event.start === null ? '—' : new Date(event.start).toLocaleString()}</td>
+                  <td style={{ ...cellStyle, color: '#4b5563' }}>{event.hint}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {ranked.length > LIST_LIMIT && (
+            <button onClick={() => setShowAll(!showAll)} style={{ ...buttonStyle, marginTop: '8px' }}>
+              {showAll ? `Show top ${LIST_LIMIT}` : `Show all ${ranked.length.toLocaleString()}`}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ProblemAreasPanel;
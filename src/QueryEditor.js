@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { AGGREGATIONS, GROUP_BYS, QUERY_METRICS, describeQuery, queryMetric } from './queryEngine';
+
+/* -------------------------
+  The assistant's parsed query under an answer: one line that says what
+  was computed, and a small form to change it and run it again
+--------------------------*/
+const fieldStyle = { padding: '2px 4px', fontSize: '11px', border: '1px solid #d1d5db', borderRadius: '4px', minWidth: 0 };
+const labelStyle = { display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '10px', color: '#6b7280' };
+const linkStyle = { border: 'none', background: 'none', padding: 0, color: '#2563eb', cursor: 'pointer', fontSize: '11px' };
+
+const numberOrNull = (value) => (value === '' ? null : Number(value));
+
+const QueryEditor = ({ query, sectors, onRun }) => {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(query);
+  const f = draft.filters;
+  const set = (patch) => setDraft(d => ({ ...d, ...patch }));
+  const setFilter = (patch) => setDraft(d => ({ ...d, filters: { ...d.filters, ...patch } }));
+
+  // count and Class 1 have their own aggregation; switching back restores the average
+  const setMetric = (key) => {
+    if (!key) return set({ metric: null, intent: 'summary' });
+    const aggregation = key === 'count' ? 'count' : key === 'class1' ? 'share' : ['count', 'share'].includes(draft.aggregation) ? 'avg' : draft.aggregation;
+    return set({ metric: key, intent: 'aggregate', aggregation });
+  };
+  // clearing either end drops the hour filter
+  const setHours = (end, value) => {
+    if (value === '') return setFilter({ hours: null });
+    return setFilter({ hours: { from: 0, to: 23, ...f.hours, [end]: Math.max(0, Math.min(23, Number(value) || 0)) } });
+  };
+  const setDates = (end, value) => {
+    const dates = { from: '', to: '', ...f.dates, [end]: value.trim(), label: null };
+    setFilter({ dates: !dates.from && !dates.to ? null : { ...dates, from: dates.from || dates.to, to: dates.to || dates.from } });
+  };
+
+  if (query.intent === 'columns') return null;
+
+  if (!open) {
+    return (
+      <div style={{ marginTop: 6, fontSize: 11, color: '#6b7280' }}>
+        🔎 {describeQuery(query)}{' '}
+        <button onClick={() => setOpen(true)} style={linkStyle}>Edit</button>
+      </div>
+    );
+  }
+
+  const fixedAggregation = draft.metric === 'count' || draft.metric === 'class1' || !draft.metric;
+  return (
+    <div style={{ marginTop: 8, padding: 8, border: '1px solid #e5e7eb', borderRadius: 8, background: '#f9fafb' }}>
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 6 }}>
+        <label style={labelStyle}>
+          Metric
+          <select value={draft.metric || ''} onChange={(e) => setMetric(e.target.value)} style={fieldStyle}>
+            <option value="">(summary)</option>
+            {QUERY_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Aggregation
+          <select value={fixedAggregation ? '' : draft.aggregation} disabled={fixedAggregation} onChange={(e) => set({ aggregation: e.target.value, percentile: e.target.value === 'percentile' ? draft.percentile || 95 : null })} style={fieldStyle}>
+            {fixedAggregation && <option value="">—</option>}
+            {AGGREGATIONS.map(a => <option key={a.key} value={a.key}>{a.label}</option>)}
+          </select>
+        </label>
+        {draft.aggregation === 'percentile' ? (
+          <label style={labelStyle}>
+            Percentile
+            <input type="number" min="1" max="99" value={draft.percentile || 95} onChange={(e) => set({ percentile: Math.max(1, Math.min(99, Number(e.target.value) || 95)) })} style={fieldStyle} />
+          </label>
+        ) : <span />}
+        <label style={labelStyle}>
+          Group by
+          <select value={draft.groupBy || ''} onChange={(e) => set({ groupBy: e.target.value || null })} style={fieldStyle}>
+            <option value="">None</option>
+            {GROUP_BYS.map(g => <option key={g.key} value={g.key}>{g.label}</option>)}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Sort
+          <select value={draft.sort || ''} onChange={(e) => set({ sort: e.target.value || null })} disabled={!draft.groupBy} style={fieldStyle}>
+            <option value="">Default</option>
+            <option value="desc">Highest first</option>
+            <option value="asc">Lowest first</option>
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Limit
+          <input type="number" min="1" value={draft.limit || ''} onChange={(e) => set({ limit: numberOrNull(e.target.value) })} disabled={!draft.groupBy} placeholder="all" style={fieldStyle} />
+        </label>
+        <label style={labelStyle}>
+          Technology
+          <select value={f.technology || ''} onChange={(e) => setFilter({ technology: e.target.value || null })} style={fieldStyle}>
+            <option value="">Any</option>
+            <option value="4G">4G</option>
+            <option value="5G">5G</option>
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Hours
+          <span style={{ display: 'flex', gap: 2 }}>
+            <input type="number" min="0" max="23" value={f.hours ? f.hours.from : ''} onChange={(e) => setHours('from', e.target.value)} placeholder="0" style={{ ...fieldStyle, width: '50%' }} />
+            <input type="number" min="0" max="23" value={f.hours ? f.hours.to : ''} onChange={(e) => setHours('to', e.target.value)} placeholder="23" style={{ ...fieldStyle, width: '50%' }} />
+          </span>
+        </label>
+        <label style={labelStyle}>
+          Sector
+          <select value={f.sectors[0] || ''} onChange={(e) => setFilter({ sectors: e.target.value ? [e.target.value] : [] })} style={fieldStyle}>
+            <option value="">Any</option>
+            {sectors.map(s => <option key={s} value={s}>{s}</option>)}
+          </select>
+        </label>
+        <label style={{ ...labelStyle, gridColumn: 'span 3' }}>
+          Dates (YYYY-MM-DD, or MM-DD for any year)
+          <span style={{ display: 'flex', gap: 4 }}>
+            <input value={f.dates ? f.dates.from : ''} onChange={(e) => setDates('from', e.target.value)} placeholder="from" style={{ ...fieldStyle, width: '50%' }} />
+            <input value={f.dates ? f.dates.to : ''} onChange={(e) => setDates('to', e.target.value)} placeholder="to" style={{ ...fieldStyle, width: '50%' }} />
+          </span>
+        </label>
+      </div>
+      {(f.signalClasses.length > 0 || f.conditions.length > 0) && (
+        <div style={{ marginTop: 6, display: 'flex', flexWrap: 'wrap', gap: 4, fontSize: 11 }}>
+          {f.signalClasses.length > 0 && (
+            <span style={{ padding: '1px 6px', background: '#e5e7eb', borderRadius: 9999 }}>
+              Class {f.signalClasses.join(', ')}{' '}
+              <button onClick={() => setFilter({ signalClasses: [] })} style={linkStyle}>✕</button>
+            </span>
+          )}
+          {f.conditions.map((c, i) => (
+            <span key={`${c.field}${c.op}${c.value}`} style={{ padding: '1px 6px', background: '#e5e7eb', borderRadius: 9999 }}>
+              {queryMetric(c.field).label} {c.op} {c.value}{' '}
+              <button onClick={() => setFilter({ conditions: f.conditions.filter((_, j) => j !== i) })} style={linkStyle}>✕</button>
+            </span>
+          ))}
+        </div>
+      )}
+      <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end', marginTop: 8 }}>
+        <button onClick={() => { setDraft(query); setOpen(false); }} style={linkStyle}>Cancel</button>
+        <button
+          onClick={() => { onRun(draft); setOpen(false); }}
+          style={{ padding: '3px 10px', borderRadius: 6, background: '#111827', color: 'white', border: 'none', cursor: 'pointer', fontSize: 11 }}
+        >
+          Run
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default QueryEditor;
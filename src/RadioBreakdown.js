@@ -0,0 +1,123 @@
+import React, { useMemo } from 'react';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { classBreakdown, servingCellStats } from './analytics';
+
+/* -------------------------
+  Radio breakdown
+   Signal-class distribution per band and per serving PCI, and the busiest
+   serving cells with their average KPIs. Only rows that carry the radio
+   columns take part; a file without them shows a hint instead.
+--------------------------*/
+const CLASS_SERIES = [
+  { key: 'class1', name: 'Class 1', color: '#10B981' },
+  { key: 'class2', name: 'Class 2', color: '#3B82F6' },
+  { key: 'class3', name: 'Class 3', color: '#F59E0B' },
+  { key: 'class4', name: 'Class 4', color: '#EF4444' },
+  { key: 'unclassified', name: 'Unclassified', color: '#9CA3AF' }
+];
+
+const TOP_PCIS = 15;
+const TOP_CELLS = 20;
+
+const cellStyle = { padding: '6px', fontSize: '12px', textAlign: 'right', whiteSpace: 'nowrap' };
+
+const fmt = (value, digits, unit = '') => (value === null ? '—' : `${value.toFixed(digits)}${unit}`);
+
+const ClassBarChart = ({ data, label }) => (
+  <ResponsiveContainer width="100%" height={260}>
+    <BarChart data={data}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="key" tick={{ fontSize: 11 }} />
+      <YAxis />
+      <Tooltip labelFormatter={(value) => `${label} ${value}`} />
+      <Legend />
+      {CLASS_SERIES.map(s => (
+        <Bar key={s.key} dataKey={s.key} name={s.name} stackId="class" fill={s.color} />
+      ))}
+    </BarChart>
+  </ResponsiveContainer>
+);
+
+const RadioBreakdown = ({ rows }) => {
+  const byBand = useMemo(() => classBreakdown(rows, 'band'), [rows]);
+  const byPci = useMemo(() => classBreakdown(rows, 'pci', TOP_PCIS), [rows]);
+  const cells = useMemo(() => servingCellStats(rows, TOP_CELLS), [rows]);
+
+  if (!byBand.length && !byPci.length && !cells.length) {
+    return (
+      <p style={{ fontSize: '13px', color: '#6b7280', margin: 0 }}>
+        Map the PCI, band or cell ID columns to see the per-band, per-PCI and serving-cell breakdown.
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px', marginBottom: '16px' }}>
+        <div>
+          <h4 style={{ fontSize: '14px', fontWeight: '500', color: '#374151', margin: '0 0 8px 0' }}>Signal class per band</h4>
+          {byBand.length ? <ClassBarChart data={byBand} label="Band" /> : <p style={{ fontSize: '12px', color: '#6b7280' }}>No band column mapped.</p>}
+        </div>
+        <div>
+          <h4 style={{ fontSize: '14px', fontWeight: '500', color: '#374151', margin: '0 0 8px 0' }}>Signal class per PCI (top {TOP_PCIS})</h4>
+          {byPci.length ? <ClassBarChart data={byPci} label="PCI" /> : <p style={{ fontSize: '12px', color: '#6b7280' }}>No PCI column mapped.</p>}
+        </div>
+      </div>
+
+      {cells.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <h4 style={{ fontSize: '14px', fontWeight: '500', color: '#374151', margin: '0 0 8px 0' }}>Top serving cells</h4>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ color: '#6b7280' }}>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>Cell</th>
+                <th style={cellStyle}>PCI</th>
+                <th style={cellStyle}>ARFCN</th>
+                <th style={cellStyle}>Band</th>
+                <th style={cellStyle}>Samples</th>
+                <th style={cellStyle}>Class 1</th>
+                <th style={cellStyle}>RSRP</th>
+                <th style={cellStyle}>RSRQ</th>
+                <th style={cellStyle}>SINR</th>
+                <th style={cellStyle}>CQI</th>
+                <th style={cellStyle}>RSSI</th>
+                <th style={cellStyle}>DL</th>
+                <th style={cellStyle}>UL</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cells.map(c => (
+                <tr key={c.cell} style={{ borderTop: '1px solid #f3f4f6' }}>
+                  <td style={{ ...cellStyle, textAlign: 'left' }}>{c.cell}</td>
+                  <td style={cellStyle}>{c.pci ?? '—'}</td>
+                  <td style={cellStyle}>{c.arfcn ?? '—'}</td>
+                  <td style={cellStyle}>{c.band ?? '—'}</td>
+                  <td style={cellStyle}>{c.count.toLocaleString()}</td>
+                  <td style={cellStyle}>{c.class1Pct.toFixed(1)}%</td>
+                  <td style={cellStyle}>{fmt(c.avgRsrp, 1, ' dBm')}</td>
+                  <td style={cellStyle}>{fmt(c.avgRsrq, 1, ' dB')}</td>
+                  <td style={cellStyle}>{fmt(c.avgSinr, 1, ' dB')}</td>
+                  <td style={cellStyle}>{fmt(c.avgCqi, 1)}</td>
+                  <td style={cellStyle}>{fmt(c.avgRssi, 1, ' dBm')}</td>
+                  <td style={cellStyle}>{fmt(c.avgThroughputMbps, 1, ' Mbps')}</td>
+                  <td style={cellStyle}>{fmt(c.avgUlThroughputMbps, 1, ' Mbps')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RadioBreakdown;
@@ -0,0 +1,63 @@
+import React from 'react';
+
+/* -------------------------
+  Route playback controls
+   Play/pause, a scrubber over the route's time span, playback speed and
+   the gap limits that break the route line.
+--------------------------*/
+const SPEEDS = [1, 10, 60, 300, 1800];
+
+const inputStyle = { padding: '4px 6px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' };
+const buttonStyle = { padding: '4px 12px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', backgroundColor: '#2563eb', color: 'white' };
+
+const RoutePlaybackBar = ({ route, time, playing, speed, gaps, onTime, onPlayToggle, onSpeed, onGaps }) => {
+  if (!route.count) {
+    return <div style={{ fontSize: '12px', color: '#6b7280', marginTop: '8px' }}>No timestamped samples with a position fix to draw a route from.</div>;
+  }
+  const current = time === null ? route.minT : time;
+
+  return (
+    <div style={{ marginTop: '8px', display: 'flex', flexDirection: 'column', gap: '6px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <button onClick={onPlayToggle} style={buttonStyle}>{playing ? '⏸ Pause' : '▶ Play'}</button>
+        <input
+          type="range"
+          min={route.minT}
+          max={route.maxT}
+          step={1000}
+          value={current}
+          onChange={(e) => onTime(Number(e.target.value))}
+          style={{ flex: 1 }}
+        />
+        <span style={{ fontSize: '12px', color: '#374151', minWidth: '150px', textAlign: 'right' }}>
+          {time === null ? '—' : new Date(time).toLocaleString()}
+        </span>
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', fontSize: '12px', color: '#6b7280' }}>
+        <span>Speed</span>
+        <select value={speed} onChange={(e) => onSpeed(Number(e.target.value))} style={inputStyle}>
+          {SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+        </select>
+        <span style={{ marginLeft: '12px' }}>Break the line after</span>
+        <input
+          type="number"
+          min="1"
+          value={gaps.maxGapSec}
+          onChange={(e) => onGaps({ ...gaps, maxGapSec: Number(e.target.value) || 1 })}
+          style={{ ...inputStyle, width: '60px' }}
+        />
+        <span>s or</span>
+        <input
+          type="number"
+          min="1"
+          value={gaps.maxGapMeters}
+          onChange={(e) => onGaps({ ...gaps, maxGapMeters: Number(e.target.value) || 1 })}
+          style={{ ...inputStyle, width: '70px' }}
+        />
+        <span>m between samples</span>
+      </div>
+    </div>
+  );
+};
+
+export default RoutePlaybackBar;
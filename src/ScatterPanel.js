@@ -0,0 +1,272 @@
+import React, { useMemo, useState } from 'react';
+import {
+  ScatterChart,
+  Scatter,
+  XAxis,
+  YAxis,
+  ZAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+import {
+  CORRELATION_METRICS,
+  MATRIX_METRICS,
+  correlationMatrix,
+  densityGrid,
+  describeCorrelation,
+  linearFit,
+  pairedValues,
+  samplePairs
+} from './correlation';
+
+/* -------------------------
+  Scatter / density panel: any two metrics against each other, coloured
+  by signal class or technology, with least-squares trend lines and a
+  correlation matrix. Clicking a point (or a density cell) hands its
+  rows to `onHighlight` so the map can ring them.
+--------------------------*/
+const MAX_POINTS = 2500;
+const DENSITY_CELLS = 30;
+const TECH_COLORS = { '4G': '#06B6D4', '5G': '#8B5CF6' };
+const OTHER_COLOR = '#9CA3AF';
+const TREND_COLOR = '#111827';
+
+const selectStyle = { padding: '4px 8px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' };
+const buttonStyle = { padding: '4px 10px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', backgroundColor: '#e5e7eb', color: '#374151' };
+
+const metricOf = (key) => CORRELATION_METRICS.find(m => m.key === key);
+const axisLabel = (metric) => (metric.unit ? `${metric.label} (${metric.unit})` : metric.label);
+const fmt = (value, digits = 2) => (value === null || value === undefined ? '—' : value.toFixed(digits));
+
+// the series a row belongs to under the chosen colouring
+const groupOf = (row, colorBy) => {
+  if (colorBy === 'technology') return row.technology === '4G' || row.technology === '5G' ? row.technology : 'Other';
+  return row.signalClass >= 1 && row.signalClass <= 4 ? `Class ${row.signalClass}` : 'Unclassified';
+};
+
+const groupColor = (group, colorBy, classColors) => {
+  if (colorBy === 'technology') return TECH_COLORS[group] || OTHER_COLOR;
+  return classColors[group.replace('Class ', '')] || OTHER_COLOR;
+};
+
+// a fitted line drawn across the x range of its pairs
+const trendSegment = (pairs, fit) => {
+  if (fit.slope === null) return null;
+  let min = Infinity;
+  let max = -Infinity;
+  pairs.forEach(p => {
+    if (p.x < min) min = p.x;
+    if (p.x > max) max = p.x;
+  });
+  return [{ x: min, y: fit.intercept + fit.slope * min }, { x: max, y: fit.intercept + fit.slope * max }];
+};
+
+// blue for positive r, red for negative, stronger as |r| grows
+const matrixCellColor = (r) => {
+  if (r === null) return '#f9fafb';
+  const alpha = Math.min(1, Math.abs(r)) * 0.8;
+  return r >= 0 ? `rgba(37,99,235,${alpha})` : `rgba(220,38,38,${alpha})`;
+};
+
+const ScatterPanel = ({ rows, classColors, highlightCount, onHighlight }) => {
+  const [xKey, setXKey] = useState('sinr');
+  const [yKey, setYKey] = useState('throughput');
+  const [colorBy, setColorBy] = useState('signalClass');
+  const [mode, setMode] = useState('points');
+  const [showTrend, setShowTrend] = useState(true);
+  const xMetric = metricOf(xKey);
+  const yMetric = metricOf(yKey);
+
+  const pairs = useMemo(() => pairedValues(rows, xKey, yKey), [rows, xKey, yKey]);
+  const fit = useMemo(() => linearFit(pairs), [pairs]);
+  const matrix = useMemo(() => correlationMatrix(rows, MATRIX_METRICS), [rows]);
+
+  // one series per group; density counts are per group too, so colours stay meaningful
+  const series = useMemo(() => {
+    const groups = {};
+    pairs.forEach(p => {
+      const group = groupOf(p.row, colorBy);
+      (groups[group] = groups[group] || []).push(p);
+    });
+    const share = pairs.length ? MAX_POINTS / pairs.length : 1;
+    return Object.keys(groups).sort().map(group => ({
+      group,
+      color: groupColor(group, colorBy, classColors),
+      pairs: groups[group],
+      points: mode === 'density'
+        ? densityGrid(groups[group], DENSITY_CELLS)
+        : samplePairs(groups[group], Math.max(1, Math.round(groups[group].length * share)))
+    }));
+  }, [pairs, colorBy, classColors, mode]);
+
+  const trends = useMemo(() => {
+    if (!showTrend) return [];
+    const lines = [{ key: 'all', color: TREND_COLOR, segment: trendSegment(pairs, fit) }];
+    if (colorBy === 'technology') {
+      series.forEach(s => lines.push({ key: s.group, color: s.color, segment: trendSegment(s.pairs, linearFit(s.pairs)) }));
+    }
+    return lines.filter(l => l.segment);
+  }, [showTrend, pairs, fit, colorBy, series]);
+
+  const techFits = colorBy === 'technology' ? series.map(s => ({ group: s.group, color: s.color, fit: linearFit(s.pairs) })) : [];
+
+  const handlePointClick = (point) => {
+    const payload = (point && point.payload) || point;
+    if (!payload) return;
+    onHighlight(payload.rows || [payload.row]);
+  };
+
+  const pointTooltip = ({ active, payload }) => {
+    if (!active || !payload || !payload.length) return null;
+    const p = payload[0].payload;
+    return (
+      <div style={{ backgroundColor: 'white', border: '1px solid #e5e7eb', borderRadius: '6px', padding: '6px 8px', fontSize: '12px' }}>
+        <div>{xMetric.label}: {fmt(p.x, 1)} {xMetric.unit}</div>
+        <div>{yMetric.label}: {fmt(p.y, 1)} {yMetric.unit}</div>
+        {p.count !== undefined && <div>{p.count.toLocaleString()} samples</div>}
+        {p.row && p.row.location && <div style={{ color: '#6b7280' }}>{p.row.location}</div>}
+      </div>
+    );
+  };
+
+  // shown even when the chosen pair has no samples, so another pair can be picked
+  const matrixTable = (
+    <>
+      <h4 style={{ margin: '16px 0 8px 0', fontSize: '14px', color: '#374151' }}>Correlation matrix (r)</h4>
+      <table style={{ borderCollapse: 'collapse', fontSize: '12px' }}>
+        <thead>
+          <tr>
+            <th />
+            {MATRIX_METRICS.map(key => <th key={key} style={{ padding: '4px 6px', color: '#6b7280', fontWeight: 500 }}>{metricOf(key).label}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {matrix.map((line, i) => (
+            <tr key={MATRIX_METRICS[i]}>
+              <th style={{ padding: '4px 6px', textAlign: 'left', color: '#6b7280', fontWeight: 500 }}>{metricOf(MATRIX_METRICS[i]).label}</th>
+              {line.map(cell => (
+                <td
+                  key={cell.b}
+                  onClick={() => {
+                    setXKey(cell.b);
+                    setYKey(cell.a);
+                  }}
+                  title={`${metricOf(cell.a).label} vs ${metricOf(cell.b).label}: ${describeCorrelation(cell.r)} (n = ${cell.n.toLocaleString()})`}
+                  style={{
+                    padding: '6px 8px',
+                    textAlign: 'center',
+                    cursor: 'pointer',
+                    backgroundColor: matrixCellColor(cell.r),
+                    color: cell.r !== null && Math.abs(cell.r) > 0.6 ? 'white' : '#111827',
+                    outline: cell.a === yKey && cell.b === xKey ? '2px solid #111827' : 'none'
+                  }}
+                >
+                  {fmt(cell.r)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: '11px', color: '#9ca3af', margin: '4px 0 0 0' }}>Click a cell to plot that pair.</p>
+    </>
+  );
+
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', fontSize: '12px', color: '#6b7280', marginBottom: '12px' }}>
+        <span>X:</span>
+        <select value={xKey} onChange={(e) => setXKey(e.target.value)} style={selectStyle}>
+          {CORRELATION_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+        </select>
+        <span>Y:</span>
+        <select value={yKey} onChange={(e) => setYKey(e.target.value)} style={selectStyle}>
+          {CORRELATION_METRICS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+        </select>
+        <span>Colour by:</span>
+        <select value={colorBy} onChange={(e) => setColorBy(e.target.value)} style={selectStyle}>
+          <option value="signalClass">Signal class</option>
+          <option value="technology">Technology</option>
+        </select>
+        <select value={mode} onChange={(e) => setMode(e.target.value)} style={selectStyle}>
+          <option value="points">Points</option>
+          <option value="density">Density</option>
+        </select>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+          <input type="checkbox" checked={showTrend} onChange={(e) => setShowTrend(e.target.checked)} />
+          Trend line
+        </label>
+        {highlightCount > 0 && (
+          <button onClick={() => onHighlight([])} style={{ ...buttonStyle, marginLeft: 'auto' }}>
+            Clear {highlightCount.toLocaleString()} highlighted
+          </button>
+        )}
+      </div>
+
+      {!pairs.length ? (
+        <div>
+          <p style={{ fontSize: '14px', color: '#6b7280' }}>No samples carry both {xMetric.label} and {yMetric.label} in the current selection.</p>
+          {matrixTable}
+        </div>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '24px' }}>
+          <div>
+            <ResponsiveContainer width="100%" height={320}>
+              <ScatterChart margin={{ top: 8, right: 16, bottom: 16, left: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" dataKey="x" name={xMetric.label} domain={['auto', 'auto']} tick={{ fontSize: 11 }} label={{ value: axisLabel(xMetric), position: 'insideBottom', offset: -8, fontSize: 11 }} />
+                <YAxis type="number" dataKey="y" name={yMetric.label} domain={['auto', 'auto']} tick={{ fontSize: 11 }} label={{ value: axisLabel(yMetric), angle: -90, position: 'insideLeft', fontSize: 11 }} />
+                {mode === 'density' ? <ZAxis type="number" dataKey="count" range={[16, 360]} /> : <ZAxis range={[16, 16]} />}
+                <Tooltip content={pointTooltip} />
+                <Legend verticalAlign="top" height={24} />
+                {series.map(s => (
+                  <Scatter
+                    key={s.group}
+                    name={s.group}
+                    data={s.points}
+                    fill={s.color}
+                    fillOpacity={mode === 'density' ? 0.6 : 0.7}
+                    isAnimationActive={false}
+                    onClick={handlePointClick}
+                    style={{ cursor: 'pointer' }}
+                  />
+                ))}
+                {trends.map(t => (
+                  <ReferenceLine key={`trend-${t.key}`} segment={t.segment} stroke={t.color} strokeWidth={2} strokeDasharray={t.key === 'all' ? undefined : '6 3'} ifOverflow="hidden" />
+                ))}
+              </ScatterChart>
+            </ResponsiveContainer>
+            <p style={{ fontSize: '12px', color: '#6b7280', margin: '4px 0 0 0' }}>
+              {pairs.length.toLocaleString()} samples
+              {mode === 'points' && pairs.length > MAX_POINTS ? ` (${MAX_POINTS.toLocaleString()} plotted)` : ''}
+              {' · '}click a {mode === 'density' ? 'cell' : 'point'} to highlight its samples on the map
+            </p>
+          </div>
+
+          <div style={{ fontSize: '13px', color: '#374151' }}>
+            <h4 style={{ margin: '0 0 8px 0', fontSize: '14px' }}>Fit</h4>
+            <div>r = {fmt(fit.r)} · R² = {fmt(fit.r2)} · n = {fit.n.toLocaleString()}</div>
+            <div style={{ color: '#6b7280' }}>{describeCorrelation(fit.r)}</div>
+            {fit.slope !== null && (
+              <div style={{ color: '#6b7280' }}>
+                {yMetric.label} ≈ {fmt(fit.slope, 3)} × {xMetric.label} {fit.intercept >= 0 ? '+' : '−'} {fmt(Math.abs(fit.intercept))}
+              </div>
+            )}
+            {techFits.map(t => (
+              <div key={t.group} style={{ color: t.color, marginTop: '4px' }}>
+                {t.group}: r = {fmt(t.fit.r)} · R² = {fmt(t.fit.r2)} · n = {t.fit.n.toLocaleString()}
+              </div>
+            ))}
+
+            {matrixTable}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScatterPanel;
@@ -0,0 +1,179 @@
+import React, { useMemo, useState, useEffect } from 'react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { classifySample } from './signalProfiles';
+import { summarizeKpis, class1Share } from './analytics';
+import { getDateExtent, eachDayKey, rowDateKey } from './dateRange';
+
+/* -------------------------
+  Before/after comparison of two drive sessions
+   Daily charts are aligned on "Day N" of each drive since the two
+   sessions normally cover different calendar dates.
+--------------------------*/
+const KPI_ROWS = [
+  { key: 'class1Pct', label: 'Class 1 %', unit: '%', digits: 1 },
+  { key: 'avgRsrp', label: 'Avg RSRP', unit: ' dBm', digits: 1 },
+  { key: 'avgSinr', label: 'Avg SINR', unit: ' dB', digits: 1 },
+  { key: 'avgThroughputMbps', label: 'Avg DL throughput', unit: ' Mbps', digits: 1 },
+  { key: 'p5ThroughputMbps', label: 'P5 DL throughput', unit: ' Mbps', digits: 1 },
+  { key: 'p50ThroughputMbps', label: 'P50 DL throughput', unit: ' Mbps', digits: 1 },
+  { key: 'p95ThroughputMbps', label: 'P95 DL throughput', unit: ' Mbps', digits: 1 },
+  { key: 'avgUlThroughputMbps', label: 'Avg UL throughput', unit: ' Mbps', digits: 1 },
+  { key: 'count', label: 'Samples', unit: '', digits: 0 }
+];
+
+// averages are null for a session without the metric (e.g. no UL column)
+const fmtKpi = (value, row) => (value === null ? '—' : `${value.toFixed(row.digits)}${row.unit}`);
+
+const selectStyle = { padding: '4px 8px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' };
+
+const hourlyClass1 = (rows) => Array.from({ length: 24 }, (_, hour) => {
+  const hourRows = rows.filter(r => r.hour === hour);
+  return hourRows.length ? class1Share(hourRows) : null;
+});
+
+const dailyClass1 = (rows) => {
+  const extent = getDateExtent(rows);
+  if (!extent) return [];
+  const byKey = {};
+  rows.forEach(r => {
+    const k = rowDateKey(r);
+    (byKey[k] = byKey[k] || []).push(r);
+  });
+  return eachDayKey(extent.min, extent.max).map(k => (byKey[k] ? class1Share(byKey[k]) : null));
+};
+
+const prepareRows = (session, signalProfile, selectedTech) => {
+  if (!session) return [];
+  return session.rows
+    .filter(r => selectedTech === 'All' || r.technology === selectedTech)
+    .map(r => ({ ...r, signalClass: classifySample(r, signalProfile) }));
+};
+
+const SessionComparison = ({ sessions, signalProfile, selectedTech }) => {
+  const [aId, setAId] = useState('');
+  const [bId, setBId] = useState('');
+
+  // default to the two most recently added sessions
+  useEffect(() => {
+    const ids = sessions.map(s => s.id);
+    if (!ids.includes(aId)) setAId(ids[ids.length - 2] || ids[0] || '');
+    if (!ids.includes(bId)) setBId(ids[ids.length - 1] || '');
+  }, [sessions, aId, bId]);
+
+  const sessionA = sessions.find(s => s.id === aId);
+  const sessionB = sessions.find(s => s.id === bId);
+
+  const rowsA = useMemo(() => prepareRows(sessionA, signalProfile, selectedTech), [sessionA, signalProfile, selectedTech]);
+  const rowsB = useMemo(() => prepareRows(sessionB, signalProfile, selectedTech), [sessionB, signalProfile, selectedTech]);
+
+  const kpisA = useMemo(() => summarizeKpis(rowsA), [rowsA]);
+  const kpisB = useMemo(() => summarizeKpis(rowsB), [rowsB]);
+
+  const hourlyOverlay = useMemo(() => {
+    const a = hourlyClass1(rowsA);
+    const b = hourlyClass1(rowsB);
+    return a.map((v, hour) => ({ hour: `${hour}:00`, a: v, b: b[hour] }));
+  }, [rowsA, rowsB]);
+
+  const dailyOverlay = useMemo(() => {
+    const a = dailyClass1(rowsA);
+    const b = dailyClass1(rowsB);
+    return Array.from({ length: Math.max(a.length, b.length) }, (_, i) => ({
+      day: `Day ${i + 1}`,
+      a: a[i] ?? null,
+      b: b[i] ?? null
+    }));
+  }, [rowsA, rowsB]);
+
+  if (sessions.length < 2) {
+    return <p style={{ fontSize: '14px', color: '#6b7280', margin: 0 }}>Load at least two sessions to compare them.</p>;
+  }
+
+  const nameA = sessionA ? sessionA.name : 'A';
+  const nameB = sessionB ? sessionB.name : 'B';
+  const colorA = sessionA ? sessionA.color : '#2563eb';
+  const colorB = sessionB ? sessionB.color : '#db2777';
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '12px', alignItems: 'center', marginBottom: '16px', fontSize: '12px', color: '#6b7280' }}>
+        <span>Before:</span>
+        <select value={aId} onChange={(e) => setAId(e.target.value)} style={selectStyle}>
+          {sessions.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+        </select>
+        <span>After:</span>
+        <select value={bId} onChange={(e) => setBId(e.target.value)} style={selectStyle}>
+          {sessions.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+        </select>
+      </div>
+
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px', marginBottom: '16px' }}>
+        <thead>
+          <tr style={{ textAlign: 'left', color: '#6b7280' }}>
+            <th style={{ padding: '6px' }}>KPI</th>
+            <th style={{ padding: '6px', color: colorA }}>{nameA}</th>
+            <th style={{ padding: '6px', color: colorB }}>{nameB}</th>
+            <th style={{ padding: '6px' }}>Δ</th>
+          </tr>
+        </thead>
+        <tbody>
+          {KPI_ROWS.map(row => {
+            const delta = kpisA[row.key] === null || kpisB[row.key] === null ? null : kpisB[row.key] - kpisA[row.key];
+            return (
+              <tr key={row.key} style={{ borderTop: '1px solid #f3f4f6' }}>
+                <td style={{ padding: '6px' }}>{row.label}</td>
+                <td style={{ padding: '6px' }}>{fmtKpi(kpisA[row.key], row)}</td>
+                <td style={{ padding: '6px' }}>{fmtKpi(kpisB[row.key], row)}</td>
+                <td style={{ padding: '6px', fontWeight: 600, color: row.key === 'count' || delta === null ? '#374151' : delta >= 0 ? '#16a34a' : '#b91c1c' }}>
+                  {delta !== null && delta >= 0 ? '+' : ''}{fmtKpi(delta, row)}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px' }}>
+        <div>
+          <h4 style={{ fontSize: '14px', margin: '0 0 8px 0' }}>Hourly Class 1 %</h4>
+          <ResponsiveContainer width="100%" height={240}>
+            <LineChart data={hourlyOverlay}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="hour" />
+              <YAxis />
+              <Tooltip formatter={(value) => (value === null ? '—' : `${value.toFixed(1)}%`)} />
+              <Legend />
+              <Line type="monotone" dataKey="a" name={nameA} stroke={colorA} strokeWidth={2} dot={false} connectNulls />
+              <Line type="monotone" dataKey="b" name={nameB} stroke={colorB} strokeWidth={2} dot={false} connectNulls />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+        <div>
+          <h4 style={{ fontSize: '14px', margin: '0 0 8px 0' }}>Daily Class 1 % (by drive day)</h4>
+          <ResponsiveContainer width="100%" height={240}>
+            <LineChart data={dailyOverlay}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="day" />
+              <YAxis />
+              <Tooltip formatter={(value) => (value === null ? '—' : `${value.toFixed(1)}%`)} />
+              <Legend />
+              <Line type="monotone" dataKey="a" name={nameA} stroke={colorA} strokeWidth={2} connectNulls />
+              <Line type="monotone" dataKey="b" name={nameB} stroke={colorB} strokeWidth={2} connectNulls />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionComparison;
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { AREA_SHAPES, describeArea } from './spatialAreas';
+
+/* -------------------------
+  Named areas under the map
+   Draw buttons, naming of a freshly drawn shape, the saved areas (ticked
+   ones filter the whole dashboard) and a comparison of their KPIs over
+   the current technology/date selection.
+--------------------------*/
+const COLUMNS = [
+  { key: 'count', label: 'Samples', unit: '', digits: 0 },
+  { key: 'class1Pct', label: 'Class 1', unit: '%', digits: 1 },
+  { key: 'avgRsrp', label: 'Avg RSRP', unit: ' dBm', digits: 1 },
+  { key: 'avgSinr', label: 'Avg SINR', unit: ' dB', digits: 1 },
+  { key: 'avgThroughputMbps', label: 'Avg DL', unit: ' Mbps', digits: 1 },
+  { key: 'avgUlThroughputMbps', label: 'Avg UL', unit: ' Mbps', digits: 1 }
+];
+
+const inputStyle = { padding: '4px 6px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' };
+const buttonStyle = { padding: '4px 10px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', backgroundColor: '#e5e7eb', color: '#374151' };
+const activeButtonStyle = { ...buttonStyle, backgroundColor: '#2563eb', color: 'white' };
+const cellStyle = { padding: '4px 6px', textAlign: 'right' };
+
+const fmtKpi = (kpis, col) => {
+  if (col.key === 'count') return kpis.count.toLocaleString();
+  const value = kpis[col.key];
+  return kpis.count && value !== null ? `${value.toFixed(col.digits)}${col.unit}` : '—';
+};
+
+const SpatialAreasPanel = ({
+  areas,
+  activeIds,
+  comparison,
+  baseline,
+  drawMode,
+  pendingArea,
+  onDrawMode,
+  onSavePending,
+  onDiscardPending,
+  onToggle,
+  onDelete,
+  onClearFilter
+}) => {
+  const [name, setName] = useState('');
+  const hint = AREA_SHAPES.find(s => s.key === drawMode)?.hint;
+
+  const save = () => {
+    onSavePending(name.trim() || `Area ${areas.length + 1}`);
+    setName('');
+  };
+
+  return (
+    <div style={{ marginTop: '12px', fontSize: '12px', color: '#374151' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+        <span style={{ color: '#6b7280' }}>Areas:</span>
+        {AREA_SHAPES.map(s => (
+          <button
+            key={s.key}
+            onClick={() => onDrawMode(drawMode === s.key ? null : s.key)}
+            style={drawMode === s.key ? activeButtonStyle : buttonStyle}
+            disabled={Boolean(pendingArea)}
+          >
+            {s.label}
+          </button>
+        ))}
+        {activeIds.length > 0 && (
+          <button onClick={onClearFilter} style={buttonStyle}>Clear area filter</button>
+        )}
+        {hint && <span style={{ color: '#6b7280' }}>{hint}</span>}
+      </div>
+
+      {pendingArea && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '8px' }}>
+          <span>{describeArea(pendingArea)} — name it:</span>
+          <input
+            autoFocus
+            value={name}
+            placeholder={`Area ${areas.length + 1}`}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') save();
+            }}
+            style={{ ...inputStyle, width: '160px' }}
+          />
+          <button onClick={save} style={activeButtonStyle}>Save and filter</button>
+          <button onClick={onDiscardPending} style={buttonStyle}>Discard</button>
+        </div>
+      )}
+
+      {areas.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '8px' }}>
+          <thead>
+            <tr style={{ color: '#6b7280', textAlign: 'right' }}>
+              <th style={{ padding: '4px 6px', textAlign: 'left' }} title="Ticked areas filter the dashboard">Filter · area</th>
+              {COLUMNS.map(col => <th key={col.key} style={{ padding: '4px 6px', fontWeight: 500 }}>{col.label}</th>)}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {comparison.map(({ area, kpis }) => (
+              <tr key={area.id} style={{ borderTop: '1px solid #f3f4f6' }}>
+                <td style={{ padding: '4px 6px' }}>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }} title={describeArea(area)}>
+                    <input type="checkbox" checked={activeIds.includes(area.id)} onChange={() => onToggle(area.id)} />
+                    {area.name}
+                  </label>
+                </td>
+                {COLUMNS.map(col => <td key={col.key} style={cellStyle}>{fmtKpi(kpis, col)}</td>)}
+                <td style={{ padding: '4px 6px', textAlign: 'right' }}>
+                  <button onClick={() => onDelete(area.id)} style={{ border: 'none', background: 'none', cursor: 'pointer', color: '#6b7280' }} title="Delete area">✕</button>
+                </td>
+              </tr>
+            ))}
+            <tr style={{ borderTop: '1px solid #e5e7eb', color: '#6b7280' }}>
+              <td style={{ padding: '4px 6px' }}>All samples</td>
+              {COLUMNS.map(col => <td key={col.key} style={cellStyle}>{fmtKpi(baseline, col)}</td>)}
+              <td />
+            </tr>
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default SpatialAreasPanel;
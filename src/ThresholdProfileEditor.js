@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import {
+  BUILTIN_PROFILES,
+  PROFILE_METRICS,
+  PROFILE_OPS,
+  PROFILE_TECHS,
+  cloneProfile,
+  describeRule,
+  loadSavedProfiles,
+  profileIsComplete,
+  storeSavedProfiles
+} from './signalProfiles';
+
+/* -------------------------
+  Threshold profile editor
+   Edits the active profile in place (the dashboard reclassifies on every
+   change) and keeps the user's saved profiles in localStorage.
+--------------------------*/
+const inputStyle = { padding: '4px 6px', fontSize: '12px', border: '1px solid #d1d5db', borderRadius: '4px' };
+const buttonStyle = { padding: '6px 12px', borderRadius: '6px', fontSize: '12px', border: 'none', cursor: 'pointer', backgroundColor: '#e5e7eb', color: '#374151' };
+
+const ThresholdProfileEditor = ({ profile, onChange }) => {
+  const [savedProfiles, setSavedProfiles] = useState(() => loadSavedProfiles());
+  const [tech, setTech] = useState('4G');
+  const [newName, setNewName] = useState('');
+
+  const allProfiles = [...BUILTIN_PROFILES, ...savedProfiles];
+  const rules = profile.rules[tech] || [];
+  const complete = profileIsComplete(profile);
+
+  const updateRules = (nextRules) => {
+    onChange({ ...profile, rules: { ...profile.rules, [tech]: nextRules } });
+  };
+
+  const updateCondition = (ruleIdx, condIdx, patch) => {
+    updateRules(rules.map((r, i) => i !== ruleIdx ? r : {
+      ...r,
+      conditions: r.conditions.map((c, j) => j === condIdx ? { ...c, ...patch } : c)
+    }));
+  };
+
+  const addCondition = (ruleIdx) => {
+    updateRules(rules.map((r, i) => i !== ruleIdx ? r : {
+      ...r,
+      conditions: [...r.conditions, { metric: 'sinr', op: '>=', value: 0 }]
+    }));
+  };
+
+  const removeCondition = (ruleIdx, condIdx) => {
+    updateRules(rules.map((r, i) => i !== ruleIdx ? r : {
+      ...r,
+      conditions: r.conditions.filter((_, j) => j !== condIdx)
+    }));
+  };
+
+  const selectProfile = (id) => {
+    const found = allProfiles.find(p => p.id === id);
+    if (found) onChange(found);
+  };
+
+  const persist = (next) => {
+    setSavedProfiles(next);
+    storeSavedProfiles(next);
+  };
+
+  const saveCurrent = () => {
+    if (profile.builtin || !complete) return;
+    const exists = savedProfiles.some(p => p.id === profile.id);
+    persist(exists ? savedProfiles.map(p => p.id === profile.id ? profile : p) : [...savedProfiles, profile]);
+  };
+
+  const saveAsNew = () => {
+    const name = newName.trim();
+    if (!name || !complete) return;
+    const created = cloneProfile(profile, { id: `profile-${Date.now()}`, name });
+    persist([...savedProfiles, created]);
+    onChange(created);
+    setNewName('');
+  };
+
+  const deleteCurrent = () => {
+    if (profile.builtin) return;
+    persist(savedProfiles.filter(p => p.id !== profile.id));
+    onChange(BUILTIN_PROFILES[0]);
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <label style={{ fontSize: '12px', color: '#6b7280' }}>Profile:</label>
+        <select value={profile.id} onChange={(e) => selectProfile(e.target.value)} style={inputStyle}>
+          {allProfiles.map(p => (
+            <option key={p.id} value={p.id}>{p.name}{p.builtin ? ' (built-in)' : ''}</option>
+          ))}
+        </select>
+        {!profile.builtin && <button onClick={saveCurrent} disabled={!complete} style={buttonStyle}>Save</button>}
+        {!profile.builtin && <button onClick={deleteCurrent} style={{ ...buttonStyle, color: '#b91c1c' }}>Delete</button>}
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New profile name"
+          style={{ ...inputStyle, width: '160px' }}
+        />
+        <button onClick={saveAsNew} disabled={!newName.trim() || !complete} style={buttonStyle}>Save as new</button>
+      </div>
+
+      {!complete && (
+        <p style={{ fontSize: '12px', color: '#b45309', margin: '0 0 8px 0' }}>
+          A threshold is blank: its rule is skipped until you fill it in, and the profile cannot be saved.
+        </p>
+      )}
+
+      {profile.builtin && (
+        <p style={{ fontSize: '12px', color: '#6b7280', margin: '0 0 8px 0' }}>
+          Built-in profiles can be edited for a live preview; use "Save as new" to keep your changes.
+        </p>
+      )}
+
+      <div style={{ display: 'flex', gap: '4px', marginBottom: '8px' }}>
+        {PROFILE_TECHS.map(t => (
+          <button
+            key={t}
+            onClick={() => setTech(t)}
+            style={{ ...buttonStyle, backgroundColor: tech === t ? '#2563eb' : '#e5e7eb', color: tech === t ? 'white' : '#374151' }}
+          >
+            {t === '5G' ? '5G NR (SS-RSRP)' : '4G LTE'}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+        {rules.map((rule, ruleIdx) => (
+          <div key={rule.signalClass} style={{ padding: '8px', backgroundColor: '#f8fafc', borderRadius: '6px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
+              <strong style={{ fontSize: '13px' }}>Class {rule.signalClass}</strong>
+              <span style={{ fontSize: '11px', color: '#6b7280' }}>{describeRule(rule)}</span>
+            </div>
+            {rule.conditions.map((c, condIdx) => (
+              <div key={condIdx} style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '4px' }}>
+                {condIdx > 0 && <span style={{ fontSize: '11px', color: '#6b7280' }}>AND</span>}
+                <select value={c.metric} onChange={(e) => updateCondition(ruleIdx, condIdx, { metric: e.target.value })} style={inputStyle}>
+                  {PROFILE_METRICS.map(m => <option key={m} value={m}>{m.toUpperCase()}</option>)}
+                </select>
+                <select value={c.op} onChange={(e) => updateCondition(ruleIdx, condIdx, { op: e.target.value })} style={inputStyle}>
+                  {PROFILE_OPS.map(op => <option key={op} value={op}>{op}</option>)}
+                </select>
+                <input
+                  type="number"
+                  value={c.value}
+                  onChange={(e) => updateCondition(ruleIdx, condIdx, { value: e.target.value === '' ? '' : Number(e.target.value) })}
+                  style={{ ...inputStyle, width: '70px', borderColor: c.value === '' ? '#f59e0b' : '#d1d5db' }}
+                />
+                <button onClick={() => removeCondition(ruleIdx, condIdx)} style={{ ...buttonStyle, padding: '2px 8px' }}>✕</button>
+              </div>
+            ))}
+            <button onClick={() => addCondition(ruleIdx)} style={{ ...buttonStyle, padding: '2px 8px' }}>+ condition</button>
+          </div>
+        ))}
+        <div style={{ fontSize: '12px', color: '#6b7280' }}>Class 4: everything else</div>
+      </div>
+    </div>
+  );
+};
+
+export default ThresholdProfileEditor;
@@ -0,0 +1,133 @@
+/* -------------------------
+  Shared aggregation helpers
+   (throughput is Mbps in the data model; callers convert for display)
+--------------------------*/
+
+// values of `key` that are actually present; null (not imported) is not zero
+export function numericValues(arr, key) {
+  const vals = [];
+  for (const x of arr) {
+    const v = x[key];
+    if (v === null || v === undefined || v === '') continue;
+    const n = Number(v);
+    if (Number.isFinite(n)) vals.push(n);
+  }
+  return vals;
+}
+
+// weightOf(row) optionally weights each sample, e.g. 1 / samples in its spatial bin;
+// null when no row carries the value (shown as "—")
+export function avg(arr, key, weightOf) {
+  if (!weightOf) {
+    const vals = numericValues(arr, key);
+    if (!vals.length) return null;
+    return vals.reduce((a, b) => a + b, 0) / vals.length;
+  }
+  let sum = 0;
+  let weights = 0;
+  for (const x of arr) {
+    const v = x[key];
+    if (v === null || v === undefined || v === '') continue;
+    const n = Number(v);
+    if (!Number.isFinite(n)) continue;
+    const w = weightOf(x);
+    sum += w * n;
+    weights += w;
+  }
+  return weights ? sum / weights : null;
+}
+
+export function groupBy(arr, key) {
+  return arr.reduce((m, r) => {
+    const k = r[key] ?? 'Unknown';
+    (m[k] = m[k] || []).push(r);
+    return m;
+  }, {});
+}
+
+// nearest-rank percentile of an ascending array; undefined when it is empty
+export const percentileOfSorted = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.round((p / 100) * (sorted.length - 1))))];
+
+export function percentile(arr, key, p) {
+  const vals = numericValues(arr, key).sort((a, b) => a - b);
+  return vals.length ? percentileOfSorted(vals, p) : 0;
+}
+
+// share of classified samples; rows without the metrics to classify are left out
+export function class1Share(rows, weightOf) {
+  let classified = 0;
+  let class1 = 0;
+  for (const r of rows) {
+    if (r.signalClass === null || r.signalClass === undefined) continue;
+    const w = weightOf ? weightOf(r) : 1;
+    classified += w;
+    if (r.signalClass === 1) class1 += w;
+  }
+  return classified ? (class1 / classified) * 100 : 0;
+}
+
+// headline KPIs used by the session comparison
+export function summarizeKpis(rows) {
+  return {
+    count: rows.length,
+    class1Pct: class1Share(rows),
+    avgRsrp: avg(rows, 'rsrp'),
+    avgSinr: avg(rows, 'sinr'),
+    avgThroughputMbps: avg(rows, 'throughput'),
+    p5ThroughputMbps: percentile(rows, 'throughput', 5),
+    p50ThroughputMbps: percentile(rows, 'throughput', 50),
+    p95ThroughputMbps: percentile(rows, 'throughput', 95),
+    avgUlThroughputMbps: avg(rows, 'ulThroughput')
+  };
+}
+
+// signal-class counts per value of `key` (e.g. band, PCI), busiest first
+export function classBreakdown(rows, key, limit = Infinity) {
+  const groups = {};
+  for (const r of rows) {
+    const k = r[key];
+    if (k === null || k === undefined || k === '') continue;
+    const g = groups[k] || (groups[k] = { key: String(k), total: 0, class1: 0, class2: 0, class3: 0, class4: 0, unclassified: 0 });
+    g.total += 1;
+    if (r.signalClass === null || r.signalClass === undefined) g.unclassified += 1;
+    else g[`class${r.signalClass}`] += 1;
+  }
+  return Object.values(groups).sort((a, b) => b.total - a.total).slice(0, limit);
+}
+
+// serving cells by sample count; a row without a cell ID falls back to PCI on its channel
+export const servingCellKey = (r) => {
+  if (r.cellId !== null && r.cellId !== undefined && r.cellId !== '') return String(r.cellId);
+  if (r.pci === null || r.pci === undefined) return null;
+  return r.arfcn !== null && r.arfcn !== undefined ? `PCI ${r.pci} @ ${r.arfcn}` : `PCI ${r.pci}`;
+};
+
+export function servingCellStats(rows, limit = 20) {
+  const groups = {};
+  for (const r of rows) {
+    const k = servingCellKey(r);
+    if (k !== null) (groups[k] = groups[k] || []).push(r);
+  }
+  return Object.entries(groups)
+    .map(([cell, cellRows]) => {
+      const first = cellRows[0];
+      return {
+        cell,
+        pci: first.pci ?? null,
+        arfcn: first.arfcn ?? null,
+        band: first.band ?? null,
+        technology: first.technology,
+        count: cellRows.length,
+        class1Pct: class1Share(cellRows),
+        avgRsrp: avg(cellRows, 'rsrp'),
+        avgRsrq: avg(cellRows, 'rsrq'),
+        avgSinr: avg(cellRows, 'sinr'),
+        avgCqi: avg(cellRows, 'cqi'),
+        avgRssi: avg(cellRows, 'rssi'),
+        avgThroughputMbps: avg(cellRows, 'throughput'),
+        avgUlThroughputMbps: avg(cellRows, 'ulThroughput')
+      };
+    })
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+}
@@ -0,0 +1,156 @@
+/* -------------------------
+  Anomaly detection over time
+   Each sector (and all sectors together) becomes a time series per
+   metric, one point per day or per hour. A point is compared with a
+   baseline of earlier points: the previous few points (rolling), or
+   the same hour of day / weekday on earlier days (seasonal), so a
+   drive that is always worse at rush hour is not flagged every
+   evening. The z-score is (value - baseline mean) / baseline spread;
+   every metric here is better when higher, so only drops count.
+   Points and baselines with too few samples are skipped.
+--------------------------*/
+import { class1Share, numericValues } from './analytics';
+import { dateKeyToDate, formatDayLabel, rowDateKey } from './dateRange';
+
+export const ALL_SECTORS = 'All sectors';
+
+// `minSpread` keeps a very steady baseline from turning noise into a huge z
+export const ANOMALY_METRICS = [
+  { key: 'rsrp', label: 'RSRP', unit: 'dBm', digits: 1, minSpread: 1 },
+  { key: 'sinr', label: 'SINR', unit: 'dB', digits: 1, minSpread: 1 },
+  { key: 'throughput', label: 'DL throughput', unit: 'Mbps', digits: 1, minSpread: 1 },
+  { key: 'class1', label: 'Class 1 share', unit: '%', digits: 1, minSpread: 2 }
+];
+
+export const BUCKETS = [
+  { key: 'day', label: 'Daily', window: 7, seasonalWindow: 4 },
+  { key: 'hour', label: 'Hourly', window: 24, seasonalWindow: 7 }
+];
+
+export const DEFAULT_ANOMALY_SETTINGS = { bucket: 'day', baseline: 'rolling', threshold: 2.5 };
+
+const MIN_BUCKET_SAMPLES = 5;
+const MIN_BASELINE_POINTS = 3;
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+export const anomalyMetric = (key) => ANOMALY_METRICS.find(m => m.key === key) || ANOMALY_METRICS[0];
+
+// { key, day, hour } of the bucket a row falls in, or null without a time
+const bucketOf = (row, bucket) => {
+  const day = rowDateKey(row);
+  if (day === null) return null;
+  if (bucket === 'hour') {
+    if (row.hour === null || row.hour === undefined) return null;
+    return { key: `${day} ${pad2(row.hour)}`, day, hour: row.hour };
+  }
+  return { key: day, day, hour: null };
+};
+
+// label and season (hour of day, or weekday) once per bucket rather than per row
+const newBucket = (b) => (b.hour === null
+  ? { ...b, label: formatDayLabel(b.day), season: dateKeyToDate(b.day).getDay(), rows: [] }
+  : { ...b, label: `${formatDayLabel(b.day)} ${pad2(b.hour)}:00`, season: b.hour, rows: [] });
+
+const metricValue = (rows, metric) => {
+  if (metric.key === 'class1') {
+    const classified = rows.filter(r => r.signalClass !== null && r.signalClass !== undefined).length;
+    return classified >= MIN_BUCKET_SAMPLES ? class1Share(rows) : null;
+  }
+  const vals = numericValues(rows, metric.key);
+  return vals.length >= MIN_BUCKET_SAMPLES ? vals.reduce((a, b) => a + b, 0) / vals.length : null;
+};
+
+const meanAndSpread = (values) => {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+  return { mean, spread: Math.sqrt(variance) };
+};
+
+// every entity's rows split into time buckets, oldest first
+const bucketRows = (rows, bucket) => {
+  const entities = new Map([[ALL_SECTORS, new Map()]]);
+  const add = (entity, b, row) => {
+    if (!entities.has(entity)) entities.set(entity, new Map());
+    const buckets = entities.get(entity);
+    if (!buckets.has(b.key)) buckets.set(b.key, newBucket(b));
+    buckets.get(b.key).rows.push(row);
+  };
+  rows.forEach(row => {
+    const b = bucketOf(row, bucket);
+    if (!b) return;
+    add(ALL_SECTORS, b, row);
+    if (row.location) add(row.location, b, row);
+  });
+  return [...entities.entries()].map(([entity, buckets]) => ({
+    entity,
+    buckets: [...buckets.values()].sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+  }));
+};
+
+// one series point per bucket: value, baseline mean and spread, z-score and whether it is an anomaly
+const scoreSeries = (buckets, metric, settings, bucketDef) => {
+  const history = [];
+  const bySeason = new Map();
+  return buckets.map(b => {
+    const point = { key: b.key, label: b.label, day: b.day, hour: b.hour, count: b.rows.length, value: metricValue(b.rows, metric) };
+    if (!bySeason.has(b.season)) bySeason.set(b.season, []);
+    const seasonal = bySeason.get(b.season);
+    const pool = settings.baseline === 'seasonal' ? seasonal.slice(-bucketDef.seasonalWindow) : history.slice(-bucketDef.window);
+    if (point.value === null) return { ...point, baseline: null, spread: null, z: null, anomaly: false };
+    history.push(point.value);
+    seasonal.push(point.value);
+    if (pool.length < MIN_BASELINE_POINTS) return { ...point, baseline: null, spread: null, z: null, anomaly: false };
+    const { mean, spread } = meanAndSpread(pool);
+    const scale = Math.max(spread, metric.minSpread);
+    const z = (point.value - mean) / scale;
+    return { ...point, baseline: mean, spread: scale, z, anomaly: z <= -settings.threshold };
+  });
+};
+
+const anomalyChips = (entity, point) => {
+  const chips = [];
+  if (entity !== ALL_SECTORS) chips.push({ kind: 'location', value: entity, label: `Sector ${entity}` });
+  chips.push({ kind: 'day', from: point.day, to: point.day, label: formatDayLabel(point.day, true) });
+  if (point.hour !== null) chips.push({ kind: 'hour', from: point.hour, to: point.hour, label: `Hour ${point.hour}:00` });
+  return chips;
+};
+
+/* -------------------------
+  { series: { [entity]: { [metric]: points } }, entities, anomalies }
+  anomalies are worst (lowest z) first, each with the chips that
+  filter the dashboard to it
+--------------------------*/
+export function detectAnomalies(rows, settings = DEFAULT_ANOMALY_SETTINGS, metricKeys = ANOMALY_METRICS.map(m => m.key)) {
+  const bucketDef = BUCKETS.find(b => b.key === settings.bucket) || BUCKETS[0];
+  const series = {};
+  const anomalies = [];
+  const grouped = bucketRows(rows, bucketDef.key);
+  grouped.forEach(({ entity, buckets }) => {
+    series[entity] = {};
+    metricKeys.forEach(key => {
+      const metric = anomalyMetric(key);
+      const points = scoreSeries(buckets, metric, settings, bucketDef);
+      series[entity][key] = points;
+      points.filter(p => p.anomaly).forEach(p => anomalies.push({
+        id: `${entity}|${key}|${p.key}`,
+        entity,
+        metric: key,
+        bucket: p.key,
+        label: p.label,
+        value: p.value,
+        baseline: p.baseline,
+        delta: p.value - p.baseline,
+        z: p.z,
+        count: p.count,
+        severity: -p.z,
+        chips: anomalyChips(entity, p)
+      }));
+    });
+  });
+  return {
+    series,
+    entities: grouped.map(g => g.entity).sort((a, b) => (a === ALL_SECTORS ? -1 : b === ALL_SECTORS ? 1 : a.localeCompare(b))),
+    anomalies: anomalies.sort((a, b) => b.severity - a.severity)
+  };
+}
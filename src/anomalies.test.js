@@ -0,0 +1,61 @@
+import { ALL_SECTORS, detectAnomalies } from './anomalies';
+
+// five samples of `value` on 2025-09-`day` (1 September 2025 is a Monday)
+const dayRows = (day, key, value, location = 'A') => Array.from({ length: 5 }, (_, i) => ({
+  timestamp: new Date(2025, 8, day, 10, i).toISOString(),
+  hour: 10,
+  location,
+  [key]: value
+}));
+
+const days = (values, key) => values.flatMap((value, i) => dayRows(i + 1, key, value));
+
+describe('detectAnomalies', () => {
+  test('flags a drop against the rolling baseline, per sector and overall', () => {
+    const { anomalies } = detectAnomalies(days([-80, -80, -80, -80, -80, -80, -90], 'rsrp'), { bucket: 'day', baseline: 'rolling', threshold: 2.5 }, ['rsrp']);
+
+    expect(anomalies.map(a => a.entity).sort()).toEqual(['A', ALL_SECTORS].sort());
+    const sector = anomalies.find(a => a.entity === 'A');
+    expect(sector).toMatchObject({ metric: 'rsrp', bucket: '2025-09-07', value: -90, baseline: -80, delta: -10, z: -10 });
+    expect(sector.chips.map(c => c.kind)).toEqual(['location', 'day']);
+  });
+
+  test('only counts drops', () => {
+    const { anomalies, series } = detectAnomalies(days([-80, -80, -80, -80, -70], 'rsrp'), undefined, ['rsrp']);
+
+    expect(series[ALL_SECTORS].rsrp[4].z).toBe(10);
+    expect(anomalies).toEqual([]);
+  });
+
+  test('floors the baseline spread at minSpread', () => {
+    const { series, anomalies } = detectAnomalies(days([-80, -81, -80, -81, -82.5], 'rsrp'), undefined, ['rsrp']);
+    const last = series[ALL_SECTORS].rsrp[4];
+
+    // the true spread is about 0.58 dB, which would make this a z of -3.5
+    expect(last.spread).toBe(1);
+    expect(last.z).toBeCloseTo(-2, 5);
+    expect(anomalies).toEqual([]);
+  });
+
+  test('skips thin buckets and short baselines', () => {
+    const rows = [...days([-80, -80, -90], 'rsrp'), ...dayRows(4, 'rsrp', -90).slice(0, 4)];
+    const points = detectAnomalies(rows, undefined, ['rsrp']).series[ALL_SECTORS].rsrp;
+
+    expect(points.map(p => p.z)).toEqual([null, null, null, null]);
+    expect(points[3].value).toBeNull();
+  });
+
+  test('a seasonal baseline expects the weekly pattern a rolling one flags', () => {
+    // five weeks where Sundays are always slow
+    const values = Array.from({ length: 35 }, (_, i) => ((i + 1) % 7 === 0 ? 5 : 50));
+    const rows = days(values, 'throughput').map(r => ({ ...r, location: null }));
+    const sundays = ['2025-09-07', '2025-09-14', '2025-09-21', '2025-09-28', '2025-10-05'];
+
+    const rolling = detectAnomalies(rows, { bucket: 'day', baseline: 'rolling', threshold: 2 }, ['throughput']);
+    expect(rolling.anomalies.map(a => a.bucket).sort()).toEqual(sundays);
+
+    const seasonal = detectAnomalies(rows, { bucket: 'day', baseline: 'seasonal', threshold: 2 }, ['throughput']);
+    expect(seasonal.anomalies).toEqual([]);
+    expect(seasonal.series[ALL_SECTORS].throughput[34]).toMatchObject({ value: 5, baseline: 5, z: 0 });
+  });
+});
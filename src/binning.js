@@ -0,0 +1,194 @@
+/* -------------------------
+  Spatial binning
+   Samples are grouped into hexagons or squares of a fixed ground size so an
+   area counts once however long the car sat in it. Bins are laid out in
+   Web Mercator world coordinates scaled to metres at the data's mean
+   latitude, which keeps them the same size across a city-sized drive.
+   Rows without a real position fix are not binned.
+--------------------------*/
+import { isValidCoordinate } from './csvNormaliser';
+import { lngLatToWorld, viewTransform } from './pointLayer';
+import { avg, class1Share, percentile } from './analytics';
+
+export const BIN_SHAPES = [
+  { key: 'hex', label: 'Hexagons' },
+  { key: 'square', label: 'Squares' }
+];
+export const BIN_SIZES = [25, 50, 100, 250];
+
+export const BIN_COLOR_BY = [
+  { key: 'medianRsrp', label: 'Median RSRP', min: -120, max: -70, unit: ' dBm' },
+  { key: 'class1Pct', label: 'Class 1 share', min: 0, max: 100, unit: '%' }
+];
+
+const EARTH_CIRCUMFERENCE_M = 40075016.686;
+const SQRT3 = Math.sqrt(3);
+
+// hexagon size is measured across the flats, square size along a side
+export const hexCell = (mx, my, size) => {
+  const radius = size / SQRT3;
+  const q = ((SQRT3 / 3) * mx - my / 3) / radius;
+  const r = ((2 / 3) * my) / radius;
+  // cube rounding
+  let rx = Math.round(q);
+  let rz = Math.round(r);
+  const ry = Math.round(-q - r);
+  const dx = Math.abs(rx - q);
+  const dy = Math.abs(ry - (-q - r));
+  const dz = Math.abs(rz - r);
+  if (dx > dy && dx > dz) rx = -ry - rz;
+  else if (dy <= dz) rz = -rx - ry;
+  return { key: `${rx},${rz}`, cx: radius * SQRT3 * (rx + rz / 2), cy: radius * 1.5 * rz };
+};
+
+export const squareCell = (mx, my, size) => {
+  const i = Math.floor(mx / size);
+  const j = Math.floor(my / size);
+  return { key: `${i},${j}`, cx: (i + 0.5) * size, cy: (j + 0.5) * size };
+};
+
+// polygon corners around a centre, in metres
+const cellCorners = (shape, cx, cy, size) => {
+  if (shape === 'square') {
+    const h = size / 2;
+    return [[cx - h, cy - h], [cx + h, cy - h], [cx + h, cy + h], [cx - h, cy + h]];
+  }
+  const radius = size / SQRT3;
+  return Array.from({ length: 6 }, (_, k) => {
+    const angle = (Math.PI / 180) * (60 * k - 30);
+    return [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+  });
+};
+
+export function binStats(rows) {
+  const classCounts = [0, 0, 0, 0, 0];
+  let minT = Infinity;
+  let maxT = -Infinity;
+  const technologies = {};
+  rows.forEach(r => {
+    classCounts[r.signalClass >= 1 && r.signalClass <= 4 ? r.signalClass : 0] += 1;
+    if (r.timestamp) {
+      const t = new Date(r.timestamp).getTime();
+      if (t < minT) minT = t;
+      if (t > maxT) maxT = t;
+    }
+    technologies[r.technology] = (technologies[r.technology] || 0) + 1;
+  });
+  const hasRsrp = rows.some(r => r.rsrp !== null && r.rsrp !== undefined);
+  return {
+    count: rows.length,
+    medianRsrp: hasRsrp ? percentile(rows, 'rsrp', 50) : null,
+    avgRsrp: avg(rows, 'rsrp'),
+    avgSinr: avg(rows, 'sinr'),
+    class1Pct: classCounts.slice(1).some(Boolean) ? class1Share(rows) : null,
+    avgThroughputMbps: avg(rows, 'throughput'),
+    avgUlThroughputMbps: avg(rows, 'ulThroughput'),
+    classCounts,
+    technologies,
+    firstTimestamp: Number.isFinite(minT) ? new Date(minT).toISOString() : null,
+    lastTimestamp: Number.isFinite(maxT) ? new Date(maxT).toISOString() : null
+  };
+}
+
+export function buildBins(rows, shape = 'hex', sizeMeters = 50) {
+  const located = rows.filter(r => !r.jittered && isValidCoordinate(r.lat, r.lon));
+  if (!located.length) return { shape, sizeMeters, bins: [], byKey: new Map(), weights: new Map(), metersPerWorld: 1 };
+
+  const meanLat = located.reduce((sum, r) => sum + Number(r.lat), 0) / located.length;
+  const metersPerWorld = EARTH_CIRCUMFERENCE_M * Math.cos((meanLat * Math.PI) / 180);
+  const cellOf = shape === 'square' ? squareCell : hexCell;
+
+  const byKey = new Map();
+  located.forEach(r => {
+    const w = lngLatToWorld(Number(r.lat), Number(r.lon));
+    const cell = cellOf(w.x * metersPerWorld, w.y * metersPerWorld, sizeMeters);
+    let bin = byKey.get(cell.key);
+    if (!bin) {
+      bin = { key: cell.key, cx: cell.cx, cy: cell.cy, rows: [] };
+      byKey.set(cell.key, bin);
+    }
+    bin.rows.push(r);
+  });
+
+  // every bin carries the same total weight, split over its samples
+  const weights = new Map();
+  const bins = [...byKey.values()].map(bin => {
+    bin.rows.forEach(r => weights.set(r, 1 / bin.rows.length));
+    const corners = cellCorners(shape, bin.cx, bin.cy, sizeMeters).map(([mx, my]) => [mx / metersPerWorld, my / metersPerWorld]);
+    return Object.assign(bin, { corners, stats: binStats(bin.rows) });
+  });
+
+  return { shape, sizeMeters, bins, byKey, weights, metersPerWorld };
+}
+
+// weight accessor for the KPI helpers; unbinned rows (no position fix) count for nothing
+export const binWeight = (binning) => (row) => binning.weights.get(row) || 0;
+
+/* -------------------------
+  Colours
+--------------------------*/
+const GRADIENT = ['#EF4444', '#F97316', '#F59E0B', '#EAB308', '#84CC16', '#22C55E', '#10B981'];
+const NO_VALUE_COLOR = '#9CA3AF';
+
+export const binLegend = (colorByKey) => {
+  const colorBy = BIN_COLOR_BY.find(c => c.key === colorByKey) || BIN_COLOR_BY[0];
+  return { ...colorBy, colors: GRADIENT };
+};
+
+export function binColor(bin, colorByKey) {
+  const colorBy = BIN_COLOR_BY.find(c => c.key === colorByKey) || BIN_COLOR_BY[0];
+  const value = bin.stats[colorBy.key];
+  if (value === null || value === undefined) return NO_VALUE_COLOR;
+  const f = Math.max(0, Math.min(1, (value - colorBy.min) / (colorBy.max - colorBy.min)));
+  return GRADIENT[Math.min(GRADIENT.length - 1, Math.floor(f * GRADIENT.length))];
+}
+
+/* -------------------------
+  Draw and hit-test
+--------------------------*/
+export function drawBins(ctx, binning, colorByKey, selectedKey, view, width, height) {
+  const { scale, ox, oy } = viewTransform(view, width, height);
+  const byColor = {};
+  binning.bins.forEach(bin => {
+    const pts = bin.corners.map(([wx, wy]) => [wx * scale + ox, wy * scale + oy]);
+    if (pts.every(([sx]) => sx < 0) || pts.every(([sx]) => sx > width) || pts.every(([, sy]) => sy < 0) || pts.every(([, sy]) => sy > height)) return;
+    const color = binColor(bin, colorByKey);
+    (byColor[color] = byColor[color] || []).push(pts);
+  });
+
+  ctx.globalAlpha = 0.65;
+  Object.entries(byColor).forEach(([color, polygons]) => {
+    ctx.beginPath();
+    polygons.forEach(pts => {
+      ctx.moveTo(pts[0][0], pts[0][1]);
+      pts.slice(1).forEach(([sx, sy]) => ctx.lineTo(sx, sy));
+      ctx.closePath();
+    });
+    ctx.fillStyle = color;
+    ctx.fill();
+  });
+  ctx.globalAlpha = 1;
+
+  const selected = selectedKey && binning.byKey.get(selectedKey);
+  if (selected) {
+    ctx.beginPath();
+    selected.corners.forEach(([wx, wy], k) => {
+      if (k === 0) ctx.moveTo(wx * scale + ox, wy * scale + oy);
+      else ctx.lineTo(wx * scale + ox, wy * scale + oy);
+    });
+    ctx.closePath();
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = '#111827';
+    ctx.stroke();
+  }
+}
+
+// the bin under screen point (px, py), or null
+export function hitTestBins(binning, view, width, height, px, py) {
+  if (!binning.bins.length) return null;
+  const { scale, ox, oy } = viewTransform(view, width, height);
+  const mx = ((px - ox) / scale) * binning.metersPerWorld;
+  const my = ((py - oy) / scale) * binning.metersPerWorld;
+  const cell = (binning.shape === 'square' ? squareCell : hexCell)(mx, my, binning.sizeMeters);
+  return binning.byKey.get(cell.key) || null;
+}
@@ -0,0 +1,81 @@
+import { binWeight, buildBins, hexCell, squareCell } from './binning';
+
+// 50 m hexagons: neighbours along x are 50 m apart, rows 43.3 m apart
+const SIZE = 50;
+const RADIUS = SIZE / Math.sqrt(3);
+
+const row = (lat, lon, extra = {}) => ({ lat, lon, rsrp: -90, signalClass: 1, technology: '5G', ...extra });
+
+describe('squareCell', () => {
+  test('puts a point on a cell edge in the cell that starts there', () => {
+    expect(squareCell(49.9, 0, SIZE).key).toBe('0,0');
+    expect(squareCell(50, 0, SIZE).key).toBe('1,0');
+    expect(squareCell(-0.1, 49.9, SIZE).key).toBe('-1,0');
+    expect(squareCell(0, 50, SIZE)).toEqual({ key: '0,1', cx: 25, cy: 75 });
+  });
+});
+
+describe('hexCell', () => {
+  test('splits neighbours half way across the flat edge', () => {
+    expect(hexCell(24.9, 0, SIZE).key).toBe('0,0');
+    expect(hexCell(25.1, 0, SIZE).key).toBe('1,0');
+    expect(hexCell(-25.1, 0, SIZE).key).toBe('-1,0');
+  });
+
+  test('splits the row above at the slanted edges', () => {
+    expect(hexCell(1, 28, SIZE).key).toBe('0,0');
+    expect(hexCell(1, 29.5, SIZE)).toMatchObject({ key: '0,1', cx: 25 });
+    expect(hexCell(-1, 29.5, SIZE)).toMatchObject({ key: '-1,1', cx: -25 });
+  });
+
+  test('assigns every point to the nearest hexagon centre', () => {
+    for (let mx = -60; mx <= 60; mx += 3.7) {
+      for (let my = -60; my <= 60; my += 3.7) {
+        const { cx, cy } = hexCell(mx, my, SIZE);
+        const distance = Math.hypot(mx - cx, my - cy);
+        expect(distance).toBeLessThanOrEqual(RADIUS + 1e-9);
+        [[SIZE, 0], [-SIZE, 0], [SIZE / 2, RADIUS * 1.5], [-SIZE / 2, RADIUS * 1.5], [SIZE / 2, -RADIUS * 1.5], [-SIZE / 2, -RADIUS * 1.5]]
+          .forEach(([dx, dy]) => expect(distance).toBeLessThanOrEqual(Math.hypot(mx - cx - dx, my - cy - dy) + 1e-9));
+      }
+    }
+  });
+});
+
+describe('buildBins', () => {
+  // three samples parked at one spot, one 1 km east, one jittered and one without a fix
+  const parked = [row(-26.2, 28.04), row(-26.2, 28.04, { rsrp: -100 }), row(-26.20001, 28.04001)];
+  const away = row(-26.2, 28.05);
+  const jittered = row(-26.2, 28.04, { jittered: true });
+  const unlocated = row(null, null);
+  const rows = [...parked, away, jittered, unlocated];
+
+  test.each(['hex', 'square'])('groups nearby %s samples and leaves out jittered and unlocated rows', (shape) => {
+    const binning = buildBins(rows, shape, SIZE);
+
+    expect(binning.bins.map(b => b.rows.length).sort()).toEqual([1, 3]);
+    expect(binning.bins.flatMap(b => b.rows)).not.toContain(jittered);
+    expect(binning.bins.flatMap(b => b.rows)).not.toContain(unlocated);
+    const parkedBin = binning.bins.find(b => b.rows.length === 3);
+    expect(binning.byKey.get(parkedBin.key)).toBe(parkedBin);
+    expect(parkedBin.stats).toMatchObject({ count: 3, avgRsrp: -280 / 3, class1Pct: 100 });
+    expect(parkedBin.corners).toHaveLength(shape === 'hex' ? 6 : 4);
+  });
+
+  test('weighs every bin as one, split over its samples', () => {
+    const binning = buildBins(rows, 'hex', SIZE);
+    const weight = binWeight(binning);
+
+    expect(parked.map(weight)).toEqual([1 / 3, 1 / 3, 1 / 3]);
+    expect(weight(away)).toBe(1);
+    expect(weight(jittered)).toBe(0);
+    expect(weight(unlocated)).toBe(0);
+    expect(rows.reduce((sum, r) => sum + weight(r), 0)).toBeCloseTo(binning.bins.length);
+  });
+
+  test('is empty without located rows', () => {
+    const binning = buildBins([jittered, unlocated], 'square', SIZE);
+
+    expect(binning.bins).toEqual([]);
+    expect(binWeight(binning)(jittered)).toBe(0);
+  });
+});
@@ -0,0 +1,110 @@
+/* -------------------------
+  Assistant conversation history
+   One thread per dataset (the set of visible drive sessions), kept in
+   localStorage so it survives a reload. Every question and answer
+   carries a snapshot of the selection it was asked against: the
+   sessions, technology, dates, map areas, chart chips and row count.
+   Threads export to Markdown or JSON for optimisation reports.
+--------------------------*/
+import { describeQuery, formatQueryValue } from './queryEngine';
+import { loadJson, storeJson } from './storage';
+
+const STORAGE_KEY = 'driveTest.chatThreads';
+const MAX_MESSAGES = 200;
+const MAX_THREADS = 20;
+
+export const datasetKey = (sessionIds) => [...sessionIds].sort().join('+');
+
+export function selectionSnapshot({ sessions, selectedTech, dateRange, areas, chips, excludeFlagged, profileName, rowCount }) {
+  return {
+    takenAt: new Date().toISOString(),
+    sessions: sessions.map(s => ({ id: s.id, name: s.name, source: s.source })),
+    technology: selectedTech,
+    dateRange: dateRange.from || dateRange.to ? { from: dateRange.from || null, to: dateRange.to || null } : null,
+    areas: areas.map(a => a.name),
+    chips: chips.map(c => c.label),
+    excludeFlagged: Boolean(excludeFlagged),
+    signalProfile: profileName || null,
+    rows: rowCount
+  };
+}
+
+export function describeSnapshot(snapshot) {
+  const parts = [snapshot.sessions.map(s => s.name).join(' + ') || 'No data'];
+  parts.push(snapshot.technology === 'All' ? 'all technologies' : snapshot.technology);
+  if (snapshot.dateRange) parts.push(`${snapshot.dateRange.from || '…'} – ${snapshot.dateRange.to || '…'}`);
+  if (snapshot.areas.length) parts.push(`area ${snapshot.areas.join(', ')}`);
+  if (snapshot.chips.length) parts.push(snapshot.chips.join(', '));
+  if (snapshot.excludeFlagged) parts.push('flagged rows excluded');
+  if (snapshot.signalProfile) parts.push(`profile ${snapshot.signalProfile}`);
+  parts.push(`${snapshot.rows.toLocaleString()} rows`);
+  return parts.join(' · ');
+}
+
+/* -------------------------
+  Persistence: { [datasetKey]: { key, label, updatedAt, messages } },
+  the most recently used threads only. Half-streamed replies are not
+  saved; they are kept once they finish.
+--------------------------*/
+export const loadThreads = () => loadJson(STORAGE_KEY, {}, (parsed) => (
+  parsed && typeof parsed === 'object' ? Object.fromEntries(Object.entries(parsed).filter(([, t]) => t && Array.isArray(t.messages))) : null
+));
+
+export function storeThreads(threads) {
+  const newest = Object.values(threads)
+    .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1))
+    .slice(0, MAX_THREADS);
+  storeJson(STORAGE_KEY, Object.fromEntries(newest.map(t => [t.key, t])));
+}
+
+export function saveThread(threads, key, label, messages) {
+  const kept = messages.filter(m => !m.pending).slice(-MAX_MESSAGES);
+  return { ...threads, [key]: { key, label, updatedAt: new Date().toISOString(), messages: kept } };
+}
+
+export function removeThread(threads, key) {
+  const { [key]: removed, ...rest } = threads;
+  return rest;
+}
+
+/* -------------------------
+  Export
+--------------------------*/
+const fmtTime = (iso) => (iso ? new Date(iso).toLocaleString() : '');
+const cell = (text) => String(text).replace(/\|/g, '\\|');
+
+const payloadMarkdown = (payload) => {
+  if (!payload || payload.type === 'map') return [];
+  const grouped = payload.rows.some(r => r.n !== undefined);
+  return [
+    '',
+    `| ${payload.type === 'table' && !grouped ? 'KPI' : 'Group'} | Value |${grouped ? ' Samples |' : ''}`,
+    `| --- | ---: |${grouped ? ' ---: |' : ''}`,
+    ...payload.rows.map(r => `| ${cell(r.label)} | ${formatQueryValue(r.metric, r.value)} |${grouped ? ` ${r.n.toLocaleString()} |` : ''}`)
+  ];
+};
+
+const messageMarkdown = (m) => {
+  if (m.role === 'user') {
+    return [`## Q: ${m.text}`, ...(m.snapshot ? [`_Asked ${fmtTime(m.snapshot.takenAt)} · ${describeSnapshot(m.snapshot)}_`] : [])];
+  }
+  if (m.role === 'tool') {
+    return [`Tool call \`${m.name}(${JSON.stringify(m.args)})\`:`, '```json', JSON.stringify(m.result, null, 2), '```'];
+  }
+  const lines = [];
+  if (m.source) lines.push(`**${m.source}:**`);
+  lines.push(m.text);
+  lines.push(...payloadMarkdown(m.payload));
+  if (m.query && m.query.intent !== 'columns') lines.push('', `_Query: ${describeQuery(m.query)}_`);
+  if (m.unverified && m.unverified.length) lines.push('', `> ⚠ Not found in the data or tool results: ${m.unverified.join(', ')}`);
+  return lines;
+};
+
+export function threadToMarkdown(thread) {
+  const body = thread.messages
+    .filter((m, i) => !(i === 0 && m.role === 'assistant' && !m.query))
+    .map(m => messageMarkdown(m).join('\n'));
+  return [`# Assistant conversation: ${thread.label}`, `_Exported ${new Date().toLocaleString()}_`, ...body].join('\n\n') + '\n';
+}
+
+export const threadToJson = (thread) => JSON.stringify({ type: 'drive-test-chat-thread', version: 1, exportedAt: new Date().toISOString(), ...thread }, null, 2);
@@ -0,0 +1,63 @@
+import { parseQuestion } from './queryEngine';
+import { datasetKey, describeSnapshot, removeThread, saveThread, selectionSnapshot, threadToJson, threadToMarkdown } from './chatHistory';
+
+const snapshot = selectionSnapshot({
+  sessions: [{ id: 'demo', name: 'Demo drive', source: 'synthetic', rows: [] }],
+  selectedTech: '5G',
+  dateRange: { from: '2025-09-01', to: '' },
+  areas: [{ name: 'Harbour' }],
+  chips: [{ label: 'Class 4' }],
+  excludeFlagged: true,
+  profileName: 'Default',
+  rowCount: 1234
+});
+
+const query = parseQuestion('average throughput by sector', { sectors: [] });
+
+const thread = {
+  key: 'demo',
+  label: 'Demo drive',
+  messages: [
+    { role: 'assistant', text: 'Hi!' },
+    { role: 'user', text: 'average throughput by sector', snapshot },
+    {
+      role: 'assistant',
+      text: 'Average throughput by sector',
+      query,
+      payload: { type: 'bar', title: 'Average throughput', rows: [{ key: 'A|B', label: 'A|B', metric: 'throughput', value: 42.5, n: 10 }] },
+      snapshot
+    },
+    { role: 'tool', name: 'aggregate', args: { metric: 'sinr' }, result: { value: 12.3 } },
+    { role: 'assistant', text: 'About 99 Mbps', source: 'Mock · echo', unverified: ['99'], snapshot }
+  ]
+};
+
+describe('chat history', () => {
+  test('keys a thread by the set of visible sessions in any order', () => {
+    expect(datasetKey(['b', 'a'])).toBe(datasetKey(['a', 'b']));
+  });
+
+  test('snapshots the selection the question was asked against', () => {
+    expect(snapshot.sessions).toEqual([{ id: 'demo', name: 'Demo drive', source: 'synthetic' }]);
+    expect(describeSnapshot(snapshot)).toBe('Demo drive · 5G · 2025-09-01 – … · area Harbour · Class 4 · flagged rows excluded · profile Default · 1,234 rows');
+  });
+
+  test('saves finished messages only and removes a thread', () => {
+    const saved = saveThread({}, 'demo', 'Demo drive', [...thread.messages, { role: 'assistant', text: '', pending: true }]);
+    expect(saved.demo.messages).toHaveLength(thread.messages.length);
+    expect(removeThread(saved, 'demo')).toEqual({});
+  });
+
+  test('exports a thread to Markdown and JSON', () => {
+    const md = threadToMarkdown(thread);
+    expect(md).toContain('## Q: average throughput by sector');
+    expect(md).toContain('area Harbour');
+    expect(md).toContain('| A\\|B |');
+    expect(md).toContain('Tool call `aggregate({"metric":"sinr"})`');
+    expect(md).toContain('⚠ Not found in the data or tool results: 99');
+    expect(md).not.toContain('Hi!');
+    const json = JSON.parse(threadToJson(thread));
+    expect(json.type).toBe('drive-test-chat-thread');
+    expect(json.messages[1].snapshot.rows).toBe(1234);
+  });
+});
@@ -0,0 +1,277 @@
+/* -------------------------
+  Copilot tools
+   The analytics a language model may call while it answers, so every
+   figure it quotes is computed here rather than guessed. Each tool has
+   an OpenAI-style function schema and runs against the rows the
+   dashboard currently shows:
+   context = { rowsFor(query) -> rows, areas, problemRules }
+   Tool filters become queryEngine filters, plus an optional saved map
+   area. Results are plain JSON; a bad call returns { error } so the
+   model can correct itself.
+--------------------------*/
+import { AGGREGATIONS, GROUP_BYS, QUERY_METRICS, emptyFilters, filterRows, queryMetric, runQuery } from './queryEngine';
+import { detectProblems, problemType, PROBLEM_TYPES } from './problemAreas';
+import { inAnyArea } from './spatialAreas';
+import { rowDateKey } from './dateRange';
+
+const MAX_LIMIT = 50;
+const MAX_SECTORS_LISTED = 50;
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+const METRIC_KEYS = QUERY_METRICS.map(m => m.key);
+const GROUP_KEYS = GROUP_BYS.map(g => g.key);
+
+/* -------------------------
+  Schemas
+--------------------------*/
+const filterProperties = (areas) => ({
+  technology: { type: 'string', enum: ['4G', '5G'], description: 'Only this technology. Omit to follow the dashboard selection.' },
+  hour_from: { type: 'integer', minimum: 0, maximum: 23, description: 'First hour of day (0-23), inclusive.' },
+  hour_to: { type: 'integer', minimum: 0, maximum: 23, description: 'Last hour of day (0-23), inclusive.' },
+  date_from: { type: 'string', description: 'First day, YYYY-MM-DD.' },
+  date_to: { type: 'string', description: 'Last day, YYYY-MM-DD.' },
+  sectors: { type: 'array', items: { type: 'string' }, description: 'Only these sectors (the location column).' },
+  signal_classes: { type: 'array', items: { type: 'integer', enum: [1, 2, 3, 4] }, description: 'Only these signal classes (1 is best).' },
+  area: areas.length
+    ? { type: 'string', enum: areas.map(a => a.name), description: 'Only samples inside this saved map area.' }
+    : { type: 'string', description: 'Only samples inside this saved map area (none are saved yet).' }
+});
+
+const metricProperty = {
+  type: 'string',
+  enum: METRIC_KEYS,
+  description: 'throughput and ulThroughput are Mbps, rsrp dBm, rsrq and sinr dB; class1 is the share of Class 1 samples in %; count counts samples.'
+};
+
+const tool = (name, description, properties, required = []) => ({
+  type: 'function',
+  function: { name, description, parameters: { type: 'object', properties, required } }
+});
+
+export function toolDefinitions(areas = []) {
+  const filters = filterProperties(areas);
+  return [
+    tool('aggregate', 'Average, median, lowest, highest or total of a metric, optionally per group. Use for any figure about the loaded drive test.', {
+      metric: metricProperty,
+      aggregation: { type: 'string', enum: AGGREGATIONS.map(a => a.key).filter(k => k !== 'percentile'), description: 'Defaults to avg.' },
+      group_by: { type: 'string', enum: GROUP_KEYS, description: 'Split the result per group.' },
+      sort: { type: 'string', enum: ['asc', 'desc'], description: 'Order groups by value; time groups default to time order.' },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, description: 'Keep only the first groups.' },
+      ...filters
+    }, ['metric']),
+    tool('percentile', 'A percentile (nearest rank) of a metric, optionally per group.', {
+      metric: metricProperty,
+      p: { type: 'integer', minimum: 1, maximum: 99, description: 'Which percentile, e.g. 5, 50 or 95.' },
+      group_by: { type: 'string', enum: GROUP_KEYS },
+      ...filters
+    }, ['metric', 'p']),
+    tool('top_sectors', 'Rank sectors by a metric. Every metric here is better when higher.', {
+      metric: metricProperty,
+      n: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, description: 'How many sectors; defaults to 5.' },
+      order: { type: 'string', enum: ['best', 'worst'], description: 'Defaults to best.' },
+      aggregation: { type: 'string', enum: ['avg', 'median', 'min', 'max'], description: 'Defaults to avg.' },
+      ...filters
+    }, ['metric']),
+    tool('filter_rows', 'Count the samples matching filters and describe what they cover: days, hours, technologies and sectors. Use it to check what data exists.', {
+      ...filters
+    }),
+    tool('find_problem_areas', 'Coverage holes, interference and low-throughput clusters found by the dashboard\'s problem-area rules, worst first.', {
+      type: { type: 'string', enum: PROBLEM_TYPES.map(t => t.key), description: 'Only this kind of problem.' },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, description: 'How many events; defaults to 5.' },
+      ...filters
+    })
+  ];
+}
+
+/* -------------------------
+  Running
+--------------------------*/
+const oneOf = (value, allowed, name) => {
+  if (value === undefined || value === null) return null;
+  if (!allowed.includes(value)) throw new Error(`Unknown ${name} "${value}". Use one of: ${allowed.join(', ')}.`);
+  return value;
+};
+const hourOf = (value, name) => {
+  if (value === undefined || value === null) return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0 || n > 23) throw new Error(`${name} must be an hour from 0 to 23.`);
+  return n;
+};
+const dayOf = (value, name) => {
+  if (!value) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) throw new Error(`${name} must be a date as YYYY-MM-DD.`);
+  return value;
+};
+const limitOf = (value, fallback) => Math.max(1, Math.min(MAX_LIMIT, Number.parseInt(value, 10) || fallback));
+
+const toFilters = (args) => {
+  const from = hourOf(args.hour_from, 'hour_from');
+  const to = hourOf(args.hour_to, 'hour_to');
+  const dateFrom = dayOf(args.date_from, 'date_from');
+  const dateTo = dayOf(args.date_to, 'date_to');
+  return {
+    ...emptyFilters(),
+    technology: oneOf(args.technology, ['4G', '5G'], 'technology'),
+    hours: from === null && to === null ? null : { from: from === null ? 0 : from, to: to === null ? 23 : to },
+    dates: dateFrom || dateTo ? { from: dateFrom || dateTo, to: dateTo || dateFrom, label: null } : null,
+    sectors: Array.isArray(args.sectors) ? args.sectors.map(String) : [],
+    signalClasses: Array.isArray(args.signal_classes) ? args.signal_classes.map(Number).filter(n => n >= 1 && n <= 4) : []
+  };
+};
+
+// the dashboard's rows for a query, narrowed to a saved area when one is named
+const rowsFor = (query, args, context) => {
+  const rows = context.rowsFor(query);
+  if (!args.area) return rows;
+  const area = (context.areas || []).find(a => a.name.toLowerCase() === String(args.area).toLowerCase());
+  if (!area) {
+    const names = (context.areas || []).map(a => a.name);
+    throw new Error(`No saved area "${args.area}". ${names.length ? `Saved areas: ${names.join(', ')}.` : 'No areas are saved.'}`);
+  }
+  return rows.filter(inAnyArea([area]));
+};
+
+const metricOf = (args) => {
+  const key = oneOf(args.metric, METRIC_KEYS, 'metric');
+  if (!key) throw new Error('metric is required.');
+  return key;
+};
+
+// an aggregate query object, as the chat's query editor would build it;
+// count and class1 keep their own aggregation whatever was asked
+const aggregateQuery = (args, allowed, patch = {}) => {
+  const metric = metricOf(args);
+  const aggregation = (allowed.length && oneOf(args.aggregation, allowed, 'aggregation')) || 'avg';
+  return {
+    intent: 'aggregate',
+    metric,
+    aggregation: metric === 'count' ? 'count' : metric === 'class1' ? 'share' : aggregation,
+    percentile: null,
+    groupBy: oneOf(args.group_by, GROUP_KEYS, 'group_by'),
+    sort: oneOf(args.sort, ['asc', 'desc'], 'sort'),
+    limit: args.limit ? limitOf(args.limit, MAX_LIMIT) : null,
+    filters: toFilters(args),
+    ...patch
+  };
+};
+
+const resultJson = (query, result) => {
+  const metric = queryMetric(query.metric);
+  const base = { metric: metric.key, unit: metric.key === 'class1' ? '%' : metric.unit, aggregation: query.aggregation, ...(query.percentile ? { p: query.percentile } : {}) };
+  if (result.kind === 'empty') return { ...base, rows_matched: 0, value: null };
+  if (result.kind === 'value') {
+    const where = result.row ? { at: { sector: result.row.location || null, time: result.row.timestamp || null } } : {};
+    return { ...base, rows_matched: result.count, value: round(result.value), samples: result.n, ...where };
+  }
+  return {
+    ...base,
+    rows_matched: result.count,
+    group_by: query.groupBy,
+    groups: result.groups.map(g => ({ group: g.label, value: round(g.value), samples: g.n })),
+    total_groups: result.totalGroups
+  };
+};
+
+const runAggregate = (query, args, context) => resultJson(query, runQuery(rowsFor(query, args, context), query));
+
+const countBy = (rows, key) => {
+  const counts = {};
+  rows.forEach(r => {
+    const k = r[key];
+    if (k !== null && k !== undefined && k !== '') counts[k] = (counts[k] || 0) + 1;
+  });
+  return counts;
+};
+
+const TOOLS = {
+  aggregate: (args, context) => runAggregate(aggregateQuery(args, ['avg', 'median', 'min', 'max', 'sum']), args, context),
+  percentile: (args, context) => {
+    const p = Number.parseInt(args.p, 10);
+    if (!(p >= 1 && p <= 99)) throw new Error('p must be a whole number from 1 to 99.');
+    if (['count', 'class1'].includes(args.metric)) throw new Error(`A percentile of ${args.metric} has no meaning; use aggregate.`);
+    return runAggregate(aggregateQuery(args, [], { aggregation: 'percentile', percentile: p, sort: null, limit: null }), args, context);
+  },
+  top_sectors: (args, context) => {
+    const order = oneOf(args.order, ['best', 'worst'], 'order') || 'best';
+    const query = aggregateQuery(args, ['avg', 'median', 'min', 'max'], { groupBy: 'location', sort: order === 'best' ? 'desc' : 'asc', limit: limitOf(args.n, 5) });
+    return { order, ...runAggregate(query, args, context) };
+  },
+  filter_rows: (args, context) => {
+    const query = { intent: 'summary', metric: null, filters: toFilters(args) };
+    const rows = filterRows(rowsFor(query, args, context), query.filters);
+    const days = rows.map(rowDateKey).filter(Boolean).sort();
+    let hours = null;
+    rows.forEach(r => {
+      if (r.hour === null || r.hour === undefined) return;
+      hours = hours ? { from: Math.min(hours.from, r.hour), to: Math.max(hours.to, r.hour) } : { from: r.hour, to: r.hour };
+    });
+    const sectors = Object.keys(countBy(rows, 'location')).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    return {
+      rows_matched: rows.length,
+      first_day: days[0] || null,
+      last_day: days[days.length - 1] || null,
+      hours,
+      technologies: countBy(rows, 'technology'),
+      sector_count: sectors.length,
+      sectors: sectors.slice(0, MAX_SECTORS_LISTED)
+    };
+  },
+  find_problem_areas: (args, context) => {
+    const type = oneOf(args.type, PROBLEM_TYPES.map(t => t.key), 'type');
+    const query = { intent: 'summary', metric: null, filters: toFilters(args) };
+    const rows = filterRows(rowsFor(query, args, context), query.filters);
+    const events = detectProblems(rows, context.problemRules || []).filter(e => !type || e.type === type);
+    return {
+      rows_checked: rows.length,
+      total_events: events.length,
+      events: events.slice(0, limitOf(args.limit, 5)).map(e => ({
+        type: problemType(e.type).label,
+        sector: e.location,
+        samples: e.count,
+        seconds: Math.round(e.seconds),
+        meters: Math.round(e.meters),
+        avg_rsrp_dbm: round(e.stats.rsrp),
+        avg_sinr_db: round(e.stats.sinr),
+        avg_dl_mbps: round(e.stats.throughput),
+        start: e.start === null ? null : new Date(e.start).toISOString(),
+        center: { lat: Math.round(e.center.lat * 1e5) / 1e5, lng: Math.round(e.center.lng * 1e5) / 1e5 },
+        hint: e.hint
+      }))
+    };
+  }
+};
+
+export function runTool(name, args, context) {
+  const run = TOOLS[name];
+  if (!run) return { error: `Unknown tool "${name}". Available: ${Object.keys(TOOLS).join(', ')}.` };
+  try {
+    return run(args || {}, context);
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+/* -------------------------
+  Grounding: numbers in a model's answer that appear in none of the
+  sources (tool results, the local answer, the question). Small whole
+  numbers are skipped (list positions, "top 5"); a figure matches when
+  it rounds to a source value at its own precision, also after a
+  Mbps/kbps conversion.
+--------------------------*/
+const NUMBER = /\d[\d,]*(?:\.\d+)?/g;
+const SMALL = 10;
+
+const numbersIn = (text) => (String(text).match(NUMBER) || []).map(token => ({ token, value: Number(token.replace(/,/g, '')) }));
+
+export function ungroundedNumbers(answer, sources) {
+  const known = sources.flatMap(s => numbersIn(typeof s === 'string' ? s : JSON.stringify(s)).map(n => n.value));
+  const matches = ({ token, value }) => {
+    const decimals = (token.split('.')[1] || '').length;
+    const tolerance = 0.5 * 10 ** -decimals + 1e-9;
+    return known.some(k => Math.abs(k - value) <= tolerance || Math.abs(k * 1000 - value) <= Math.max(tolerance, 5) || Math.abs(k / 1000 - value) <= tolerance);
+  };
+  return [...new Set(numbersIn(answer)
+    .filter(n => !(Number.isInteger(n.value) && n.value <= SMALL && !n.token.includes('.')))
+    .filter(n => !matches(n))
+    .map(n => n.token))];
+}
@@ -0,0 +1,94 @@
+import { runTool, toolDefinitions, ungroundedNumbers } from './copilotTools';
+import { DEFAULT_PROBLEM_RULES } from './problemAreas';
+
+const SECTORS = ['North', 'South', 'Harbour'];
+
+// two days of one sample per second along a street; Harbour has a weak stretch at 10:00 on day two
+const buildRows = () => {
+  const rows = [];
+  ['2025-09-01', '2025-09-02'].forEach((dateKey, d) => {
+    SECTORS.forEach((location, s) => {
+      for (let i = 0; i < 60; i++) {
+        const hole = d === 1 && location === 'Harbour' && i >= 20 && i < 40;
+        rows.push({
+          timestamp: `${dateKey}T${String(8 + s).padStart(2, '0')}:00:${String(i).padStart(2, '0')}`,
+          dateKey,
+          hour: 8 + s,
+          location,
+          technology: i % 2 ? '5G' : '4G',
+          lat: 51.5 + s * 0.01,
+          lon: -0.1 + i * 0.0002,
+          rsrp: hole ? -120 : -85 - s * 5,
+          sinr: 15 - s * 4,
+          throughput: 40 - s * 10,
+          signalClass: hole ? 4 : s + 1
+        });
+      }
+    });
+  });
+  return rows;
+};
+
+const ROWS = buildRows();
+const AREAS = [{ id: 'a1', name: 'Harbour street', shape: 'rectangle', bounds: { north: 51.525, south: 51.515, east: 0, west: -0.2 } }];
+const CONTEXT = { rowsFor: () => ROWS, areas: AREAS, problemRules: DEFAULT_PROBLEM_RULES };
+const run = (name, args) => runTool(name, args, CONTEXT);
+
+describe('copilot tools', () => {
+  test('describes every tool with a JSON schema, listing saved areas', () => {
+    const tools = toolDefinitions(AREAS);
+    expect(tools.map(t => t.function.name)).toEqual(['aggregate', 'percentile', 'top_sectors', 'filter_rows', 'find_problem_areas']);
+    expect(tools[0].function.parameters.properties.area.enum).toEqual(['Harbour street']);
+  });
+
+  test('aggregates a metric overall and per group', () => {
+    expect(run('aggregate', { metric: 'sinr' })).toMatchObject({ metric: 'sinr', unit: 'dB', aggregation: 'avg', rows_matched: 360, value: 11 });
+    expect(run('aggregate', { metric: 'throughput', group_by: 'technology', technology: '5G' }).groups).toEqual([{ group: '5G', value: 30, samples: 180 }]);
+    expect(run('aggregate', { metric: 'count', hour_from: 9, hour_to: 9 })).toMatchObject({ value: 120 });
+  });
+
+  test('ranks sectors and takes percentiles', () => {
+    const worst = run('top_sectors', { metric: 'rsrp', n: 1, order: 'worst' });
+    expect(worst).toMatchObject({ order: 'worst', groups: [{ group: 'Harbour', samples: 120 }], total_groups: 3 });
+    expect(worst.groups[0].value).toBe(-99.17);
+    expect(run('percentile', { metric: 'rsrp', p: 5, sectors: ['Harbour'] })).toMatchObject({ p: 5, value: -120 });
+  });
+
+  test('filters by date and saved area', () => {
+    expect(run('filter_rows', { date_from: '2025-09-02', area: 'harbour street' })).toMatchObject({
+      rows_matched: 60,
+      first_day: '2025-09-02',
+      last_day: '2025-09-02',
+      hours: { from: 10, to: 10 },
+      technologies: { '4G': 30, '5G': 30 },
+      sectors: ['Harbour']
+    });
+  });
+
+  test('finds problem areas with the dashboard rules', () => {
+    const found = run('find_problem_areas', { type: 'coverageHole' });
+    expect(found.total_events).toBe(1);
+    expect(found.events[0]).toMatchObject({ type: 'Coverage hole', sector: 'Harbour', samples: 20, seconds: 19, avg_rsrp_dbm: -120 });
+  });
+
+  test('returns errors the model can act on', () => {
+    expect(run('aggregate', { metric: 'speed' }).error).toMatch(/^Unknown metric "speed"\. Use one of: /);
+    expect(run('aggregate', { metric: 'sinr', area: 'Airport' })).toEqual({ error: 'No saved area "Airport". Saved areas: Harbour street.' });
+    expect(run('percentile', { metric: 'sinr', p: 150 })).toEqual({ error: 'p must be a whole number from 1 to 99.' });
+    expect(run('drop_table', {}).error).toMatch(/^Unknown tool "drop_table"/);
+  });
+});
+
+describe('grounding answers in tool results', () => {
+  const results = [{ value: 14.2345, samples: 1234 }, { groups: [{ group: '2025-09-02', value: -100.83 }] }];
+
+  test('accepts figures that round to a result, also in kbps', () => {
+    expect(ungroundedNumbers('Average SINR is 14.2 dB (14.23 to be precise) over 1,234 samples; RSRP -100.8 dBm on 2025-09-02.', results)).toEqual([]);
+    expect(ungroundedNumbers('That is 14,234 kbps.', results)).toEqual([]);
+  });
+
+  test('flags figures that appear nowhere, but not list positions', () => {
+    expect(ungroundedNumbers('1. Top sector: 17.5 dB, about 88% Class 1.', results)).toEqual(['17.5', '88']);
+    expect(ungroundedNumbers('Roughly 88% Class 1.', [...results, 'Class 1 coverage: 88.0%'])).toEqual([]);
+  });
+});
@@ -0,0 +1,110 @@
+/* -------------------------
+  Relating two radio metrics
+   Pearson correlation and least-squares trend lines over the rows that
+   have both values, a correlation matrix, and the two ways the scatter
+   plot stays drawable on a big drive: a deterministic stride sample of
+   the points, or counts on a grid (density).
+--------------------------*/
+const hasValue = (v) => v !== null && v !== undefined && v !== '' && Number.isFinite(Number(v));
+
+export const CORRELATION_METRICS = [
+  { key: 'rsrp', label: 'RSRP', unit: 'dBm' },
+  { key: 'rsrq', label: 'RSRQ', unit: 'dB' },
+  { key: 'sinr', label: 'SINR', unit: 'dB' },
+  { key: 'throughput', label: 'DL throughput', unit: 'Mbps' },
+  { key: 'ulThroughput', label: 'UL throughput', unit: 'Mbps' },
+  { key: 'cqi', label: 'CQI', unit: '' }
+];
+export const MATRIX_METRICS = ['rsrp', 'rsrq', 'sinr', 'throughput'];
+
+// [{ x, y, row }] for rows carrying both metrics
+export function pairedValues(rows, xKey, yKey) {
+  const pairs = [];
+  for (const row of rows) {
+    if (hasValue(row[xKey]) && hasValue(row[yKey])) pairs.push({ x: Number(row[xKey]), y: Number(row[yKey]), row });
+  }
+  return pairs;
+}
+
+// { n, r, r2, slope, intercept }; r and the line are null with fewer than 3 pairs or no spread
+export function linearFit(pairs) {
+  const n = pairs.length;
+  if (n < 3) return { n, r: null, r2: null, slope: null, intercept: null };
+  let sx = 0;
+  let sy = 0;
+  pairs.forEach(p => {
+    sx += p.x;
+    sy += p.y;
+  });
+  const mx = sx / n;
+  const my = sy / n;
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  pairs.forEach(p => {
+    const dx = p.x - mx;
+    const dy = p.y - my;
+    sxx += dx * dx;
+    syy += dy * dy;
+    sxy += dx * dy;
+  });
+  if (!sxx || !syy) return { n, r: null, r2: null, slope: null, intercept: null };
+  const r = sxy / Math.sqrt(sxx * syy);
+  const slope = sxy / sxx;
+  return { n, r, r2: r * r, slope, intercept: my - slope * mx };
+}
+
+export function correlationMatrix(rows, keys = MATRIX_METRICS) {
+  return keys.map(a => keys.map(b => {
+    if (a === b) return { a, b, r: 1, n: rows.filter(row => hasValue(row[a])).length };
+    const { r, n } = linearFit(pairedValues(rows, a, b));
+    return { a, b, r, n };
+  }));
+}
+
+// every k-th pair, so the same drive always plots the same points
+export function samplePairs(pairs, max) {
+  if (pairs.length <= max) return pairs;
+  const step = pairs.length / max;
+  return Array.from({ length: max }, (_, i) => pairs[Math.floor(i * step)]);
+}
+
+// counts on a cells × cells grid: [{ x, y, count, rows }] at cell centres
+export function densityGrid(pairs, cells = 30) {
+  if (!pairs.length) return [];
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  pairs.forEach(p => {
+    if (p.x < minX) minX = p.x;
+    if (p.x > maxX) maxX = p.x;
+    if (p.y < minY) minY = p.y;
+    if (p.y > maxY) maxY = p.y;
+  });
+  const w = (maxX - minX) / cells || 1;
+  const h = (maxY - minY) / cells || 1;
+  const grid = new Map();
+  pairs.forEach(p => {
+    const i = Math.min(cells - 1, Math.floor((p.x - minX) / w));
+    const j = Math.min(cells - 1, Math.floor((p.y - minY) / h));
+    const key = i * cells + j;
+    let cell = grid.get(key);
+    if (!cell) {
+      cell = { x: minX + (i + 0.5) * w, y: minY + (j + 0.5) * h, count: 0, rows: [] };
+      grid.set(key, cell);
+    }
+    cell.count += 1;
+    cell.rows.push(p.row);
+  });
+  return [...grid.values()];
+}
+
+// plain-language reading of r for the panel
+export function describeCorrelation(r) {
+  if (r === null) return 'not enough data';
+  const size = Math.abs(r);
+  if (size < 0.2) return 'no clear relation';
+  const strength = size >= 0.7 ? 'strong' : size >= 0.4 ? 'moderate' : 'weak';
+  return `${strength} ${r > 0 ? 'positive' : 'negative'}`;
+}
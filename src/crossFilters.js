@@ -0,0 +1,50 @@
+/* -------------------------
+  Cross-filter chips
+   Clicking or brushing a chart adds a chip; chips of the same kind are
+   alternatives (Class 3 or Class 4), different kinds all apply (Class 4
+   between 8:00 and 12:00). A chart leaves out the chips of its own kind
+   so the unselected slices, hours and days stay clickable.
+--------------------------*/
+import { rowDateKey } from './dateRange';
+
+export const chipKey = (chip) => (chip.kind === 'hour' || chip.kind === 'day' ? `${chip.kind}:${chip.from}-${chip.to}` : `${chip.kind}:${chip.value}`);
+
+const matchesChip = (row, chip) => {
+  if (chip.kind === 'signalClass') return (row.signalClass ?? null) === chip.value;
+  if (chip.kind === 'technology') return row.technology === chip.value;
+  if (chip.kind === 'location') return row.location === chip.value;
+  if (chip.kind === 'hour') return row.hour !== null && row.hour !== undefined && row.hour >= chip.from && row.hour <= chip.to;
+  if (chip.kind === 'day') {
+    const key = rowDateKey(row);
+    return key !== null && key >= chip.from && key <= chip.to;
+  }
+  return true;
+};
+
+// rows matching every chip kind except `exceptKind`; the same array back when nothing applies
+export function applyCrossFilters(rows, chips, exceptKind = null) {
+  const byKind = {};
+  chips.forEach(chip => {
+    if (chip.kind !== exceptKind) (byKind[chip.kind] = byKind[chip.kind] || []).push(chip);
+  });
+  const groups = Object.values(byKind);
+  if (!groups.length) return rows;
+  return rows.filter(row => groups.every(group => group.some(chip => matchesChip(row, chip))));
+}
+
+// a click adds the chip, or removes it when it is already there
+export function toggleChip(chips, chip) {
+  const key = chipKey(chip);
+  return chips.some(c => chipKey(c) === key) ? chips.filter(c => chipKey(c) !== key) : [...chips, chip];
+}
+
+// a brushed range replaces the earlier selection of its kind
+export const replaceKind = (chips, chip) => [...chips.filter(c => c.kind !== chip.kind), chip];
+
+// a set of chips (e.g. a summary finding's) replaces the selection of the kinds it covers
+export function replaceKinds(chips, replacements) {
+  const kinds = new Set(replacements.map(c => c.kind));
+  return [...chips.filter(c => !kinds.has(c.kind)), ...replacements];
+}
+
+export const chipsOfKind = (chips, kind) => chips.filter(c => c.kind === kind);
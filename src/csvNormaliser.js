@@ -0,0 +1,317 @@
+import { DEFAULT_PROFILE, classifySample } from './signalProfiles';
+import { toDateKey } from './dateRange';
+import { DEFAULT_UNITS, convertToCanonical } from './units';
+
+/* -------------------------
+  CSV row normaliser
+   Pure and chunk-friendly so the ingest worker can stream a multi-million
+   row log through it; row numbering continues across chunks.
+   Every value that is missing, unparseable or out of range is counted in
+   the import-quality report and handled by the per-field policy instead of
+   being silently invented. Numeric fields are converted from their declared
+   source unit before the range check.
+--------------------------*/
+
+// shared by the header sniff and the worker so both see the same column names
+export const CSV_PARSE_OPTIONS = {
+  header: true,
+  skipEmptyLines: true,
+  dynamicTyping: true,
+  transformHeader: (header) => header.trim()
+};
+
+const CENTER_LAT = -26.2041; // Johannesburg default
+const CENTER_LON = 28.0473;
+
+// what to do with a row whose value for a field is not usable
+export const QUALITY_POLICIES = ['drop', 'null', 'impute'];
+
+export const QUALITY_FIELDS = [
+  { key: 'timestamp', label: 'Timestamp', impute: 'previous sample + 1 s' },
+  { key: 'rsrp', label: 'RSRP', impute: 'last valid value' },
+  { key: 'rsrq', label: 'RSRQ', impute: 'last valid value' },
+  { key: 'sinr', label: 'SINR', impute: 'last valid value' },
+  { key: 'throughput', label: 'DL throughput', impute: 'last valid value' },
+  { key: 'ulThroughput', label: 'UL throughput', impute: 'last valid value' },
+  { key: 'coordinates', label: 'Coordinates', impute: 'last fix, else jitter around Johannesburg' },
+  { key: 'location', label: 'Sector', impute: 'synthetic Sector_N' },
+  { key: 'pci', label: 'PCI', impute: 'last valid value' },
+  { key: 'arfcn', label: 'EARFCN / NR-ARFCN', impute: 'last valid value' },
+  { key: 'band', label: 'Band', impute: 'last valid value' },
+  { key: 'cellId', label: 'Cell ID', impute: 'last valid value' },
+  { key: 'cqi', label: 'CQI', impute: 'last valid value' },
+  { key: 'rssi', label: 'RSSI', impute: 'last valid value' },
+  { key: 'ta', label: 'Timing advance', impute: 'last valid value' }
+];
+
+export const DEFAULT_QUALITY_POLICIES = QUALITY_FIELDS.reduce((m, f) => ({ ...m, [f.key]: 'null' }), {});
+
+// plausible ranges; anything outside is reported as out of range
+const VALID_RANGES = {
+  rsrp: [-156, -31],
+  rsrq: [-43, 20],
+  sinr: [-23, 40],
+  throughput: [0, 10000],
+  ulThroughput: [0, 10000],
+  pci: [0, 1007],
+  arfcn: [0, 3279165],
+  cqi: [0, 15],
+  rssi: [-130, 0],
+  ta: [0, 3846]
+};
+
+// identifiers; a fractional value means the wrong column was mapped
+const INTEGER_FIELDS = ['pci', 'arfcn'];
+
+// used only when imputing before any valid value has been seen; radio
+// identifiers have no sensible default and stay empty until one is seen
+const IMPUTE_FALLBACK = { rsrp: -80, rsrq: -10, sinr: 15, throughput: 0, ulThroughput: 0 };
+
+// the only fields that can be made up when the file has no column for them
+const SYNTHESISED_FIELDS = ['timestamp', 'coordinates', 'location'];
+
+const MAX_EXAMPLES = 5;
+
+// Enhanced coordinate validation function
+export const isValidCoordinate = (lat, lng) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+
+  return (
+    !isNaN(latitude) &&
+    !isNaN(longitude) &&
+    latitude >= -90 &&
+    latitude <= 90 &&
+    longitude >= -180 &&
+    longitude <= 180 &&
+    latitude !== 0 &&
+    longitude !== 0
+  );
+};
+
+const isBlank = (v) => v === undefined || v === null || (typeof v === 'string' && v.trim() === '');
+
+/* -------------------------
+  Quality report
+--------------------------*/
+export function createQualityReport(mapping) {
+  const fields = {};
+  QUALITY_FIELDS.forEach(f => {
+    fields[f.key] = {
+      mapped: f.key === 'coordinates' ? Boolean(mapping.latitude && mapping.longitude) : Boolean(mapping[f.key]),
+      missing: 0,
+      unparseable: 0,
+      outOfRange: 0,
+      examples: { missing: [], unparseable: [], outOfRange: [] }
+    };
+  });
+  return { totalRows: 0, keptRows: 0, droppedRows: 0, imputedRows: 0, jitteredRows: 0, fields };
+}
+
+const noteIssue = (report, field, issue, rowNumber) => {
+  const f = report.fields[field];
+  f[issue] += 1;
+  if (f.examples[issue].length < MAX_EXAMPLES) f.examples[issue].push(rowNumber);
+};
+
+export const fieldIssueCount = (f) => f.missing + f.unparseable + f.outOfRange;
+
+/* -------------------------
+  Value readers: return { value } or { issue }
+--------------------------*/
+const readNumber = (raw, field, units) => {
+  if (isBlank(raw)) return { issue: 'missing' };
+  const parsed = typeof raw === 'number' ? raw : parseFloat(raw);
+  if (!Number.isFinite(parsed)) return { issue: 'unparseable' };
+  if (INTEGER_FIELDS.includes(field) && !Number.isInteger(parsed)) return { issue: 'unparseable' };
+  const value = convertToCanonical(field, parsed, units);
+  if (!Number.isFinite(value)) return { issue: 'outOfRange' };
+  const [lo, hi] = VALID_RANGES[field];
+  if (value < lo || value > hi) return { issue: 'outOfRange' };
+  return { value };
+};
+
+const readTimestamp = (raw) => {
+  if (isBlank(raw)) return { issue: 'missing' };
+  const value = raw instanceof Date ? raw : new Date(raw);
+  if (isNaN(value.getTime())) return { issue: 'unparseable' };
+  const year = value.getFullYear();
+  if (year < 1990 || year > 2100) return { issue: 'outOfRange' };
+  return { value };
+};
+
+const readLabel = (raw) => (isBlank(raw) ? { issue: 'missing' } : { value: String(raw).trim() });
+
+// bare band numbers get the 3GPP prefix so LTE band 3 and NR n3 stay apart
+const bandLabel = (band, technology) => {
+  if (band === null || !/^\d+$/.test(band)) return band;
+  return technology === '5G' ? `n${band}` : `B${band}`;
+};
+
+const readCoordinates = (rawLat, rawLon) => {
+  if (isBlank(rawLat) || isBlank(rawLon)) return { issue: 'missing' };
+  const lat = parseFloat(rawLat);
+  const lon = parseFloat(rawLon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return { issue: 'unparseable' };
+  if (!isValidCoordinate(lat, lon)) return { issue: 'outOfRange' };
+  return { value: { lat, lon } };
+};
+
+const round1 = (n) => (n === null ? null : parseFloat(n.toFixed(1)));
+
+/* -------------------------
+  Chunk normaliser
+--------------------------*/
+export function createChunkNormaliser(mapping, policies = DEFAULT_QUALITY_POLICIES, units = DEFAULT_UNITS) {
+  const policyFor = (field) => policies[field] || 'null';
+  const report = createQualityReport(mapping);
+  // last valid values, carried forward for imputation
+  const last = {
+    timestamp: null, rsrp: null, rsrq: null, sinr: null, throughput: null, ulThroughput: null, coordinates: null,
+    pci: null, arfcn: null, band: null, cellId: null, cqi: null, rssi: null, ta: null
+  };
+  let index = 0;
+
+  const normaliseRow = (row, rowIndex) => {
+    const rowNumber = rowIndex + 1;
+    const imputed = [];
+    let drop = false;
+    let jittered = false;
+
+    // a field's value, or the policy's answer when it is not usable;
+    // unmapped fields are not per-row issues and never drop a row, and only
+    // timestamp, position and sector can be synthesised without a column
+    const resolve = (field, result, imputeValue) => {
+      if (!('issue' in result)) {
+        last[field] = result.value;
+        return result.value;
+      }
+      const mapped = report.fields[field].mapped;
+      if (mapped) noteIssue(report, field, result.issue, rowNumber);
+      const policy = policyFor(field);
+      if (!mapped && (policy !== 'impute' || !SYNTHESISED_FIELDS.includes(field))) return null;
+      if (policy === 'drop') {
+        drop = true;
+        return null;
+      }
+      if (policy === 'impute') {
+        const value = imputeValue();
+        if (value !== null) imputed.push(field);
+        return value;
+      }
+      return null;
+    };
+    const carryForward = (field) => () => (last[field] !== null ? last[field] : IMPUTE_FALLBACK[field] ?? null);
+
+    const cell = (field) => (mapping[field] ? row[mapping[field]] : undefined);
+
+    // an imputed instant becomes the new previous sample, so a run of gaps keeps counting up
+    const timestamp = resolve('timestamp', readTimestamp(cell('timestamp')), () => {
+      if (last.timestamp) {
+        last.timestamp = new Date(last.timestamp.getTime() + 1000);
+        return last.timestamp;
+      }
+      const synthetic = new Date('2025-08-01');
+      synthetic.setHours(rowIndex % 24, 0, 0, 0);
+      synthetic.setDate(synthetic.getDate() + Math.floor(rowIndex / 24));
+      return synthetic;
+    });
+
+    const metric = (field) => resolve(field, readNumber(cell(field), field, units), carryForward(field));
+    const rsrp = metric('rsrp');
+    const rsrq = metric('rsrq');
+    const sinr = metric('sinr');
+    const throughput = metric('throughput');
+    const ulThroughput = metric('ulThroughput');
+    const pci = metric('pci');
+    const arfcn = metric('arfcn');
+    const cqi = metric('cqi');
+    const rssi = metric('rssi');
+    const ta = metric('ta');
+    const band = resolve('band', readLabel(cell('band')), carryForward('band'));
+    const cellId = resolve('cellId', readLabel(cell('cellId')), carryForward('cellId'));
+
+    const coords = resolve('coordinates', readCoordinates(cell('latitude'), cell('longitude')), () => {
+      if (last.coordinates) return last.coordinates;
+      jittered = true;
+      const jitterA = (rowIndex % 100) / 1000;
+      const jitterB = ((rowIndex * 7) % 100) / 1000;
+      return {
+        lat: CENTER_LAT + (Math.random() - 0.5) * 0.05 + jitterA,
+        lon: CENTER_LON + (Math.random() - 0.5) * 0.07 + jitterB
+      };
+    });
+
+    const location = resolve('location', readLabel(cell('location')), () => `Sector_${Math.floor(rowIndex / 24) + 1}`);
+
+    if (drop) return null;
+
+    // Process technology
+    let technology = '4G';
+    const techValue = cell('technology');
+    if (!isBlank(techValue)) {
+      const lower = techValue.toString().toLowerCase();
+      technology = lower.includes('5g') || lower.includes('nr') || lower.includes('new') ? '5G' : '4G';
+    }
+
+    const out = {
+      timestamp: timestamp ? timestamp.toISOString() : null,
+      date: timestamp ? timestamp.toDateString() : null,
+      dateKey: timestamp ? toDateKey(timestamp) : null,
+      hour: timestamp ? timestamp.getHours() : null,
+      day: timestamp ? timestamp.getDate() : null,
+      rsrp: round1(rsrp),
+      rsrq: round1(rsrq),
+      sinr: round1(sinr),
+      signalClass: null,
+      technology,
+      location,
+      throughput: round1(throughput),
+      ulThroughput: round1(ulThroughput),
+      pci,
+      arfcn,
+      band: bandLabel(band, technology),
+      cellId,
+      cqi: round1(cqi),
+      rssi: round1(rssi),
+      ta,
+      lat: coords ? coords.lat : null,
+      lon: coords ? coords.lon : null,
+      originalRow: rowIndex
+    };
+    // Calculate signal class (the dashboard reclassifies with the active profile)
+    out.signalClass = classifySample(out, DEFAULT_PROFILE);
+
+    if (imputed.length) {
+      out.imputed = imputed;
+      report.imputedRows += 1;
+    }
+    if (jittered) {
+      out.jittered = true;
+      report.jitteredRows += 1;
+    }
+    return out;
+  };
+
+  return {
+    push(rows) {
+      const out = [];
+      for (let i = 0; i < rows.length; i++) {
+        const normalised = normaliseRow(rows[i], index++);
+        if (normalised) out.push(normalised);
+        else report.droppedRows += 1;
+      }
+      report.totalRows = index;
+      report.keptRows = index - report.droppedRows;
+      return out;
+    },
+    get rowCount() {
+      return index;
+    },
+    get report() {
+      return report;
+    }
+  };
+}
+
+export const normaliseRows = (rows, mapping, policies, units) => createChunkNormaliser(mapping, policies, units).push(rows);
@@ -0,0 +1,245 @@
+import Papa from 'papaparse';
+import {
+  CSV_PARSE_OPTIONS,
+  DEFAULT_QUALITY_POLICIES,
+  QUALITY_FIELDS,
+  createChunkNormaliser,
+  normaliseRows
+} from './csvNormaliser';
+
+const ROWS = 100000;
+
+const MAPPING = {
+  timestamp: 'Time',
+  rsrp: 'RSRP',
+  rsrq: 'RSRQ',
+  sinr: 'SINR',
+  technology: 'RAT',
+  location: 'Cell',
+  throughput: 'DL Mbps',
+  latitude: 'Latitude',
+  longitude: 'Longitude'
+};
+
+// deterministic drive log: one sample per second around Johannesburg
+const buildFixture = (rows) => {
+  const start = Date.UTC(2025, 8, 1, 6, 0, 0);
+  const lines = [' Time , RSRP , RSRQ , SINR , RAT , Cell , DL Mbps , Latitude , Longitude '];
+  for (let i = 0; i < rows; i++) {
+    lines.push([
+      new Date(start + i * 1000).toISOString(),
+      -60 - (i % 60),
+      -5 - (i % 15),
+      25 - (i % 30),
+      i % 3 === 0 ? 'NR' : 'LTE',
+      `Site_${i % 40}`,
+      (i % 200) / 2 + 1,
+      (-26.2 + (i % 1000) * 1e-5).toFixed(6),
+      (28.04 + (i % 1000) * 1e-5).toFixed(6)
+    ].join(','));
+  }
+  return lines.join('\n');
+};
+
+const streamNormalise = (csv, chunkSize) => {
+  const normaliser = createChunkNormaliser(MAPPING);
+  const out = [];
+  let chunks = 0;
+  Papa.parse(csv, {
+    ...CSV_PARSE_OPTIONS,
+    chunkSize,
+    chunk: (results) => {
+      chunks += 1;
+      const rows = normaliser.push(results.data);
+      for (let i = 0; i < rows.length; i++) out.push(rows[i]);
+    }
+  });
+  return { rows: out, chunks, rowCount: normaliser.rowCount };
+};
+
+describe('chunked CSV normaliser', () => {
+  const csv = buildFixture(ROWS);
+
+  test('streams a large log in many chunks without losing or renumbering rows', () => {
+    const { rows, chunks, rowCount } = streamNormalise(csv, 256 * 1024);
+
+    expect(chunks).toBeGreaterThan(10);
+    expect(rowCount).toBe(ROWS);
+    expect(rows).toHaveLength(ROWS);
+    expect(rows.every((r, i) => r.originalRow === i)).toBe(true);
+  });
+
+  test('gives the same rows as normalising the whole parse at once', () => {
+    const whole = normaliseRows(Papa.parse(csv, CSV_PARSE_OPTIONS).data, MAPPING);
+    const { rows } = streamNormalise(csv, 64 * 1024);
+
+    expect(rows).toEqual(whole);
+  });
+
+  test('maps trimmed headers onto the canonical row shape', () => {
+    const { rows } = streamNormalise(buildFixture(3), 1024);
+
+    expect(rows[0]).toMatchObject({
+      timestamp: '2025-09-01T06:00:00.000Z',
+      rsrp: -60,
+      rsrq: -5,
+      sinr: 25,
+      technology: '5G',
+      location: 'Site_0',
+      throughput: 1,
+      lat: -26.2,
+      lon: 28.04,
+      signalClass: 1
+    });
+    expect(rows[1].technology).toBe('4G');
+  });
+
+  test('does not log per row', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    streamNormalise(buildFixture(5000), 32 * 1024);
+
+    expect(log).not.toHaveBeenCalled();
+    expect(warn).not.toHaveBeenCalled();
+    log.mockRestore();
+    warn.mockRestore();
+  });
+});
+
+describe('import-quality report', () => {
+  const MESSY = [
+    'Time,RSRP,RSRQ,SINR,RAT,Cell,DL Mbps,Latitude,Longitude',
+    '2025-09-01T06:00:00Z,-90,-10,12,LTE,A,20,-26.1,28.1',
+    ',-95,-11,10,LTE,A,,-26.1,28.1',
+    'not a date,abc,-12,8,LTE,,35,,',
+    '2025-09-01T06:00:03Z,-20,-13,99,NR,B,40,95,28.1',
+    '2025-09-01T06:00:04Z,0,-9,0,NR,B,0,-26.2,28.2'
+  ].join('\n');
+
+  const run = (policies) => {
+    const normaliser = createChunkNormaliser(MAPPING, policies);
+    const rows = normaliser.push(Papa.parse(MESSY, CSV_PARSE_OPTIONS).data);
+    return { rows, report: normaliser.report };
+  };
+
+  test('counts missing, unparseable and out-of-range values with example rows', () => {
+    const { report } = run();
+
+    expect(report.totalRows).toBe(5);
+    expect(report.fields.timestamp).toMatchObject({ missing: 1, unparseable: 1, outOfRange: 0 });
+    expect(report.fields.timestamp.examples).toEqual({ missing: [2], unparseable: [3], outOfRange: [] });
+    expect(report.fields.rsrp).toMatchObject({ missing: 0, unparseable: 1, outOfRange: 2 });
+    expect(report.fields.rsrp.examples.outOfRange).toEqual([4, 5]);
+    expect(report.fields.sinr.outOfRange).toBe(1);
+    expect(report.fields.throughput.missing).toBe(1);
+    expect(report.fields.coordinates).toMatchObject({ missing: 1, outOfRange: 1 });
+    expect(report.fields.location.missing).toBe(1);
+  });
+
+  test('leaves unusable values empty by default instead of inventing them', () => {
+    const { rows } = run();
+
+    expect(rows).toHaveLength(5);
+    expect(rows[1]).toMatchObject({ timestamp: null, hour: null, throughput: null });
+    expect(rows[2]).toMatchObject({ rsrp: null, lat: null, lon: null, location: null, signalClass: null });
+    expect(rows[4].throughput).toBe(0);
+    expect(rows.some(r => r.imputed || r.jittered)).toBe(false);
+  });
+
+  test('drops rows when the policy says so', () => {
+    const { rows, report } = run({ ...DEFAULT_QUALITY_POLICIES, rsrp: 'drop' });
+
+    expect(rows.map(r => r.originalRow)).toEqual([0, 1]);
+    expect(report.droppedRows).toBe(3);
+    expect(report.keptRows).toBe(2);
+  });
+
+  test('imputes from the last valid sample and flags the row', () => {
+    const policies = QUALITY_FIELDS.reduce((m, f) => ({ ...m, [f.key]: 'impute' }), {});
+    const { rows, report } = run(policies);
+
+    expect(rows[1].timestamp).toBe('2025-09-01T06:00:01.000Z');
+    expect(rows[2].timestamp).toBe('2025-09-01T06:00:02.000Z');
+    expect(rows[1].throughput).toBe(20);
+    expect(rows[1].imputed).toEqual(['timestamp', 'throughput']);
+    expect(rows[2]).toMatchObject({ rsrp: -95, lat: -26.1, lon: 28.1 });
+    expect(rows[2].jittered).toBeUndefined();
+    expect(report.imputedRows).toBe(4);
+  });
+
+  test('keeps sector labels as trimmed strings', () => {
+    const csv = 'Time,RSRP,Cell\n2025-09-01T06:00:00Z,-80,101\n2025-09-01T06:00:01Z,-81, S1 ';
+    const rows = createChunkNormaliser(MAPPING).push(Papa.parse(csv, CSV_PARSE_OPTIONS).data);
+
+    expect(rows.map(r => r.location)).toEqual(['101', 'S1']);
+  });
+
+  test('jitters and flags positions when no fix has been seen yet', () => {
+    const normaliser = createChunkNormaliser(MAPPING, { ...DEFAULT_QUALITY_POLICIES, coordinates: 'impute' });
+    const [row] = normaliser.push([{ Time: '2025-09-01T06:00:00Z', RSRP: -80 }]);
+
+    expect(row.jittered).toBe(true);
+    expect(row.lat).toBeCloseTo(-26.2, 0);
+    expect(normaliser.report.jitteredRows).toBe(1);
+  });
+});
+
+describe('source units', () => {
+  test('converts declared units to dBm / dB / Mbps before range checks', () => {
+    const mapping = { ...MAPPING, ulThroughput: 'UL bytes' };
+    const units = {
+      rsrp: 'mW',
+      rsrq: 'LTE index (n/2-20)',
+      sinr: 'linear',
+      throughput: 'kbps',
+      ulThroughput: 'bytes/interval',
+      intervalSec: 2
+    };
+    const normaliser = createChunkNormaliser(mapping, DEFAULT_QUALITY_POLICIES, units);
+    const [row] = normaliser.push([{
+      Time: '2025-09-01T06:00:00Z',
+      RSRP: 1e-9,
+      RSRQ: 20,
+      SINR: 100,
+      'DL Mbps': 25000,
+      'UL bytes': 1250000,
+      Latitude: -26.2,
+      Longitude: 28.04
+    }]);
+
+    expect(row).toMatchObject({ rsrp: -90, rsrq: -10, sinr: 20, throughput: 25, ulThroughput: 5 });
+    expect(normaliser.report.fields.rsrp.outOfRange).toBe(0);
+  });
+
+  test('reports values that only make sense in another unit as out of range', () => {
+    const normaliser = createChunkNormaliser(MAPPING);
+    normaliser.push([{ Time: '2025-09-01T06:00:00Z', RSRP: 45, 'DL Mbps': 25000 }]);
+
+    expect(normaliser.report.fields.rsrp.outOfRange).toBe(1);
+    expect(normaliser.report.fields.throughput.outOfRange).toBe(1);
+  });
+});
+
+describe('radio fields', () => {
+  const RADIO_MAPPING = { ...MAPPING, pci: 'PCI', arfcn: 'EARFCN', band: 'Band', cellId: 'Cell ID', cqi: 'CQI', rssi: 'RSSI', ta: 'TA' };
+  const base = { Time: '2025-09-01T06:00:00Z', RSRP: -90, Latitude: -26.2, Longitude: 28.04 };
+
+  test('carries PCI, channel, band, cell ID, CQI, RSSI and TA through', () => {
+    const [row] = normaliseRows(
+      [{ ...base, RAT: 'LTE', PCI: 301, EARFCN: 1300, Band: 3, 'Cell ID': 123456, CQI: 11.25, RSSI: -61.04, TA: 4 }],
+      RADIO_MAPPING
+    );
+    expect(row).toMatchObject({ pci: 301, arfcn: 1300, band: 'B3', cellId: '123456', cqi: 11.3, rssi: -61, ta: 4 });
+  });
+
+  test('reports fractional identifiers and leaves unmapped radio fields empty', () => {
+    const normaliser = createChunkNormaliser(RADIO_MAPPING, { ...DEFAULT_QUALITY_POLICIES, pci: 'impute' });
+    const rows = normaliser.push([{ ...base, PCI: 12.5 }]);
+
+    expect(normaliser.report.fields.pci.unparseable).toBe(1);
+    // nothing to carry forward yet, so the imputed PCI stays empty
+    expect(rows[0].pci).toBeNull();
+    expect(rows[0].imputed).toBeUndefined();
+    expect(normaliseRows([base], MAPPING)[0]).toMatchObject({ pci: null, band: null, cellId: null, cqi: null });
+  });
+});
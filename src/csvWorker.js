@@ -0,0 +1,39 @@
+import Papa from 'papaparse';
+import { CSV_PARSE_OPTIONS, createChunkNormaliser } from './csvNormaliser';
+
+/* -------------------------
+  CSV ingest worker
+   Streams the file through Papa.parse in chunks and posts each normalised
+   chunk back, so the main thread never holds the raw parse.
+   Cancellation is done by the client terminating the worker.
+--------------------------*/
+const CHUNK_BYTES = 2 * 1024 * 1024;
+
+globalThis.onmessage = (event) => {
+  const { file, mapping, policies, units } = event.data;
+  const normaliser = createChunkNormaliser(mapping, policies, units);
+  let chunks = 0;
+  let parseErrors = 0;
+
+  Papa.parse(file, {
+    ...CSV_PARSE_OPTIONS,
+    chunkSize: CHUNK_BYTES,
+    chunk: (results) => {
+      chunks += 1;
+      parseErrors += results.errors.length;
+      const rows = normaliser.push(results.data);
+      globalThis.postMessage({
+        type: 'chunk',
+        rows,
+        rowCount: normaliser.rowCount,
+        fraction: file.size ? Math.min(1, (chunks * CHUNK_BYTES) / file.size) : 1
+      });
+    },
+    complete: () => {
+      globalThis.postMessage({ type: 'done', rowCount: normaliser.rowCount, parseErrors, report: normaliser.report });
+    },
+    error: (err) => {
+      globalThis.postMessage({ type: 'error', message: err.message });
+    }
+  });
+};
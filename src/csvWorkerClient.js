@@ -0,0 +1,41 @@
+/* -------------------------
+  Main-thread side of the CSV ingest worker
+   Loaded with a dynamic import() so the worker URL (import.meta) is only
+   evaluated in the browser bundle.
+--------------------------*/
+export function startCsvIngest(file, mapping, { policies, units, onProgress } = {}) {
+  const worker = new Worker(new URL('./csvWorker.js', import.meta.url));
+  const rows = [];
+  let rejectJob = null;
+
+  const promise = new Promise((resolve, reject) => {
+    rejectJob = reject;
+    worker.onmessage = (event) => {
+      const msg = event.data;
+      if (msg.type === 'chunk') {
+        for (let i = 0; i < msg.rows.length; i++) rows.push(msg.rows[i]);
+        if (onProgress) onProgress({ rowCount: msg.rowCount, fraction: msg.fraction });
+      } else if (msg.type === 'done') {
+        worker.terminate();
+        resolve({ rows, parseErrors: msg.parseErrors, report: msg.report });
+      } else if (msg.type === 'error') {
+        worker.terminate();
+        reject(new Error(msg.message));
+      }
+    };
+    worker.onerror = (err) => {
+      worker.terminate();
+      reject(new Error(err.message || 'CSV worker failed'));
+    };
+    worker.postMessage({ file, mapping, policies, units });
+  });
+
+  const cancel = () => {
+    worker.terminate();
+    const err = new Error('Import cancelled');
+    err.cancelled = true;
+    rejectJob(err);
+  };
+
+  return { promise, cancel };
+}
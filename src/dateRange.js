@@ -0,0 +1,138 @@
+/* -------------------------
+  Date helpers
+   Rows carry a local-time `dateKey` (YYYY-MM-DD) so days from different
+   months or years never share a bucket.
+--------------------------*/
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+export const toDateKey = (date) => `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+
+export const dateKeyToDate = (key) => {
+  const [y, m, d] = key.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+// null for rows imported without a usable timestamp
+export const rowDateKey = (row) => row.dateKey || (row.timestamp ? toDateKey(new Date(row.timestamp)) : null);
+
+// min/max dateKey of the dataset, or null when there are no rows
+export function getDateExtent(rows) {
+  let min = null;
+  let max = null;
+  for (const row of rows) {
+    const key = rowDateKey(row);
+    if (key === null) continue;
+    if (min === null || key < min) min = key;
+    if (max === null || key > max) max = key;
+  }
+  return min === null ? null : { min, max };
+}
+
+export function isInDateRange(row, range) {
+  if (!range || (!range.from && !range.to)) return true;
+  const key = rowDateKey(row);
+  if (key === null) return false;
+  if (range.from && key < range.from) return false;
+  if (range.to && key > range.to) return false;
+  return true;
+}
+
+export function formatDayLabel(key, withYear = false) {
+  const opts = withYear
+    ? { month: 'short', day: 'numeric', year: 'numeric' }
+    : { month: 'short', day: 'numeric' };
+  return dateKeyToDate(key).toLocaleDateString('en-US', opts);
+}
+
+// every calendar day between two keys, inclusive
+export function eachDayKey(fromKey, toKey) {
+  const keys = [];
+  const cur = dateKeyToDate(fromKey);
+  const end = dateKeyToDate(toKey);
+  while (cur <= end) {
+    keys.push(toDateKey(cur));
+    cur.setDate(cur.getDate() + 1);
+  }
+  return keys;
+}
+
+/* -------------------------
+  Free-text date filter used by the assistant
+   Understands "aug 5", "5 September 2025", "2025-09-12", "in march" and
+   "from 2025-08-30 to 2025-09-02". Without a year a day/month matches any year.
+--------------------------*/
+const MONTH_PATTERN = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const FULL_MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const monthIndex = (name) => FULL_MONTHS.findIndex(m => m.startsWith(name.slice(0, 3)));
+
+function findDayMentions(q) {
+  const found = [];
+  const iso = /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g;
+  const monthFirst = new RegExp(`\\b(${MONTH_PATTERN})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'g');
+  const dayFirst = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_PATTERN})\\b(?:,?\\s+(\\d{4}))?`, 'g');
+  let m;
+  while ((m = iso.exec(q))) {
+    found.push({ index: m.index, end: m.index + m[0].length, year: Number(m[1]), month: Number(m[2]) - 1, day: Number(m[3]) });
+  }
+  while ((m = monthFirst.exec(q))) {
+    found.push({ index: m.index, end: m.index + m[0].length, year: m[3] ? Number(m[3]) : null, month: monthIndex(m[1]), day: Number(m[2]) });
+  }
+  while ((m = dayFirst.exec(q))) {
+    found.push({ index: m.index, end: m.index + m[0].length, year: m[3] ? Number(m[3]) : null, month: monthIndex(m[2]), day: Number(m[1]) });
+  }
+  return found
+    .filter(f => f.month >= 0 && f.day >= 1 && f.day <= 31)
+    .sort((a, b) => a.index - b.index);
+}
+
+// comparable "MM-DD" or "YYYY-MM-DD" for a mention
+const mentionKey = (f) => {
+  const md = `${pad2(f.month + 1)}-${pad2(f.day)}`;
+  return f.year ? `${f.year}-${md}` : md;
+};
+
+const matchKey = (key, mention) => (mention.length === 5 ? key.slice(5) : key);
+
+function describeMention(f) {
+  const label = `${FULL_MONTHS[f.month].slice(0, 3).replace(/^./, c => c.toUpperCase())} ${f.day}`;
+  return f.year ? `${label} ${f.year}` : label;
+}
+
+// { from, to, label } with "YYYY-MM-DD" or year-less "MM-DD" bounds, or null
+export function parseDateSpan(question) {
+  const q = (question || '').toLowerCase();
+  const days = findDayMentions(q);
+
+  if (days.length >= 2) {
+    const [a, b] = days;
+    return { from: mentionKey(a), to: mentionKey(b), label: `${describeMention(a)} – ${describeMention(b)}` };
+  }
+  if (days.length === 1) {
+    const k = mentionKey(days[0]);
+    return { from: k, to: k, label: describeMention(days[0]) };
+  }
+
+  // whole month: full names only ("may" needs a preposition, it is too common a word)
+  const monthOnly = q.match(/\b(?:in|during|for|of)\s+(may)\b(?:\s+(\d{4}))?/) ||
+    q.match(/\b(january|february|march|april|june|july|august|september|october|november|december)\b(?:\s+(\d{4}))?/);
+  if (monthOnly) {
+    const month = pad2(monthIndex(monthOnly[1]) + 1);
+    const year = monthOnly[2];
+    const label = `${monthOnly[1].replace(/^./, c => c.toUpperCase())}${year ? ` ${year}` : ''}`;
+    const prefix = year ? `${year}-${month}` : month;
+    return { from: `${prefix}-01`, to: `${prefix}-31`, label };
+  }
+  return null;
+}
+
+// whether a row's date key falls in a span; a year-less bound matches any year,
+// and a year-less span that ends before it starts ("dec 28 to jan 3") runs over the new year
+export function inDateSpan(key, span) {
+  if (key === null) return false;
+  const afterFrom = matchKey(key, span.from) >= span.from;
+  const beforeTo = matchKey(key, span.to) <= span.to;
+  const wraps = span.from.length === 5 && span.to.length === 5 && span.from > span.to;
+  return wraps ? afterFrom || beforeTo : afterFrom && beforeTo;
+}
@@ -0,0 +1,58 @@
+import { eachDayKey, getDateExtent, isInDateRange } from './dateRange';
+
+// a sample taken at 10:00 local time on the given day
+const at = (year, month, day) => ({ timestamp: new Date(year, month - 1, day, 10).toISOString() });
+
+describe('getDateExtent', () => {
+  test('spans rows across a year boundary in calendar order', () => {
+    const rows = [at(2025, 1, 2), at(2024, 12, 30), { dateKey: '2025-01-15' }, at(2024, 12, 31)];
+
+    expect(getDateExtent(rows)).toEqual({ min: '2024-12-30', max: '2025-01-15' });
+  });
+
+  test('skips rows without a timestamp', () => {
+    expect(getDateExtent([{ rsrp: -90 }, at(2025, 9, 1), { timestamp: null }])).toEqual({ min: '2025-09-01', max: '2025-09-01' });
+    expect(getDateExtent([{ rsrp: -90 }])).toBeNull();
+    expect(getDateExtent([])).toBeNull();
+  });
+});
+
+describe('eachDayKey', () => {
+  test('runs over month and year ends, inclusive', () => {
+    expect(eachDayKey('2025-01-30', '2025-02-02')).toEqual(['2025-01-30', '2025-01-31', '2025-02-01', '2025-02-02']);
+    expect(eachDayKey('2024-12-31', '2025-01-01')).toEqual(['2024-12-31', '2025-01-01']);
+  });
+
+  test('counts a leap day', () => {
+    expect(eachDayKey('2024-02-28', '2024-03-01')).toEqual(['2024-02-28', '2024-02-29', '2024-03-01']);
+  });
+
+  test('gives one day for equal keys and none for a reversed span', () => {
+    expect(eachDayKey('2025-09-01', '2025-09-01')).toEqual(['2025-09-01']);
+    expect(eachDayKey('2025-09-02', '2025-09-01')).toEqual([]);
+  });
+});
+
+describe('isInDateRange', () => {
+  test('includes both ends of the range', () => {
+    const range = { from: '2024-12-31', to: '2025-01-01' };
+
+    expect(isInDateRange(at(2024, 12, 30), range)).toBe(false);
+    expect(isInDateRange(at(2024, 12, 31), range)).toBe(true);
+    expect(isInDateRange(at(2025, 1, 1), range)).toBe(true);
+    expect(isInDateRange(at(2025, 1, 2), range)).toBe(false);
+  });
+
+  test('leaves either end open when it is blank', () => {
+    expect(isInDateRange(at(2020, 1, 1), { from: '', to: '2025-01-31' })).toBe(true);
+    expect(isInDateRange(at(2025, 2, 1), { from: '', to: '2025-01-31' })).toBe(false);
+    expect(isInDateRange(at(2030, 1, 1), { from: '2025-01-31', to: '' })).toBe(true);
+    expect(isInDateRange(at(2025, 1, 30), { from: '2025-01-31', to: '' })).toBe(false);
+  });
+
+  test('keeps rows without a timestamp only when no range is set', () => {
+    expect(isInDateRange({ rsrp: -90 }, { from: '', to: '' })).toBe(true);
+    expect(isInDateRange({ rsrp: -90 }, null)).toBe(true);
+    expect(isInDateRange({ rsrp: -90 }, { from: '2025-01-01', to: '' })).toBe(false);
+  });
+});
@@ -0,0 +1,117 @@
+/* -------------------------
+  Metric distributions
+   Histograms and CDFs for one metric over one or two sets of rows,
+   on a shared x axis so the sets overlay. Histogram bars are a share
+   of each set's samples, so sets of different sizes compare directly.
+   Percentiles are nearest-rank, as everywhere else in the dashboard.
+--------------------------*/
+import Papa from 'papaparse';
+import { numericValues, percentileOfSorted } from './analytics';
+
+export const DIST_METRICS = [
+  { key: 'rsrp', label: 'RSRP', unit: 'dBm', binWidth: 2 },
+  { key: 'rsrq', label: 'RSRQ', unit: 'dB', binWidth: 1 },
+  { key: 'sinr', label: 'SINR', unit: 'dB', binWidth: 1 },
+  { key: 'throughput', label: 'DL throughput', unit: 'Mbps', binWidth: 5 },
+  { key: 'ulThroughput', label: 'UL throughput', unit: 'Mbps', binWidth: 2 }
+];
+export const PERCENTILES = [5, 10, 50, 90, 95];
+
+const MAX_BINS = 60;
+const CDF_POINTS = 120;
+
+export const sortedValues = (rows, key) => numericValues(rows, key).sort((a, b) => a - b);
+
+// number of values <= x
+const countAtOrBelow = (sorted, x) => {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= x) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+export function distributionStats(sorted) {
+  if (!sorted.length) return { count: 0, mean: null, min: null, max: null, percentiles: PERCENTILES.map(p => ({ p, value: null })) };
+  return {
+    count: sorted.length,
+    mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    percentiles: PERCENTILES.map(p => ({ p, value: percentileOfSorted(sorted, p) }))
+  };
+}
+
+const sharedRange = (sets) => {
+  const filled = sets.filter(s => s.values.length);
+  if (!filled.length) return null;
+  return {
+    min: Math.min(...filled.map(s => s.values[0])),
+    max: Math.max(...filled.map(s => s.values[s.values.length - 1]))
+  };
+};
+
+/* -------------------------
+  Chart series; `sets` is [{ key, label, values (sorted) }] and each
+  point carries one value per set key
+--------------------------*/
+export function histogramSeries(sets, metric) {
+  const range = sharedRange(sets);
+  if (!range) return [];
+  let width = metric.binWidth;
+  while ((range.max - range.min) / width > MAX_BINS) width *= 2;
+  const start = Math.floor(range.min / width) * width;
+  const binCount = Math.max(1, Math.floor((range.max - start) / width) + 1);
+
+  const bins = Array.from({ length: binCount }, (_, i) => ({ x: start + i * width, label: `${start + i * width}…${start + (i + 1) * width}` }));
+  sets.forEach(set => {
+    const counts = new Array(binCount).fill(0);
+    set.values.forEach(v => {
+      counts[Math.min(binCount - 1, Math.floor((v - start) / width))] += 1;
+    });
+    bins.forEach((bin, i) => {
+      bin[set.key] = set.values.length ? (counts[i] / set.values.length) * 100 : 0;
+    });
+  });
+  return bins;
+}
+
+export function cdfSeries(sets) {
+  const range = sharedRange(sets);
+  if (!range) return [];
+  const step = (range.max - range.min) / (CDF_POINTS - 1) || 1;
+  return Array.from({ length: CDF_POINTS }, (_, i) => {
+    const x = range.min + i * step;
+    const point = { x: Number(x.toFixed(2)) };
+    sets.forEach(set => {
+      point[set.key] = set.values.length ? (countAtOrBelow(set.values, x) / set.values.length) * 100 : null;
+    });
+    return point;
+  });
+}
+
+/* -------------------------
+  Export: the percentile table, the histogram and the CDF in one CSV
+--------------------------*/
+export function distributionCsv(metric, sets) {
+  const unit = `(${metric.unit})`;
+  const table = Papa.unparse({
+    fields: ['Set', 'Samples', `Mean ${unit}`, ...PERCENTILES.map(p => `P${p} ${unit}`)],
+    data: sets.map(set => {
+      const stats = distributionStats(set.values);
+      return [set.label, stats.count, stats.mean === null ? '' : stats.mean.toFixed(2), ...stats.percentiles.map(q => (q.value === null ? '' : q.value))];
+    })
+  });
+  const histogram = Papa.unparse({
+    fields: [`${metric.label} bin ${unit}`, ...sets.map(s => `${s.label} (% of samples)`)],
+    data: histogramSeries(sets, metric).map(bin => [bin.label, ...sets.map(s => bin[s.key].toFixed(2))])
+  });
+  const cdf = Papa.unparse({
+    fields: [`${metric.label} ${unit}`, ...sets.map(s => `${s.label} (% at or below)`)],
+    data: cdfSeries(sets).map(point => [point.x, ...sets.map(s => (point[s.key] === null ? '' : point[s.key].toFixed(2)))])
+  });
+  return [`${metric.label} percentiles`, table, '', `${metric.label} histogram`, histogram, '', `${metric.label} CDF`, cdf].join('\n');
+}
@@ -0,0 +1,124 @@
+/* -------------------------
+  KPI targets (SLA)
+   A target is a metric over a slice of the data that must reach a
+   threshold, e.g. "Class 1 ≥ 85%", "P5 DL throughput ≥ 5 Mbps" or
+   "SINR ≥ 0 dB in 95% of samples". Each target can be limited to one
+   technology and to a saved map area or a sector. Every metric here is
+   better when higher, so a target always reads "≥ threshold".
+--------------------------*/
+import { avg, class1Share, numericValues, percentile } from './analytics';
+import { rowDateKey } from './dateRange';
+import { inAnyArea } from './spatialAreas';
+import { loadJson, storeJson } from './storage';
+
+const STORAGE_KEY = 'driveTest.kpiTargets';
+const TREND_DAYS = 14;
+
+// `card` is the KPI card a breach is flagged on
+export const TARGET_METRICS = [
+  { key: 'class1', label: 'Class 1 share', unit: '%', digits: 1, card: 'class1', defaultThreshold: 85 },
+  { key: 'avgRsrp', label: 'Avg RSRP', kind: 'mean', field: 'rsrp', unit: ' dBm', digits: 1, card: 'rsrp', defaultThreshold: -100 },
+  { key: 'avgSinr', label: 'Avg SINR', kind: 'mean', field: 'sinr', unit: ' dB', digits: 1, defaultThreshold: 5 },
+  { key: 'avgDl', label: 'Avg DL throughput', kind: 'mean', field: 'throughput', unit: ' Mbps', digits: 1, card: 'dl', defaultThreshold: 20 },
+  { key: 'p5Dl', label: 'P5 DL throughput', kind: 'percentile', field: 'throughput', p: 5, unit: ' Mbps', digits: 1, card: 'dl', defaultThreshold: 5 },
+  { key: 'avgUl', label: 'Avg UL throughput', kind: 'mean', field: 'ulThroughput', unit: ' Mbps', digits: 1, card: 'ul', defaultThreshold: 5 },
+  { key: 'sinrShare', label: 'Samples with SINR ≥', kind: 'share', field: 'sinr', fieldLabel: 'SINR', levelUnit: ' dB', defaultLevel: 0, unit: '%', digits: 1, defaultThreshold: 95 },
+  { key: 'rsrpShare', label: 'Samples with RSRP ≥', kind: 'share', field: 'rsrp', fieldLabel: 'RSRP', levelUnit: ' dBm', defaultLevel: -110, unit: '%', digits: 1, card: 'rsrp', defaultThreshold: 95 }
+];
+
+export const targetMetric = (target) => TARGET_METRICS.find(m => m.key === target.metric) || TARGET_METRICS[0];
+
+export const DEFAULT_TARGETS = [
+  { id: 'target-class1', metric: 'class1', threshold: 85, technology: 'All', scope: null },
+  { id: 'target-p5dl', metric: 'p5Dl', threshold: 5, technology: 'All', scope: null },
+  { id: 'target-sinr', metric: 'sinrShare', level: 0, threshold: 95, technology: 'All', scope: null }
+];
+
+export function newTarget(metricKey) {
+  const metric = TARGET_METRICS.find(m => m.key === metricKey) || TARGET_METRICS[0];
+  return {
+    id: `target-${Date.now()}`,
+    metric: metric.key,
+    threshold: metric.defaultThreshold,
+    ...(metric.kind === 'share' ? { level: metric.defaultLevel } : {}),
+    technology: 'All',
+    scope: null
+  };
+}
+
+/* -------------------------
+  Evaluation
+--------------------------*/
+// null when the rows hold no values for the metric
+export function metricValue(target, rows) {
+  const metric = targetMetric(target);
+  if (metric.kind === 'mean' || metric.kind === 'percentile') {
+    if (!numericValues(rows, metric.field).length) return null;
+    return metric.kind === 'mean' ? avg(rows, metric.field) : percentile(rows, metric.field, metric.p);
+  }
+  if (metric.kind === 'share') {
+    const vals = numericValues(rows, metric.field);
+    return vals.length ? (vals.filter(v => v >= target.level).length / vals.length) * 100 : null;
+  }
+  return rows.some(r => r.signalClass !== null && r.signalClass !== undefined) ? class1Share(rows) : null;
+}
+
+// the rows a target applies to; scope is null, { kind: 'area', id } or { kind: 'sector', value }
+export function targetRows(target, rows, areas) {
+  let scoped = target.technology && target.technology !== 'All' ? rows.filter(r => r.technology === target.technology) : rows;
+  const { scope } = target;
+  if (scope && scope.kind === 'area') {
+    const area = areas.find(a => a.id === scope.id);
+    scoped = area ? scoped.filter(inAnyArea([area])) : [];
+  } else if (scope && scope.kind === 'sector') {
+    scoped = scoped.filter(r => r.location === scope.value);
+  }
+  return scoped;
+}
+
+// { status: 'pass' | 'fail' | 'nodata', value, margin, count, trend: [{ day, value, pass }] }
+export function evaluateTarget(target, rows, areas) {
+  const scoped = targetRows(target, rows, areas);
+  const value = metricValue(target, scoped);
+
+  const byDay = {};
+  scoped.forEach(r => {
+    const day = rowDateKey(r);
+    if (day) (byDay[day] = byDay[day] || []).push(r);
+  });
+  const trend = Object.keys(byDay).sort().slice(-TREND_DAYS).map(day => {
+    const v = metricValue(target, byDay[day]);
+    return { day, value: v, pass: v === null ? null : v >= target.threshold };
+  });
+
+  if (value === null) return { status: 'nodata', value: null, margin: null, count: scoped.length, trend };
+  return { status: value >= target.threshold ? 'pass' : 'fail', value, margin: value - target.threshold, count: scoped.length, trend };
+}
+
+export function formatMetric(target, value) {
+  const metric = targetMetric(target);
+  return value === null || value === undefined ? '—' : `${value.toFixed(metric.digits)}${metric.unit}`;
+}
+
+export function describeTarget(target, areas = []) {
+  const metric = targetMetric(target);
+  const parts = [metric.kind === 'share'
+    ? `${metric.fieldLabel} ≥ ${target.level}${metric.levelUnit} in ≥ ${target.threshold}% of samples`
+    : `${metric.label} ≥ ${target.threshold}${metric.unit}`];
+  if (target.technology && target.technology !== 'All') parts.push(target.technology);
+  if (target.scope && target.scope.kind === 'area') parts.push((areas.find(a => a.id === target.scope.id) || { name: 'deleted area' }).name);
+  if (target.scope && target.scope.kind === 'sector') parts.push(target.scope.value);
+  return parts.join(' · ');
+}
+
+// the unscoped, all-technology Class 1 target the Analysis Summary judges against
+export const headlineClass1Target = (targets) => targets.find(t => t.metric === 'class1' && (!t.technology || t.technology === 'All') && !t.scope) || null;
+
+/* -------------------------
+  Persistence (targets live in localStorage; the defaults until edited)
+--------------------------*/
+const isValidTarget = (t) => t && t.id && TARGET_METRICS.some(m => m.key === t.metric) && Number.isFinite(t.threshold);
+
+export const loadTargets = () => loadJson(STORAGE_KEY, DEFAULT_TARGETS, (parsed) => (Array.isArray(parsed) ? parsed.filter(isValidTarget) : null));
+
+export const storeTargets = (targets) => storeJson(STORAGE_KEY, targets);
@@ -0,0 +1,99 @@
+import { evaluateTarget, metricValue, targetRows } from './kpiTargets';
+
+const target = (overrides = {}) => ({ id: 't1', metric: 'class1', threshold: 85, technology: 'All', scope: null, ...overrides });
+
+const row = (overrides = {}) => ({ dateKey: '2025-09-01', technology: '5G', location: 'A', lat: -26.2, lon: 28.04, ...overrides });
+
+// a box around (-26.2, 28.04), about 1 km across
+const area = { id: 'a1', name: 'Harbour', shape: 'rectangle', bounds: { north: -26.195, south: -26.205, east: 28.045, west: 28.035 } };
+
+describe('metricValue', () => {
+  test('takes the share of samples at or above the level, in percent', () => {
+    const rows = [-2, 0, 3, 8].map(sinr => row({ sinr }));
+
+    expect(metricValue(target({ metric: 'sinrShare', level: 0 }), rows)).toBe(75);
+    expect(metricValue(target({ metric: 'sinrShare', level: 5 }), rows)).toBe(25);
+  });
+
+  test('takes a nearest-rank percentile', () => {
+    const rows = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11].map(throughput => row({ throughput }));
+
+    expect(metricValue(target({ metric: 'p5Dl' }), rows)).toBe(2);
+  });
+
+  test('is null, not zero, when the rows hold no values for the metric', () => {
+    const rows = [row({ rsrp: -90 }), row({ rsrp: -95 })];
+
+    expect(metricValue(target({ metric: 'p5Dl' }), rows)).toBeNull();
+    expect(metricValue(target({ metric: 'avgUl' }), rows)).toBeNull();
+    expect(metricValue(target({ metric: 'sinrShare', level: 0 }), rows)).toBeNull();
+    expect(metricValue(target(), rows)).toBeNull();
+    expect(metricValue(target(), [row({ signalClass: 1 }), row({ signalClass: 3 })])).toBe(50);
+  });
+});
+
+describe('targetRows', () => {
+  const rows = [
+    row({ technology: '5G', location: 'A' }),
+    row({ technology: '4G', location: 'B' }),
+    row({ technology: '5G', location: 'B', lat: -26.3 }),
+    row({ technology: '5G', location: 'A', jittered: true })
+  ];
+
+  test('limits to the technology', () => {
+    expect(targetRows(target({ technology: '4G' }), rows, [])).toEqual([rows[1]]);
+    expect(targetRows(target(), rows, [])).toHaveLength(4);
+  });
+
+  test('limits to a saved area, leaving out rows outside it and jittered rows', () => {
+    expect(targetRows(target({ scope: { kind: 'area', id: 'a1' } }), rows, [area])).toEqual([rows[0], rows[1]]);
+    expect(targetRows(target({ technology: '5G', scope: { kind: 'area', id: 'a1' } }), rows, [area])).toEqual([rows[0]]);
+  });
+
+  test('matches nothing once its area is deleted', () => {
+    expect(targetRows(target({ scope: { kind: 'area', id: 'a1' } }), rows, [])).toEqual([]);
+  });
+
+  test('limits to a sector', () => {
+    expect(targetRows(target({ scope: { kind: 'sector', value: 'B' } }), rows, [area])).toEqual([rows[1], rows[2]]);
+  });
+});
+
+describe('evaluateTarget', () => {
+  test('passes or fails against the threshold with the margin', () => {
+    const rows = [1, 1, 1, 2].map(signalClass => row({ signalClass }));
+
+    expect(evaluateTarget(target({ threshold: 70 }), rows, [])).toMatchObject({ status: 'pass', value: 75, margin: 5, count: 4 });
+    expect(evaluateTarget(target({ threshold: 80 }), rows, [])).toMatchObject({ status: 'fail', value: 75, margin: -5 });
+  });
+
+  test('reports no data for a slice without values', () => {
+    const result = evaluateTarget(target({ scope: { kind: 'sector', value: 'Z' } }), [row({ signalClass: 1 })], []);
+
+    expect(result).toEqual({ status: 'nodata', value: null, margin: null, count: 0, trend: [] });
+  });
+
+  test('judges each day on its own, oldest first, a day without values as unknown', () => {
+    const rows = [
+      row({ dateKey: '2025-09-03', signalClass: 1 }),
+      row({ dateKey: '2025-09-01', signalClass: 1 }),
+      row({ dateKey: '2025-09-01', signalClass: 3 }),
+      row({ dateKey: '2025-09-02', rsrp: -90 }),
+      row({ dateKey: null, signalClass: 1 })
+    ];
+
+    expect(evaluateTarget(target({ threshold: 85 }), rows, []).trend).toEqual([
+      { day: '2025-09-01', value: 50, pass: false },
+      { day: '2025-09-02', value: null, pass: null },
+      { day: '2025-09-03', value: 100, pass: true }
+    ]);
+  });
+
+  test('keeps the last 14 days in the trend', () => {
+    const rows = Array.from({ length: 20 }, (_, i) => row({ dateKey: `2025-09-${String(i + 1).padStart(2, '0')}`, signalClass: 1 }));
+    const { trend } = evaluateTarget(target(), rows, []);
+
+    expect(trend).toHaveLength(14);
+    expect(trend[0].day).toBe('2025-09-07');
+  });
+});
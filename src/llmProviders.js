@@ -0,0 +1,285 @@
+/* -------------------------
+  LLM providers
+   The assistant can pass its local answer to a language model to
+   refine. A provider is plain settings, so it can be stored:
+   { preset, label, adapter, baseUrl, model, auth, authHeader, projectId,
+     stream, tools, timeoutSeconds }
+   `adapter` says how to build the request and read the reply
+   ('openai' for OpenAI-compatible servers, local ones included,
+   'watsonx' for the watsonx.ai chat API, 'mock' for offline tests).
+   `auth` is 'bearer', 'header' (the key as-is in `authHeader`) or
+   'none'. The key itself is passed per call and never stored.
+--------------------------*/
+import { loadJson, storeJson } from './storage';
+
+const STORAGE_KEY = 'driveTest.llmSettings';
+const WATSONX_VERSION = '2024-05-01';
+const TEMPERATURE = 0.2;
+const MAX_TOKENS = 800;
+const MAX_TOOL_ROUNDS = 6;
+
+export const LLM_PRESETS = [
+  { preset: 'openai', label: 'OpenAI', adapter: 'openai', baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini', auth: 'bearer', authHeader: '', projectId: '' },
+  { preset: 'local', label: 'Local server (OpenAI-compatible)', adapter: 'openai', baseUrl: 'http://localhost:11434/v1', model: 'llama3.1', auth: 'none', authHeader: '', projectId: '' },
+  { preset: 'watsonx', label: 'IBM watsonx.ai', adapter: 'watsonx', baseUrl: 'https://us-south.ml.cloud.ibm.com', model: 'ibm/granite-3-8b-instruct', auth: 'bearer', authHeader: '', projectId: '' },
+  { preset: 'mock', label: 'Mock (offline)', adapter: 'mock', baseUrl: '', model: 'echo', auth: 'none', authHeader: '', projectId: '' }
+];
+
+export const AUTH_STYLES = [
+  { key: 'bearer', label: 'Authorization: Bearer <key>' },
+  { key: 'header', label: 'Custom header' },
+  { key: 'none', label: 'No key' }
+];
+
+export const DEFAULT_LLM_SETTINGS = { ...LLM_PRESETS[0], stream: true, tools: true, timeoutSeconds: 30 };
+
+export const llmPreset = (key) => LLM_PRESETS.find(p => p.preset === key) || LLM_PRESETS[0];
+
+// a new preset keeps the stream, tools and timeout choices
+export const applyLlmPreset = (settings, key) => ({ ...settings, ...llmPreset(key) });
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+const chatText = (json) => json?.choices?.[0]?.message?.content;
+const deltaText = (json) => json?.choices?.[0]?.delta?.content;
+
+// both APIs word their replies and tool calls like OpenAI; they differ in URL and body
+const ADAPTERS = {
+  openai: {
+    url: (s) => `${trimSlash(s.baseUrl)}/chat/completions`,
+    body: (s, messages, stream, tools) => ({
+      model: s.model,
+      messages,
+      temperature: TEMPERATURE,
+      stream,
+      ...(tools ? { tools, tool_choice: 'auto' } : {})
+    })
+  },
+  watsonx: {
+    url: (s, stream) => `${trimSlash(s.baseUrl)}/ml/v1/text/${stream ? 'chat_stream' : 'chat'}?version=${WATSONX_VERSION}`,
+    body: (s, messages, stream, tools) => ({
+      model_id: s.model,
+      project_id: s.projectId,
+      messages,
+      parameters: { temperature: TEMPERATURE, max_tokens: MAX_TOKENS },
+      ...(tools ? { tools, tool_choice_option: 'auto' } : {})
+    })
+  }
+};
+
+export function buildLlmRequest(settings, apiKey, messages, tools = null) {
+  const adapter = ADAPTERS[settings.adapter] || ADAPTERS.openai;
+  const stream = Boolean(settings.stream);
+  const headers = { 'Content-Type': 'application/json', Accept: stream ? 'text/event-stream' : 'application/json' };
+  if (settings.auth === 'bearer') headers.Authorization = `Bearer ${apiKey}`;
+  if (settings.auth === 'header' && settings.authHeader) headers[settings.authHeader] = apiKey;
+  return { url: adapter.url(settings, stream), init: { method: 'POST', headers, body: JSON.stringify(adapter.body(settings, messages, stream, tools)) } };
+}
+
+// what still has to be filled in before a call can go out, or null
+export function llmSettingsProblem(settings, apiKey) {
+  if (settings.adapter === 'mock') return null;
+  if (!settings.baseUrl) return 'Set the provider’s base URL.';
+  if (!settings.model) return 'Set a model name.';
+  if (settings.auth !== 'none' && !apiKey) return `${settings.label} needs an API key.`;
+  if (settings.auth === 'header' && !settings.authHeader) return 'Name the header that carries the key.';
+  if (settings.adapter === 'watsonx' && !settings.projectId) return 'watsonx.ai needs a project ID.';
+  return null;
+}
+
+/* -------------------------
+  Replies
+--------------------------*/
+const errorDetail = async (res) => {
+  try {
+    const text = await res.text();
+    try {
+      const json = JSON.parse(text);
+      return json?.error?.message || json?.errors?.[0]?.message || json?.message || text;
+    } catch (err) {
+      return text;
+    }
+  } catch (err) {
+    return '';
+  }
+};
+
+// { id, name, arguments } with `arguments` still a JSON string
+const toolCallsOf = (calls) => (calls || []).map(c => ({ id: c.id, name: c.function?.name, arguments: c.function?.arguments || '{}' }));
+
+// server-sent events: `data: {...}` lines, ending with `data: [DONE]` on OpenAI;
+// a streamed tool call arrives in pieces keyed by its index
+const readStream = async (res, onChunk, onDelta) => {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  const calls = [];
+  const readLine = (line) => {
+    const data = line.startsWith('data:') ? line.slice(5).trim() : null;
+    if (!data || data === '[DONE]') return;
+    let json;
+    try {
+      json = JSON.parse(data);
+    } catch (err) {
+      return;
+    }
+    const piece = deltaText(json) || chatText(json);
+    if (piece) {
+      text += piece;
+      if (onDelta) onDelta(text);
+    }
+    (json?.choices?.[0]?.delta?.tool_calls || []).forEach((part, i) => {
+      const index = part.index ?? i;
+      const call = calls[index] || (calls[index] = { id: null, function: { name: '', arguments: '' } });
+      if (part.id) call.id = part.id;
+      if (part.function?.name) call.function.name += part.function.name;
+      if (part.function?.arguments) call.function.arguments += part.function.arguments;
+    });
+  };
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    onChunk();
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(line => readLine(line.trim()));
+  }
+  readLine(buffer.trim());
+  return { text, toolCalls: toolCallsOf(calls.filter(Boolean)) };
+};
+
+// the mock replies without a network: 'echo' streams the question back,
+// 'fail' answers with an error and 'hang' never answers. Given tools, it
+// first calls one that needs no arguments, then echoes its result.
+const mockReply = async (settings, messages, tools, signal, onDelta) => {
+  if (settings.model === 'fail') throw new Error('Mock provider failed on purpose.');
+  if (settings.model === 'hang') {
+    await new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+  }
+  const last = messages[messages.length - 1];
+  if (tools && tools.length && (!last || last.role !== 'tool')) {
+    const free = tools.find(t => !(t.function.parameters?.required || []).length) || tools[0];
+    return { text: '', toolCalls: [{ id: `mock-call-${messages.length}`, name: free.function.name, arguments: '{}' }] };
+  }
+  const question = [...messages].reverse().find(m => m.role === 'user');
+  const reply = last && last.role === 'tool'
+    ? `Mock reply from the tool: ${last.content}`
+    : `Mock reply to: ${question ? question.content.split('\n')[0] : '(nothing)'}`;
+  let text = '';
+  for (const word of reply.split(' ')) {
+    await Promise.resolve();
+    text = text ? `${text} ${word}` : word;
+    if (settings.stream && onDelta) onDelta(text);
+  }
+  return { text, toolCalls: [] };
+};
+
+/* -------------------------
+  One round trip: resolves with { text, toolCalls }, where toolCalls
+  lists what the model wants run before it answers (only when `tools`
+  were offered). With `stream` on, `onDelta(textSoFar)` is called as
+  text arrives. The timeout counts from the last sign of life, so a
+  long streamed answer is not cut off. Rejects with an Error whose
+  message can be shown to the user.
+--------------------------*/
+export async function chatTurn(settings, apiKey, messages, { tools = null, onDelta, fetchImpl } = {}) {
+  const problem = llmSettingsProblem(settings, apiKey);
+  if (problem) throw new Error(problem);
+
+  const timeoutMs = (Number(settings.timeoutSeconds) > 0 ? Number(settings.timeoutSeconds) : DEFAULT_LLM_SETTINGS.timeoutSeconds) * 1000;
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+  const touch = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+  };
+  touch();
+
+  try {
+    if (settings.adapter === 'mock') return await mockReply(settings, messages, tools, controller.signal, onDelta);
+
+    const { url, init } = buildLlmRequest(settings, apiKey, messages, tools);
+    let res;
+    try {
+      res = await (fetchImpl || fetch)(url, { ...init, signal: controller.signal });
+    } catch (err) {
+      if (timedOut) throw err;
+      throw new Error(`Could not reach ${settings.label} at ${settings.baseUrl} (${err.message}). Check the URL, and that the server allows requests from this page (CORS).`);
+    }
+    touch();
+    if (!res.ok) {
+      const detail = await errorDetail(res);
+      throw new Error(`${settings.label} answered ${res.status}${res.statusText ? ` ${res.statusText}` : ''}${detail ? `: ${String(detail).slice(0, 200)}` : ''}`);
+    }
+    if (settings.stream && res.body && res.body.getReader) {
+      const { text, toolCalls } = await readStream(res, touch, onDelta);
+      return { text: text.trim(), toolCalls };
+    }
+    const message = (await res.json())?.choices?.[0]?.message || {};
+    return { text: (message.content || '').trim(), toolCalls: toolCallsOf(message.tool_calls) };
+  } catch (err) {
+    if (timedOut) throw new Error(`${settings.label} did not respond within ${timeoutMs / 1000} s.`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// a plain answer, without tools
+export async function completeChat(settings, apiKey, messages, options = {}) {
+  const { text } = await chatTurn(settings, apiKey, messages, { ...options, tools: null });
+  if (!text) throw new Error(`${settings.label} sent an empty reply.`);
+  return text;
+}
+
+/* -------------------------
+  An answer the model may work out with tools: every round it either
+  answers or asks for tool calls, which `callTool(name, args)` runs
+  locally; their results go back as tool messages. `onToolCall({ id,
+  name, args, result })` reports each call as it completes.
+--------------------------*/
+const parseArguments = (text) => {
+  try {
+    const args = JSON.parse(text || '{}');
+    return args && typeof args === 'object' ? args : {};
+  } catch (err) {
+    return null;
+  }
+};
+
+export async function completeWithTools(settings, apiKey, messages, tools, callTool, { onDelta, onToolCall, fetchImpl, maxRounds = MAX_TOOL_ROUNDS } = {}) {
+  const history = [...messages];
+  for (let round = 0; round < maxRounds; round++) {
+    const { text, toolCalls } = await chatTurn(settings, apiKey, history, { tools, onDelta, fetchImpl });
+    if (!toolCalls.length) {
+      if (!text) throw new Error(`${settings.label} sent an empty reply.`);
+      return text;
+    }
+    history.push({
+      role: 'assistant',
+      content: text || null,
+      tool_calls: toolCalls.map(c => ({ id: c.id, type: 'function', function: { name: c.name, arguments: c.arguments } }))
+    });
+    for (const call of toolCalls) {
+      const args = parseArguments(call.arguments);
+      const result = args === null ? { error: 'The arguments were not valid JSON.' } : await callTool(call.name, args);
+      if (onToolCall) onToolCall({ id: call.id, name: call.name, args: args || {}, result });
+      history.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+  }
+  throw new Error(`${settings.label} was still calling tools after ${maxRounds} rounds, so it was stopped.`);
+}
+
+/* -------------------------
+  Stored settings
+--------------------------*/
+export const loadLlmSettings = () => loadJson(STORAGE_KEY, DEFAULT_LLM_SETTINGS, (parsed) => (
+  parsed && LLM_PRESETS.some(p => p.adapter === parsed.adapter) ? { ...DEFAULT_LLM_SETTINGS, ...parsed } : null
+));
+
+export const storeLlmSettings = (settings) => storeJson(STORAGE_KEY, settings);
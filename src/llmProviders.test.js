@@ -0,0 +1,135 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { DEFAULT_LLM_SETTINGS, applyLlmPreset, buildLlmRequest, completeChat, completeWithTools, llmSettingsProblem } from './llmProviders';
+
+// jsdom has no TextDecoder for the stream reader
+global.TextDecoder = TextDecoder;
+
+const MESSAGES = [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Average SINR?\nContext follows' }];
+const settingsFor = (preset, patch = {}) => ({ ...applyLlmPreset(DEFAULT_LLM_SETTINGS, preset), ...patch });
+
+// a fetch that answers once, with a JSON body or server-sent event chunks
+const jsonResponse = (json, status = 200) => ({ ok: status < 400, status, statusText: status < 400 ? 'OK' : 'Bad Request', json: async () => json, text: async () => JSON.stringify(json) });
+const streamResponse = (chunks) => {
+  const encoder = new TextEncoder();
+  const queue = chunks.map(c => encoder.encode(c));
+  return { ok: true, status: 200, body: { getReader: () => ({ read: async () => (queue.length ? { done: false, value: queue.shift() } : { done: true }) }) } };
+};
+
+describe('building requests', () => {
+  test('sends OpenAI-compatible requests to the configured base URL', () => {
+    const { url, init } = buildLlmRequest(settingsFor('local', { baseUrl: 'http://localhost:8080/v1/', model: 'qwen2.5' }), '', MESSAGES);
+    expect(url).toBe('http://localhost:8080/v1/chat/completions');
+    expect(init.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(init.body)).toMatchObject({ model: 'qwen2.5', messages: MESSAGES, stream: true });
+  });
+
+  test('uses the auth header style that is configured', () => {
+    expect(buildLlmRequest(settingsFor('openai'), 'sk-1', MESSAGES).init.headers.Authorization).toBe('Bearer sk-1');
+    const custom = buildLlmRequest(settingsFor('openai', { auth: 'header', authHeader: 'api-key' }), 'k-2', MESSAGES).init.headers;
+    expect(custom['api-key']).toBe('k-2');
+    expect(custom.Authorization).toBeUndefined();
+  });
+
+  test('shapes watsonx requests for its chat API', () => {
+    const { url, init } = buildLlmRequest(settingsFor('watsonx', { projectId: 'p-1', stream: false }), 'token', MESSAGES);
+    expect(url).toBe('https://us-south.ml.cloud.ibm.com/ml/v1/text/chat?version=2024-05-01');
+    expect(JSON.parse(init.body)).toMatchObject({ model_id: 'ibm/granite-3-8b-instruct', project_id: 'p-1', messages: MESSAGES });
+  });
+
+  test('says what is missing before calling', () => {
+    expect(llmSettingsProblem(settingsFor('openai'), '')).toBe('OpenAI needs an API key.');
+    expect(llmSettingsProblem(settingsFor('watsonx'), 'token')).toBe('watsonx.ai needs a project ID.');
+    expect(llmSettingsProblem(settingsFor('local'), '')).toBeNull();
+  });
+});
+
+describe('calling a provider', () => {
+  test('reads a whole reply', async () => {
+    const fetchImpl = jest.fn(async () => jsonResponse({ choices: [{ message: { content: ' 14.2 dB on average. ' } }] }));
+    await expect(completeChat(settingsFor('openai', { stream: false }), 'sk-1', MESSAGES, { fetchImpl })).resolves.toBe('14.2 dB on average.');
+    expect(fetchImpl).toHaveBeenCalledWith('https://api.openai.com/v1/chat/completions', expect.objectContaining({ method: 'POST' }));
+  });
+
+  test('streams deltas as they arrive, across chunk boundaries', async () => {
+    const fetchImpl = async () => streamResponse([
+      'data: {"choices":[{"delta":{"content":"14.2"}}]}\n\ndata: {"choices":[{"del',
+      'ta":{"content":" dB"}}]}\n\n',
+      'data: [DONE]\n\n'
+    ]);
+    const seen = [];
+    const text = await completeChat(settingsFor('local'), '', MESSAGES, { fetchImpl, onDelta: (t) => seen.push(t) });
+    expect(seen).toEqual(['14.2', '14.2 dB']);
+    expect(text).toBe('14.2 dB');
+  });
+
+  test('turns HTTP errors into a readable message', async () => {
+    const fetchImpl = async () => jsonResponse({ error: { message: 'Incorrect API key provided' } }, 401);
+    await expect(completeChat(settingsFor('openai'), 'sk-bad', MESSAGES, { fetchImpl })).rejects.toThrow('OpenAI answered 401 Bad Request: Incorrect API key provided');
+  });
+
+  test('explains an unreachable server', async () => {
+    const fetchImpl = async () => { throw new TypeError('Failed to fetch'); };
+    await expect(completeChat(settingsFor('local'), '', MESSAGES, { fetchImpl })).rejects.toThrow(/^Could not reach Local server \(OpenAI-compatible\) at http:\/\/localhost:11434\/v1 \(Failed to fetch\)/);
+  });
+
+  test('gives up after the timeout', async () => {
+    const fetchImpl = (url, init) => new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    await expect(completeChat(settingsFor('local', { timeoutSeconds: 0.05 }), '', MESSAGES, { fetchImpl })).rejects.toThrow('Local server (OpenAI-compatible) did not respond within 0.05 s.');
+  });
+
+  test('the mock provider streams, fails and hangs on request', async () => {
+    const seen = [];
+    await expect(completeChat(settingsFor('mock'), '', MESSAGES, { onDelta: (t) => seen.push(t) })).resolves.toBe('Mock reply to: Average SINR?');
+    expect(seen[seen.length - 1]).toBe('Mock reply to: Average SINR?');
+    await expect(completeChat(settingsFor('mock', { model: 'fail' }), '', MESSAGES)).rejects.toThrow('Mock provider failed on purpose.');
+    await expect(completeChat(settingsFor('mock', { model: 'hang', timeoutSeconds: 0.05 }), '', MESSAGES)).rejects.toThrow('Mock (offline) did not respond within 0.05 s.');
+  });
+});
+
+describe('calling tools', () => {
+  const TOOLS = [{ type: 'function', function: { name: 'aggregate', description: 'Aggregate a metric', parameters: { type: 'object', properties: {} } } }];
+
+  test('offers the tools in the request', () => {
+    expect(JSON.parse(buildLlmRequest(settingsFor('openai'), 'sk-1', MESSAGES, TOOLS).init.body)).toMatchObject({ tools: TOOLS, tool_choice: 'auto' });
+    expect(JSON.parse(buildLlmRequest(settingsFor('watsonx', { projectId: 'p-1' }), 't', MESSAGES, TOOLS).init.body)).toMatchObject({ tools: TOOLS, tool_choice_option: 'auto' });
+  });
+
+  test('runs streamed tool calls locally and sends their results back', async () => {
+    const bodies = [];
+    const replies = [
+      streamResponse([
+        'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"id":"call-1","function":{"name":"aggregate","arguments":"{\\"metric\\":"}}]}}]}\n\n',
+        'data: {"choices":[{"delta":{"tool_calls":[{"index":0,"function":{"arguments":"\\"sinr\\"}"}}]}}]}\n\ndata: [DONE]\n\n'
+      ]),
+      streamResponse(['data: {"choices":[{"delta":{"content":"Average SINR is 14.2 dB."}}]}\n\ndata: [DONE]\n\n'])
+    ];
+    const fetchImpl = async (url, init) => {
+      bodies.push(JSON.parse(init.body));
+      return replies.shift();
+    };
+    const callTool = jest.fn(() => ({ value: 14.2 }));
+    const calls = [];
+    const text = await completeWithTools(settingsFor('local'), '', MESSAGES, TOOLS, callTool, { fetchImpl, onToolCall: (c) => calls.push(c) });
+
+    expect(text).toBe('Average SINR is 14.2 dB.');
+    expect(callTool).toHaveBeenCalledWith('aggregate', { metric: 'sinr' });
+    expect(calls).toEqual([{ id: 'call-1', name: 'aggregate', args: { metric: 'sinr' }, result: { value: 14.2 } }]);
+    expect(bodies[1].messages.slice(-2)).toEqual([
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call-1', type: 'function', function: { name: 'aggregate', arguments: '{"metric":"sinr"}' } }] },
+      { role: 'tool', tool_call_id: 'call-1', content: '{"value":14.2}' }
+    ]);
+  });
+
+  test('the mock provider calls a tool before it answers', async () => {
+    const calls = [];
+    const text = await completeWithTools(settingsFor('mock'), '', MESSAGES, TOOLS, () => ({ rows_matched: 576 }), { onToolCall: (c) => calls.push(c.name) });
+    expect(calls).toEqual(['aggregate']);
+    expect(text).toBe('Mock reply from the tool: {"rows_matched":576}');
+  });
+
+  test('stops a model that never stops calling tools', async () => {
+    const fetchImpl = async () => jsonResponse({ choices: [{ message: { content: null, tool_calls: [{ id: 'c', function: { name: 'aggregate', arguments: '{}' } }] } }] });
+    await expect(completeWithTools(settingsFor('local', { stream: false }), '', MESSAGES, TOOLS, () => ({}), { fetchImpl, maxRounds: 2 }))
+      .rejects.toThrow('Local server (OpenAI-compatible) was still calling tools after 2 rounds, so it was stopped.');
+  });
+});
@@ -0,0 +1,52 @@
+/* -------------------------
+  Map adapters
+   The canvas point layer only needs the current view and a change
+   notification, so any Web Mercator map can host it through an adapter:
+   { getView() -> { lat, lng, zoom } | null, subscribe(onChange) -> unsubscribe,
+     panTo(lat, lng), fitBounds({ north, south, east, west }) }
+--------------------------*/
+
+// zooming to a handful of samples should not land on the closest tiles
+const FIT_MAX_ZOOM = 17;
+const FIT_PADDING = 48;
+
+export const googleMapAdapter = (map) => ({
+  getView() {
+    const center = map.getCenter();
+    if (!center) return null;
+    return { lat: center.lat(), lng: center.lng(), zoom: map.getZoom() };
+  },
+  subscribe(onChange) {
+    // fires on every frame of a pan or zoom, not only when it settles
+    const listener = map.addListener('bounds_changed', onChange);
+    return () => listener.remove();
+  },
+  panTo(lat, lng) {
+    map.panTo({ lat, lng });
+  },
+  fitBounds(bounds) {
+    map.fitBounds(bounds, FIT_PADDING);
+    const listener = map.addListener('idle', () => {
+      listener.remove();
+      if (map.getZoom() > FIT_MAX_ZOOM) map.setZoom(FIT_MAX_ZOOM);
+    });
+  }
+});
+
+export const leafletMapAdapter = (map) => ({
+  getView() {
+    const center = map.getCenter();
+    return { lat: center.lat, lng: center.lng, zoom: map.getZoom() };
+  },
+  subscribe(onChange) {
+    const events = 'move zoom viewreset resize';
+    map.on(events, onChange);
+    return () => map.off(events, onChange);
+  },
+  panTo(lat, lng) {
+    map.panTo([lat, lng]);
+  },
+  fitBounds({ north, south, east, west }) {
+    map.fitBounds([[south, west], [north, east]], { padding: [FIT_PADDING, FIT_PADDING], maxZoom: FIT_MAX_ZOOM });
+  }
+});
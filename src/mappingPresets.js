@@ -0,0 +1,291 @@
+/* -------------------------
+  Field-mapping presets
+   A preset lists, per data field, the column names a drive-test tool uses
+   for it, plus a header fingerprint used to recognise that tool's exports.
+   Header names are compared case- and whitespace-insensitively.
+--------------------------*/
+
+import { DEFAULT_UNITS } from './units';
+import { loadJson, storeJson } from './storage';
+
+export const MAPPING_FIELDS = [
+  'timestamp', 'rsrp', 'rsrq', 'sinr', 'technology', 'location', 'throughput', 'ulThroughput', 'latitude', 'longitude',
+  'pci', 'arfcn', 'band', 'cellId', 'cqi', 'rssi', 'ta'
+];
+
+export const FIELD_LABELS = {
+  timestamp: 'Timestamp',
+  rsrp: 'RSRP',
+  rsrq: 'RSRQ',
+  sinr: 'SINR',
+  technology: 'Technology',
+  location: 'Sector',
+  throughput: 'DL throughput',
+  ulThroughput: 'UL throughput',
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+  pci: 'PCI',
+  arfcn: 'EARFCN / ARFCN',
+  band: 'Band',
+  cellId: 'Cell ID',
+  cqi: 'CQI',
+  rssi: 'RSSI',
+  ta: 'Timing adv.'
+};
+
+export const emptyFieldMapping = () => MAPPING_FIELDS.reduce((m, f) => ({ ...m, [f]: '' }), {});
+
+const STORAGE_KEY = 'driveTest.mappingPresets';
+
+// share of a preset's fingerprint that must be present to auto-select it
+const FINGERPRINT_MATCH = 0.8;
+
+export const BUILTIN_PRESETS = [
+  {
+    id: 'builtin-tems',
+    name: 'TEMS Discovery',
+    builtin: true,
+    fingerprint: ['Time', 'Latitude', 'Longitude', 'Serving Cell RSRP (dBm)', 'Serving Cell RSRQ (dB)'],
+    columns: {
+      timestamp: ['Time', 'Date Time'],
+      rsrp: ['Serving Cell RSRP (dBm)', 'NR Serving SS-RSRP (dBm)'],
+      rsrq: ['Serving Cell RSRQ (dB)', 'NR Serving SS-RSRQ (dB)'],
+      sinr: ['Serving Cell RS SINR (dB)', 'NR Serving SS-SINR (dB)'],
+      technology: ['Technology', 'Network Technology'],
+      location: ['Cell Name', 'Serving Cell Name'],
+      throughput: ['PDSCH Throughput (Mbit/s)', 'App Throughput DL (Mbit/s)'],
+      ulThroughput: ['PUSCH Throughput (Mbit/s)', 'App Throughput UL (Mbit/s)'],
+      latitude: ['Latitude'],
+      longitude: ['Longitude'],
+      pci: ['Serving Cell PCI', 'NR Serving PCI'],
+      arfcn: ['Serving Cell EARFCN', 'NR Serving NR-ARFCN'],
+      band: ['Serving Cell Band', 'NR Serving Band'],
+      cellId: ['Serving Cell Identity', 'NR Serving Cell Identity'],
+      cqi: ['CQI Average', 'NR CQI Average'],
+      rssi: ['Serving Cell RSSI (dBm)', 'NR Serving SS-RSSI (dBm)'],
+      ta: ['Timing Advance', 'NR Timing Advance']
+    }
+  },
+  {
+    id: 'builtin-nemo',
+    name: 'NEMO Outdoor',
+    builtin: true,
+    fingerprint: ['Time', 'Lat', 'Lon', 'RSRP (serving)', 'Network technology'],
+    columns: {
+      timestamp: ['Time'],
+      rsrp: ['RSRP (serving)', 'SS-RSRP (serving)'],
+      rsrq: ['RSRQ (serving)', 'SS-RSRQ (serving)'],
+      sinr: ['SINR (serving)', 'SS-SINR (serving)'],
+      technology: ['Network technology'],
+      location: ['Cell name'],
+      throughput: ['Application throughput downlink', 'PDSCH throughput'],
+      ulThroughput: ['Application throughput uplink', 'PUSCH throughput'],
+      latitude: ['Lat', 'Latitude'],
+      longitude: ['Lon', 'Longitude'],
+      pci: ['PCI (serving)', 'SS-PCI (serving)'],
+      arfcn: ['EARFCN (serving)', 'NR-ARFCN (serving)'],
+      band: ['Band (serving)'],
+      cellId: ['Cell identity'],
+      cqi: ['CQI', 'Average CQI'],
+      rssi: ['RSSI (serving)'],
+      ta: ['Timing advance']
+    }
+  },
+  {
+    id: 'builtin-gnettrack',
+    name: 'G-NetTrack Pro',
+    builtin: true,
+    fingerprint: ['Timestamp', 'Longitude', 'Latitude', 'NetworkTech', 'Level', 'Qual', 'DL_bitrate'],
+    columns: {
+      timestamp: ['Timestamp'],
+      rsrp: ['Level'],
+      rsrq: ['Qual'],
+      sinr: ['SNR'],
+      technology: ['NetworkTech', 'NetworkMode'],
+      location: ['Cellname'],
+      throughput: ['DL_bitrate'],
+      ulThroughput: ['UL_bitrate'],
+      latitude: ['Latitude'],
+      longitude: ['Longitude'],
+      pci: ['PSC'],
+      arfcn: ['ARFCN'],
+      band: ['BAND'],
+      cellId: ['CellID'],
+      cqi: ['CQI'],
+      rssi: ['LTERSSI'],
+      ta: ['TA']
+    },
+    // G-NetTrack logs bitrates in kbps
+    units: { throughput: 'kbps', ulThroughput: 'kbps' }
+  },
+  {
+    id: 'builtin-qualipoc',
+    name: 'QualiPoc',
+    builtin: true,
+    fingerprint: ['Time', 'Latitude', 'Longitude', 'LTE RSRP [dBm]', 'LTE RSRQ [dB]'],
+    columns: {
+      timestamp: ['Time', 'Timestamp'],
+      rsrp: ['LTE RSRP [dBm]', 'NR SS-RSRP [dBm]'],
+      rsrq: ['LTE RSRQ [dB]', 'NR SS-RSRQ [dB]'],
+      sinr: ['LTE SINR [dB]', 'NR SS-SINR [dB]'],
+      technology: ['Technology', 'RAT'],
+      location: ['Cell Name'],
+      throughput: ['DL Throughput [Mbit/s]', 'PDSCH Throughput [Mbit/s]'],
+      ulThroughput: ['UL Throughput [Mbit/s]', 'PUSCH Throughput [Mbit/s]'],
+      latitude: ['Latitude'],
+      longitude: ['Longitude'],
+      pci: ['LTE PCI', 'NR PCI'],
+      arfcn: ['LTE EARFCN', 'NR ARFCN'],
+      band: ['LTE Band', 'NR Band'],
+      cellId: ['Cell ID', 'LTE Cell ID'],
+      cqi: ['LTE CQI', 'NR CQI'],
+      rssi: ['LTE RSSI [dBm]', 'NR SS-RSSI [dBm]'],
+      ta: ['LTE TA', 'NR TA']
+    }
+  }
+];
+
+const normaliseHeader = (h) => String(h).toLowerCase().replace(/\s+/g, ' ').trim();
+
+// the actual header for a candidate name, or '' when the file does not have it
+const findHeader = (headers, candidate) => {
+  const wanted = normaliseHeader(candidate);
+  return headers.find(h => normaliseHeader(h) === wanted) || '';
+};
+
+export function applyPreset(preset, headers) {
+  const mapping = emptyFieldMapping();
+  MAPPING_FIELDS.forEach(field => {
+    const candidates = (preset.columns && preset.columns[field]) || [];
+    for (const candidate of candidates) {
+      const header = findHeader(headers, candidate);
+      if (header) {
+        mapping[field] = header;
+        break;
+      }
+    }
+  });
+  return mapping;
+}
+
+export const presetUnits = (preset) => ({ ...DEFAULT_UNITS, ...((preset && preset.units) || {}) });
+
+export function fingerprintScore(preset, headers) {
+  const fp = preset.fingerprint || [];
+  if (!fp.length) return 0;
+  return fp.filter(name => findHeader(headers, name)).length / fp.length;
+}
+
+// best preset whose fingerprint matches the file's headers, or null
+// ties go to the longer (more specific) fingerprint
+export function detectPreset(presets, headers) {
+  let best = null;
+  let bestScore = 0;
+  presets.forEach(p => {
+    const score = fingerprintScore(p, headers);
+    if (score < FINGERPRINT_MATCH) return;
+    const longer = best && (p.fingerprint || []).length > (best.fingerprint || []).length;
+    if (!best || score > bestScore || (score === bestScore && longer)) {
+      best = p;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+// the mapped columns double as the fingerprint for recognising the same export again
+export function presetFromMapping(name, mapping, units = DEFAULT_UNITS) {
+  const columns = {};
+  MAPPING_FIELDS.forEach(field => {
+    columns[field] = mapping[field] ? [mapping[field]] : [];
+  });
+  return {
+    id: `preset-${Date.now()}`,
+    name,
+    builtin: false,
+    fingerprint: MAPPING_FIELDS.map(f => mapping[f]).filter(Boolean),
+    columns,
+    units
+  };
+}
+
+/* -------------------------
+  Generic auto-detection for files no preset recognises
+   Whole-word patterns, most specific field first, and each column is used
+   for at most one field, so "Error rate" is not throughput and
+   "Serving cell RSRP" is not the sector.
+--------------------------*/
+const COORDINATE_NAMES = {
+  latitude: ['lat', 'latitude', 'lat_deg', 'latitude_deg', 'lat_decimal', 'latitude_decimal'],
+  longitude: ['lng', 'lon', 'long', 'longitude', 'lng_deg', 'lon_deg', 'longitude_deg', 'long_decimal']
+};
+
+const FIELD_PATTERNS = [
+  ['rsrp', [/\b(ss[-_ ]?)?rsrp\b/, /\bsignal[ _]?strength\b/]],
+  ['rsrq', [/\b(ss[-_ ]?)?rsrq\b/, /\bsignal[ _]?quality\b/]],
+  ['sinr', [/\b(rs[-_ ]?|ss[-_ ]?)?sinr\b/, /\bsnr\b/]],
+  ['ulThroughput', [/\b(ul|uplink)\b.*\b(throughput|bit[ _]?rate|tput)\b/, /\b(throughput|bit[ _]?rate|tput)\b.*\b(ul|uplink)\b/, /(^|[ _])ul[ _]?(bitrate|tput|mbps|kbps)\b/]],
+  ['throughput', [/\bthroughput\b/, /\bbit[ _]?rate\b/, /(^|[ _])dl[ _]?(bitrate|tput|mbps|kbps)\b/, /\b(mbit|kbit|mbps|kbps)(\/s)?\b/]],
+  ['timestamp', [/\btimestamp\b/, /\bdate[ _]?time\b/, /^time\b/, /\btime\b/, /\bdate\b/]],
+  ['technology', [/\btechnology\b/, /\bnetwork[ _]?tech\b/, /\brat\b/, /\bsystem\b/, /\bgeneration\b/]],
+  ['pci', [/\b(ss[-_ ]?)?pci\b/, /\bphysical[ _]?cell[ _]?id/, /\bpsc\b/]],
+  ['arfcn', [/\b(e|nr[-_ ]?)?arfcn\b/, /\buarfcn\b/]],
+  ['band', [/\bband\b/]],
+  ['cqi', [/\bcqi\b/]],
+  ['rssi', [/\b(ss[-_ ]?|lte)?rssi\b/]],
+  ['ta', [/\btiming[ _]?advance\b/, /^ta$/]],
+  // a lone cell id column is the best sector label there is; with a cell
+  // name alongside, the name labels the sector and the id fills cellId
+  ['location', [/\bsector\b/, /\bsite\b/, /\bcell[ _]?name\b/, /\blocation\b/, /\bcell[ _]?(id|identity)\b/, /\bcellid\b/]],
+  ['cellId', [/\bcell[ _]?(id|identity)\b/, /\bcellid\b/, /\b(e?cgi|eci|nci)\b/]]
+];
+
+export function autoDetectMapping(headers) {
+  const mapping = emptyFieldMapping();
+  const used = new Set();
+
+  Object.entries(COORDINATE_NAMES).forEach(([field, names]) => {
+    const header = headers.find(h => names.includes(normaliseHeader(h)));
+    if (header) {
+      mapping[field] = header;
+      used.add(header);
+    }
+  });
+
+  FIELD_PATTERNS.forEach(([field, patterns]) => {
+    for (const pattern of patterns) {
+      const header = headers.find(h => !used.has(h) && pattern.test(normaliseHeader(h)));
+      if (header) {
+        mapping[field] = header;
+        used.add(header);
+        return;
+      }
+    }
+  });
+  return mapping;
+}
+
+/* -------------------------
+  Persistence and sharing
+--------------------------*/
+const isValidPreset = (p) => p && typeof p.name === 'string' && p.columns && typeof p.columns === 'object';
+
+export const loadSavedPresets = () => loadJson(STORAGE_KEY, [], (parsed) => (Array.isArray(parsed) ? parsed.filter(isValidPreset) : null));
+
+export const storeSavedPresets = (presets) => storeJson(STORAGE_KEY, presets.filter(p => !p.builtin));
+
+export const exportPresetsJson = (presets) => JSON.stringify({ type: 'drive-test-mapping-presets', version: 1, presets }, null, 2);
+
+// accepts an export file, a bare array or a single preset
+export function parsePresetsJson(text) {
+  const parsed = JSON.parse(text);
+  const list = Array.isArray(parsed) ? parsed : Array.isArray(parsed.presets) ? parsed.presets : [parsed];
+  const presets = list.filter(isValidPreset).map((p, i) => ({
+    ...p,
+    id: p.id && !String(p.id).startsWith('builtin-') ? p.id : `preset-${Date.now()}-${i}`,
+    builtin: false,
+    fingerprint: Array.isArray(p.fingerprint) ? p.fingerprint : []
+  }));
+  if (!presets.length) throw new Error('No mapping presets found in file');
+  return presets;
+}
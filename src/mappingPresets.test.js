@@ -0,0 +1,62 @@
+import { BUILTIN_PRESETS, MAPPING_FIELDS, applyPreset, autoDetectMapping, detectPreset, fingerprintScore } from './mappingPresets';
+
+// a vendor export: the first column name the preset knows for every field, plus its fingerprint
+const vendorHeaders = (preset) => [...new Set([
+  ...preset.fingerprint,
+  ...MAPPING_FIELDS.map(f => preset.columns[f][0])
+])];
+
+describe('built-in presets', () => {
+  test.each(BUILTIN_PRESETS.map(p => [p.name, p]))('recognises and fully maps a %s export', (name, preset) => {
+    const headers = vendorHeaders(preset).map(h => ` ${h.toUpperCase()} `);
+    expect(detectPreset(BUILTIN_PRESETS, headers)).toBe(preset);
+
+    const mapping = applyPreset(preset, headers);
+    MAPPING_FIELDS.forEach(field => {
+      expect(mapping[field]).toBe(` ${preset.columns[field][0].toUpperCase()} `);
+    });
+  });
+
+  test('auto-selects a preset once 80% of its fingerprint is present', () => {
+    const tems = BUILTIN_PRESETS.find(p => p.id === 'builtin-tems');
+    const four = tems.fingerprint.slice(0, 4);
+    const three = tems.fingerprint.slice(0, 3);
+
+    expect(fingerprintScore(tems, four)).toBe(0.8);
+    expect(detectPreset(BUILTIN_PRESETS, four)).toBe(tems);
+    expect(fingerprintScore(tems, three)).toBe(0.6);
+    expect(detectPreset(BUILTIN_PRESETS, three)).toBeNull();
+  });
+
+  test('prefers the longer fingerprint on a tie', () => {
+    const short = { id: 'short', fingerprint: ['a', 'b'], columns: {} };
+    const long = { id: 'long', fingerprint: ['a', 'b', 'c'], columns: {} };
+    expect(detectPreset([short, long], ['a', 'b', 'c'])).toBe(long);
+  });
+});
+
+describe('autoDetectMapping', () => {
+  test('matches whole words only', () => {
+    const mapping = autoDetectMapping(['Time', 'Lat', 'Lon', 'Error rate', 'Operator', 'Serving cell RSRP', 'Cell name', 'DL bitrate']);
+
+    expect(mapping).toMatchObject({
+      timestamp: 'Time',
+      latitude: 'Lat',
+      longitude: 'Lon',
+      rsrp: 'Serving cell RSRP',
+      location: 'Cell name',
+      throughput: 'DL bitrate',
+      technology: ''
+    });
+    expect(Object.values(mapping)).not.toContain('Error rate');
+  });
+
+  test('tells uplink from downlink throughput', () => {
+    expect(autoDetectMapping(['DL throughput', 'UL throughput'])).toMatchObject({ throughput: 'DL throughput', ulThroughput: 'UL throughput' });
+  });
+
+  test('uses each column once: a lone cell ID labels the sector', () => {
+    expect(autoDetectMapping(['Cell ID'])).toMatchObject({ location: 'Cell ID', cellId: '' });
+    expect(autoDetectMapping(['Cell name', 'Cell ID'])).toMatchObject({ location: 'Cell name', cellId: 'Cell ID' });
+  });
+});
@@ -0,0 +1,181 @@
+/* -------------------------
+  Canvas point layer
+   Rows are projected once to Web Mercator world coordinates (0..1, the
+   same projection Google and Leaflet tiles use), so a redraw is only a
+   scale and offset per point. Points are decimated on a world-aligned
+   grid of one dot diameter, computed once per zoom level and cached:
+   each cell keeps its worst signal class, so at low zoom a 500k-point
+   drive draws a few thousand dots without hiding the poor spots, and
+   panning only culls the cached representatives to the viewport.
+--------------------------*/
+import { isValidCoordinate } from './csvNormaliser';
+
+const TILE_SIZE = 256;
+const MAX_LAT = 85.05112878;
+
+// draw order within a cell: unclassified < class 1 < … < class 4
+const UNCLASSIFIED = 0;
+const UNCLASSIFIED_COLOR = '#9CA3AF';
+
+export function lngLatToWorld(lat, lon) {
+  const clamped = Math.max(-MAX_LAT, Math.min(MAX_LAT, lat));
+  const sin = Math.sin((clamped * Math.PI) / 180);
+  return {
+    x: (lon + 180) / 360,
+    y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+  };
+}
+
+export function worldToLngLat(x, y) {
+  const n = Math.PI * (1 - 2 * y);
+  return {
+    lat: (Math.atan(Math.sinh(n)) * 180) / Math.PI,
+    lng: x * 360 - 180
+  };
+}
+
+export function buildPointLayer(rows) {
+  const valid = rows.filter(r => isValidCoordinate(r.lat, r.lon));
+  const x = new Float64Array(valid.length);
+  const y = new Float64Array(valid.length);
+  const cls = new Uint8Array(valid.length);
+  const flagged = new Uint8Array(valid.length);
+  valid.forEach((r, i) => {
+    const w = lngLatToWorld(Number(r.lat), Number(r.lon));
+    x[i] = w.x;
+    y[i] = w.y;
+    cls[i] = r.signalClass >= 1 && r.signalClass <= 4 ? r.signalClass : UNCLASSIFIED;
+    flagged[i] = r.jittered || r.imputed ? 1 : 0;
+  });
+  return { count: valid.length, x, y, cls, flagged, rows: valid, byLevel: new Map() };
+}
+
+// dot radius in CSS pixels; small dots at city scale, marker-sized up close
+export const pointRadius = (zoom) => (zoom >= 16 ? 5 : zoom >= 13 ? 4 : zoom >= 10 ? 3 : 2);
+
+// indices of the points drawn at a zoom level, one per grid cell
+const representatives = (layer, zoom) => {
+  const level = Math.round(zoom);
+  if (layer.byLevel.has(level)) return layer.byLevel.get(level);
+  const cellsPerAxis = Math.ceil((TILE_SIZE * Math.pow(2, level)) / (pointRadius(level) * 2));
+  const { x, y, cls } = layer;
+  const best = new Map();
+  for (let i = 0; i < layer.count; i++) {
+    const key = Math.floor(y[i] * cellsPerAxis) * cellsPerAxis + Math.floor(x[i] * cellsPerAxis);
+    const current = best.get(key);
+    if (current === undefined || cls[i] > cls[current]) best.set(key, i);
+  }
+  const indices = Int32Array.from(best.values());
+  layer.byLevel.set(level, indices);
+  return indices;
+};
+
+// scale and offset from world coordinates to CSS pixels for a { lat, lng, zoom } view
+export const viewTransform = (view, width, height) => {
+  const center = lngLatToWorld(view.lat, view.lng);
+  const scale = TILE_SIZE * Math.pow(2, view.zoom);
+  return {
+    scale,
+    ox: width / 2 - center.x * scale,
+    oy: height / 2 - center.y * scale
+  };
+};
+
+/* -------------------------
+  Draw: returns the decimation grid, which doubles as the hit-test index
+--------------------------*/
+export function drawPointLayer(ctx, layer, view, width, height, colors) {
+  const radius = pointRadius(view.zoom);
+  const cellSize = radius * 2;
+  const cols = Math.ceil(width / cellSize);
+  const rowsCount = Math.ceil(height / cellSize);
+  const cells = new Int32Array(cols * rowsCount).fill(-1);
+  const { scale, ox, oy } = viewTransform(view, width, height);
+  const { x, y, cls } = layer;
+  const candidates = representatives(layer, view.zoom);
+
+  for (let k = 0; k < candidates.length; k++) {
+    const i = candidates[k];
+    const sx = x[i] * scale + ox;
+    const sy = y[i] * scale + oy;
+    if (sx < 0 || sy < 0 || sx >= width || sy >= height) continue;
+    const cell = Math.floor(sy / cellSize) * cols + Math.floor(sx / cellSize);
+    const current = cells[cell];
+    if (current === -1 || cls[i] > cls[current]) cells[cell] = i;
+  }
+
+  // one path per colour and style keeps the canvas calls to a handful
+  const paths = {};
+  for (let c = 0; c < cells.length; c++) {
+    const i = cells[c];
+    if (i === -1) continue;
+    const key = `${layer.cls[i]}:${layer.flagged[i]}`;
+    (paths[key] = paths[key] || []).push(i);
+  }
+  Object.entries(paths).forEach(([key, indices]) => {
+    const [c, hollow] = key.split(':');
+    const color = colors[c] || UNCLASSIFIED_COLOR;
+    ctx.beginPath();
+    indices.forEach(i => {
+      const sx = x[i] * scale + ox;
+      const sy = y[i] * scale + oy;
+      ctx.moveTo(sx + radius, sy);
+      ctx.arc(sx, sy, radius, 0, Math.PI * 2);
+    });
+    // hollow dots flag rows whose position or values were imputed
+    ctx.fillStyle = hollow === '1' ? '#ffffff' : color;
+    ctx.fill();
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = hollow === '1' ? color : 'rgba(255,255,255,0.8)';
+    if (hollow === '1' || radius >= 3) ctx.stroke();
+  });
+
+  return { cells, cols, rows: rowsCount, cellSize, radius, scale, ox, oy };
+}
+
+// rings around rows picked elsewhere (e.g. in the scatter plot), above the dots
+export function drawHighlights(ctx, rows, view, width, height) {
+  const { scale, ox, oy } = viewTransform(view, width, height);
+  const radius = pointRadius(view.zoom) + 4;
+  ctx.beginPath();
+  rows.forEach(r => {
+    if (!isValidCoordinate(r.lat, r.lon)) return;
+    const w = lngLatToWorld(Number(r.lat), Number(r.lon));
+    const sx = w.x * scale + ox;
+    const sy = w.y * scale + oy;
+    if (sx < -radius || sy < -radius || sx > width + radius || sy > height + radius) return;
+    ctx.moveTo(sx + radius, sy);
+    ctx.arc(sx, sy, radius, 0, Math.PI * 2);
+  });
+  ctx.lineWidth = 4;
+  ctx.strokeStyle = '#ffffff';
+  ctx.stroke();
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = '#DB2777';
+  ctx.stroke();
+}
+
+// the drawn point under (px, py), or null
+export function hitTestPointLayer(grid, layer, px, py) {
+  if (!grid) return null;
+  const { cells, cols, rows, cellSize, radius, scale, ox, oy } = grid;
+  const cx = Math.floor(px / cellSize);
+  const cy = Math.floor(py / cellSize);
+  let best = null;
+  let bestDist = (radius + 2) * (radius + 2);
+  for (let gy = cy - 1; gy <= cy + 1; gy++) {
+    for (let gx = cx - 1; gx <= cx + 1; gx++) {
+      if (gx < 0 || gy < 0 || gx >= cols || gy >= rows) continue;
+      const i = cells[gy * cols + gx];
+      if (i === -1) continue;
+      const dx = layer.x[i] * scale + ox - px;
+      const dy = layer.y[i] * scale + oy - py;
+      const dist = dx * dx + dy * dy;
+      if (dist <= bestDist) {
+        best = i;
+        bestDist = dist;
+      }
+    }
+  }
+  return best === null ? null : layer.rows[best];
+}
@@ -0,0 +1,272 @@
+/* -------------------------
+  Problem-area detection
+   Each rule marks the samples that are bad in one way (a coverage hole,
+   interference, low throughput despite good radio). Marked samples that
+   follow each other in a session form a run; runs whose samples lie
+   within MERGE_METERS of each other (a second pass over the same street,
+   or samples without a timestamp) merge into one problem event. An event
+   is kept when it lasts long enough in time or distance and has enough
+   samples. Jittered rows are left out: their positions are invented.
+--------------------------*/
+import { numericValues, servingCellKey } from './analytics';
+import { isValidCoordinate } from './csvNormaliser';
+import { haversineMeters } from './route';
+import { loadJson, storeJson } from './storage';
+
+const STORAGE_KEY = 'driveTest.problemRules';
+
+// consecutive marked samples further apart than this start a new run
+const RUN_GAP_SEC = 30;
+const RUN_GAP_METERS = 200;
+const MERGE_METERS = 50;
+const METERS_PER_DEGREE = 111320;
+
+const has = (v) => v !== null && v !== undefined && v !== '' && Number.isFinite(Number(v));
+const mean = (rows, key) => {
+  const vals = numericValues(rows, key);
+  return vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : null;
+};
+const fmt = (value, digits = 1) => (value === null ? '—' : value.toFixed(digits));
+
+/* -------------------------
+  Rule types: `params` are the editable thresholds, `matches` marks a
+  sample, `depth` says how far past the threshold an event is on average
+  (it scales the severity) and `hint` suggests a root cause
+--------------------------*/
+export const PROBLEM_TYPES = [
+  {
+    key: 'coverageHole',
+    label: 'Coverage hole',
+    color: '#EF4444',
+    params: [{ key: 'rsrpBelow', label: 'RSRP <', unit: 'dBm' }],
+    matches: (r, rule) => has(r.rsrp) && Number(r.rsrp) < rule.rsrpBelow,
+    depth: (e, rule) => Math.max(0, rule.rsrpBelow - e.stats.rsrp) / 10,
+    hint: (e) => (e.stats.rsrp < -120
+      ? `Very weak signal (avg RSRP ${fmt(e.stats.rsrp)} dBm): likely outside every cell's footprint; check site coverage or a missing site.`
+      : `Weak signal at the cell edge (avg RSRP ${fmt(e.stats.rsrp)} dBm): check the serving cell's tilt and azimuth or indoor/terrain losses.`)
+  },
+  {
+    key: 'interference',
+    label: 'Interference',
+    color: '#F97316',
+    params: [
+      { key: 'rsrpAtLeast', label: 'RSRP ≥', unit: 'dBm' },
+      { key: 'sinrBelow', label: 'SINR <', unit: 'dB' }
+    ],
+    matches: (r, rule) => has(r.rsrp) && has(r.sinr) && Number(r.rsrp) >= rule.rsrpAtLeast && Number(r.sinr) < rule.sinrBelow,
+    depth: (e, rule) => Math.max(0, rule.sinrBelow - e.stats.sinr) / 5,
+    hint: (e) => (e.cells >= 3
+      ? `No dominant server: ${e.cells} cells serve here with good RSRP but low SINR (pilot pollution); trim overshooting neighbours.`
+      : `Good RSRP but avg SINR ${fmt(e.stats.sinr)} dB: overlap from a neighbouring cell on the same channel or external interference.`)
+  },
+  {
+    key: 'lowThroughput',
+    label: 'Low throughput',
+    color: '#8B5CF6',
+    params: [
+      { key: 'dlBelow', label: 'DL <', unit: 'Mbps' },
+      { key: 'rsrpAtLeast', label: 'RSRP ≥', unit: 'dBm' },
+      { key: 'sinrAtLeast', label: 'SINR ≥', unit: 'dB' }
+    ],
+    matches: (r, rule) => has(r.throughput) && has(r.rsrp) && has(r.sinr)
+      && Number(r.throughput) < rule.dlBelow && Number(r.rsrp) >= rule.rsrpAtLeast && Number(r.sinr) >= rule.sinrAtLeast,
+    depth: (e, rule) => Math.max(0, rule.dlBelow - e.stats.throughput) / Math.max(1, rule.dlBelow),
+    hint: (e) => (e.stats.rsrq !== null && e.stats.rsrq < -12
+      ? `Radio is good but RSRQ is low (avg ${fmt(e.stats.rsrq)} dB): a heavily loaded cell.`
+      : 'RSRP and SINR are good, so the limit is elsewhere: cell congestion, backhaul or the test server.')
+  }
+];
+
+export const problemType = (key) => PROBLEM_TYPES.find(t => t.key === key) || PROBLEM_TYPES[0];
+
+// an event qualifies at `minSeconds` OR `minMeters`, with at least `minSamples`
+export const DEFAULT_PROBLEM_RULES = [
+  { id: 'rule-coverage', type: 'coverageHole', enabled: true, rsrpBelow: -110, minSeconds: 10, minMeters: 50, minSamples: 3 },
+  { id: 'rule-interference', type: 'interference', enabled: true, rsrpAtLeast: -100, sinrBelow: 0, minSeconds: 10, minMeters: 50, minSamples: 3 },
+  { id: 'rule-throughput', type: 'lowThroughput', enabled: true, dlBelow: 5, rsrpAtLeast: -100, sinrAtLeast: 10, minSeconds: 10, minMeters: 50, minSamples: 3 }
+];
+
+export function newProblemRule(typeKey) {
+  const base = DEFAULT_PROBLEM_RULES.find(r => r.type === typeKey) || DEFAULT_PROBLEM_RULES[0];
+  return { ...base, id: `rule-${Date.now()}` };
+}
+
+export function describeRule(rule) {
+  const type = problemType(rule.type);
+  return type.params.map(p => `${p.label} ${rule[p.key]} ${p.unit}`).join(', ');
+}
+
+/* -------------------------
+  Detection
+--------------------------*/
+const timeOf = (r) => {
+  const t = r.timestamp ? new Date(r.timestamp).getTime() : NaN;
+  return Number.isFinite(t) ? t : null;
+};
+
+// positioned rows in drive order: by session, then time; rows without a time come last, alone
+const driveOrder = (rows) => {
+  const timed = [];
+  const untimed = [];
+  rows.forEach(r => {
+    if (r.jittered || !isValidCoordinate(r.lat, r.lon)) return;
+    const t = timeOf(r);
+    if (t === null) untimed.push({ row: r, t: null });
+    else timed.push({ row: r, t });
+  });
+  timed.sort((a, b) => (a.row.sessionId === b.row.sessionId ? a.t - b.t : String(a.row.sessionId).localeCompare(String(b.row.sessionId))));
+  return { timed, untimed };
+};
+
+const findRuns = (ordered, rule, type) => {
+  const runs = [];
+  let run = null;
+  let prev = null;
+  ordered.timed.forEach(p => {
+    if (!type.matches(p.row, rule)) {
+      run = null;
+      return;
+    }
+    const joins = run && prev && prev.row.sessionId === p.row.sessionId
+      && (p.t - prev.t) / 1000 <= RUN_GAP_SEC
+      && haversineMeters(prev.row.lat, prev.row.lon, p.row.lat, p.row.lon) <= RUN_GAP_METERS;
+    if (joins) {
+      run.meters += haversineMeters(prev.row.lat, prev.row.lon, p.row.lat, p.row.lon);
+      run.seconds += (p.t - prev.t) / 1000;
+      run.points.push(p);
+    } else {
+      run = { points: [p], seconds: 0, meters: 0 };
+      runs.push(run);
+    }
+    prev = p;
+  });
+  ordered.untimed.forEach(p => {
+    if (type.matches(p.row, rule)) runs.push({ points: [p], seconds: 0, meters: 0 });
+  });
+  return runs;
+};
+
+// groups of run indices whose samples are within about MERGE_METERS, via a grid and union-find
+const mergeRuns = (runs) => {
+  const parent = runs.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent[rb] = ra;
+  };
+
+  const latCell = MERGE_METERS / METERS_PER_DEGREE;
+  const cells = new Map();
+  runs.forEach((run, i) => {
+    run.points.forEach(({ row }) => {
+      const lat = Number(row.lat);
+      const lonCell = latCell / Math.max(0.01, Math.cos((lat * Math.PI) / 180));
+      const cy = Math.floor(lat / latCell);
+      const cx = Math.floor(Number(row.lon) / lonCell);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const other = cells.get(`${cy + dy}:${cx + dx}`);
+          if (other !== undefined) union(i, other);
+        }
+      }
+      cells.set(`${cy}:${cx}`, i);
+    });
+  });
+
+  const groups = new Map();
+  runs.forEach((run, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(run);
+  });
+  return [...groups.values()];
+};
+
+const mostCommon = (rows, key) => {
+  const counts = {};
+  rows.forEach(r => {
+    if (r[key]) counts[r[key]] = (counts[r[key]] || 0) + 1;
+  });
+  const top = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return top ? top[0] : null;
+};
+
+const buildEvent = (rule, type, group) => {
+  const points = group.flatMap(run => run.points);
+  const rows = points.map(p => p.row);
+  const bounds = { north: -Infinity, south: Infinity, east: -Infinity, west: Infinity };
+  let sumLat = 0;
+  let sumLon = 0;
+  let start = null;
+  let end = null;
+  points.forEach(({ row, t }) => {
+    const lat = Number(row.lat);
+    const lon = Number(row.lon);
+    bounds.north = Math.max(bounds.north, lat);
+    bounds.south = Math.min(bounds.south, lat);
+    bounds.east = Math.max(bounds.east, lon);
+    bounds.west = Math.min(bounds.west, lon);
+    sumLat += lat;
+    sumLon += lon;
+    if (t !== null) {
+      start = start === null ? t : Math.min(start, t);
+      end = end === null ? t : Math.max(end, t);
+    }
+  });
+  const extent = haversineMeters(bounds.south, bounds.west, bounds.north, bounds.east);
+  const event = {
+    ruleId: rule.id,
+    type: type.key,
+    rows,
+    count: rows.length,
+    seconds: group.reduce((sum, run) => sum + run.seconds, 0),
+    // the driven distance, or the spread of the samples when they were not driven in order
+    meters: Math.max(group.reduce((sum, run) => sum + run.meters, 0), extent),
+    bounds,
+    center: { lat: sumLat / rows.length, lng: sumLon / rows.length },
+    start,
+    end,
+    location: mostCommon(rows, 'location'),
+    cells: new Set(rows.map(servingCellKey).filter(k => k !== null)).size,
+    stats: { rsrp: mean(rows, 'rsrp'), rsrq: mean(rows, 'rsrq'), sinr: mean(rows, 'sinr'), throughput: mean(rows, 'throughput') }
+  };
+  event.severity = event.count * (1 + type.depth(event, rule));
+  event.hint = type.hint(event);
+  return event;
+};
+
+const qualifies = (event, rule) => event.count >= rule.minSamples && (event.seconds >= rule.minSeconds || event.meters >= rule.minMeters);
+
+// every enabled rule's events, worst first; each event carries its rows for the map
+export function detectProblems(rows, rules) {
+  const ordered = driveOrder(rows);
+  const events = [];
+  rules.filter(rule => rule.enabled).forEach(rule => {
+    const type = problemType(rule.type);
+    mergeRuns(findRuns(ordered, rule, type))
+      .map(group => buildEvent(rule, type, group))
+      .filter(event => qualifies(event, rule))
+      .forEach(event => events.push(event));
+  });
+  return events
+    .sort((a, b) => b.severity - a.severity)
+    .map((event, i) => ({ ...event, id: `${event.ruleId}:${i}` }));
+}
+
+/* -------------------------
+  Persistence (rules live in localStorage; the defaults until edited)
+--------------------------*/
+const isValidRule = (r) => r && r.id && PROBLEM_TYPES.some(t => t.key === r.type)
+  && problemType(r.type).params.every(p => Number.isFinite(r[p.key]))
+  && ['minSeconds', 'minMeters', 'minSamples'].every(k => Number.isFinite(r[k]));
+
+export const loadProblemRules = () => loadJson(STORAGE_KEY, DEFAULT_PROBLEM_RULES, (parsed) => (Array.isArray(parsed) ? parsed.filter(isValidRule) : null));
+
+export const storeProblemRules = (rules) => storeJson(STORAGE_KEY, rules);
@@ -0,0 +1,83 @@
+import { detectProblems } from './problemAreas';
+
+const START = Date.UTC(2025, 8, 1, 6, 0, 0);
+const LAT = -26.2;
+const LON = 28.04;
+// about 11 m of latitude
+const STEP = 0.0001;
+
+// a coverage-hole sample `sec` seconds into the drive, `steps` * 11 m north of the start
+const bad = (sec, steps, extra = {}) => ({
+  sessionId: 's1',
+  timestamp: new Date(START + sec * 1000).toISOString(),
+  lat: LAT + steps * STEP,
+  lon: LON,
+  rsrp: -120,
+  sinr: 5,
+  ...extra
+});
+
+const rule = (overrides = {}) => ({ id: 'hole', type: 'coverageHole', enabled: true, rsrpBelow: -110, minSeconds: 3, minMeters: 1000, minSamples: 3, ...overrides });
+
+describe('detectProblems', () => {
+  test('keeps consecutive marked samples in one run', () => {
+    const [event] = detectProblems([0, 1, 2, 3, 4].map(i => bad(i, i)), [rule()]);
+
+    expect(event).toMatchObject({ type: 'coverageHole', count: 5, seconds: 4 });
+    expect(event.meters).toBeCloseTo(44.5, 0);
+  });
+
+  test('splits runs at a time gap over 30 s, not counting the gap', () => {
+    const split = detectProblems([bad(0, 0), bad(1, 1), bad(32, 2), bad(33, 3)], [rule({ minSeconds: 0 })]);
+    const joined = detectProblems([bad(0, 0), bad(1, 1), bad(31, 2), bad(32, 3)], [rule({ minSeconds: 0 })]);
+
+    // the split runs are still merged by place, but only the driven seconds count
+    expect(split).toHaveLength(1);
+    expect(split[0].seconds).toBe(2);
+    expect(joined[0].seconds).toBe(32);
+  });
+
+  test('splits runs at a jump over 200 m', () => {
+    const near = detectProblems([bad(0, 0), bad(1, 1), bad(2, 18), bad(3, 19)], [rule({ minSamples: 4 })]);
+    const far = detectProblems([bad(0, 0), bad(1, 1), bad(2, 20), bad(3, 21)], [rule({ minSamples: 2, minSeconds: 1 })]);
+
+    expect(near).toHaveLength(1);
+    expect(near[0].seconds).toBe(3);
+    expect(far).toHaveLength(2);
+    expect(far.map(e => e.count)).toEqual([2, 2]);
+  });
+
+  test('merges runs that touch, transitively, into one event', () => {
+    // three passes 40 m apart in a chain, hours apart, plus one far away
+    const rows = [
+      bad(0, 0), bad(3600, 3.6), bad(7200, 7.2),
+      bad(10800, 100)
+    ];
+    const events = detectProblems(rows, [rule({ minSamples: 3, minSeconds: 1000, minMeters: 50 })]);
+
+    expect(events).toHaveLength(1);
+    expect(events[0].count).toBe(3);
+    expect(events[0].seconds).toBe(0);
+    expect(events[0].meters).toBeGreaterThanOrEqual(50);
+  });
+
+  test('qualifies on minSamples and then minSeconds or minMeters', () => {
+    const still = [bad(0, 0), bad(5, 0), bad(10, 0)];
+    const moving = [bad(0, 0), bad(1, 3), bad(2, 6)];
+    const brief = [bad(0, 0), bad(1, 0), bad(2, 0)];
+    const limits = { minSamples: 3, minSeconds: 10, minMeters: 50 };
+
+    expect(detectProblems(still, [rule(limits)])).toHaveLength(1);
+    expect(detectProblems(moving, [rule(limits)])).toHaveLength(1);
+    expect(detectProblems(brief, [rule(limits)])).toHaveLength(0);
+    expect(detectProblems(still, [rule({ ...limits, minSamples: 4 })])).toHaveLength(0);
+  });
+
+  test('ignores jittered rows, unmarked rows and disabled rules', () => {
+    const rows = [bad(0, 0), bad(1, 1, { jittered: true }), bad(2, 2, { rsrp: -90 }), bad(3, 3)];
+
+    const [event] = detectProblems(rows, [rule({ minSamples: 1, minSeconds: 0 })]);
+    expect(event.rows).toEqual([rows[0], rows[3]]);
+    expect(detectProblems(rows, [rule({ enabled: false })])).toEqual([]);
+  });
+});
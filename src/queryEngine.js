@@ -0,0 +1,403 @@
+/* -------------------------
+  Structured queries behind the assistant
+   A question is parsed into a plain query object, shown back in the
+   chat for editing, and run against the rows:
+   { intent, metric, aggregation, percentile, groupBy, sort, limit,
+     filters: { technology, hours, dates, sectors, signalClasses, conditions } }
+   `intent` is 'aggregate', 'columns' (the schema) or 'summary' (the
+   fallback when no metric is named). Parsing only reads the question;
+   the rows handed to runQuery already carry the dashboard selection.
+--------------------------*/
+import { class1Share, numericValues, percentileOfSorted, servingCellKey } from './analytics';
+import { formatDayLabel, inDateSpan, parseDateSpan, rowDateKey } from './dateRange';
+import { loadJson, storeJson } from './storage';
+
+// checked in order, so uplink wins over the generic throughput words
+export const QUERY_METRICS = [
+  { key: 'ulThroughput', label: 'UL throughput', unit: 'Mbps', digits: 1, words: /\b(?:ul|uplink|upload)\b/ },
+  { key: 'throughput', label: 'DL throughput', unit: 'Mbps', digits: 1, words: /\b(?:dl|downlink|download|throughput|speed|mbps)\b/ },
+  { key: 'rsrp', label: 'RSRP', unit: 'dBm', digits: 1, words: /\brsrp\b|signal strength/ },
+  { key: 'rsrq', label: 'RSRQ', unit: 'dB', digits: 1, words: /\brsrq\b/ },
+  { key: 'sinr', label: 'SINR', unit: 'dB', digits: 1, words: /\b(?:sinr|snr)\b/ },
+  { key: 'cqi', label: 'CQI', unit: '', digits: 1, words: /\bcqi\b/ },
+  { key: 'class1', label: 'Class 1 coverage', unit: '%', digits: 1, words: /\bclass\s*1\b.*\b(?:coverage|share|percent|percentage|rate)\b|\b(?:coverage|share|percent|percentage)\b.*\bclass\s*1\b|\bcoverage\b/ },
+  { key: 'count', label: 'Measurements', unit: '', digits: 0, words: /\bcount\b|how many|number of|\brows\b|\bmeasurements\b|\bsamples\b/ }
+];
+
+export const AGGREGATIONS = [
+  { key: 'avg', label: 'Average' },
+  { key: 'median', label: 'Median' },
+  { key: 'min', label: 'Lowest' },
+  { key: 'max', label: 'Highest' },
+  { key: 'percentile', label: 'Percentile' },
+  { key: 'sum', label: 'Total' }
+];
+
+export const GROUP_BYS = [
+  { key: 'location', label: 'sector', words: 'sectors?|locations?|sites?' },
+  { key: 'technology', label: 'technology', words: 'technology|technologies|tech|rat' },
+  { key: 'hour', label: 'hour', words: 'hours?|hour of day' },
+  { key: 'day', label: 'day', words: 'days?|dates?|daily' },
+  { key: 'band', label: 'band', words: 'bands?' },
+  { key: 'pci', label: 'PCI', words: 'pcis?' },
+  { key: 'cell', label: 'serving cell', words: 'cells?|serving cells?' },
+  { key: 'signalClass', label: 'signal class', words: 'class(?:es)?|signal class(?:es)?' }
+];
+
+const CONDITION_FIELDS = { rsrp: 'rsrp', rsrq: 'rsrq', sinr: 'sinr', snr: 'sinr', cqi: 'cqi', throughput: 'throughput', dl: 'throughput', ul: 'ulThroughput', uplink: 'ulThroughput' };
+const CONDITION_OPS = { '<': '<', '<=': '<=', '>': '>', '>=': '>=', below: '<', under: '<', 'less than': '<', above: '>', over: '>', 'greater than': '>', 'more than': '>' };
+const MONTH_WORDS = 'jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec';
+const MAX_LIMIT = 50;
+
+export const queryMetric = (key) => QUERY_METRICS.find(m => m.key === key) || QUERY_METRICS[0];
+const groupByOf = (key) => GROUP_BYS.find(g => g.key === key) || null;
+
+export const emptyFilters = () => ({ technology: null, hours: null, dates: null, sectors: [], signalClasses: [], conditions: [] });
+
+const clampInt = (n, lo, hi) => Math.max(lo, Math.min(hi, Number.parseInt(n, 10) || 0));
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/* -------------------------
+  Parsing
+--------------------------*/
+// "rsrp below -110", "sinr < 0", "ul over 5": removed from the text so the metric is read from the rest
+const parseConditions = (q) => {
+  const conditions = [];
+  const pattern = /\b(rsrp|rsrq|sinr|snr|cqi|throughput|dl|ul|uplink)\s*(<=|>=|<|>|below|under|less than|above|over|greater than|more than)\s*(-?\d+(?:\.\d+)?)/g;
+  const rest = q.replace(pattern, (_, field, op, value) => {
+    conditions.push({ field: CONDITION_FIELDS[field], op: CONDITION_OPS[op], value: Number(value) });
+    return ' ';
+  });
+  return { conditions, rest };
+};
+
+const parseHours = (q) => {
+  const notDate = `(?!\\d|-\\d|\\s*(?:st|nd|rd|th)?\\s*(?:of\\s+)?(?:${MONTH_WORDS}))`;
+  const range = q.match(new RegExp(`\\b(?:between|from)\\s+(\\d{1,2})(?::00)?\\s*h?\\s*(?:and|-|to|until)\\s*(\\d{1,2})(?::00)?\\s*h?\\b${notDate}`));
+  if (range) {
+    const a = clampInt(range[1], 0, 23);
+    const b = clampInt(range[2], 0, 23);
+    return { from: Math.min(a, b), to: Math.max(a, b) };
+  }
+  const at = q.match(new RegExp(`\\b(?:hour|at)\\s*(\\d{1,2})(?::00)?\\b${notDate}`));
+  if (at) {
+    const h = clampInt(at[1], 0, 23);
+    return { from: h, to: h };
+  }
+  return null;
+};
+
+const parseGroupBy = (q) => {
+  for (const g of GROUP_BYS) {
+    const words = `(?:${g.words})`;
+    if (new RegExp(`\\b(?:by|per|for each|each|every|across|grouped by|group by|split by|broken down by)\\s+${words}\\b`).test(q)) return g.key;
+    if (new RegExp(`\\b(?:top|bottom|best|worst|which|what)\\s*\\d*\\s+${words}\\b`).test(q)) return g.key;
+  }
+  return null;
+};
+
+// `options.sectors` are the sector names in the data, matched as whole words
+export function parseQuestion(question, options = {}) {
+  const raw = (question || '').toLowerCase().trim();
+  const query = { intent: 'aggregate', metric: null, aggregation: 'avg', percentile: null, groupBy: null, sort: null, limit: null, filters: emptyFilters() };
+
+  if (/\b(?:columns|schema|headers|fields)\b/.test(raw)) return { ...query, intent: 'columns' };
+
+  const { conditions, rest: q } = parseConditions(raw);
+  query.filters.conditions = conditions;
+
+  const metric = QUERY_METRICS.find(m => m.words.test(q));
+  query.metric = metric ? metric.key : null;
+  query.groupBy = parseGroupBy(q);
+
+  // filters
+  const says5g = /\b(?:5g|nr)\b/.test(q);
+  const says4g = /\b(?:4g|lte)\b/.test(q);
+  if (says5g && says4g) query.groupBy = query.groupBy || 'technology';
+  else if (says5g) query.filters.technology = '5G';
+  else if (says4g) query.filters.technology = '4G';
+  query.filters.hours = parseHours(q);
+  query.filters.dates = parseDateSpan(q);
+  query.filters.sectors = (options.sectors || []).filter(name => new RegExp(`(^|[^\\w])${escapeRegExp(name.toLowerCase())}([^\\w]|$)`).test(q));
+  if (query.metric !== 'class1') {
+    const classes = q.match(/\bclass(?:es)?\s*([1-4](?:\s*(?:,|and|or|&)\s*[1-4])*)\b/);
+    if (classes) query.filters.signalClasses = [...new Set(classes[1].match(/[1-4]/g).map(Number))];
+  }
+
+  // aggregation, order and size
+  const pctMatch = q.match(/\b(\d{1,2})(?:st|nd|rd|th)?\s*percentile\b|\bp(\d{1,2})\b/);
+  const number = q.match(/\b(?:top|bottom|best|worst|first|last)\s*(\d{1,2})\b/);
+  const low = /\b(?:lowest|worst|minimum|min|bottom|weakest|poorest)\b/.test(q);
+  const high = /\b(?:highest|best|maximum|max|top|peak|strongest)\b/.test(q);
+  if (query.metric === 'count') query.aggregation = 'count';
+  else if (query.metric === 'class1') query.aggregation = 'share';
+  else if (pctMatch || /\bpercentile\b/.test(q)) {
+    query.aggregation = 'percentile';
+    query.percentile = clampInt(pctMatch ? pctMatch[1] || pctMatch[2] : 95, 1, 99);
+  } else if (/\bmedian\b/.test(q)) query.aggregation = 'median';
+  else if (/\b(?:total|sum)\b/.test(q)) query.aggregation = 'sum';
+  else if (!query.groupBy && low) query.aggregation = 'min';
+  else if (!query.groupBy && high) query.aggregation = 'max';
+
+  if (query.groupBy) {
+    if (/\b(?:ascending|lowest first)\b/.test(q) || low) query.sort = 'asc';
+    else if (/\b(?:descending|highest first)\b/.test(q) || high) query.sort = 'desc';
+    if (number) query.limit = clampInt(number[1], 1, MAX_LIMIT);
+    else if (query.sort && new RegExp(`\\b(?:which|what|the (?:best|worst|highest|lowest|top|bottom))\\s+(?:${groupByOf(query.groupBy).words})\\b`).test(q)) query.limit = 1;
+    if (!query.metric) {
+      query.metric = 'count';
+      query.aggregation = 'count';
+    }
+  }
+
+  if (!query.metric) query.intent = 'summary';
+  return query;
+}
+
+/* -------------------------
+  Running
+--------------------------*/
+const testCondition = (row, c) => {
+  const v = row[c.field];
+  if (v === null || v === undefined || v === '' || !Number.isFinite(Number(v))) return false;
+  const n = Number(v);
+  return c.op === '<' ? n < c.value : c.op === '<=' ? n <= c.value : c.op === '>' ? n > c.value : n >= c.value;
+};
+
+export function filterRows(rows, filters) {
+  const f = { ...emptyFilters(), ...filters };
+  const sectors = new Set(f.sectors.map(s => s.toLowerCase()));
+  return rows.filter(r =>
+    (!f.technology || r.technology === f.technology) &&
+    (!f.hours || (r.hour !== null && r.hour !== undefined && r.hour >= f.hours.from && r.hour <= f.hours.to)) &&
+    (!f.dates || inDateSpan(rowDateKey(r), f.dates)) &&
+    (!sectors.size || (r.location && sectors.has(String(r.location).toLowerCase()))) &&
+    (!f.signalClasses.length || f.signalClasses.includes(r.signalClass)) &&
+    f.conditions.every(c => testCondition(r, c))
+  );
+}
+
+// { value, n, row? }; value is null when no row carries the metric
+export function aggregate(rows, query) {
+  if (query.metric === 'count') return { value: rows.length, n: rows.length };
+  if (query.metric === 'class1') {
+    const classified = rows.filter(r => r.signalClass !== null && r.signalClass !== undefined).length;
+    return { value: classified ? class1Share(rows) : null, n: classified, class1: rows.filter(r => r.signalClass === 1).length };
+  }
+  const key = query.metric;
+  if (query.aggregation === 'min' || query.aggregation === 'max') {
+    let row = null;
+    for (const r of rows) {
+      const v = r[key];
+      if (v === null || v === undefined || v === '' || !Number.isFinite(Number(v))) continue;
+      if (!row || (query.aggregation === 'min' ? Number(v) < Number(row[key]) : Number(v) > Number(row[key]))) row = r;
+    }
+    return { value: row ? Number(row[key]) : null, n: numericValues(rows, key).length, row };
+  }
+  const vals = numericValues(rows, key);
+  if (!vals.length) return { value: null, n: 0 };
+  const sum = vals.reduce((a, b) => a + b, 0);
+  if (query.aggregation === 'sum') return { value: sum, n: vals.length };
+  if (query.aggregation === 'median' || query.aggregation === 'percentile') {
+    const sorted = vals.sort((a, b) => a - b);
+    return { value: percentileOfSorted(sorted, query.aggregation === 'median' ? 50 : query.percentile || 95), n: vals.length };
+  }
+  return { value: sum / vals.length, n: vals.length };
+}
+
+const groupKeyOf = (row, groupBy) => {
+  if (groupBy === 'cell') return servingCellKey(row);
+  if (groupBy === 'day') return rowDateKey(row);
+  const v = row[groupBy];
+  return v === null || v === undefined || v === '' ? null : v;
+};
+
+const groupLabel = (key, groupBy) => {
+  if (groupBy === 'hour') return `${key}:00`;
+  if (groupBy === 'day') return formatDayLabel(key, true);
+  if (groupBy === 'signalClass') return `Class ${key}`;
+  if (groupBy === 'pci') return `PCI ${key}`;
+  return String(key);
+};
+
+// time groups read in order unless the question asked for a ranking
+const defaultSort = (groupBy) => (groupBy === 'hour' || groupBy === 'day' ? null : 'desc');
+
+/* -------------------------
+  { kind: 'columns' | 'empty' | 'summary' | 'value' | 'table', count, ... }
+--------------------------*/
+export function runQuery(rows, query) {
+  if (query.intent === 'columns') return { kind: 'columns', columns: Object.keys(rows[0] || {}) };
+  const subset = filterRows(rows, query.filters);
+  if (!subset.length) return { kind: 'empty', count: 0 };
+  if (query.intent === 'summary') {
+    const mean = (key) => aggregate(subset, { metric: key, aggregation: 'avg' }).value;
+    return {
+      kind: 'summary',
+      count: subset.length,
+      kpis: { throughput: mean('throughput'), ulThroughput: mean('ulThroughput'), rsrp: mean('rsrp'), rsrq: mean('rsrq'), sinr: mean('sinr'), class1: aggregate(subset, { metric: 'class1' }).value }
+    };
+  }
+  if (!query.groupBy) return { kind: 'value', count: subset.length, ...aggregate(subset, query) };
+
+  const groups = new Map();
+  subset.forEach(r => {
+    const key = groupKeyOf(r, query.groupBy);
+    if (key === null) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  });
+  const sort = query.sort || defaultSort(query.groupBy);
+  const table = [...groups.entries()]
+    .map(([key, groupRows]) => ({ key, label: groupLabel(key, query.groupBy), count: groupRows.length, ...aggregate(groupRows, query) }))
+    .filter(g => g.value !== null)
+    .sort((a, b) => (sort === 'asc' ? a.value - b.value : sort === 'desc' ? b.value - a.value : a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  return { kind: 'table', count: subset.length, groups: query.limit ? table.slice(0, query.limit) : table, totalGroups: table.length };
+}
+
+// the rows a query looked at, or one group's rows; the map rings these
+export function queryRows(rows, query, groupKey = null) {
+  const subset = filterRows(rows, query.filters);
+  if (groupKey === null || !query.groupBy) return subset;
+  return subset.filter(r => groupKeyOf(r, query.groupBy) === groupKey);
+}
+
+/* -------------------------
+  Wording
+--------------------------*/
+const fmtNumber = (metric, value) => (value === null || value === undefined ? '—' : value.toFixed(metric.digits));
+const withUnit = (metric, value) => {
+  if (metric.key === 'count') return value.toLocaleString();
+  if (metric.key === 'class1') return `${fmtNumber(metric, value)}%`;
+  if (metric.unit === 'Mbps') return `${fmtNumber(metric, value)} Mbps (${Math.round(value * 1000).toLocaleString()} kbps)`;
+  return `${fmtNumber(metric, value)}${metric.unit ? ` ${metric.unit}` : ''}`;
+};
+
+// the short form used in tables and chart tooltips
+export function formatQueryValue(metricKey, value) {
+  const metric = queryMetric(metricKey);
+  if (value === null || value === undefined) return '—';
+  if (metric.key === 'count') return value.toLocaleString();
+  if (metric.key === 'class1') return `${fmtNumber(metric, value)}%`;
+  return `${fmtNumber(metric, value)}${metric.unit ? ` ${metric.unit}` : ''}`;
+}
+
+// 1st, 2nd, 3rd, 4th … 11th, 12th, 13th … 21st, 22nd
+const ordinal = (n) => {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  const suffix = teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+};
+
+export function aggregationLabel(query) {
+  if (query.aggregation === 'percentile') return `${ordinal(query.percentile)} percentile`;
+  if (query.aggregation === 'count' || query.aggregation === 'share') return '';
+  return (AGGREGATIONS.find(a => a.key === query.aggregation) || AGGREGATIONS[0]).label;
+}
+
+const metricPhrase = (query) => {
+  const metric = queryMetric(query.metric);
+  const agg = aggregationLabel(query);
+  return agg ? `${agg} ${metric.label}` : metric.label;
+};
+
+// the parsed query in one line, shown above the editor
+export function describeQuery(query) {
+  if (query.intent === 'columns') return 'list the columns';
+  const f = query.filters;
+  const parts = [query.intent === 'summary' ? 'summary' : metricPhrase(query).replace(/^./, c => c.toLowerCase())];
+  if (f.technology) parts.push(f.technology);
+  if (f.hours) parts.push(f.hours.from === f.hours.to ? `hour ${f.hours.from}:00` : `hours ${f.hours.from}:00–${f.hours.to}:59`);
+  if (f.dates) parts.push(f.dates.label || (f.dates.from === f.dates.to ? f.dates.from : `${f.dates.from} – ${f.dates.to}`));
+  if (f.sectors.length) parts.push(`sector ${f.sectors.join(' or ')}`);
+  if (f.signalClasses.length) parts.push(`class ${f.signalClasses.join(', ')}`);
+  f.conditions.forEach(c => parts.push(`${queryMetric(c.field).label} ${c.op} ${c.value}`));
+  if (query.groupBy) parts.push(`by ${groupByOf(query.groupBy).label}`);
+  if (query.groupBy && query.sort) parts.push(query.sort === 'asc' ? 'lowest first' : 'highest first');
+  if (query.groupBy && query.limit) parts.push(`top ${query.limit}`);
+  return parts.join(' · ');
+}
+
+export function formatAnswer(query, result) {
+  const metric = queryMetric(query.metric);
+  if (result.kind === 'columns') return result.columns.length ? `Detected columns: ${result.columns.join(', ')}` : 'No columns detected.';
+  if (result.kind === 'empty') return 'No matching rows for those filters. Try a broader question.';
+  if (result.kind === 'summary') {
+    const { kpis } = result;
+    const fmt = (v, digits = 1) => (v === null ? '—' : v.toFixed(digits));
+    return [
+      'Here’s a quick summary:',
+      `• Rows: ${result.count.toLocaleString()}`,
+      `• Avg DL Throughput: ${kpis.throughput === null ? '—' : withUnit(queryMetric('throughput'), kpis.throughput)}`,
+      `• Avg UL Throughput: ${fmt(kpis.ulThroughput)} Mbps`,
+      `• Avg RSRP: ${fmt(kpis.rsrp)} dBm`,
+      `• Avg RSRQ: ${fmt(kpis.rsrq)} dB`,
+      `• Avg SINR: ${fmt(kpis.sinr)} dB`,
+      `• Class 1: ${kpis.class1 === null ? '—' : `${kpis.class1.toFixed(1)}%`}`
+    ].join('\n');
+  }
+  if (result.kind === 'value') {
+    if (result.value === null) return `No ${metric.label} values in this selection.`;
+    if (metric.key === 'count') return `There are ${result.value.toLocaleString()} measurements in this selection.`;
+    if (metric.key === 'class1') return `Class 1 coverage: ${withUnit(metric, result.value)} (${result.class1.toLocaleString()} of ${result.n.toLocaleString()}).`;
+    const where = result.row
+      ? ` at ${result.row.location || 'an unnamed location'}${result.row.timestamp ? ` around ${new Date(result.row.timestamp).toLocaleString()}` : ''}`
+      : '';
+    return `${metricPhrase(query)}: ${withUnit(metric, result.value)}${where}, based on ${result.n.toLocaleString()} measurements.`;
+  }
+  if (!result.groups.length) return `No ${metric.label} values in this selection.`;
+  const title = `${metricPhrase(query)} by ${groupByOf(query.groupBy).label}`;
+  const more = result.totalGroups > result.groups.length ? ` (${result.groups.length} of ${result.totalGroups})` : '';
+  return `${title}${more}:\n` + result.groups.map((g, i) => `${i + 1}. ${g.label}: ${withUnit(metric, g.value)}${metric.key === 'count' ? '' : ` · ${g.n.toLocaleString()} samples`}`).join('\n');
+}
+
+/* -------------------------
+  Structured answers
+   What the chat and a pinned card draw besides the text: a line for
+   time groups, bars for other groups (a table when there are too many
+   to read as bars), a KPI table for the summary, and a map focus for a
+   single lowest/highest sample. Only plain data, so it can be stored.
+--------------------------*/
+const MAX_BARS = 20;
+
+export function answerPayload(query, result) {
+  if (result.kind === 'summary') {
+    const { kpis } = result;
+    return {
+      type: 'table',
+      title: `Summary of ${result.count.toLocaleString()} measurements`,
+      rows: ['throughput', 'ulThroughput', 'rsrp', 'rsrq', 'sinr', 'class1'].map(key => ({ key, label: `Avg ${queryMetric(key).label}`, metric: key, value: kpis[key] }))
+    };
+  }
+  if (result.kind === 'value') {
+    return result.row && result.value !== null ? { type: 'map', title: metricPhrase(query), metric: query.metric } : null;
+  }
+  if (result.kind !== 'table' || !result.groups.length) return null;
+  const timed = query.groupBy === 'hour' || query.groupBy === 'day';
+  return {
+    type: timed && !query.sort ? 'line' : result.groups.length > MAX_BARS ? 'table' : 'bar',
+    title: `${metricPhrase(query)} by ${groupByOf(query.groupBy).label}`,
+    rows: result.groups.map(g => ({ key: g.key, label: g.label, metric: query.metric, value: g.value, n: g.n }))
+  };
+}
+
+// run, word and draw an already parsed (or edited) query
+export function answerQuery(rows, query) {
+  const result = runQuery(rows, query);
+  return { query, answer: formatAnswer(query, result), payload: answerPayload(query, result) };
+}
+
+// parse, run and word in one go, for the chat and for tests
+export function answerQuestion(rows, question, options = {}) {
+  return answerQuery(rows, parseQuestion(question, options));
+}
+
+/* -------------------------
+  Pinned answers: the queries behind cards pinned from the chat, re-run
+  against whatever the dashboard currently shows
+--------------------------*/
+const PINNED_KEY = 'driveTest.pinnedAnswers';
+
+export const loadPinnedAnswers = () => loadJson(PINNED_KEY, [], (parsed) => (Array.isArray(parsed) ? parsed.filter(p => p && p.id && p.query && p.query.filters) : null));
+
+export const storePinnedAnswers = (pins) => storeJson(PINNED_KEY, pins);
@@ -0,0 +1,175 @@
+import { aggregationLabel, answerPayload, answerQuestion, describeQuery, filterRows, parseQuestion, queryRows, runQuery } from './queryEngine';
+
+const SECTORS = ['North', 'South', 'Harbour', 'Airport'];
+
+// three days, every hour, every sector, both technologies; each sector has its own level
+const buildRows = () => {
+  const rows = [];
+  ['2025-09-01', '2025-09-02', '2025-09-03'].forEach((dateKey, d) => {
+    for (let hour = 0; hour < 24; hour++) {
+      SECTORS.forEach((location, s) => {
+        ['4G', '5G'].forEach((technology, t) => {
+          rows.push({
+            timestamp: `${dateKey}T${String(hour).padStart(2, '0')}:00:00`,
+            dateKey,
+            hour,
+            location,
+            technology,
+            rsrp: -80 - s * 10 - (hour % 4),
+            rsrq: -8 - s,
+            sinr: 20 - s * 5 + t * 2,
+            throughput: 10 * (s + 1) + t * 20 + d,
+            ulThroughput: 2 * (s + 1),
+            signalClass: s + 1
+          });
+        });
+      });
+    }
+  });
+  return rows;
+};
+
+const ROWS = buildRows();
+const OPTIONS = { sectors: SECTORS };
+const ask = (question) => answerQuestion(ROWS, question, OPTIONS).answer;
+
+describe('parsing questions into queries', () => {
+  test('reads metric, aggregation, filters and grouping from one sentence', () => {
+    const query = parseQuestion('median SINR on 5G between 8 and 12 grouped by sector', OPTIONS);
+    expect(query).toMatchObject({
+      intent: 'aggregate',
+      metric: 'sinr',
+      aggregation: 'median',
+      groupBy: 'location',
+      filters: { technology: '5G', hours: { from: 8, to: 12 } }
+    });
+    expect(describeQuery(query)).toBe('median SINR · 5G · hours 8:00–12:59 · by sector');
+  });
+
+  test('turns rankings into a sort and a limit', () => {
+    expect(parseQuestion('Top 3 sectors by throughput')).toMatchObject({ metric: 'throughput', groupBy: 'location', sort: 'desc', limit: 3 });
+    expect(parseQuestion('which sector has the lowest SINR?')).toMatchObject({ metric: 'sinr', groupBy: 'location', sort: 'asc', limit: 1 });
+  });
+
+  test('keeps threshold phrases as conditions instead of the metric', () => {
+    const query = parseQuestion('how many samples with rsrp below -105 on lte');
+    expect(query).toMatchObject({ metric: 'count', aggregation: 'count', filters: { technology: '4G', conditions: [{ field: 'rsrp', op: '<', value: -105 }] } });
+  });
+
+  test('reads percentiles, dates, sectors and classes', () => {
+    expect(parseQuestion('p5 dl throughput')).toMatchObject({ metric: 'throughput', aggregation: 'percentile', percentile: 5 });
+    expect(parseQuestion('average rsrp on sep 2').filters.dates).toMatchObject({ from: '09-02', to: '09-02' });
+    expect(parseQuestion('avg rsrq in harbour', OPTIONS).filters.sectors).toEqual(['Harbour']);
+    expect(parseQuestion('count class 3 or 4 samples').filters.signalClasses).toEqual([3, 4]);
+  });
+
+  test('runs a year-less date span over the new year', () => {
+    const { dates } = parseQuestion('average rsrp between Dec 28 and Jan 3').filters;
+    const rows = ['2024-12-27', '2024-12-28', '2024-12-31', '2025-01-01', '2025-01-03', '2025-01-04'].map(dateKey => ({ dateKey }));
+
+    expect(dates).toMatchObject({ from: '12-28', to: '01-03' });
+    expect(filterRows(rows, { dates }).map(r => r.dateKey)).toEqual(['2024-12-28', '2024-12-31', '2025-01-01', '2025-01-03']);
+  });
+
+  test('does not read a date as an hour', () => {
+    expect(parseQuestion('average sinr at 5 sep').filters.hours).toBeNull();
+    expect(parseQuestion('average sinr at 15:00').filters.hours).toEqual({ from: 15, to: 15 });
+  });
+
+  test('falls back to a summary or the column list', () => {
+    expect(parseQuestion('how is the network doing?').intent).toBe('summary');
+    expect(parseQuestion('what columns are there').intent).toBe('columns');
+  });
+});
+
+describe('answering questions', () => {
+  test('counts measurements', () => {
+    expect(ask('How many measurements are there?')).toBe(`There are ${ROWS.length.toLocaleString()} measurements in this selection.`);
+    expect(ask('how many samples with rsrp below -105')).toBe('There are 144 measurements in this selection.');
+  });
+
+  test('averages a metric with filters', () => {
+    expect(ask('average uplink throughput in Airport')).toBe('Average UL throughput: 8.0 Mbps (8,000 kbps), based on 144 measurements.');
+    expect(ask('avg rsrq on 5g')).toBe('Average RSRQ: -9.5 dB, based on 288 measurements.');
+  });
+
+  test('groups, sorts and limits', () => {
+    expect(ask('top 2 sectors by throughput')).toBe([
+      'Average DL throughput by sector (2 of 4):',
+      '1. Airport: 51.0 Mbps (51,000 kbps) · 144 samples',
+      '2. Harbour: 41.0 Mbps (41,000 kbps) · 144 samples'
+    ].join('\n'));
+    expect(ask('median SINR on 5G between 8 and 12 grouped by sector')).toBe([
+      'Median SINR by sector:',
+      '1. North: 22.0 dB · 15 samples',
+      '2. South: 17.0 dB · 15 samples',
+      '3. Harbour: 12.0 dB · 15 samples',
+      '4. Airport: 7.0 dB · 15 samples'
+    ].join('\n'));
+  });
+
+  test('keeps time groups in time order', () => {
+    const { groups } = runQuery(ROWS, parseQuestion('average throughput per day'));
+    expect(groups.map(g => g.key)).toEqual(['2025-09-01', '2025-09-02', '2025-09-03']);
+  });
+
+  test('names where the extreme sample was taken', () => {
+    expect(ask('worst rsrp on sep 3')).toMatch(/^Lowest RSRP: -113\.0 dBm at Airport around .+, based on 192 measurements\.$/);
+  });
+
+  test('reports Class 1 coverage and percentiles', () => {
+    expect(ask('Class 1 coverage on 4G')).toBe('Class 1 coverage: 25.0% (72 of 288).');
+    expect(ask('95th percentile throughput')).toBe('95th percentile DL throughput: 61.0 Mbps (61,000 kbps), based on 576 measurements.');
+  });
+
+  test('names percentiles with ordinal suffixes', () => {
+    expect([1, 2, 3, 4, 11, 12, 13, 21, 22, 50, 95].map(p => aggregationLabel({ aggregation: 'percentile', percentile: p })))
+      .toEqual(['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '50th', '95th'].map(o => `${o} percentile`));
+  });
+
+  test('says so when the filters leave nothing', () => {
+    expect(ask('average rsrp on 12 december')).toBe('No matching rows for those filters. Try a broader question.');
+  });
+
+  test('runs an edited query the same way as a parsed one', () => {
+    const query = { ...parseQuestion('average sinr'), groupBy: 'technology', sort: 'asc' };
+    const { groups } = runQuery(ROWS, query);
+    expect(groups.map(g => [g.key, g.value])).toEqual([['4G', 12.5], ['5G', 14.5]]);
+    expect(filterRows(ROWS, { hours: { from: 0, to: 0 } })).toHaveLength(24);
+  });
+});
+
+describe('structured answers', () => {
+  const payloadFor = (question) => {
+    const query = parseQuestion(question, OPTIONS);
+    return answerPayload(query, runQuery(ROWS, query));
+  };
+
+  test('draws ranked groups as bars and time groups as a line', () => {
+    const bars = payloadFor('top 2 sectors by throughput');
+    expect(bars).toMatchObject({ type: 'bar', title: 'Average DL throughput by sector' });
+    expect(bars.rows.map(r => [r.label, r.value])).toEqual([['Airport', 51], ['Harbour', 41]]);
+    expect(payloadFor('average sinr per hour')).toMatchObject({ type: 'line' });
+    expect(payloadFor('average sinr per hour').rows).toHaveLength(24);
+  });
+
+  test('falls back to a table for many groups and for the summary', () => {
+    expect(payloadFor('average rsrp by hour sorted highest first')).toMatchObject({ type: 'table' });
+    const summary = payloadFor('how is the network doing?');
+    expect(summary.type).toBe('table');
+    expect(summary.rows.map(r => r.metric)).toEqual(['throughput', 'ulThroughput', 'rsrp', 'rsrq', 'sinr', 'class1']);
+  });
+
+  test('points the map at a single extreme sample, and leaves plain values as text', () => {
+    expect(payloadFor('worst rsrp')).toMatchObject({ type: 'map', metric: 'rsrp' });
+    expect(payloadFor('average rsrp')).toBeNull();
+    expect(payloadFor('average rsrp on 12 december')).toBeNull();
+  });
+
+  test('returns the rows behind a query or one of its groups', () => {
+    const query = parseQuestion('average sinr on 5g by sector', OPTIONS);
+    expect(queryRows(ROWS, query)).toHaveLength(288);
+    expect(queryRows(ROWS, query, 'Harbour').every(r => r.location === 'Harbour' && r.technology === '5G')).toBe(true);
+    expect(queryRows(ROWS, query, 'Harbour')).toHaveLength(72);
+  });
+});
@@ -0,0 +1,193 @@
+/* -------------------------
+  Drive route
+   Samples ordered by timestamp within each session, with a break wherever
+   consecutive samples are further apart than the gap limits in time or
+   distance, so a lunch stop or a GPS jump is not drawn as a straight line.
+   Rows without a timestamp or a real position fix are left out.
+--------------------------*/
+import { isValidCoordinate } from './csvNormaliser';
+import { lngLatToWorld, viewTransform } from './pointLayer';
+
+export const DEFAULT_ROUTE_GAPS = { maxGapSec: 60, maxGapMeters: 500 };
+
+const EARTH_RADIUS_M = 6371000;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+export function haversineMeters(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+export function buildRoute(rows, gaps = DEFAULT_ROUTE_GAPS) {
+  const usable = rows
+    .filter(r => r.timestamp && !r.jittered && isValidCoordinate(r.lat, r.lon))
+    .map(r => ({ row: r, t: new Date(r.timestamp).getTime() }))
+    .filter(p => Number.isFinite(p.t))
+    .sort((a, b) => (a.row.sessionId === b.row.sessionId ? a.t - b.t : String(a.row.sessionId).localeCompare(String(b.row.sessionId))));
+
+  const count = usable.length;
+  const x = new Float64Array(count);
+  const y = new Float64Array(count);
+  const t = new Float64Array(count);
+  const breakBefore = new Uint8Array(count);
+  const ranges = [];
+  usable.forEach((p, i) => {
+    const w = lngLatToWorld(Number(p.row.lat), Number(p.row.lon));
+    x[i] = w.x;
+    y[i] = w.y;
+    t[i] = p.t;
+    const prev = usable[i - 1];
+    if (!prev || prev.row.sessionId !== p.row.sessionId) {
+      breakBefore[i] = 1;
+      ranges.push({ start: i, end: i + 1 });
+      return;
+    }
+    ranges[ranges.length - 1].end = i + 1;
+    const tooLong = (p.t - prev.t) / 1000 > gaps.maxGapSec;
+    const tooFar = haversineMeters(prev.row.lat, prev.row.lon, p.row.lat, p.row.lon) > gaps.maxGapMeters;
+    breakBefore[i] = tooLong || tooFar ? 1 : 0;
+  });
+
+  return {
+    count,
+    x,
+    y,
+    t,
+    breakBefore,
+    ranges,
+    rows: usable.map(p => p.row),
+    minT: count ? Math.min(...ranges.map(r => t[r.start])) : null,
+    maxT: count ? Math.max(...ranges.map(r => t[r.end - 1])) : null
+  };
+}
+
+/* -------------------------
+  Segment colours
+--------------------------*/
+const GRADIENT = ['#EF4444', '#F97316', '#F59E0B', '#EAB308', '#84CC16', '#22C55E', '#10B981'];
+const NO_VALUE_COLOR = '#9CA3AF';
+
+// gradients run from poor (red) to good (green)
+export const ROUTE_METRICS = [
+  { key: 'signalClass', label: 'Signal class' },
+  { key: 'rsrp', label: 'RSRP', min: -120, max: -70, unit: 'dBm' },
+  { key: 'sinr', label: 'SINR', min: -5, max: 25, unit: 'dB' },
+  { key: 'throughput', label: 'DL throughput', min: 0, max: 150, unit: 'Mbps' }
+];
+
+// { palette, index } where index[i] is the palette entry of the segment ending at point i
+export function routeColors(route, metricKey, classColors) {
+  const metric = ROUTE_METRICS.find(m => m.key === metricKey) || ROUTE_METRICS[0];
+  const index = new Uint8Array(route.count);
+  if (metric.key === 'signalClass') {
+    const palette = [NO_VALUE_COLOR, classColors[1], classColors[2], classColors[3], classColors[4]];
+    route.rows.forEach((r, i) => {
+      index[i] = r.signalClass >= 1 && r.signalClass <= 4 ? r.signalClass : 0;
+    });
+    return { palette, index };
+  }
+  const palette = [NO_VALUE_COLOR, ...GRADIENT];
+  route.rows.forEach((r, i) => {
+    const v = r[metric.key];
+    if (v === null || v === undefined) return;
+    const f = Math.max(0, Math.min(1, (v - metric.min) / (metric.max - metric.min)));
+    index[i] = 1 + Math.min(GRADIENT.length - 1, Math.floor(f * GRADIENT.length));
+  });
+  return { palette, index };
+}
+
+/* -------------------------
+  Playback cursor: each session's position at time `time`, interpolated
+  between samples unless they straddle a gap
+--------------------------*/
+const lastAtOrBefore = (t, start, end, time) => {
+  let lo = start;
+  let hi = end - 1;
+  if (time < t[lo]) return -1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (t[mid] <= time) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+};
+
+export function routeCursor(route, time) {
+  const positions = [];
+  let latest = -1;
+  route.ranges.forEach(({ start, end }) => {
+    const i = lastAtOrBefore(route.t, start, end, time);
+    if (i === -1) return;
+    let px = route.x[i];
+    let py = route.y[i];
+    const next = i + 1;
+    if (next < end && !route.breakBefore[next] && route.t[next] > route.t[i]) {
+      const f = (time - route.t[i]) / (route.t[next] - route.t[i]);
+      px += (route.x[next] - px) * f;
+      py += (route.y[next] - py) * f;
+    }
+    positions.push({ x: px, y: py });
+    if (latest === -1 || route.t[i] > route.t[latest]) latest = i;
+  });
+  return { positions, row: latest === -1 ? null : route.rows[latest] };
+}
+
+/* -------------------------
+  Draw: vertices closer than a pixel to the last drawn one are merged, so a
+  long drive costs one pass and a few paths per frame at any zoom
+--------------------------*/
+const MIN_SEGMENT_PX = 1.5;
+
+export function drawRoute(ctx, route, colors, view, width, height) {
+  const { scale, ox, oy } = viewTransform(view, width, height);
+  const { x, y, breakBefore } = route;
+  const paths = colors.palette.map(() => []);
+  let lastX = 0;
+  let lastY = 0;
+  for (let i = 0; i < route.count; i++) {
+    const sx = x[i] * scale + ox;
+    const sy = y[i] * scale + oy;
+    if (breakBefore[i]) {
+      lastX = sx;
+      lastY = sy;
+      continue;
+    }
+    const dx = sx - lastX;
+    const dy = sy - lastY;
+    if (dx * dx + dy * dy < MIN_SEGMENT_PX * MIN_SEGMENT_PX) continue;
+    const offscreen = (sx < 0 && lastX < 0) || (sy < 0 && lastY < 0) || (sx > width && lastX > width) || (sy > height && lastY > height);
+    if (!offscreen) paths[colors.index[i]].push(lastX, lastY, sx, sy);
+    lastX = sx;
+    lastY = sy;
+  }
+
+  ctx.lineWidth = 3;
+  ctx.lineCap = 'round';
+  paths.forEach((coords, c) => {
+    if (!coords.length) return;
+    ctx.beginPath();
+    for (let k = 0; k < coords.length; k += 4) {
+      ctx.moveTo(coords[k], coords[k + 1]);
+      ctx.lineTo(coords[k + 2], coords[k + 3]);
+    }
+    ctx.strokeStyle = colors.palette[c];
+    ctx.stroke();
+  });
+}
+
+export function drawRouteCursor(ctx, cursor, view, width, height) {
+  const { scale, ox, oy } = viewTransform(view, width, height);
+  cursor.positions.forEach(p => {
+    const sx = p.x * scale + ox;
+    const sy = p.y * scale + oy;
+    ctx.beginPath();
+    ctx.arc(sx, sy, 7, 0, Math.PI * 2);
+    ctx.fillStyle = '#111827';
+    ctx.fill();
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = '#ffffff';
+    ctx.stroke();
+  });
+}
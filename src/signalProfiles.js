@@ -0,0 +1,117 @@
+/* -------------------------
+  Signal-class threshold profiles
+   A profile holds one rule list per technology. Each rule assigns a class
+   when ALL of its conditions hold; rules are checked from Class 1 down and
+   anything that matches none of them is Class 4.
+--------------------------*/
+import { loadJson, storeJson } from './storage';
+
+export const PROFILE_METRICS = ['rsrp', 'rsrq', 'sinr'];
+export const PROFILE_OPS = ['>=', '>', '<=', '<'];
+export const PROFILE_TECHS = ['4G', '5G'];
+
+const STORAGE_KEY = 'driveTest.signalProfiles';
+
+const rsrpOnlyRules = () => ([
+  { signalClass: 1, conditions: [{ metric: 'rsrp', op: '>=', value: -70 }] },
+  { signalClass: 2, conditions: [{ metric: 'rsrp', op: '>=', value: -85 }] },
+  { signalClass: 3, conditions: [{ metric: 'rsrp', op: '>=', value: -100 }] }
+]);
+
+export const BUILTIN_PROFILES = [
+  {
+    id: 'builtin-default',
+    name: 'Default (RSRP -70/-85/-100)',
+    builtin: true,
+    rules: { '4G': rsrpOnlyRules(), '5G': rsrpOnlyRules() }
+  },
+  {
+    id: 'builtin-contract',
+    name: 'Operator contract (RSRP + SINR)',
+    builtin: true,
+    rules: {
+      '4G': [
+        { signalClass: 1, conditions: [{ metric: 'rsrp', op: '>=', value: -80 }, { metric: 'sinr', op: '>=', value: 13 }] },
+        { signalClass: 2, conditions: [{ metric: 'rsrp', op: '>=', value: -95 }, { metric: 'sinr', op: '>=', value: 5 }] },
+        { signalClass: 3, conditions: [{ metric: 'rsrp', op: '>=', value: -105 }, { metric: 'sinr', op: '>=', value: 0 }] }
+      ],
+      // SS-RSRP on NR sits a few dB lower than LTE RSRP for the same coverage
+      '5G': [
+        { signalClass: 1, conditions: [{ metric: 'rsrp', op: '>=', value: -85 }, { metric: 'sinr', op: '>=', value: 13 }] },
+        { signalClass: 2, conditions: [{ metric: 'rsrp', op: '>=', value: -100 }, { metric: 'sinr', op: '>=', value: 5 }] },
+        { signalClass: 3, conditions: [{ metric: 'rsrp', op: '>=', value: -110 }, { metric: 'sinr', op: '>=', value: 0 }] }
+      ]
+    }
+  }
+];
+
+export const DEFAULT_PROFILE = BUILTIN_PROFILES[0];
+
+const compare = (actual, op, expected) => {
+  switch (op) {
+    case '>': return actual > expected;
+    case '<=': return actual <= expected;
+    case '<': return actual < expected;
+    default: return actual >= expected;
+  }
+};
+
+const hasValue = (v) => v !== null && v !== undefined && v !== '' && Number.isFinite(Number(v));
+
+// a threshold left blank while editing makes its rule incomplete: it is skipped, not read as 0
+export const ruleIsComplete = (rule) => rule.conditions.every(c => hasValue(c.value));
+export const profileIsComplete = (profile) => Object.values(profile.rules || {}).every(rules => rules.every(ruleIsComplete));
+
+const ruleMatches = (row, rule) => rule.conditions.every(c => compare(Number(row[c.metric]), c.op, Number(c.value)));
+
+// per-profile, per-technology rule order and the metrics those rules read
+const compiledProfiles = new WeakMap();
+
+const compileRules = (profile, technology) => {
+  let byTech = compiledProfiles.get(profile);
+  if (!byTech) {
+    byTech = {};
+    compiledProfiles.set(profile, byTech);
+  }
+  if (!byTech[technology]) {
+    const rules = ((profile.rules && (profile.rules[technology] || profile.rules['4G'])) || []).filter(ruleIsComplete);
+    byTech[technology] = {
+      needed: [...new Set(rules.flatMap(r => r.conditions.map(c => c.metric)))],
+      ordered: [...rules].sort((a, b) => a.signalClass - b.signalClass)
+    };
+  }
+  return byTech[technology];
+};
+
+// null when a metric the profile relies on is missing, rather than calling the sample Poor
+export function classifySample(row, profile = DEFAULT_PROFILE) {
+  const { needed, ordered } = compileRules(profile, row.technology);
+  for (const metric of needed) {
+    if (!hasValue(row[metric])) return null;
+  }
+  for (const rule of ordered) {
+    if (rule.conditions.length && ruleMatches(row, rule)) return rule.signalClass;
+  }
+  return 4;
+}
+
+export function describeRule(rule) {
+  if (!rule.conditions.length) return 'never';
+  const text = rule.conditions.map(c => `${c.metric.toUpperCase()} ${c.op} ${hasValue(c.value) ? c.value : '?'}`).join(' AND ');
+  return ruleIsComplete(rule) ? text : `${text} (incomplete, skipped)`;
+}
+
+export function cloneProfile(profile, overrides = {}) {
+  return {
+    ...JSON.parse(JSON.stringify(profile)),
+    builtin: false,
+    ...overrides
+  };
+}
+
+/* -------------------------
+  Persistence (saved profiles live in localStorage)
+--------------------------*/
+export const loadSavedProfiles = () => loadJson(STORAGE_KEY, [], (parsed) => (Array.isArray(parsed) ? parsed.filter(p => p && p.id && p.rules) : null));
+
+export const storeSavedProfiles = (profiles) => storeJson(STORAGE_KEY, profiles.filter(p => !p.builtin));
@@ -0,0 +1,39 @@
+import { BUILTIN_PROFILES, DEFAULT_PROFILE, classifySample, cloneProfile, describeRule, profileIsComplete } from './signalProfiles';
+
+const CONTRACT = BUILTIN_PROFILES[1];
+
+describe('classifySample', () => {
+  test('bands RSRP with the default thresholds, boundaries inclusive', () => {
+    expect([-60, -70, -71, -85, -86, -100, -101, -130].map(rsrp => classifySample({ technology: '4G', rsrp })))
+      .toEqual([1, 1, 2, 2, 3, 3, 4, 4]);
+  });
+
+  test('needs every condition of a rule to hold', () => {
+    expect(classifySample({ technology: '4G', rsrp: -75, sinr: 20 }, CONTRACT)).toBe(1);
+    expect(classifySample({ technology: '4G', rsrp: -75, sinr: 6 }, CONTRACT)).toBe(2);
+    expect(classifySample({ technology: '4G', rsrp: -75, sinr: -3 }, CONTRACT)).toBe(4);
+  });
+
+  test('uses the technology’s own rules and falls back to 4G ones', () => {
+    expect(classifySample({ technology: '5G', rsrp: -83, sinr: 20 }, CONTRACT)).toBe(1);
+    expect(classifySample({ technology: '4G', rsrp: -83, sinr: 20 }, CONTRACT)).toBe(2);
+    expect(classifySample({ technology: '3G', rsrp: -83, sinr: 20 }, CONTRACT)).toBe(2);
+  });
+
+  test('leaves a sample unclassified when a metric the rules read is missing', () => {
+    expect(classifySample({ technology: '4G', rsrp: null })).toBeNull();
+    expect(classifySample({ technology: '4G', rsrp: -75, sinr: '' }, CONTRACT)).toBeNull();
+    expect(classifySample({ technology: '4G', rsrp: -65 })).toBe(1);
+  });
+
+  test('skips a rule whose threshold is blank instead of comparing against 0', () => {
+    const editing = cloneProfile(DEFAULT_PROFILE, { id: 'editing' });
+    editing.rules['4G'][0].conditions[0].value = '';
+
+    expect(classifySample({ technology: '4G', rsrp: -60 }, editing)).toBe(2);
+    expect(classifySample({ technology: '4G', rsrp: -90 }, editing)).toBe(3);
+    expect(profileIsComplete(editing)).toBe(false);
+    expect(profileIsComplete(DEFAULT_PROFILE)).toBe(true);
+    expect(describeRule(editing.rules['4G'][0])).toBe('RSRP >= ? (incomplete, skipped)');
+  });
+});
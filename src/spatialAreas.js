@@ -0,0 +1,165 @@
+/* -------------------------
+  Named map areas
+   Rectangles, circles and polygons drawn on the map, kept in lat/lng so
+   they survive a change of map backend or zoom. An area holds the rows
+   whose real position fix falls inside it; rows without a fix (or with
+   an approximate, jittered one) are outside every area.
+--------------------------*/
+import { isValidCoordinate } from './csvNormaliser';
+import { lngLatToWorld, viewTransform, worldToLngLat } from './pointLayer';
+import { haversineMeters } from './route';
+import { summarizeKpis } from './analytics';
+import { loadJson, storeJson } from './storage';
+
+const STORAGE_KEY = 'driveTest.areas';
+
+export const AREA_SHAPES = [
+  { key: 'rectangle', label: 'Rectangle', hint: 'Drag to draw a rectangle. Esc cancels.' },
+  { key: 'circle', label: 'Circle', hint: 'Drag out from the centre to draw a circle. Esc cancels.' },
+  { key: 'polygon', label: 'Polygon', hint: 'Click to add corners; double-click or click the first corner to finish. Esc cancels.' }
+];
+
+const EARTH_CIRCUMFERENCE_M = 40075016.686;
+
+/* -------------------------
+  Geometry
+--------------------------*/
+export const rectangleFrom = (a, b) => ({
+  shape: 'rectangle',
+  bounds: {
+    north: Math.max(a.lat, b.lat),
+    south: Math.min(a.lat, b.lat),
+    east: Math.max(a.lng, b.lng),
+    west: Math.min(a.lng, b.lng)
+  }
+});
+
+export const circleFrom = (center, edge) => ({
+  shape: 'circle',
+  center,
+  radiusMeters: haversineMeters(center.lat, center.lng, edge.lat, edge.lng)
+});
+
+export const polygonFrom = (points) => ({ shape: 'polygon', points });
+
+// ray casting in the lat/lng plane, fine at city scale
+const insidePolygon = (points, lat, lng) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.lat > lat) !== (b.lat > lat) && lng < ((b.lng - a.lng) * (lat - a.lat)) / (b.lat - a.lat) + a.lng) inside = !inside;
+  }
+  return inside;
+};
+
+export function pointInArea(area, lat, lng) {
+  if (area.shape === 'rectangle') {
+    const { north, south, east, west } = area.bounds;
+    return lat >= south && lat <= north && lng >= west && lng <= east;
+  }
+  if (area.shape === 'circle') return haversineMeters(area.center.lat, area.center.lng, lat, lng) <= area.radiusMeters;
+  return insidePolygon(area.points, lat, lng);
+}
+
+// predicate for rows inside any of `areas`
+export function inAnyArea(areas) {
+  return (row) => {
+    if (row.jittered || !isValidCoordinate(row.lat, row.lon)) return false;
+    const lat = Number(row.lat);
+    const lng = Number(row.lon);
+    return areas.some(area => pointInArea(area, lat, lng));
+  };
+}
+
+export const compareAreas = (rows, areas) => areas.map(area => ({ area, kpis: summarizeKpis(rows.filter(inAnyArea([area]))) }));
+
+const fmtDistance = (m) => (m >= 1000 ? `${(m / 1000).toFixed(1)} km` : `${Math.round(m)} m`);
+
+export function describeArea(area) {
+  if (area.shape === 'rectangle') {
+    const { north, south, east, west } = area.bounds;
+    const width = haversineMeters(south, west, south, east);
+    const height = haversineMeters(south, west, north, west);
+    return `Rectangle ${fmtDistance(width)} × ${fmtDistance(height)}`;
+  }
+  if (area.shape === 'circle') return `Circle, ${fmtDistance(area.radiusMeters)} radius`;
+  return `Polygon, ${area.points.length} corners`;
+}
+
+/* -------------------------
+  Persistence (saved areas live in localStorage)
+--------------------------*/
+const isLatLng = (p) => p && Number.isFinite(p.lat) && Number.isFinite(p.lng);
+
+const isValidArea = (a) => {
+  if (!a || typeof a.name !== 'string' || !a.id) return false;
+  if (a.shape === 'rectangle') return a.bounds && ['north', 'south', 'east', 'west'].every(k => Number.isFinite(a.bounds[k]));
+  if (a.shape === 'circle') return isLatLng(a.center) && Number.isFinite(a.radiusMeters);
+  if (a.shape === 'polygon') return Array.isArray(a.points) && a.points.length >= 3 && a.points.every(isLatLng);
+  return false;
+};
+
+export const loadSavedAreas = () => loadJson(STORAGE_KEY, [], (parsed) => (Array.isArray(parsed) ? parsed.filter(isValidArea) : null));
+
+export const storeSavedAreas = (areas) => storeJson(STORAGE_KEY, areas);
+
+/* -------------------------
+  Screen conversion and drawing
+--------------------------*/
+export function screenToLatLng(view, width, height, px, py) {
+  const { scale, ox, oy } = viewTransform(view, width, height);
+  return worldToLngLat((px - ox) / scale, (py - oy) / scale);
+}
+
+// `closed` is false for a polygon still being drawn
+const tracePath = (ctx, area, toScreen, scale, closed) => {
+  ctx.beginPath();
+  if (area.shape === 'circle') {
+    const c = toScreen(area.center);
+    const metersPerWorld = EARTH_CIRCUMFERENCE_M * Math.cos((area.center.lat * Math.PI) / 180);
+    ctx.arc(c[0], c[1], (area.radiusMeters / metersPerWorld) * scale, 0, Math.PI * 2);
+    return c;
+  }
+  const { bounds } = area;
+  const corners = area.shape === 'rectangle'
+    ? [{ lat: bounds.north, lng: bounds.west }, { lat: bounds.north, lng: bounds.east }, { lat: bounds.south, lng: bounds.east }, { lat: bounds.south, lng: bounds.west }]
+    : area.points;
+  const pts = corners.map(toScreen);
+  pts.forEach(([sx, sy], k) => (k === 0 ? ctx.moveTo(sx, sy) : ctx.lineTo(sx, sy)));
+  if (closed) ctx.closePath();
+  return pts[0];
+};
+
+export function drawAreas(ctx, areas, activeIds, draft, view, width, height) {
+  const { scale, ox, oy } = viewTransform(view, width, height);
+  const toScreen = (p) => {
+    const w = lngLatToWorld(p.lat, p.lng);
+    return [w.x * scale + ox, w.y * scale + oy];
+  };
+
+  ctx.font = '600 12px sans-serif';
+  areas.forEach(area => {
+    const active = activeIds.includes(area.id);
+    const anchor = tracePath(ctx, area, toScreen, scale, true);
+    if (active) {
+      ctx.fillStyle = 'rgba(37, 99, 235, 0.08)';
+      ctx.fill();
+    }
+    ctx.setLineDash(active ? [] : [6, 4]);
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = active ? '#2563eb' : '#6b7280';
+    ctx.stroke();
+    ctx.fillStyle = active ? '#1d4ed8' : '#374151';
+    ctx.fillText(area.name, anchor[0] + 4, anchor[1] - 4);
+  });
+
+  if (draft) {
+    tracePath(ctx, draft, toScreen, scale, draft.shape !== 'polygon');
+    ctx.setLineDash([4, 4]);
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = '#ea580c';
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+}
@@ -0,0 +1,28 @@
+/* -------------------------
+  Browser storage
+   Everything the dashboard remembers is JSON under a driveTest.* key.
+   Storage can be disabled, full or hold what an older version wrote,
+   so a read falls back to a default and a failed write only warns.
+--------------------------*/
+
+// `validate` gets the parsed value and returns what to use (e.g. only its
+// valid entries), or null/undefined to fall back
+export function loadJson(key, fallback, validate = (value) => value) {
+  try {
+    const raw = window.localStorage.getItem(key);
+    if (raw === null) return fallback;
+    const value = validate(JSON.parse(raw));
+    return value === null || value === undefined ? fallback : value;
+  } catch (err) {
+    console.warn(`Could not read ${key}:`, err);
+    return fallback;
+  }
+}
+
+export function storeJson(key, value) {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`Could not store ${key}:`, err);
+  }
+}
@@ -0,0 +1,22 @@
+import { loadJson, storeJson } from './storage';
+
+describe('browser storage', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  test('round-trips JSON and keeps what validate returns', () => {
+    storeJson('driveTest.test', [1, 'x', 2]);
+    expect(loadJson('driveTest.test', [])).toEqual([1, 'x', 2]);
+    expect(loadJson('driveTest.test', [], (v) => v.filter(Number.isFinite))).toEqual([1, 2]);
+  });
+
+  test('falls back when nothing is stored, it does not parse or validate rejects it', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(loadJson('driveTest.missing', 'fallback')).toBe('fallback');
+    window.localStorage.setItem('driveTest.test', '{not json');
+    expect(loadJson('driveTest.test', 'fallback')).toBe('fallback');
+    expect(warn).toHaveBeenCalledTimes(1);
+    storeJson('driveTest.test', { version: 0 });
+    expect(loadJson('driveTest.test', 'fallback', (v) => (v.version ? v : null))).toBe('fallback');
+    warn.mockRestore();
+  });
+});
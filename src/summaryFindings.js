@@ -0,0 +1,109 @@
+/* -------------------------
+  Analysis Summary findings
+   Computed from the charts' own aggregates so the panel always agrees
+   with what is on screen. Every finding carries the cross-filter chips
+   that show its supporting data. Hours and sectors with fewer than
+   MIN_SAMPLES measurements are too thin to call best or worst.
+--------------------------*/
+import { class1Share, groupBy } from './analytics';
+
+export const DEFAULT_CLASS1_TARGET = 85;
+const MIN_SAMPLES = 10;
+
+const pct = (v) => `${v.toFixed(1)}%`;
+const signedPp = (v) => `${v >= 0 ? '+' : ''}${v.toFixed(1)} pp`;
+const toneFor = (value, target) => (value >= target ? 'good' : 'bad');
+
+const hourChip = (hour) => ({ kind: 'hour', from: hour, to: hour, label: `Hour ${hour}:00` });
+
+// best and worst hour among those with enough samples
+export function hourExtremes(hourlyData) {
+  const usable = hourlyData.map((h, hour) => ({ ...h, hourIndex: hour })).filter(h => h.count >= MIN_SAMPLES);
+  if (!usable.length) return null;
+  const sorted = [...usable].sort((a, b) => b.class1Percentage - a.class1Percentage);
+  return { best: sorted[0], worst: sorted[sorted.length - 1] };
+}
+
+export function worstSectors(rows, limit = 3) {
+  return Object.entries(groupBy(rows.filter(r => r.location), 'location'))
+    .map(([location, sectorRows]) => ({
+      location,
+      count: sectorRows.length,
+      classified: sectorRows.filter(r => r.signalClass !== null && r.signalClass !== undefined).length,
+      class1Pct: class1Share(sectorRows)
+    }))
+    .filter(s => s.classified >= MIN_SAMPLES)
+    .sort((a, b) => a.class1Pct - b.class1Pct)
+    .slice(0, limit);
+}
+
+// measurement-weighted Class 1 share of the last `days` days against the `days` before
+export function periodChange(dailyData, days) {
+  const share = (entries) => {
+    const total = entries.reduce((sum, d) => sum + d.totalMeasurements, 0);
+    return total ? entries.reduce((sum, d) => sum + d.class1Percentage * d.totalMeasurements, 0) / total : null;
+  };
+  if (dailyData.length < days * 2) return null;
+  const current = dailyData.slice(-days);
+  const previous = dailyData.slice(-days * 2, -days);
+  const now = share(current);
+  const before = share(previous);
+  if (now === null || before === null) return null;
+  return { current: now, previous: before, deltaPp: now - before, from: previous[0], to: current[current.length - 1] };
+}
+
+/* -------------------------
+  Findings grouped by panel card; each is { key, text, tone, chips, linkLabel }
+--------------------------*/
+export function summarizeFindings({ hourlyData, dailyData, sectorRows, class1Pct, target }) {
+  const hours = [];
+  const extremes = hourExtremes(hourlyData);
+  if (extremes) {
+    const { best, worst } = extremes;
+    hours.push({
+      key: 'best-hour',
+      text: `Best hour ${best.hour}: ${pct(best.class1Percentage)} Class 1 over ${best.count.toLocaleString()} samples`,
+      tone: toneFor(best.class1Percentage, target),
+      chips: [hourChip(best.hourIndex)],
+      linkLabel: `Show ${best.hour}`
+    });
+    if (worst.hourIndex !== best.hourIndex) {
+      hours.push({
+        key: 'worst-hour',
+        text: `Worst hour ${worst.hour}: ${pct(worst.class1Percentage)} Class 1 over ${worst.count.toLocaleString()} samples`,
+        tone: toneFor(worst.class1Percentage, target),
+        chips: [hourChip(worst.hourIndex)],
+        linkLabel: `Show ${worst.hour}`
+      });
+    }
+  }
+
+  const sectors = worstSectors(sectorRows).map(s => ({
+    key: `sector-${s.location}`,
+    text: `${s.location}: ${pct(s.class1Pct)} Class 1 over ${s.count.toLocaleString()} samples`,
+    tone: toneFor(s.class1Pct, target),
+    chips: [{ kind: 'location', value: s.location, label: `Sector ${s.location}` }],
+    linkLabel: 'Show sector'
+  }));
+
+  const trends = [{
+    key: 'target',
+    text: `Class 1 coverage ${pct(class1Pct)} against a ${pct(target)} target: ${class1Pct >= target ? 'met' : `missed by ${(target - class1Pct).toFixed(1)} pp`}`,
+    tone: toneFor(class1Pct, target),
+    chips: [2, 3, 4].map(cls => ({ kind: 'signalClass', value: cls, label: `Class ${cls}` })),
+    linkLabel: 'Show samples below Class 1'
+  }];
+  [[1, 'Day-over-day', 'day'], [7, 'Week-over-week', 'week']].forEach(([days, label, unit]) => {
+    const change = periodChange(dailyData, days);
+    if (!change) return;
+    trends.push({
+      key: `${unit}-change`,
+      text: `${label}: ${signedPp(change.deltaPp)} (${pct(change.previous)} → ${pct(change.current)})`,
+      tone: change.deltaPp >= 0 ? 'good' : 'bad',
+      chips: [{ kind: 'day', from: change.from.day, to: change.to.day, label: `${change.from.fullDate} – ${change.to.fullDate}` }],
+      linkLabel: `Show both ${unit}s`
+    });
+  });
+
+  return { hours, sectors, trends };
+}
@@ -0,0 +1,60 @@
+/* -------------------------
+  Source units and conversion to the canonical data model
+   Canonical units: RSRP dBm, RSRQ dB, SINR dB, throughput Mbps.
+   Per-interval byte counts need the logging interval to become a rate.
+--------------------------*/
+
+const log10 = (x) => Math.log(x) / Math.LN10;
+
+// value -> canonical; NaN for values that cannot be converted (e.g. log of 0)
+const toDb = (x) => (x > 0 ? 10 * log10(x) : NaN);
+
+export const UNIT_OPTIONS = {
+  rsrp: {
+    dBm: (v) => v,
+    mW: (v) => toDb(v),
+    W: (v) => toDb(v) + 30,
+    'LTE index (n-140)': (v) => v - 140,
+    'NR index (n-156)': (v) => v - 156
+  },
+  rsrq: {
+    dB: (v) => v,
+    'LTE index (n/2-20)': (v) => v / 2 - 20,
+    'NR index (n/2-43)': (v) => v / 2 - 43
+  },
+  sinr: {
+    dB: (v) => v,
+    linear: (v) => toDb(v),
+    'NR index (n/2-23)': (v) => v / 2 - 23
+  },
+  throughput: {
+    Mbps: (v) => v,
+    kbps: (v) => v / 1000,
+    bps: (v) => v / 1e6,
+    Gbps: (v) => v * 1000,
+    'bytes/interval': (v, intervalSec) => (v * 8) / 1e6 / intervalSec,
+    'kB/interval': (v, intervalSec) => (v * 8) / 1000 / intervalSec
+  }
+};
+UNIT_OPTIONS.ulThroughput = UNIT_OPTIONS.throughput;
+
+export const UNIT_FIELDS = Object.keys(UNIT_OPTIONS);
+
+export const DEFAULT_UNITS = {
+  rsrp: 'dBm',
+  rsrq: 'dB',
+  sinr: 'dB',
+  throughput: 'Mbps',
+  ulThroughput: 'Mbps',
+  intervalSec: 1
+};
+
+export const usesInterval = (units) => ['throughput', 'ulThroughput'].some(f => /interval/.test(units[f] || ''));
+
+export function convertToCanonical(field, value, units = DEFAULT_UNITS) {
+  const options = UNIT_OPTIONS[field];
+  if (!options) return value;
+  const convert = options[units[field]] || options[DEFAULT_UNITS[field]];
+  const interval = Number(units.intervalSec) > 0 ? Number(units.intervalSec) : 1;
+  return convert(value, interval);
+}
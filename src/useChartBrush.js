@@ -0,0 +1,35 @@
+import { useState } from 'react';
+
+/* -------------------------
+  Click-or-drag selection on a category chart
+   Spread `handlers` onto a Recharts chart; `onSelect(lo, hi)` gets the
+   data indices when the button comes up (lo === hi for a plain click).
+   `drag` is the range being dragged, for a ReferenceArea.
+--------------------------*/
+const indexOf = (state) => {
+  const i = state ? Number(state.activeTooltipIndex) : NaN;
+  return Number.isInteger(i) ? i : null;
+};
+
+export default function useChartBrush(onSelect) {
+  const [drag, setDrag] = useState(null);
+
+  const handlers = {
+    onMouseDown: (state) => {
+      const i = indexOf(state);
+      if (i !== null) setDrag({ start: i, end: i });
+    },
+    onMouseMove: (state) => {
+      const i = indexOf(state);
+      if (drag && i !== null && i !== drag.end) setDrag({ ...drag, end: i });
+    },
+    onMouseUp: () => {
+      if (!drag) return;
+      setDrag(null);
+      onSelect(Math.min(drag.start, drag.end), Math.max(drag.start, drag.end));
+    },
+    onMouseLeave: () => setDrag(null)
+  };
+
+  return { drag, handlers };
+}